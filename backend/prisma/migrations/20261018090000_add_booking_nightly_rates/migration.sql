@@ -0,0 +1,36 @@
+-- CreateTable
+CREATE TABLE "public"."booking_nightly_rates" (
+    "id" SERIAL NOT NULL,
+    "hotel_id" INTEGER NOT NULL,
+    "booking_id" INTEGER NOT NULL,
+    "stay_date" TIMESTAMP(3) NOT NULL,
+    "rate" DECIMAL(10,2) NOT NULL,
+    "rate_source" VARCHAR(20) NOT NULL,
+    "room_pricing_id" INTEGER,
+    "occasion" VARCHAR(100),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "booking_nightly_rates_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "booking_nightly_rates_booking_id_stay_date_key" ON "public"."booking_nightly_rates"("booking_id", "stay_date");
+
+-- AddForeignKey
+ALTER TABLE "public"."booking_nightly_rates" ADD CONSTRAINT "booking_nightly_rates_hotel_id_fkey" FOREIGN KEY ("hotel_id") REFERENCES "public"."hotels"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."booking_nightly_rates" ADD CONSTRAINT "booking_nightly_rates_booking_id_fkey" FOREIGN KEY ("booking_id") REFERENCES "public"."bookings"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."booking_nightly_rates" ADD CONSTRAINT "booking_nightly_rates_room_pricing_id_fkey" FOREIGN KEY ("room_pricing_id") REFERENCES "public"."room_pricing"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill existing bookings with their flat room rate
+INSERT INTO "public"."booking_nightly_rates" ("hotel_id", "booking_id", "stay_date", "rate", "rate_source")
+SELECT b."hotel_id", b."id", night, b."room_rate", 'base_price'
+FROM "public"."bookings" b
+CROSS JOIN LATERAL generate_series(
+    date_trunc('day', b."check_in_date"),
+    date_trunc('day', b."check_out_date") - INTERVAL '1 day',
+    INTERVAL '1 day'
+) AS night;
@@ -0,0 +1,39 @@
+-- AlterTable
+ALTER TABLE "public"."hotels" ADD COLUMN     "check_in_time" VARCHAR(5) NOT NULL DEFAULT '12:00';
+
+-- AlterTable
+ALTER TABLE "public"."bookings" ADD COLUMN     "cancellation_fee" DECIMAL(10,2),
+ADD COLUMN     "cancellation_policy_id" INTEGER,
+ADD COLUMN     "cancellation_reason" TEXT,
+ADD COLUMN     "cancelled_at" TIMESTAMP(3),
+ADD COLUMN     "cancelled_by_id" INTEGER;
+
+-- CreateTable
+CREATE TABLE "public"."cancellation_policies" (
+    "id" SERIAL NOT NULL,
+    "hotel_id" INTEGER NOT NULL,
+    "name" VARCHAR(100) NOT NULL,
+    "description" TEXT,
+    "free_cancellation_hours" INTEGER NOT NULL DEFAULT 24,
+    "charge_type" VARCHAR(20) NOT NULL DEFAULT 'percentage',
+    "charge_percentage" DECIMAL(5,2),
+    "is_default" BOOLEAN NOT NULL DEFAULT false,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_by_id" INTEGER NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "cancellation_policies_pkey" PRIMARY KEY ("id")
+);
+
+-- AddForeignKey
+ALTER TABLE "public"."bookings" ADD CONSTRAINT "bookings_cancelled_by_id_fkey" FOREIGN KEY ("cancelled_by_id") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."bookings" ADD CONSTRAINT "bookings_cancellation_policy_id_fkey" FOREIGN KEY ("cancellation_policy_id") REFERENCES "public"."cancellation_policies"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."cancellation_policies" ADD CONSTRAINT "cancellation_policies_hotel_id_fkey" FOREIGN KEY ("hotel_id") REFERENCES "public"."hotels"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."cancellation_policies" ADD CONSTRAINT "cancellation_policies_created_by_id_fkey" FOREIGN KEY ("created_by_id") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "public"."hotels" ADD COLUMN     "auto_no_show_enabled" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN     "no_show_charge_type" VARCHAR(20) NOT NULL DEFAULT 'none',
+ADD COLUMN     "no_show_cutoff_time" VARCHAR(5) NOT NULL DEFAULT '06:00';
+
+-- AlterTable
+ALTER TABLE "public"."bookings" ADD COLUMN     "no_show_at" TIMESTAMP(3),
+ADD COLUMN     "no_show_fee" DECIMAL(10,2);
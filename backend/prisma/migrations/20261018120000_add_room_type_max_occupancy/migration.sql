@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."room_types" ADD COLUMN     "max_occupancy" INTEGER NOT NULL DEFAULT 2;
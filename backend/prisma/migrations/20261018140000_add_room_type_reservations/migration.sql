@@ -0,0 +1,22 @@
+-- DropForeignKey
+ALTER TABLE "public"."bookings" DROP CONSTRAINT "bookings_room_id_fkey";
+
+-- AlterTable
+ALTER TABLE "public"."bookings" ADD COLUMN     "room_assigned_at" TIMESTAMP(3),
+ADD COLUMN     "room_type_id" INTEGER,
+ALTER COLUMN "room_id" DROP NOT NULL;
+
+-- Backfill room type (and assignment time) for existing room-level bookings
+UPDATE "public"."bookings" b
+SET "room_type_id" = r."room_type_id",
+    "room_assigned_at" = b."created_at"
+FROM "public"."rooms" r
+WHERE r."id" = b."room_id";
+
+ALTER TABLE "public"."bookings" ALTER COLUMN "room_type_id" SET NOT NULL;
+
+-- AddForeignKey
+ALTER TABLE "public"."bookings" ADD CONSTRAINT "bookings_room_type_id_fkey" FOREIGN KEY ("room_type_id") REFERENCES "public"."room_types"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."bookings" ADD CONSTRAINT "bookings_room_id_fkey" FOREIGN KEY ("room_id") REFERENCES "public"."rooms"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,61 @@
+-- AlterTable
+ALTER TABLE "public"."bookings" ADD COLUMN     "group_booking_id" INTEGER,
+ADD COLUMN     "group_room_block_id" INTEGER;
+
+-- CreateTable
+CREATE TABLE "public"."group_bookings" (
+    "id" SERIAL NOT NULL,
+    "hotel_id" INTEGER NOT NULL,
+    "organizer_guest_id" INTEGER NOT NULL,
+    "name" VARCHAR(150) NOT NULL,
+    "group_type" VARCHAR(20) NOT NULL DEFAULT 'other',
+    "status" VARCHAR(20) NOT NULL DEFAULT 'active',
+    "release_date" TIMESTAMP(3) NOT NULL,
+    "released_at" TIMESTAMP(3),
+    "consolidated_billing" BOOLEAN NOT NULL DEFAULT false,
+    "notes" TEXT,
+    "created_by_id" INTEGER NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "group_bookings_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."group_room_blocks" (
+    "id" SERIAL NOT NULL,
+    "hotel_id" INTEGER NOT NULL,
+    "group_booking_id" INTEGER NOT NULL,
+    "room_type_id" INTEGER NOT NULL,
+    "check_in_date" TIMESTAMP(3) NOT NULL,
+    "check_out_date" TIMESTAMP(3) NOT NULL,
+    "rooms_blocked" INTEGER NOT NULL,
+    "group_rate" DECIMAL(10,2),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "group_room_blocks_pkey" PRIMARY KEY ("id")
+);
+
+-- AddForeignKey
+ALTER TABLE "public"."bookings" ADD CONSTRAINT "bookings_group_booking_id_fkey" FOREIGN KEY ("group_booking_id") REFERENCES "public"."group_bookings"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."bookings" ADD CONSTRAINT "bookings_group_room_block_id_fkey" FOREIGN KEY ("group_room_block_id") REFERENCES "public"."group_room_blocks"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."group_bookings" ADD CONSTRAINT "group_bookings_hotel_id_fkey" FOREIGN KEY ("hotel_id") REFERENCES "public"."hotels"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."group_bookings" ADD CONSTRAINT "group_bookings_organizer_guest_id_fkey" FOREIGN KEY ("organizer_guest_id") REFERENCES "public"."guests"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."group_bookings" ADD CONSTRAINT "group_bookings_created_by_id_fkey" FOREIGN KEY ("created_by_id") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."group_room_blocks" ADD CONSTRAINT "group_room_blocks_hotel_id_fkey" FOREIGN KEY ("hotel_id") REFERENCES "public"."hotels"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."group_room_blocks" ADD CONSTRAINT "group_room_blocks_group_booking_id_fkey" FOREIGN KEY ("group_booking_id") REFERENCES "public"."group_bookings"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."group_room_blocks" ADD CONSTRAINT "group_room_blocks_room_type_id_fkey" FOREIGN KEY ("room_type_id") REFERENCES "public"."room_types"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,64 @@
+-- CreateTable
+CREATE TABLE "public"."folios" (
+    "id" SERIAL NOT NULL,
+    "hotel_id" INTEGER NOT NULL,
+    "booking_id" INTEGER NOT NULL,
+    "status" VARCHAR(20) NOT NULL DEFAULT 'open',
+    "settled_at" TIMESTAMP(3),
+    "settled_by_id" INTEGER,
+    "settled_amount" DECIMAL(10,2),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "folios_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."folio_lines" (
+    "id" SERIAL NOT NULL,
+    "hotel_id" INTEGER NOT NULL,
+    "folio_id" INTEGER NOT NULL,
+    "line_type" VARCHAR(30) NOT NULL,
+    "description" VARCHAR(255) NOT NULL,
+    "quantity" INTEGER NOT NULL DEFAULT 1,
+    "unit_amount" DECIMAL(10,2) NOT NULL,
+    "amount" DECIMAL(10,2) NOT NULL,
+    "service_date" TIMESTAMP(3) NOT NULL,
+    "reason" TEXT,
+    "reverses_line_id" INTEGER,
+    "room_service_order_id" INTEGER,
+    "posted_by_id" INTEGER,
+    "posted_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "folio_lines_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "folios_booking_id_key" ON "public"."folios"("booking_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "folio_lines_reverses_line_id_key" ON "public"."folio_lines"("reverses_line_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."folios" ADD CONSTRAINT "folios_hotel_id_fkey" FOREIGN KEY ("hotel_id") REFERENCES "public"."hotels"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."folios" ADD CONSTRAINT "folios_booking_id_fkey" FOREIGN KEY ("booking_id") REFERENCES "public"."bookings"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."folios" ADD CONSTRAINT "folios_settled_by_id_fkey" FOREIGN KEY ("settled_by_id") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."folio_lines" ADD CONSTRAINT "folio_lines_hotel_id_fkey" FOREIGN KEY ("hotel_id") REFERENCES "public"."hotels"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."folio_lines" ADD CONSTRAINT "folio_lines_folio_id_fkey" FOREIGN KEY ("folio_id") REFERENCES "public"."folios"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."folio_lines" ADD CONSTRAINT "folio_lines_reverses_line_id_fkey" FOREIGN KEY ("reverses_line_id") REFERENCES "public"."folio_lines"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."folio_lines" ADD CONSTRAINT "folio_lines_room_service_order_id_fkey" FOREIGN KEY ("room_service_order_id") REFERENCES "public"."room_service_orders"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."folio_lines" ADD CONSTRAINT "folio_lines_posted_by_id_fkey" FOREIGN KEY ("posted_by_id") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
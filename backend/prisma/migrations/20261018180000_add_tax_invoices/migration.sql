@@ -0,0 +1,99 @@
+-- AlterTable
+ALTER TABLE "public"."hotels" ADD COLUMN     "gstin" VARCHAR(15),
+ADD COLUMN     "legal_name" TEXT,
+ADD COLUMN     "invoice_prefix" VARCHAR(4) NOT NULL DEFAULT 'INV';
+
+-- AlterTable
+ALTER TABLE "public"."guests" ADD COLUMN     "gstin" VARCHAR(15);
+
+-- CreateTable
+CREATE TABLE "public"."invoices" (
+    "id" SERIAL NOT NULL,
+    "hotel_id" INTEGER NOT NULL,
+    "booking_id" INTEGER NOT NULL,
+    "document_type" VARCHAR(20) NOT NULL DEFAULT 'invoice',
+    "invoice_number" VARCHAR(16) NOT NULL,
+    "financial_year" VARCHAR(7) NOT NULL,
+    "sequence_number" INTEGER NOT NULL,
+    "issue_date" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "status" VARCHAR(20) NOT NULL DEFAULT 'issued',
+    "credit_note_for_id" INTEGER,
+    "reason" TEXT,
+    "supplier_name" TEXT NOT NULL,
+    "supplier_address" TEXT NOT NULL,
+    "supplier_gstin" VARCHAR(15) NOT NULL,
+    "recipient_name" TEXT NOT NULL,
+    "recipient_address" TEXT,
+    "recipient_gstin" VARCHAR(15),
+    "place_of_supply" VARCHAR(2) NOT NULL,
+    "tax_type" VARCHAR(20) NOT NULL,
+    "taxable_amount" DECIMAL(10,2) NOT NULL,
+    "cgst_amount" DECIMAL(10,2) NOT NULL DEFAULT 0,
+    "sgst_amount" DECIMAL(10,2) NOT NULL DEFAULT 0,
+    "igst_amount" DECIMAL(10,2) NOT NULL DEFAULT 0,
+    "total_amount" DECIMAL(10,2) NOT NULL,
+    "print_count" INTEGER NOT NULL DEFAULT 0,
+    "last_printed_at" TIMESTAMP(3),
+    "issued_by_id" INTEGER NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "invoices_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."invoice_lines" (
+    "id" SERIAL NOT NULL,
+    "invoice_id" INTEGER NOT NULL,
+    "description" TEXT NOT NULL,
+    "sac_code" VARCHAR(8) NOT NULL,
+    "quantity" INTEGER NOT NULL DEFAULT 1,
+    "taxable_amount" DECIMAL(10,2) NOT NULL,
+    "gst_rate" DECIMAL(5,2) NOT NULL,
+    "cgst_amount" DECIMAL(10,2) NOT NULL DEFAULT 0,
+    "sgst_amount" DECIMAL(10,2) NOT NULL DEFAULT 0,
+    "igst_amount" DECIMAL(10,2) NOT NULL DEFAULT 0,
+    "total_amount" DECIMAL(10,2) NOT NULL,
+
+    CONSTRAINT "invoice_lines_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."invoice_sequences" (
+    "id" SERIAL NOT NULL,
+    "hotel_id" INTEGER NOT NULL,
+    "document_type" VARCHAR(20) NOT NULL,
+    "financial_year" VARCHAR(7) NOT NULL,
+    "last_number" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "invoice_sequences_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "invoices_credit_note_for_id_key" ON "public"."invoices"("credit_note_for_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "invoices_hotel_id_invoice_number_key" ON "public"."invoices"("hotel_id", "invoice_number");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "invoices_sequence_key" ON "public"."invoices"("hotel_id", "document_type", "financial_year", "sequence_number");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "invoice_sequences_hotel_id_document_type_financial_year_key" ON "public"."invoice_sequences"("hotel_id", "document_type", "financial_year");
+
+-- AddForeignKey
+ALTER TABLE "public"."invoices" ADD CONSTRAINT "invoices_hotel_id_fkey" FOREIGN KEY ("hotel_id") REFERENCES "public"."hotels"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."invoices" ADD CONSTRAINT "invoices_booking_id_fkey" FOREIGN KEY ("booking_id") REFERENCES "public"."bookings"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."invoices" ADD CONSTRAINT "invoices_issued_by_id_fkey" FOREIGN KEY ("issued_by_id") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."invoices" ADD CONSTRAINT "invoices_credit_note_for_id_fkey" FOREIGN KEY ("credit_note_for_id") REFERENCES "public"."invoices"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."invoice_lines" ADD CONSTRAINT "invoice_lines_invoice_id_fkey" FOREIGN KEY ("invoice_id") REFERENCES "public"."invoices"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."invoice_sequences" ADD CONSTRAINT "invoice_sequences_hotel_id_fkey" FOREIGN KEY ("hotel_id") REFERENCES "public"."hotels"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
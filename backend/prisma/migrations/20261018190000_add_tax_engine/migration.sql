@@ -0,0 +1,44 @@
+-- AlterTable
+ALTER TABLE "public"."hotels" ADD COLUMN     "prices_include_tax" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "public"."bookings" ADD COLUMN     "tax_amount" DECIMAL(10,2) NOT NULL DEFAULT 0,
+ADD COLUMN     "tax_inclusive" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "total_amount" DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- Existing bookings were priced without tax
+UPDATE "public"."bookings" SET "total_amount" = "final_amount";
+
+-- AlterTable
+ALTER TABLE "public"."booking_nightly_rates" ADD COLUMN     "tax_rate" DECIMAL(5,2) NOT NULL DEFAULT 0,
+ADD COLUMN     "tax_amount" DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "public"."folio_lines" ADD COLUMN     "sac_code" VARCHAR(8),
+ADD COLUMN     "tax_rate" DECIMAL(5,2),
+ADD COLUMN     "tax_amount" DECIMAL(10,2) NOT NULL DEFAULT 0,
+ADD COLUMN     "tax_inclusive" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "public"."tax_rules" (
+    "id" SERIAL NOT NULL,
+    "hotel_id" INTEGER NOT NULL,
+    "category" VARCHAR(20) NOT NULL,
+    "name" VARCHAR(100) NOT NULL,
+    "sac_code" VARCHAR(8) NOT NULL,
+    "min_amount" DECIMAL(10,2) NOT NULL DEFAULT 0,
+    "max_amount" DECIMAL(10,2),
+    "rate" DECIMAL(5,2) NOT NULL,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_by_id" INTEGER NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "tax_rules_pkey" PRIMARY KEY ("id")
+);
+
+-- AddForeignKey
+ALTER TABLE "public"."tax_rules" ADD CONSTRAINT "tax_rules_hotel_id_fkey" FOREIGN KEY ("hotel_id") REFERENCES "public"."hotels"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."tax_rules" ADD CONSTRAINT "tax_rules_created_by_id_fkey" FOREIGN KEY ("created_by_id") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
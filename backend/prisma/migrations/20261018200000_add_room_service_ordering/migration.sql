@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "public"."room_service_orders" ADD COLUMN     "sac_code" VARCHAR(8),
+ADD COLUMN     "tax_rate" DECIMAL(5,2),
+ADD COLUMN     "tax_amount" DECIMAL(10,2) NOT NULL DEFAULT 0,
+ADD COLUMN     "tax_inclusive" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "payment_reference" VARCHAR(100),
+ADD COLUMN     "cancelled_at" TIMESTAMP(3),
+ADD COLUMN     "cancellation_reason" TEXT;
@@ -0,0 +1,33 @@
+-- AlterTable
+ALTER TABLE "public"."room_service_orders" ADD COLUMN     "menu_item_id" INTEGER;
+
+-- CreateTable
+CREATE TABLE "public"."menu_items" (
+    "id" SERIAL NOT NULL,
+    "hotel_id" INTEGER NOT NULL,
+    "name" VARCHAR(255) NOT NULL,
+    "description" TEXT,
+    "category" VARCHAR(50) NOT NULL,
+    "price" DECIMAL(10,2) NOT NULL,
+    "tax_category" VARCHAR(20) NOT NULL DEFAULT 'food',
+    "available_from" VARCHAR(5),
+    "available_to" VARCHAR(5),
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_by_id" INTEGER NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "menu_items_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "menu_items_hotel_id_name_key" ON "public"."menu_items"("hotel_id", "name");
+
+-- AddForeignKey
+ALTER TABLE "public"."room_service_orders" ADD CONSTRAINT "room_service_orders_menu_item_id_fkey" FOREIGN KEY ("menu_item_id") REFERENCES "public"."menu_items"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."menu_items" ADD CONSTRAINT "menu_items_hotel_id_fkey" FOREIGN KEY ("hotel_id") REFERENCES "public"."hotels"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."menu_items" ADD CONSTRAINT "menu_items_created_by_id_fkey" FOREIGN KEY ("created_by_id") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
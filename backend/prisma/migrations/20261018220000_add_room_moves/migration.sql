@@ -0,0 +1,34 @@
+-- CreateTable
+CREATE TABLE "public"."room_moves" (
+    "id" SERIAL NOT NULL,
+    "hotel_id" INTEGER NOT NULL,
+    "booking_id" INTEGER NOT NULL,
+    "from_room_id" INTEGER NOT NULL,
+    "to_room_id" INTEGER NOT NULL,
+    "from_room_type_id" INTEGER NOT NULL,
+    "to_room_type_id" INTEGER NOT NULL,
+    "effective_date" TIMESTAMP(3) NOT NULL,
+    "reason" TEXT NOT NULL,
+    "complimentary" BOOLEAN NOT NULL DEFAULT false,
+    "previous_final_amount" DECIMAL(10,2) NOT NULL,
+    "new_final_amount" DECIMAL(10,2) NOT NULL,
+    "moved_by_id" INTEGER NOT NULL,
+    "moved_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "room_moves_pkey" PRIMARY KEY ("id")
+);
+
+-- AddForeignKey
+ALTER TABLE "public"."room_moves" ADD CONSTRAINT "room_moves_hotel_id_fkey" FOREIGN KEY ("hotel_id") REFERENCES "public"."hotels"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."room_moves" ADD CONSTRAINT "room_moves_booking_id_fkey" FOREIGN KEY ("booking_id") REFERENCES "public"."bookings"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."room_moves" ADD CONSTRAINT "room_moves_from_room_id_fkey" FOREIGN KEY ("from_room_id") REFERENCES "public"."rooms"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."room_moves" ADD CONSTRAINT "room_moves_to_room_id_fkey" FOREIGN KEY ("to_room_id") REFERENCES "public"."rooms"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."room_moves" ADD CONSTRAINT "room_moves_moved_by_id_fkey" FOREIGN KEY ("moved_by_id") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,35 @@
+-- AlterTable
+ALTER TABLE "public"."cancellation_policies" ADD COLUMN     "early_departure_charge_type" VARCHAR(20) NOT NULL DEFAULT 'none',
+ADD COLUMN     "early_departure_nights" INTEGER,
+ADD COLUMN     "early_departure_charge_percentage" DECIMAL(5,2);
+
+-- CreateTable
+CREATE TABLE "public"."stay_amendments" (
+    "id" SERIAL NOT NULL,
+    "hotel_id" INTEGER NOT NULL,
+    "booking_id" INTEGER NOT NULL,
+    "amendment_type" VARCHAR(20) NOT NULL,
+    "original_check_in_date" TIMESTAMP(3) NOT NULL,
+    "original_check_out_date" TIMESTAMP(3) NOT NULL,
+    "new_check_out_date" TIMESTAMP(3) NOT NULL,
+    "nights_changed" INTEGER NOT NULL,
+    "previous_final_amount" DECIMAL(10,2) NOT NULL,
+    "new_final_amount" DECIMAL(10,2) NOT NULL,
+    "early_departure_fee" DECIMAL(10,2) NOT NULL DEFAULT 0,
+    "fee_waived" BOOLEAN NOT NULL DEFAULT false,
+    "cancellation_policy_id" INTEGER,
+    "reason" TEXT,
+    "amended_by_id" INTEGER NOT NULL,
+    "amended_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "stay_amendments_pkey" PRIMARY KEY ("id")
+);
+
+-- AddForeignKey
+ALTER TABLE "public"."stay_amendments" ADD CONSTRAINT "stay_amendments_hotel_id_fkey" FOREIGN KEY ("hotel_id") REFERENCES "public"."hotels"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."stay_amendments" ADD CONSTRAINT "stay_amendments_booking_id_fkey" FOREIGN KEY ("booking_id") REFERENCES "public"."bookings"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."stay_amendments" ADD CONSTRAINT "stay_amendments_amended_by_id_fkey" FOREIGN KEY ("amended_by_id") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
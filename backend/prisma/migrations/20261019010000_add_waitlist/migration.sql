@@ -0,0 +1,44 @@
+-- CreateTable
+CREATE TABLE "public"."waitlist_entries" (
+    "id" SERIAL NOT NULL,
+    "hotel_id" INTEGER NOT NULL,
+    "guest_id" INTEGER NOT NULL,
+    "room_type_id" INTEGER NOT NULL,
+    "check_in_date" TIMESTAMP(3) NOT NULL,
+    "check_out_date" TIMESTAMP(3) NOT NULL,
+    "number_of_guests" INTEGER NOT NULL DEFAULT 1,
+    "priority" VARCHAR(20) NOT NULL DEFAULT 'normal',
+    "status" VARCHAR(20) NOT NULL DEFAULT 'waiting',
+    "notes" TEXT,
+    "notified_at" TIMESTAMP(3),
+    "booking_id" INTEGER,
+    "converted_at" TIMESTAMP(3),
+    "cancelled_at" TIMESTAMP(3),
+    "cancellation_reason" TEXT,
+    "created_by_id" INTEGER NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "waitlist_entries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "waitlist_entries_booking_id_key" ON "public"."waitlist_entries"("booking_id");
+
+-- CreateIndex
+CREATE INDEX "waitlist_entries_hotel_id_room_type_id_status_idx" ON "public"."waitlist_entries"("hotel_id", "room_type_id", "status");
+
+-- AddForeignKey
+ALTER TABLE "public"."waitlist_entries" ADD CONSTRAINT "waitlist_entries_hotel_id_fkey" FOREIGN KEY ("hotel_id") REFERENCES "public"."hotels"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."waitlist_entries" ADD CONSTRAINT "waitlist_entries_guest_id_fkey" FOREIGN KEY ("guest_id") REFERENCES "public"."guests"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."waitlist_entries" ADD CONSTRAINT "waitlist_entries_room_type_id_fkey" FOREIGN KEY ("room_type_id") REFERENCES "public"."room_types"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."waitlist_entries" ADD CONSTRAINT "waitlist_entries_booking_id_fkey" FOREIGN KEY ("booking_id") REFERENCES "public"."bookings"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."waitlist_entries" ADD CONSTRAINT "waitlist_entries_created_by_id_fkey" FOREIGN KEY ("created_by_id") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "public"."overbooking_allowances" (
+    "id" SERIAL NOT NULL,
+    "hotel_id" INTEGER NOT NULL,
+    "room_type_id" INTEGER NOT NULL,
+    "stay_date" TIMESTAMP(3) NOT NULL,
+    "allowance" INTEGER NOT NULL,
+    "reason" VARCHAR(255),
+    "set_by_id" INTEGER NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "overbooking_allowances_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "overbooking_allowances_room_type_id_stay_date_key" ON "public"."overbooking_allowances"("room_type_id", "stay_date");
+
+-- AddForeignKey
+ALTER TABLE "public"."overbooking_allowances" ADD CONSTRAINT "overbooking_allowances_hotel_id_fkey" FOREIGN KEY ("hotel_id") REFERENCES "public"."hotels"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."overbooking_allowances" ADD CONSTRAINT "overbooking_allowances_room_type_id_fkey" FOREIGN KEY ("room_type_id") REFERENCES "public"."room_types"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."overbooking_allowances" ADD CONSTRAINT "overbooking_allowances_set_by_id_fkey" FOREIGN KEY ("set_by_id") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
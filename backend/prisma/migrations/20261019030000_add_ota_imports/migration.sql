@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "public"."bookings" ADD COLUMN     "external_reservation_id" VARCHAR(100);
+
+-- CreateTable
+CREATE TABLE "public"."ota_imports" (
+    "id" SERIAL NOT NULL,
+    "hotel_id" INTEGER NOT NULL,
+    "channel" VARCHAR(30) NOT NULL,
+    "format" VARCHAR(10) NOT NULL,
+    "file_name" VARCHAR(255),
+    "total_rows" INTEGER NOT NULL,
+    "summary" JSONB NOT NULL,
+    "results" JSONB NOT NULL,
+    "imported_by_id" INTEGER NOT NULL,
+    "imported_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ota_imports_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "bookings_hotel_id_source_external_reservation_id_key" ON "public"."bookings"("hotel_id", "source", "external_reservation_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."ota_imports" ADD CONSTRAINT "ota_imports_hotel_id_fkey" FOREIGN KEY ("hotel_id") REFERENCES "public"."hotels"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."ota_imports" ADD CONSTRAINT "ota_imports_imported_by_id_fkey" FOREIGN KEY ("imported_by_id") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,64 @@
+-- AlterTable
+ALTER TABLE "public"."bookings" ADD COLUMN     "ical_calendar_id" INTEGER;
+
+-- CreateTable
+CREATE TABLE "public"."ical_feeds" (
+    "id" SERIAL NOT NULL,
+    "hotel_id" INTEGER NOT NULL,
+    "room_id" INTEGER,
+    "room_type_id" INTEGER,
+    "token" VARCHAR(64) NOT NULL,
+    "name" VARCHAR(100),
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "last_accessed_at" TIMESTAMP(3),
+    "created_by_id" INTEGER NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "revoked_at" TIMESTAMP(3),
+
+    CONSTRAINT "ical_feeds_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."ical_calendars" (
+    "id" SERIAL NOT NULL,
+    "hotel_id" INTEGER NOT NULL,
+    "channel" VARCHAR(30) NOT NULL,
+    "room_id" INTEGER,
+    "room_type_id" INTEGER NOT NULL,
+    "last_imported_at" TIMESTAMP(3),
+    "last_imported_by_id" INTEGER,
+    "last_summary" JSONB,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ical_calendars_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ical_feeds_token_key" ON "public"."ical_feeds"("token");
+
+-- AddForeignKey
+ALTER TABLE "public"."bookings" ADD CONSTRAINT "bookings_ical_calendar_id_fkey" FOREIGN KEY ("ical_calendar_id") REFERENCES "public"."ical_calendars"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."ical_feeds" ADD CONSTRAINT "ical_feeds_hotel_id_fkey" FOREIGN KEY ("hotel_id") REFERENCES "public"."hotels"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."ical_feeds" ADD CONSTRAINT "ical_feeds_room_id_fkey" FOREIGN KEY ("room_id") REFERENCES "public"."rooms"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."ical_feeds" ADD CONSTRAINT "ical_feeds_room_type_id_fkey" FOREIGN KEY ("room_type_id") REFERENCES "public"."room_types"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."ical_feeds" ADD CONSTRAINT "ical_feeds_created_by_id_fkey" FOREIGN KEY ("created_by_id") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."ical_calendars" ADD CONSTRAINT "ical_calendars_hotel_id_fkey" FOREIGN KEY ("hotel_id") REFERENCES "public"."hotels"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."ical_calendars" ADD CONSTRAINT "ical_calendars_room_id_fkey" FOREIGN KEY ("room_id") REFERENCES "public"."rooms"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."ical_calendars" ADD CONSTRAINT "ical_calendars_room_type_id_fkey" FOREIGN KEY ("room_type_id") REFERENCES "public"."room_types"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."ical_calendars" ADD CONSTRAINT "ical_calendars_last_imported_by_id_fkey" FOREIGN KEY ("last_imported_by_id") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,121 @@
+-- AlterTable
+ALTER TABLE "public"."bookings" ADD COLUMN     "bill_to_company" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "company_id" INTEGER;
+
+-- AlterTable
+ALTER TABLE "public"."guests" ADD COLUMN     "company_id" INTEGER;
+
+-- CreateTable
+CREATE TABLE "public"."companies" (
+    "id" SERIAL NOT NULL,
+    "hotel_id" INTEGER NOT NULL,
+    "name" VARCHAR(255) NOT NULL,
+    "legal_name" VARCHAR(255),
+    "gstin" VARCHAR(15),
+    "billing_address" TEXT NOT NULL,
+    "email" TEXT,
+    "phone" VARCHAR(20),
+    "credit_limit" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "payment_terms_days" INTEGER NOT NULL DEFAULT 30,
+    "notes" TEXT,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_by_id" INTEGER NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "companies_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."company_contacts" (
+    "id" SERIAL NOT NULL,
+    "hotel_id" INTEGER NOT NULL,
+    "company_id" INTEGER NOT NULL,
+    "name" VARCHAR(100) NOT NULL,
+    "designation" VARCHAR(100),
+    "email" TEXT,
+    "phone" VARCHAR(20),
+    "is_primary" BOOLEAN NOT NULL DEFAULT false,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "company_contacts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."company_rates" (
+    "id" SERIAL NOT NULL,
+    "hotel_id" INTEGER NOT NULL,
+    "company_id" INTEGER NOT NULL,
+    "room_type_id" INTEGER NOT NULL,
+    "rate" DECIMAL(10,2) NOT NULL,
+    "valid_from" TIMESTAMP(3),
+    "valid_to" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "company_rates_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."company_ledger_entries" (
+    "id" SERIAL NOT NULL,
+    "hotel_id" INTEGER NOT NULL,
+    "company_id" INTEGER NOT NULL,
+    "entry_type" VARCHAR(20) NOT NULL,
+    "amount" DECIMAL(12,2) NOT NULL,
+    "description" TEXT NOT NULL,
+    "booking_id" INTEGER,
+    "entry_date" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "due_date" TIMESTAMP(3),
+    "method" VARCHAR(20),
+    "reference_number" VARCHAR(100),
+    "recorded_by_id" INTEGER NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "company_ledger_entries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "companies_hotel_id_name_key" ON "public"."companies"("hotel_id", "name");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "company_rates_company_id_room_type_id_key" ON "public"."company_rates"("company_id", "room_type_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."guests" ADD CONSTRAINT "guests_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "public"."companies"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."bookings" ADD CONSTRAINT "bookings_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "public"."companies"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."companies" ADD CONSTRAINT "companies_hotel_id_fkey" FOREIGN KEY ("hotel_id") REFERENCES "public"."hotels"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."companies" ADD CONSTRAINT "companies_created_by_id_fkey" FOREIGN KEY ("created_by_id") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."company_contacts" ADD CONSTRAINT "company_contacts_hotel_id_fkey" FOREIGN KEY ("hotel_id") REFERENCES "public"."hotels"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."company_contacts" ADD CONSTRAINT "company_contacts_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "public"."companies"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."company_rates" ADD CONSTRAINT "company_rates_hotel_id_fkey" FOREIGN KEY ("hotel_id") REFERENCES "public"."hotels"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."company_rates" ADD CONSTRAINT "company_rates_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "public"."companies"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."company_rates" ADD CONSTRAINT "company_rates_room_type_id_fkey" FOREIGN KEY ("room_type_id") REFERENCES "public"."room_types"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."company_ledger_entries" ADD CONSTRAINT "company_ledger_entries_hotel_id_fkey" FOREIGN KEY ("hotel_id") REFERENCES "public"."hotels"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."company_ledger_entries" ADD CONSTRAINT "company_ledger_entries_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "public"."companies"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."company_ledger_entries" ADD CONSTRAINT "company_ledger_entries_booking_id_fkey" FOREIGN KEY ("booking_id") REFERENCES "public"."bookings"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."company_ledger_entries" ADD CONSTRAINT "company_ledger_entries_recorded_by_id_fkey" FOREIGN KEY ("recorded_by_id") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,53 @@
+-- AlterTable
+ALTER TABLE "public"."bookings" ADD COLUMN     "confirmation_code" VARCHAR(12);
+
+-- AlterTable
+ALTER TABLE "public"."hotels" ADD COLUMN     "guest_notifications_enabled" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN     "pre_arrival_reminder_days" INTEGER NOT NULL DEFAULT 2;
+
+-- CreateTable
+CREATE TABLE "public"."notifications" (
+    "id" SERIAL NOT NULL,
+    "hotel_id" INTEGER NOT NULL,
+    "booking_id" INTEGER,
+    "guest_id" INTEGER,
+    "type" VARCHAR(30) NOT NULL,
+    "channel" VARCHAR(10) NOT NULL,
+    "recipient" VARCHAR(255) NOT NULL,
+    "subject" VARCHAR(255),
+    "body" TEXT NOT NULL,
+    "html_body" TEXT,
+    "attachment_name" VARCHAR(100),
+    "attachment" BYTEA,
+    "status" VARCHAR(20) NOT NULL DEFAULT 'pending',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "max_attempts" INTEGER NOT NULL DEFAULT 5,
+    "next_attempt_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "last_error" TEXT,
+    "transport" VARCHAR(20),
+    "provider_message_id" VARCHAR(255),
+    "sent_at" TIMESTAMP(3),
+    "dedupe_key" VARCHAR(100),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "notifications_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "bookings_confirmation_code_key" ON "public"."bookings"("confirmation_code");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "notifications_dedupe_key_key" ON "public"."notifications"("dedupe_key");
+
+-- CreateIndex
+CREATE INDEX "notifications_status_next_attempt_at_idx" ON "public"."notifications"("status", "next_attempt_at");
+
+-- AddForeignKey
+ALTER TABLE "public"."notifications" ADD CONSTRAINT "notifications_hotel_id_fkey" FOREIGN KEY ("hotel_id") REFERENCES "public"."hotels"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."notifications" ADD CONSTRAINT "notifications_booking_id_fkey" FOREIGN KEY ("booking_id") REFERENCES "public"."bookings"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."notifications" ADD CONSTRAINT "notifications_guest_id_fkey" FOREIGN KEY ("guest_id") REFERENCES "public"."guests"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,3 @@
+-- One live invoice per stay: a second one can only be issued after a credit note cancels the first
+-- (partial index - not expressible in schema.prisma)
+CREATE UNIQUE INDEX "invoices_booking_id_live_invoice_key" ON "public"."invoices"("booking_id") WHERE "document_type" = 'invoice' AND "status" = 'issued';
@@ -1,12 +1,36 @@
 const { PrismaClient } = require('@prisma/client');
 const { z } = require('zod');
+const { calculateStayPricing, applyCompanyRate, toNightlyRateRows, summarizeNightlyRates, roundCurrency } = require('../utils/pricingEngine');
+const { resolveCancellationPolicy, evaluateCancellation } = require('../utils/cancellationPolicy');
+const { processNoShows } = require('../jobs/noShowProcessor');
+const { searchAvailability, checkRoomAvailability, findAvailableRooms, lockRoomTypeInventory } = require('../utils/availability');
+const { pickRoomForBooking, saveRoomAssignment, runRoomAssignment } = require('../utils/roomAssignment');
+const {
+  getOrCreateFolio,
+  postFolioLine,
+  postRoomCharges,
+  postRoomServiceCharges,
+  settleFolio,
+  summarizeFolio
+} = require('../utils/folio');
+const { getPaymentPosition, refreshPaymentStatus, recordPaymentSchema, createPayment, announcePayment } = require('../utils/payments');
+const { getTaxSettings, taxForFolioLine, taxStayPricing } = require('../utils/taxEngine');
+const { recordBookingHistory, historyInclude, diffBooking } = require('../utils/bookingHistory');
+const { OPEN_WAITLIST_STATUSES, notifyWaitlistMatches } = require('../utils/waitlist');
+const { checkOverbookingAllowance } = require('../utils/overbooking');
+const { getRatePlanProblem } = require('../utils/ratePlans');
+const { findCompanyRate, lockCompanyAccount, getCompanyExposure, transferToCityLedger } = require('../utils/companies');
+const { generateConfirmationCode, queueBookingNotification } = require('../utils/notifications');
+const { NOT_A_BLOCK } = require('../utils/icalSync');
 
 const prisma = new PrismaClient();
 
 // Validation schemas
 const createBookingSchema = z.object({
   guestId: z.number().int().positive(),
-  roomId: z.number().int().positive(),
+  // Book a specific room, or just a room type and assign the room later
+  roomId: z.number().int().positive().optional(),
+  roomTypeId: z.number().int().positive().optional(),
   checkInDate: z.string().refine((date) => {
     const checkIn = new Date(date);
     const yesterday = new Date();
@@ -17,7 +41,9 @@ const createBookingSchema = z.object({
   checkOutDate: z.string().refine((date) => new Date(date).getTime() > 0, 'Invalid check-out date'),
   numberOfGuests: z.number().int().positive().default(1),
   specialRequests: z.string().max(1000).optional().nullable(),
-  source: z.enum(['walk_in', 'phone', 'email', 'website', 'oyo', 'makemytrip', 'booking.com']).default('walk_in')
+  source: z.enum(['walk_in', 'phone', 'email', 'website', 'oyo', 'makemytrip', 'booking.com']).default('walk_in'),
+  // Sell on a rate plan of the room type instead of the standard rate
+  ratePlanId: z.number().int().positive().optional()
 }).refine((data) => {
   const checkIn = new Date(data.checkInDate);
   const checkOut = new Date(data.checkOutDate);
@@ -25,20 +51,171 @@ const createBookingSchema = z.object({
 }, {
   message: 'Check-out date must be after check-in date',
   path: ['checkOutDate']
+}).refine((data) => data.roomId || data.roomTypeId, {
+  message: 'Either roomId or roomTypeId is required',
+  path: ['roomTypeId']
+});
+
+// Booking a waitlisted guest closes their waitlist entry
+const waitlistLinkSchema = z.object({
+  waitlistEntryId: z.number().int().positive().optional()
+});
+
+// Corporate bookings - the company defaults to the guest's, null books the stay privately
+const companyLinkSchema = z.object({
+  companyId: z.number().int().positive().nullable().optional(),
+  // Defaults to true when the company has a credit limit
+  billToCompany: z.boolean().optional()
 });
 
 const updateBookingSchema = createBookingSchema.partial().extend({
-  status: z.enum(['confirmed', 'checked_in', 'checked_out', 'cancelled', 'no_show']).optional()
+  status: z.enum(['confirmed', 'checked_in', 'checked_out', 'cancelled', 'no_show']).optional(),
+  // null moves the stay back to the standard rate
+  ratePlanId: z.number().int().positive().nullable().optional(),
+  // Send the bill to (or take it back from) the booking's company account
+  billToCompany: z.boolean().optional(),
+  // Why the reservation was changed - kept in the booking history
+  reason: z.string().max(1000).optional().nullable()
+});
+
+// Room states that make check-in impossible (as opposed to not-yet-clean, which can be overridden)
+const HARD_BLOCK_CHECK_IN_STATUSES = ['occupied', 'out_of_order', 'blocked'];
+
+// Thrown inside a transaction to roll it back - becomes the response
+const statusError = (statusCode, message, details = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.details = details;
+  return error;
+};
+
+/**
+ * Check that a new booking's room, or a room of its type, is free for the stay
+ * Throws a status error when it isn't. Returns { roomTypeId, overbooking } - overbooking is the
+ * allowance that covers a sold-out room type, or null
+ * createBooking runs it again with the transaction client once the room type is locked
+ */
+const checkBookingInventory = async ({ hotelId, bookingData, client = prisma }) => {
+  const { roomId, checkInDate, checkOutDate } = bookingData;
+
+  if (roomId) {
+    // Housekeeping status doesn't matter here - a dirty room today can be reserved for next week
+    const availability = await checkRoomAvailability({ hotelId, roomId, checkInDate, checkOutDate, client });
+
+    if (!availability) {
+      throw statusError(404, 'Room not found');
+    }
+
+    const { room } = availability;
+
+    if (bookingData.roomTypeId && bookingData.roomTypeId !== room.roomTypeId) {
+      throw statusError(400, `Room ${room.roomNumber} is not of the requested room type`);
+    }
+
+    if (!availability.available) {
+      throw statusError(409, 'Room is not available for selected dates', {
+        message: availability.reason,
+        roomStatus: room.status,
+        conflictingBookings: availability.conflictingBookings,
+        maintenanceWindows: availability.maintenanceWindows
+      });
+    }
+
+    return { roomTypeId: room.roomTypeId, overbooking: null };
+  }
+
+  // Room-type reservation - only needs a free room of the type every night
+  const [inventory] = await findAvailableRooms({
+    hotelId,
+    roomTypeId: bookingData.roomTypeId,
+    checkInDate,
+    checkOutDate,
+    client
+  });
+
+  if (!inventory) {
+    throw statusError(404, 'Room type not found');
+  }
+
+  if (inventory.availableCount >= 1) {
+    return { roomTypeId: bookingData.roomTypeId, overbooking: null };
+  }
+
+  // Sold out - the owner's overbooking allowance may still cover it
+  const allowance = await checkOverbookingAllowance({ hotelId, inventory, checkInDate, checkOutDate, client });
+
+  if (!allowance.allowed) {
+    throw statusError(409, 'Room type is not available for selected dates', {
+      message: `All ${inventory.roomType.name} rooms are already reserved for these dates`,
+      // The guest can go on the waitlist (POST /api/waitlist) instead of being turned away
+      canWaitlist: true
+    });
+  }
+
+  return { roomTypeId: bookingData.roomTypeId, overbooking: allowance };
+};
+
+// Changes the guest hears about before arrival (the voucher shows these)
+const GUEST_VISIBLE_FIELDS = ['checkInDate', 'checkOutDate', 'roomTypeId', 'numberOfGuests', 'ratePlanId', 'finalAmount'];
+
+const availabilityQuerySchema = z.object({
+  checkIn: z.string().refine((date) => !isNaN(new Date(date).getTime()), 'Invalid check-in date'),
+  checkOut: z.string().refine((date) => !isNaN(new Date(date).getTime()), 'Invalid check-out date'),
+  guests: z.coerce.number().int().positive().default(1),
+  roomTypeId: z.coerce.number().int().positive().optional(),
+  // Only show rate plans sold through this channel
+  source: z.enum(['walk_in', 'phone', 'email', 'website', 'oyo', 'makemytrip', 'booking.com']).optional()
+}).refine((data) => new Date(data.checkOut) > new Date(data.checkIn), {
+  message: 'Check-out date must be after check-in date',
+  path: ['checkOut']
+});
+
+const assignRoomSchema = z.object({
+  roomId: z.number().int().positive().optional()
+});
+
+const assignmentRunSchema = z.object({
+  arrivalDate: z.string().refine((date) => !isNaN(new Date(date).getTime()), 'Invalid arrival date').optional(),
+  dryRun: z.boolean().default(false)
+});
+
+const cancelBookingSchema = z.object({
+  reason: z.string().min(3, 'Cancellation reason is required').max(1000),
+  waiveFee: z.boolean().default(false)
 });
 
 // Create a new booking
 const createBooking = async (req, res) => {
   try {
     const bookingData = createBookingSchema.parse(req.body);
+    const { waitlistEntryId } = waitlistLinkSchema.parse(req.body);
+    const corporate = companyLinkSchema.parse(req.body);
     const hotelId = req.user.hotelId;
 
     console.log('📅 Creating booking:', bookingData);
 
+    let waitlistEntry = null;
+    if (waitlistEntryId) {
+      waitlistEntry = await prisma.waitlistEntry.findFirst({
+        where: {
+          id: waitlistEntryId,
+          hotelId
+        }
+      });
+
+      if (!waitlistEntry) {
+        return res.status(404).json({ error: 'Waitlist entry not found' });
+      }
+
+      if (!OPEN_WAITLIST_STATUSES.includes(waitlistEntry.status)) {
+        return res.status(409).json({ error: `Waitlist entry is already ${waitlistEntry.status}` });
+      }
+
+      if (waitlistEntry.guestId !== bookingData.guestId) {
+        return res.status(400).json({ error: 'Waitlist entry belongs to a different guest' });
+      }
+    }
+
     // Verify guest belongs to hotel
     const guest = await prisma.guest.findFirst({
       where: {
@@ -51,113 +228,235 @@ const createBooking = async (req, res) => {
       return res.status(404).json({ error: 'Guest not found' });
     }
 
-    // Verify room belongs to hotel and get room details
-    const room = await prisma.room.findFirst({
-      where: {
-        id: bookingData.roomId,
-        hotelId
-      },
-      include: {
-        roomType: true,
-        bookings: {
-          where: {
-            status: { in: ['confirmed', 'checked_in', 'checked_out'] },
-            OR: [
-              {
-                checkInDate: { lte: new Date(bookingData.checkOutDate) },
-                checkOutDate: { gt: new Date(bookingData.checkInDate) }
-              }
-            ]
-          }
+    // Corporate booking: the company asked for, or the one the guest travels for
+    let company = null;
+    const companyId = corporate.companyId !== undefined ? corporate.companyId : guest.companyId;
+    if (companyId) {
+      company = await prisma.company.findFirst({
+        where: {
+          id: companyId,
+          hotelId
         }
+      });
+
+      if (!company) {
+        return res.status(404).json({ error: 'Company not found' });
       }
-    });
 
-    if (!room) {
-      return res.status(404).json({ error: 'Room not found' });
+      if (!company.isActive) {
+        if (corporate.companyId) {
+          return res.status(400).json({ error: `${company.name} no longer has an account with the hotel` });
+        }
+        company = null;
+      }
     }
 
-    // Check room status availability
-    if (room.status !== 'available') {
-      return res.status(409).json({ 
-        error: 'Room is not ready for booking',
-        roomStatus: room.status,
-        message: `Room ${room.roomNumber} is currently ${room.status}. Room must be cleaned and marked as available before accepting new bookings.`
-      });
+    if (corporate.billToCompany && !company) {
+      return res.status(400).json({ error: 'Only corporate bookings can be billed to a company' });
     }
 
-    // Check room availability for date conflicts
-    if (room.bookings.length > 0) {
-      return res.status(409).json({ 
-        error: 'Room is not available for selected dates',
-        conflictingBookings: room.bookings.map(b => ({
-          id: b.id,
-          checkInDate: b.checkInDate,
-          checkOutDate: b.checkOutDate,
-          status: b.status
-        }))
+    const billToCompany = Boolean(company) && (corporate.billToCompany !== undefined
+      ? corporate.billToCompany
+      : parseFloat(company.creditLimit) > 0);
+
+    // Room (or a room of the type) free for the stay - checked again inside the transaction
+    const inventoryCheck = await checkBookingInventory({ hotelId, bookingData });
+    const { roomTypeId } = inventoryCheck;
+    // Set when a room-type reservation is taken beyond the rooms of the type
+    let { overbooking } = inventoryCheck;
+
+    let ratePlan = null;
+    if (bookingData.ratePlanId) {
+      ratePlan = await prisma.ratePlan.findFirst({
+        where: {
+          id: bookingData.ratePlanId,
+          hotelId
+        }
       });
+
+      if (!ratePlan) {
+        return res.status(404).json({ error: 'Rate plan not found' });
+      }
+
+      const problem = getRatePlanProblem(ratePlan, { roomTypeId, source: bookingData.source });
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
     }
 
-    // Calculate pricing
-    const checkIn = new Date(bookingData.checkInDate);
-    const checkOut = new Date(bookingData.checkOutDate);
-    const totalNights = Math.ceil((checkOut - checkIn) / (1000 * 60 * 60 * 24));
+    // A rate plan chosen for the stay wins over the company's negotiated rate
+    const companyRate = company && !ratePlan
+      ? await findCompanyRate({ companyId: company.id, roomTypeId })
+      : null;
+
+    // Calculate pricing night by night (RoomPricing rates, falling back to basePrice), on the rate plan or corporate rate if any
+    const pricing = applyCompanyRate(await calculateStayPricing({
+      hotelId,
+      roomTypeId,
+      checkInDate: bookingData.checkInDate,
+      checkOutDate: bookingData.checkOutDate,
+      ratePlan
+    }), companyRate);
+
+    const { totalNights, baseAmount, averageRate: roomRate } = pricing;
+
+    // GST night by night from the hotel's tax rules
+    const stayTax = await taxStayPricing({
+      hotelId,
+      nightlyRates: pricing.nightlyRates,
+      baseAmount,
+      finalAmount: baseAmount
+    });
 
-    // Get current room pricing (simplified - using base price)
-    const roomRate = room.roomType.basePrice;
-    const baseAmount = roomRate * totalNights;
+    // Stamp the plan's policy (or the current default) so later policy edits don't change this booking's terms
+    const cancellationPolicy = await resolveCancellationPolicy({
+      hotelId,
+      cancellationPolicyId: ratePlan ? ratePlan.cancellationPolicyId : null
+    });
 
-    // Create booking
-    const booking = await prisma.booking.create({
-      data: {
-        hotelId,
-        guestId: bookingData.guestId,
-        roomId: bookingData.roomId,
-        checkInDate: new Date(bookingData.checkInDate),
-        checkOutDate: new Date(bookingData.checkOutDate),
-        numberOfGuests: bookingData.numberOfGuests,
-        roomRate,
-        totalNights,
-        baseAmount,
-        finalAmount: baseAmount, // No discounts initially
-        status: 'confirmed',
-        paymentStatus: 'pending',
-        specialRequests: bookingData.specialRequests || null,
-        source: bookingData.source
-      },
-      include: {
-        guest: {
-          select: {
-            id: true,
-            name: true,
-            phone: true,
-            email: true
+    // Booking, its history and the waitlist conversion commit together
+    const booking = await prisma.$transaction(async (tx) => {
+      // Concurrent bookings of the room type wait here, then see each other's rooms
+      await lockRoomTypeInventory(tx, roomTypeId);
+      ({ overbooking } = await checkBookingInventory({ hotelId, bookingData, client: tx }));
+
+      if (billToCompany) {
+        await lockCompanyAccount(tx, company.id);
+        const credit = await getCompanyExposure(company, { client: tx });
+
+        if (credit.exposure + stayTax.totalAmount > credit.creditLimit) {
+          throw statusError(409, `Booking would take ${company.name} over its credit limit`, {
+            message: 'Collect a payment on the account, raise the limit, or book with billToCompany false',
+            bookingAmount: stayTax.totalAmount,
+            credit
+          });
+        }
+      }
+
+      const created = await tx.booking.create({
+        data: {
+          hotelId,
+          guestId: bookingData.guestId,
+          confirmationCode: generateConfirmationCode(),
+          roomTypeId,
+          roomId: bookingData.roomId || null,
+          roomAssignedAt: bookingData.roomId ? new Date() : null,
+          checkInDate: new Date(bookingData.checkInDate),
+          checkOutDate: new Date(bookingData.checkOutDate),
+          numberOfGuests: bookingData.numberOfGuests,
+          roomRate,
+          totalNights,
+          baseAmount,
+          finalAmount: baseAmount, // No discounts initially
+          taxAmount: stayTax.taxAmount,
+          taxInclusive: stayTax.taxInclusive,
+          totalAmount: stayTax.totalAmount,
+          status: 'confirmed',
+          paymentStatus: 'pending',
+          specialRequests: bookingData.specialRequests || null,
+          source: bookingData.source,
+          ratePlanId: ratePlan ? ratePlan.id : null,
+          companyId: company ? company.id : null,
+          billToCompany,
+          cancellationPolicyId: cancellationPolicy ? cancellationPolicy.id : null,
+          nightlyRates: {
+            create: stayTax.nightlyRates.map(night => ({ hotelId, ...night }))
           }
         },
-        room: {
-          include: {
-            roomType: {
-              select: {
-                name: true,
-                basePrice: true
+        include: {
+          nightlyRates: {
+            orderBy: { stayDate: 'asc' }
+          },
+          ratePlan: {
+            select: { id: true, name: true, code: true, inclusions: true }
+          },
+          company: {
+            select: { id: true, name: true }
+          },
+          guest: {
+            select: {
+              id: true,
+              name: true,
+              phone: true,
+              email: true
+            }
+          },
+          roomType: {
+            select: {
+              name: true,
+              basePrice: true
+            }
+          },
+          room: {
+            include: {
+              roomType: {
+                select: {
+                  name: true,
+                  basePrice: true
+                }
               }
             }
           }
         }
+      });
+
+      await recordBookingHistory({
+        booking: created,
+        action: 'created',
+        reason: waitlistEntry ? `Converted from waitlist entry ${waitlistEntry.id}` : null,
+        performedById: req.user.userId
+      }, tx);
+
+      if (waitlistEntry) {
+        // Guard on status so one entry can't be converted into two bookings
+        const converted = await tx.waitlistEntry.updateMany({
+          where: {
+            id: waitlistEntry.id,
+            status: { in: OPEN_WAITLIST_STATUSES }
+          },
+          data: {
+            status: 'converted',
+            bookingId: created.id,
+            convertedAt: new Date()
+          }
+        });
+
+        if (converted.count === 0) {
+          throw statusError(409, 'Waitlist entry was converted or closed meanwhile');
+        }
       }
+
+      return created;
+    }, {
+      maxWait: 5000,
+      timeout: 20000
     });
 
     console.log('✅ Booking created:', booking.id);
 
+    if (overbooking) {
+      console.log(`📈 Booking ${booking.id} overbooks ${booking.roomType.name} on ${overbooking.overbookedNights.join(', ')}`);
+
+      // 🔌 WEBSOCKET: Managers watch how far the room type is oversold
+      if (global.socketServer) {
+        global.socketServer.broadcastToRole(hotelId, 'hotel_manager', 'room_type_overbooked', {
+          bookingId: booking.id,
+          guestName: booking.guest.name,
+          roomTypeId,
+          roomType: booking.roomType.name,
+          nights: overbooking.nights.filter(night => night.available < 1)
+        });
+      }
+    }
+
     // 🔌 WEBSOCKET: Broadcast new booking creation
     if (global.socketServer) {
       const bookingNotificationData = {
         bookingId: booking.id,
         guestName: booking.guest.name,
         guestPhone: booking.guest.phone,
-        roomNumber: booking.room.roomNumber,
-        roomType: booking.room.roomType.name,
+        roomNumber: booking.room ? booking.room.roomNumber : null,
+        roomType: booking.roomType.name,
         checkInDate: booking.checkInDate,
         checkOutDate: booking.checkOutDate,
         totalNights: booking.totalNights,
@@ -182,13 +481,25 @@ const createBooking = async (req, res) => {
       console.log(`📡 WebSocket: New booking ${booking.id} notification sent to hotel ${hotelId}`);
     }
 
+    // Confirmation voucher to the guest
+    await queueBookingNotification(booking.id, 'booking_confirmation')
+      .catch(error => console.error('Booking notification error:', error));
+
     res.status(201).json({
-      message: 'Booking created successfully',
-      booking
+      message: overbooking
+        ? 'Booking created successfully (within the overbooking allowance)'
+        : 'Booking created successfully',
+      booking,
+      rateSummary: summarizeNightlyRates(booking.nightlyRates),
+      overbooking
     });
 
   } catch (error) {
     console.error('Create booking error:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
     
     if (error instanceof z.ZodError) {
       return res.status(400).json({
@@ -204,6 +515,50 @@ const createBooking = async (req, res) => {
   }
 };
 
+// Search free rooms and stay prices per room type
+const getAvailability = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const { checkIn, checkOut, guests, roomTypeId, source } = availabilityQuerySchema.parse(req.query);
+
+    const roomTypes = await searchAvailability({
+      hotelId,
+      checkInDate: checkIn,
+      checkOutDate: checkOut,
+      guests,
+      roomTypeId,
+      source
+    });
+
+    res.json({
+      message: 'Availability retrieved successfully',
+      search: {
+        checkIn,
+        checkOut,
+        guests,
+        roomTypeId: roomTypeId || null
+      },
+      totalAvailableRooms: roomTypes.reduce((total, type) => total + type.availableCount, 0),
+      roomTypes
+    });
+
+  } catch (error) {
+    console.error('Availability search error:', error);
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.issues.map(err => ({
+          field: err.path.join('.'),
+          message: err.message
+        }))
+      });
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
 // Get all bookings for a hotel
 const getBookings = async (req, res) => {
   try {
@@ -245,6 +600,11 @@ const getBookings = async (req, res) => {
       };
     }
 
+    // Room-type reservations still waiting for a room
+    if (req.query.unassigned === 'true') {
+      filters.roomId = null;
+    }
+
     // Get bookings with pagination
     const [bookings, totalCount] = await prisma.$transaction([
       prisma.booking.findMany({
@@ -261,10 +621,17 @@ const getBookings = async (req, res) => {
               email: true
             }
           },
+          roomType: {
+            select: {
+              id: true,
+              name: true
+            }
+          },
           room: {
             select: {
               id: true,
               roomNumber: true,
+              floor: true,
               roomType: {
                 select: {
                   name: true
@@ -307,14 +674,53 @@ const getBookingById = async (req, res) => {
       },
       include: {
         guest: true,
+        roomType: true,
         room: {
           include: {
             roomType: true
           }
         },
+        ratePlan: true,
+        company: {
+          select: { id: true, name: true, gstin: true }
+        },
+        nightlyRates: {
+          orderBy: { stayDate: 'asc' }
+        },
+        folio: {
+          include: {
+            lines: true
+          }
+        },
+        payments: {
+          include: {
+            receivedBy: {
+              select: { name: true, role: true }
+            }
+          },
+          orderBy: { receivedAt: 'asc' }
+        },
         roomServiceOrders: {
           orderBy: { orderedAt: 'desc' }
         },
+        roomMoves: {
+          include: {
+            fromRoom: { select: { roomNumber: true } },
+            toRoom: { select: { roomNumber: true } },
+            movedBy: { select: { name: true, role: true } }
+          },
+          orderBy: { movedAt: 'asc' }
+        },
+        stayAmendments: {
+          include: {
+            amendedBy: { select: { name: true, role: true } }
+          },
+          orderBy: { amendedAt: 'asc' }
+        },
+        history: {
+          include: historyInclude,
+          orderBy: { createdAt: 'asc' }
+        },
         discountApprovals: {
           include: {
             requestedBy: {
@@ -334,7 +740,10 @@ const getBookingById = async (req, res) => {
 
     res.json({
       message: 'Booking retrieved successfully',
-      booking
+      booking,
+      rateSummary: summarizeNightlyRates(booking.nightlyRates),
+      folioSummary: summarizeFolio(booking.folio),
+      paymentSummary: getPaymentPosition(booking)
     });
 
   } catch (error) {
@@ -343,15 +752,55 @@ const getBookingById = async (req, res) => {
   }
 };
 
+// Change history of a booking, oldest first
+const getBookingHistory = async (req, res) => {
+  try {
+    const bookingId = parseInt(req.params.bookingId);
+    const hotelId = req.user.hotelId;
+
+    const booking = await prisma.booking.findFirst({
+      where: {
+        id: bookingId,
+        hotelId
+      },
+      select: { id: true, status: true }
+    });
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const history = await prisma.bookingHistory.findMany({
+      where: { bookingId },
+      include: historyInclude,
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json({
+      message: 'Booking history retrieved successfully',
+      bookingId,
+      status: booking.status,
+      history,
+      count: history.length
+    });
+
+  } catch (error) {
+    console.error('Get booking history error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
 // Update booking
 const updateBooking = async (req, res) => {
   try {
     const { bookingId } = req.params;
     const hotelId = req.user.hotelId;
-    const updateData = updateBookingSchema.parse(req.body);
+    const { reason, ...updateData } = updateBookingSchema.parse(req.body);
 
     console.log('📅 Updating booking:', bookingId, updateData);
 
+    let repricing = null;
+
     // Get existing booking
     const existingBooking = await prisma.booking.findFirst({
       where: {
@@ -364,83 +813,331 @@ const updateBooking = async (req, res) => {
       return res.status(404).json({ error: 'Booking not found' });
     }
 
-    // If dates are being changed, check availability
-    if (updateData.checkInDate || updateData.checkOutDate || updateData.roomId) {
-      const newCheckIn = updateData.checkInDate ? new Date(updateData.checkInDate) : existingBooking.checkInDate;
-      const newCheckOut = updateData.checkOutDate ? new Date(updateData.checkOutDate) : existingBooking.checkOutDate;
-      const newRoomId = updateData.roomId || existingBooking.roomId;
+    if (updateData.status === 'cancelled' && existingBooking.status !== 'cancelled') {
+      return res.status(400).json({
+        error: 'Use the cancel endpoint to cancel a booking',
+        endpoint: `POST /api/bookings/${bookingId}/cancel`
+      });
+    }
 
-      // Check for conflicts (excluding current booking)
-      const conflicts = await prisma.booking.findMany({
-        where: {
-          roomId: newRoomId,
-          hotelId,
-          id: { not: parseInt(bookingId) },
-          status: { in: ['confirmed', 'checked_in'] },
-          OR: [
-            {
-              checkInDate: { lte: newCheckOut },
-              checkOutDate: { gt: newCheckIn }
-            }
-          ]
+    // In-house stays change dates through the extend / early-departure operations, which keep the agreed amount
+    if (existingBooking.status === 'checked_in' && (updateData.checkInDate || updateData.checkOutDate)) {
+      return res.status(400).json({
+        error: 'Use the stay amendment endpoints to change the dates of an in-house stay',
+        endpoints: {
+          extend: `POST /api/bookings/${bookingId}/extend`,
+          earlyDeparture: `POST /api/bookings/${bookingId}/early-departure`
         }
       });
+    }
 
-      if (conflicts.length > 0) {
-        return res.status(409).json({
-          error: 'Room is not available for selected dates',
-          conflicts
-        });
+    // In-house guests change rooms through a room move, which turns the rooms over and records the move
+    const changesRoom = updateData.roomId && updateData.roomId !== existingBooking.roomId;
+    const changesRoomType = updateData.roomTypeId && updateData.roomTypeId !== existingBooking.roomTypeId;
+    if (existingBooking.status === 'checked_in' && (changesRoom || changesRoomType)) {
+      return res.status(400).json({
+        error: 'Use the room move endpoint to change the room of an in-house stay',
+        endpoint: `POST /api/bookings/${bookingId}/move`
+      });
+    }
+
+    // Charges follow the plan, so it can only change before the guest arrives
+    if (updateData.ratePlanId !== undefined && existingBooking.status !== 'confirmed') {
+      return res.status(400).json({ error: `Rate plan cannot be changed on a ${existingBooking.status} booking` });
+    }
+
+    // The bill moves to the company account at check-out, so billing can change until then
+    if (updateData.billToCompany !== undefined && updateData.billToCompany !== existingBooking.billToCompany) {
+      if (!['confirmed', 'checked_in'].includes(existingBooking.status)) {
+        return res.status(400).json({ error: `Billing cannot be changed on a ${existingBooking.status} booking` });
       }
 
-      // Recalculate pricing if dates changed
-      if (updateData.checkInDate || updateData.checkOutDate) {
-        const totalNights = Math.ceil((newCheckOut - newCheckIn) / (1000 * 60 * 60 * 24));
-        updateData.totalNights = totalNights;
-        updateData.baseAmount = existingBooking.roomRate * totalNights;
-        if (!updateData.finalAmount) {
-          updateData.finalAmount = updateData.baseAmount;
+      if (updateData.billToCompany) {
+        const company = existingBooking.companyId && await prisma.company.findFirst({
+          where: {
+            id: existingBooking.companyId,
+            isActive: true
+          }
+        });
+
+        if (!company) {
+          return res.status(400).json({ error: 'Only corporate bookings can be billed to a company' });
         }
       }
     }
 
-    // Update booking
-    const updatedBooking = await prisma.booking.update({
-      where: { id: parseInt(bookingId) },
-      data: {
-        ...updateData,
-        checkInDate: updateData.checkInDate ? new Date(updateData.checkInDate) : undefined,
-        checkOutDate: updateData.checkOutDate ? new Date(updateData.checkOutDate) : undefined
-      },
-      include: {
-        guest: {
-          select: {
-            id: true,
-            name: true,
-            phone: true,
-            email: true
-          }
-        },
-        room: {
-          include: {
-            roomType: {
-              select: {
-                name: true
-              }
-            }
-          }
+    // If dates, room, room type or rate plan are being changed, check availability
+    if (updateData.checkInDate || updateData.checkOutDate || updateData.roomId || updateData.roomTypeId || updateData.ratePlanId !== undefined) {
+      const newCheckIn = updateData.checkInDate ? new Date(updateData.checkInDate) : existingBooking.checkInDate;
+      const newCheckOut = updateData.checkOutDate ? new Date(updateData.checkOutDate) : existingBooking.checkOutDate;
+      let newRoomTypeId = updateData.roomTypeId || existingBooking.roomTypeId;
+      // Switching room type releases the assigned room unless a new one is given
+      const newRoomId = updateData.roomId ||
+        (newRoomTypeId === existingBooking.roomTypeId ? existingBooking.roomId : null);
+
+      if (newRoomId) {
+        // Check for conflicts and maintenance (excluding current booking)
+        const availability = await checkRoomAvailability({
+          hotelId,
+          roomId: newRoomId,
+          checkInDate: newCheckIn,
+          checkOutDate: newCheckOut,
+          excludeBookingId: parseInt(bookingId)
+        });
+
+        if (!availability) {
+          return res.status(404).json({ error: 'Room not found' });
         }
-      }
-    });
 
-    res.json({
-      message: 'Booking updated successfully',
-      booking: updatedBooking
-    });
+        if (updateData.roomTypeId && updateData.roomTypeId !== availability.room.roomTypeId) {
+          return res.status(400).json({ error: `Room ${availability.room.roomNumber} is not of the requested room type` });
+        }
 
-  } catch (error) {
-    console.error('Update booking error:', error);
-    
+        if (!availability.available) {
+          return res.status(409).json({
+            error: 'Room is not available for selected dates',
+            message: availability.reason,
+            conflicts: availability.conflictingBookings,
+            maintenanceWindows: availability.maintenanceWindows
+          });
+        }
+
+        // Moving to a different room may also change the room type (and its rates)
+        newRoomTypeId = availability.room.roomTypeId;
+      } else {
+        const [inventory] = await findAvailableRooms({
+          hotelId,
+          roomTypeId: newRoomTypeId,
+          checkInDate: newCheckIn,
+          checkOutDate: newCheckOut,
+          excludeBookingId: parseInt(bookingId)
+        });
+
+        if (!inventory) {
+          return res.status(404).json({ error: 'Room type not found' });
+        }
+
+        const overbooking = inventory.availableCount < 1 && await checkOverbookingAllowance({
+          hotelId,
+          inventory,
+          checkInDate: newCheckIn,
+          checkOutDate: newCheckOut
+        });
+
+        if (inventory.availableCount < 1 && !overbooking.allowed) {
+          return res.status(409).json({
+            error: 'Room type is not available for selected dates',
+            message: `All ${inventory.roomType.name} rooms are already reserved for these dates`
+          });
+        }
+      }
+
+      // The stay keeps its plan unless the room type changes (plans belong to a room type)
+      const ratePlanId = updateData.ratePlanId !== undefined
+        ? updateData.ratePlanId
+        : (newRoomTypeId === existingBooking.roomTypeId ? existingBooking.ratePlanId : null);
+      let ratePlan = null;
+
+      if (ratePlanId) {
+        ratePlan = await prisma.ratePlan.findFirst({
+          where: {
+            id: ratePlanId,
+            hotelId
+          }
+        });
+
+        if (!ratePlan) {
+          return res.status(404).json({ error: 'Rate plan not found' });
+        }
+
+        // A newly chosen plan must be on sale - the plan the stay was sold on is honoured as is
+        const problem = ratePlanId !== existingBooking.ratePlanId && getRatePlanProblem(ratePlan, {
+          roomTypeId: newRoomTypeId,
+          source: updateData.source || existingBooking.source
+        });
+        if (problem) {
+          return res.status(400).json({ error: problem });
+        }
+      }
+
+      updateData.ratePlanId = ratePlan ? ratePlan.id : null;
+      if (updateData.ratePlanId !== existingBooking.ratePlanId) {
+        const cancellationPolicy = await resolveCancellationPolicy({
+          hotelId,
+          cancellationPolicyId: ratePlan ? ratePlan.cancellationPolicyId : null
+        });
+        updateData.cancellationPolicyId = cancellationPolicy ? cancellationPolicy.id : null;
+      }
+
+      updateData.roomTypeId = newRoomTypeId;
+      updateData.roomId = newRoomId;
+      if (newRoomId !== existingBooking.roomId) {
+        updateData.roomAssignedAt = newRoomId ? new Date() : null;
+      }
+
+      // Reprice with the same engine as createBooking if dates, room type or plan changed
+      if (updateData.checkInDate || updateData.checkOutDate || newRoomTypeId !== existingBooking.roomTypeId ||
+        updateData.ratePlanId !== existingBooking.ratePlanId) {
+        const companyRate = !ratePlan && await findCompanyRate({
+          companyId: existingBooking.companyId,
+          roomTypeId: newRoomTypeId
+        });
+
+        repricing = applyCompanyRate(await calculateStayPricing({
+          hotelId,
+          roomTypeId: newRoomTypeId,
+          checkInDate: newCheckIn,
+          checkOutDate: newCheckOut,
+          ratePlan
+        }), companyRate);
+
+        updateData.totalNights = repricing.totalNights;
+        updateData.roomRate = repricing.averageRate;
+        updateData.baseAmount = repricing.baseAmount;
+        if (!updateData.finalAmount) {
+          updateData.finalAmount = updateData.baseAmount;
+        }
+
+        // Keep an approved discount at the same percentage of the new amount
+        if (existingBooking.discountStatus === 'approved') {
+          const approvedDiscount = await prisma.discountApproval.findFirst({
+            where: {
+              bookingId: parseInt(bookingId),
+              status: { in: ['approved', 'auto_approved'] }
+            },
+            orderBy: { approvedAt: 'desc' }
+          });
+
+          if (approvedDiscount) {
+            const percentage = parseFloat(approvedDiscount.discountPercentage);
+            updateData.finalAmount = roundCurrency(updateData.baseAmount * (100 - percentage) / 100);
+          }
+        }
+
+        // Re-tax the new nights on the booking's original pricing basis
+        const stayTax = await taxStayPricing({
+          hotelId,
+          nightlyRates: repricing.nightlyRates,
+          baseAmount: updateData.baseAmount,
+          finalAmount: updateData.finalAmount,
+          inclusive: existingBooking.taxInclusive
+        });
+        repricing.nightlyRates = stayTax.nightlyRates;
+        updateData.taxAmount = stayTax.taxAmount;
+        updateData.totalAmount = stayTax.totalAmount;
+      }
+    }
+
+    // Company-billed stays are checked against the credit limit when billing is switched on
+    // or the new price is higher - at the amount the stay costs after this change
+    const billToCompany = updateData.billToCompany !== undefined ? updateData.billToCompany : existingBooking.billToCompany;
+    const previousAmount = parseFloat(existingBooking.totalAmount);
+    const newAmount = updateData.totalAmount !== undefined ? updateData.totalAmount : previousAmount;
+
+    if (billToCompany && existingBooking.companyId &&
+      (!existingBooking.billToCompany || newAmount > previousAmount)) {
+      const company = await prisma.company.findUnique({ where: { id: existingBooking.companyId } });
+      const credit = await getCompanyExposure(company, { excludeBookingId: existingBooking.id });
+
+      if (credit.exposure + newAmount > credit.creditLimit) {
+        return res.status(409).json({
+          error: `Booking would take ${company.name} over its credit limit`,
+          message: 'Collect a payment on the account, raise the limit, or set billToCompany to false',
+          bookingAmount: newAmount,
+          credit
+        });
+      }
+    }
+
+    // Update booking (and replace the nightly breakdown when repriced)
+    const updatedBooking = await prisma.$transaction(async (tx) => {
+      if (repricing) {
+        await tx.bookingNightlyRate.deleteMany({
+          where: { bookingId: parseInt(bookingId) }
+        });
+
+        await tx.bookingNightlyRate.createMany({
+          data: toNightlyRateRows(hotelId, parseInt(bookingId), repricing.nightlyRates)
+        });
+      }
+
+      const booking = await tx.booking.update({
+        where: { id: parseInt(bookingId) },
+        data: {
+          ...updateData,
+          checkInDate: updateData.checkInDate ? new Date(updateData.checkInDate) : undefined,
+          checkOutDate: updateData.checkOutDate ? new Date(updateData.checkOutDate) : undefined
+        },
+        include: {
+          nightlyRates: {
+            orderBy: { stayDate: 'asc' }
+          },
+        guest: {
+          select: {
+            id: true,
+            name: true,
+            phone: true,
+            email: true
+          }
+        },
+          roomType: {
+            select: {
+              name: true
+            }
+          },
+          room: {
+            include: {
+              roomType: {
+                select: {
+                  name: true
+                }
+              }
+            }
+          }
+        }
+      });
+
+      await recordBookingHistory({
+        booking,
+        before: existingBooking,
+        action: 'updated',
+        reason,
+        performedById: req.user.userId
+      }, tx);
+
+      return booking;
+    });
+
+    // In-house guest: the folio follows the new room charges
+    if (repricing && existingBooking.status === 'checked_in') {
+      await postRoomCharges(updatedBooking, {
+        postedById: req.user.userId,
+        reason: 'Stay changed'
+      });
+    }
+
+    if (repricing) {
+      updatedBooking.paymentStatus = (await refreshPaymentStatus(updatedBooking.id)).paymentStatus;
+    }
+
+    // The guest gets an updated voucher when their upcoming stay changed
+    const guestVisibleChanges = Object.keys(diffBooking(existingBooking, updatedBooking))
+      .filter(field => GUEST_VISIBLE_FIELDS.includes(field));
+
+    if (updatedBooking.status === 'confirmed' && guestVisibleChanges.length > 0) {
+      await queueBookingNotification(updatedBooking.id, 'booking_modification')
+        .catch(error => console.error('Booking notification error:', error));
+    }
+
+    res.json({
+      message: 'Booking updated successfully',
+      booking: updatedBooking,
+      rateSummary: summarizeNightlyRates(updatedBooking.nightlyRates)
+    });
+
+  } catch (error) {
+    console.error('Update booking error:', error);
+    
     if (error instanceof z.ZodError) {
       return res.status(400).json({
         error: 'Validation failed',
@@ -469,6 +1166,12 @@ const checkInGuest = async (req, res) => {
       },
       include: {
         room: true,
+        roomType: {
+          select: { name: true }
+        },
+        nightlyRates: {
+          orderBy: { stayDate: 'asc' }
+        },
         guest: {
           select: { name: true, phone: true }
         }
@@ -497,33 +1200,171 @@ const checkInGuest = async (req, res) => {
       });
     }
 
-    // Update booking and room status
-    const [updatedBooking] = await prisma.$transaction([
-      prisma.booking.update({
-        where: { id: parseInt(bookingId) },
+    // Room-type reservation: the desk picks a room now, or we auto-assign the best free one
+    let room = booking.room;
+    let roomAssignment = null;
+
+    if (!room) {
+      const { roomId } = assignRoomSchema.parse(req.body || {});
+
+      if (roomId) {
+        const availability = await checkRoomAvailability({
+          hotelId,
+          roomId,
+          checkInDate: booking.checkInDate,
+          checkOutDate: booking.checkOutDate,
+          excludeBookingId: booking.id
+        });
+
+        if (!availability) {
+          return res.status(404).json({ error: 'Room not found' });
+        }
+
+        if (availability.room.roomTypeId !== booking.roomTypeId) {
+          return res.status(400).json({ error: `Room ${availability.room.roomNumber} is not a ${booking.roomType.name} room` });
+        }
+
+        if (!availability.available) {
+          return res.status(409).json({
+            error: 'Room is not available for selected dates',
+            message: availability.reason
+          });
+        }
+
+        room = availability.room;
+        roomAssignment = 'manual';
+      } else {
+        room = await pickRoomForBooking(booking, { readyNow: true });
+
+        if (!room) {
+          return res.status(409).json({
+            error: 'No room available',
+            message: `No ${booking.roomType.name} room is free for the whole stay`
+          });
+        }
+
+        roomAssignment = 'auto';
+      }
+    }
+
+    // Housekeeping readiness - the room must be clean now that the guest is here
+    const roomStatus = room.status;
+    let housekeepingWarning = null;
+
+    if (HARD_BLOCK_CHECK_IN_STATUSES.includes(roomStatus)) {
+      return res.status(409).json({
+        error: 'Room cannot be checked into',
+        roomStatus,
+        message: `Room ${room.roomNumber} is ${roomStatus}. Move the booking to another room first.`
+      });
+    }
+
+    if (roomStatus !== 'available') {
+      if (!req.body?.overrideHousekeeping) {
+        return res.status(409).json({
+          error: 'Room is not ready',
+          roomStatus,
+          requiresOverride: true,
+          message: `Room ${room.roomNumber} is ${roomStatus}. Wait for housekeeping or send overrideHousekeeping: true to check in anyway.`,
+          roomId: room.id,
+          roomNumber: room.roomNumber
+        });
+      }
+
+      housekeepingWarning = `Guest checked in while room was ${roomStatus}`;
+      console.log(`⚠️ Booking ${booking.id}: ${housekeepingWarning} (override by ${req.user.name})`);
+    }
+
+    // Booking, room, history and the opening folio commit together
+    const updatedBooking = await prisma.$transaction(async (tx) => {
+      // A room picked just now is checked again once concurrent bookings of the type are done
+      if (roomAssignment) {
+        await lockRoomTypeInventory(tx, booking.roomTypeId);
+
+        const availability = await checkRoomAvailability({
+          hotelId,
+          roomId: room.id,
+          checkInDate: booking.checkInDate,
+          checkOutDate: booking.checkOutDate,
+          excludeBookingId: booking.id,
+          client: tx
+        });
+
+        if (!availability.available) {
+          throw statusError(409, `Room ${room.roomNumber} was booked meanwhile - check in again to pick another room`, {
+            message: availability.reason
+          });
+        }
+      }
+
+      // Guard on status so a double-submitted check-in (or a cancel meanwhile) wins only once
+      const claimed = await tx.booking.updateMany({
+        where: {
+          id: booking.id,
+          hotelId,
+          status: 'confirmed'
+        },
         data: {
           status: 'checked_in',
-          checkedInAt: new Date()
+          checkedInAt: new Date(),
+          ...(roomAssignment && {
+            roomId: room.id,
+            roomAssignedAt: new Date()
+          })
         }
-      }),
-      prisma.room.update({
-        where: { id: booking.roomId },
+      });
+
+      if (claimed.count === 0) {
+        throw statusError(409, 'Booking is no longer confirmed - it was checked in or cancelled meanwhile');
+      }
+
+      // Guard on the room status read above so a concurrent check-in or move can't share the room
+      const occupied = await tx.room.updateMany({
+        where: {
+          id: room.id,
+          status: roomStatus === 'available' ? 'available' : { notIn: HARD_BLOCK_CHECK_IN_STATUSES }
+        },
         data: { status: 'occupied' }
-      })
-    ]);
+      });
+
+      if (occupied.count === 0) {
+        throw statusError(409, `Room ${room.roomNumber} was taken meanwhile - check in again to pick another room`);
+      }
+
+      const checkedIn = await tx.booking.findUnique({ where: { id: booking.id } });
+
+      await recordBookingHistory({
+        booking: checkedIn,
+        before: booking,
+        action: 'checked_in',
+        reason: housekeepingWarning,
+        performedById: req.user.userId
+      }, tx);
+
+      // Open the folio with the stay's room nights
+      await postRoomCharges(booking, { postedById: req.user.userId, client: tx });
+
+      return checkedIn;
+    }, {
+      maxWait: 5000,
+      timeout: 20000
+    });
 
-    console.log('✅ Guest checked in:', booking.guest.name, 'Room:', booking.room.roomNumber);
+    console.log('✅ Guest checked in:', booking.guest.name, 'Room:', room.roomNumber);
 
     // 🔌 WEBSOCKET: Broadcast guest check-in
     if (global.socketServer) {
       const checkInData = {
         bookingId: booking.id,
         guestName: booking.guest.name,
-        roomNumber: booking.room.roomNumber,
-        roomId: booking.roomId,
+        roomNumber: room.roomNumber,
+        roomId: room.id,
+        roomAssignment,
         checkInTime: updatedBooking.checkedInAt,
         checkOutDate: booking.checkOutDate,
         roomStatus: 'occupied',
+        previousRoomStatus: roomStatus,
+        housekeepingWarning,
         checkedInBy: {
           userId: req.user.userId,
           userName: req.user.name,
@@ -536,8 +1377,13 @@ const checkInGuest = async (req, res) => {
       
       // Notify housekeeping that room is now occupied
       global.socketServer.broadcastToRole(hotelId, 'housekeeping', 'room_occupied', checkInData);
+
+      // Managers should know a guest went into a room that wasn't cleaned
+      if (housekeepingWarning) {
+        global.socketServer.broadcastToRole(hotelId, 'hotel_manager', 'check_in_housekeeping_override', checkInData);
+      }
       
-      console.log(`📡 WebSocket: Check-in notification sent for ${booking.guest.name} in room ${booking.room.roomNumber}`);
+      console.log(`📡 WebSocket: Check-in notification sent for ${booking.guest.name} in room ${room.roomNumber}`);
     }
 
     res.json({
@@ -545,12 +1391,29 @@ const checkInGuest = async (req, res) => {
       booking: {
         ...updatedBooking,
         guest: booking.guest,
-        room: booking.room
-      }
+        room
+      },
+      roomAssignment,
+      housekeepingWarning
     });
 
   } catch (error) {
     console.error('Check-in error:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.issues.map(err => ({
+          field: err.path.join('.'),
+          message: err.message
+        }))
+      });
+    }
+
     res.status(500).json({ error: 'Internal server error' });
   }
 };
@@ -560,7 +1423,30 @@ const checkOutGuest = async (req, res) => {
   try {
     const { bookingId } = req.params;
     const hotelId = req.user.hotelId;
-    const { finalAmount } = req.body; // Optional final amount after any additional charges
+    // Optional final amount - any difference from the folio is posted as an adjustment with its reason
+    // Optional payment - the settlement taken at the desk, recorded on the payments ledger
+    const { finalAmount, adjustmentReason, payment } = req.body || {};
+
+    let paymentData = null;
+    if (payment) {
+      const parsedPayment = recordPaymentSchema.safeParse(payment);
+
+      if (!parsedPayment.success) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: parsedPayment.error.issues.map(err => ({
+            field: ['payment', ...err.path].join('.'),
+            message: err.message
+          }))
+        });
+      }
+
+      if (parsedPayment.data.paymentType !== 'payment') {
+        return res.status(400).json({ error: 'Only payments can be taken at checkout - record deposits and refunds on the payments ledger' });
+      }
+
+      paymentData = parsedPayment.data;
+    }
 
     const booking = await prisma.booking.findFirst({
       where: {
@@ -573,9 +1459,13 @@ const checkOutGuest = async (req, res) => {
         guest: {
           select: { name: true, phone: true }
         },
-        roomServiceOrders: {
-          where: { paymentMethod: 'room_charge' }
-        }
+        nightlyRates: {
+          orderBy: { stayDate: 'asc' }
+        },
+        groupBooking: {
+          select: { id: true, name: true, consolidatedBilling: true }
+        },
+        company: true
       }
     });
 
@@ -585,28 +1475,135 @@ const checkOutGuest = async (req, res) => {
       });
     }
 
-    // Calculate total room service charges
-    const roomServiceTotal = booking.roomServiceOrders.reduce((total, order) => {
-      return total + parseFloat(order.totalAmount);
-    }, 0);
+    const requestedAmount = finalAmount !== undefined && finalAmount !== null ? parseFloat(finalAmount) : null;
 
-    const finalBillAmount = finalAmount || (parseFloat(booking.finalAmount) + roomServiceTotal);
+    if (requestedAmount !== null && (isNaN(requestedAmount) || requestedAmount < 0)) {
+      return res.status(400).json({ error: 'finalAmount must be a positive number' });
+    }
 
-    // Update booking and room status
-    const [updatedBooking] = await prisma.$transaction([
-      prisma.booking.update({
-        where: { id: parseInt(bookingId) },
+    // Everything from the status change to the city-ledger charge commits together, so a failure
+    // part-way never leaves a checked-out stay with an unsettled folio or a missing payment
+    const checkout = await prisma.$transaction(async (tx) => {
+      // Guard on status so a double-submitted checkout settles (and bills the company) only once
+      const claimed = await tx.booking.updateMany({
+        where: {
+          id: booking.id,
+          hotelId,
+          status: 'checked_in'
+        },
         data: {
           status: 'checked_out',
-          checkedOutAt: new Date(),
-          finalAmount: finalBillAmount
+          checkedOutAt: new Date()
         }
-      }),
-      prisma.room.update({
+      });
+
+      if (claimed.count === 0) {
+        throw statusError(409, 'Booking was checked out by someone else - refresh to see the final bill');
+      }
+
+      // Bring the folio up to date: room nights (repriced if the stay changed) and room-service charges
+      await postRoomCharges(booking, { postedById: req.user.userId, client: tx });
+      const folio = await postRoomServiceCharges(booking, { postedById: req.user.userId, client: tx });
+
+      if (requestedAmount !== null) {
+        const folioBalance = summarizeFolio(folio).balance;
+        const difference = roundCurrency(requestedAmount - folioBalance);
+
+        if (difference !== 0) {
+          if (!['hotel_owner', 'hotel_manager'].includes(req.user.role)) {
+            throw statusError(403, 'Only managers can change the bill at checkout', { folioBalance });
+          }
+
+          if (!adjustmentReason || adjustmentReason.trim().length < 3) {
+            throw statusError(400, 'adjustmentReason is required when finalAmount differs from the folio balance', { folioBalance });
+          }
+
+          await postFolioLine(folio, {
+            lineType: 'adjustment',
+            description: 'Checkout adjustment',
+            unitAmount: difference,
+            reason: adjustmentReason.trim(),
+            postedById: req.user.userId
+          }, tx);
+        }
+      }
+
+      // The bill lives on the folio - finalAmount stays the room charge
+      await tx.room.update({
         where: { id: booking.roomId },
         data: { status: 'dirty' } // Room needs cleaning after checkout
-      })
-    ]);
+      });
+
+      const updatedBooking = await tx.booking.findUnique({ where: { id: booking.id } });
+
+      await recordBookingHistory({
+        booking: updatedBooking,
+        before: booking,
+        action: 'checked_out',
+        reason: adjustmentReason ? adjustmentReason.trim() : null,
+        performedById: req.user.userId
+      }, tx);
+
+      const settlement = await settleFolio(booking, { settledById: req.user.userId, client: tx });
+
+      const recordedPayment = paymentData
+        ? await createPayment({ booking, paymentData, user: req.user, client: tx })
+        : null;
+      let paymentPosition = recordedPayment
+        ? recordedPayment.position
+        : await refreshPaymentStatus(booking.id, tx);
+
+      // Corporate stays: whatever the guest didn't pay goes to the company's city ledger
+      let transfer = null;
+      let credit = null;
+      if (booking.billToCompany && booking.company && paymentPosition.balanceDue > 0) {
+        transfer = await transferToCityLedger({
+          booking,
+          company: booking.company,
+          amount: paymentPosition.balanceDue,
+          user: req.user,
+          client: tx
+        });
+        paymentPosition = transfer.position;
+        credit = await getCompanyExposure(booking.company, { client: tx });
+      }
+
+      return { updatedBooking, settlement, recordedPayment, paymentPosition, transfer, credit };
+    }, {
+      maxWait: 5000,
+      timeout: 20000
+    });
+
+    const { updatedBooking, settlement, recordedPayment, paymentPosition, transfer, credit } = checkout;
+    const { folio: settledFolio, summary } = settlement;
+    const finalBillAmount = summary.balance;
+
+    if (recordedPayment) {
+      announcePayment({ booking, payment: recordedPayment.payment, position: recordedPayment.position, user: req.user });
+    }
+
+    let billedToCompany = null;
+    if (transfer) {
+      billedToCompany = {
+        companyId: booking.company.id,
+        name: booking.company.name,
+        amount: parseFloat(transfer.entry.amount),
+        dueDate: transfer.entry.dueDate,
+        ledgerEntryId: transfer.entry.id,
+        overCreditLimit: credit.balance > credit.creditLimit
+      };
+
+      // 🔌 WEBSOCKET: Collections need to know when an account runs past its limit
+      if (global.socketServer && billedToCompany.overCreditLimit) {
+        global.socketServer.broadcastToRole(hotelId, 'hotel_manager', 'company_credit_limit_exceeded', {
+          companyId: booking.company.id,
+          companyName: booking.company.name,
+          bookingId: booking.id,
+          balance: credit.balance,
+          creditLimit: credit.creditLimit
+        });
+      }
+    }
 
     console.log('✅ Guest checked out:', booking.guest.name, 'Room:', booking.room.roomNumber);
 
@@ -620,6 +1617,8 @@ const checkOutGuest = async (req, res) => {
         checkOutTime: updatedBooking.checkedOutAt,
         roomStatus: 'dirty',
         finalBillAmount: finalBillAmount,
+        paymentStatus: paymentPosition.paymentStatus,
+        balanceDue: paymentPosition.balanceDue,
         checkedOutBy: {
           userId: req.user.userId,
           userName: req.user.name,
@@ -641,18 +1640,459 @@ const checkOutGuest = async (req, res) => {
       message: 'Guest checked out successfully',
       booking: {
         ...updatedBooking,
+        paymentStatus: paymentPosition.paymentStatus,
         guest: booking.guest,
         room: booking.room
       },
+      folio: settledFolio,
+      payments: paymentPosition,
       finalBill: {
-        roomCharges: parseFloat(booking.finalAmount),
-        roomServiceCharges: roomServiceTotal,
-        totalAmount: finalBillAmount
+        roomCharges: roundCurrency((summary.byType.room_night || 0) + (summary.byType.discount || 0)),
+        roomServiceCharges: summary.byType.room_service || 0,
+        otherCharges: roundCurrency((summary.byType.extra || 0) + (summary.byType.tax || 0) + (summary.byType.adjustment || 0)),
+        earlyDepartureCharge: summary.byType.early_departure_fee || 0,
+        // GST within the charges above
+        taxAmount: summary.taxAmount,
+        totalAmount: finalBillAmount,
+        amountPaid: paymentPosition.netPaid,
+        balanceDue: paymentPosition.balanceDue,
+        // Consolidated group stays are settled by the organizer (GET /api/groups/:groupId/bill)
+        billedToGroup: booking.groupBooking && booking.groupBooking.consolidatedBilling
+          ? { groupId: booking.groupBooking.id, name: booking.groupBooking.name }
+          : null,
+        // Balance moved to the company account (GET /api/companies/:companyId/ledger)
+        billedToCompany
       }
     });
 
   } catch (error) {
     console.error('Check-out error:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Load a booking with everything the cancellation policy needs
+const findBookingForCancellation = (bookingId, hotelId) => {
+  return prisma.booking.findFirst({
+    where: {
+      id: bookingId,
+      hotelId
+    },
+    include: {
+      hotel: {
+        select: { checkInTime: true }
+      },
+      nightlyRates: {
+        orderBy: { stayDate: 'asc' }
+      },
+      guest: {
+        select: { name: true, phone: true }
+      },
+      room: {
+        select: { id: true, roomNumber: true }
+      }
+    }
+  });
+};
+
+// Preview what cancelling now would cost
+const getCancellationQuote = async (req, res) => {
+  try {
+    const bookingId = parseInt(req.params.bookingId);
+    const hotelId = req.user.hotelId;
+
+    const booking = await findBookingForCancellation(bookingId, hotelId);
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    if (booking.status !== 'confirmed') {
+      return res.status(400).json({
+        error: 'Booking cannot be cancelled',
+        message: `Only confirmed bookings can be cancelled (current status: ${booking.status})`
+      });
+    }
+
+    const policy = await resolveCancellationPolicy(booking);
+    const quote = evaluateCancellation({
+      policy,
+      booking,
+      checkInTime: booking.hotel.checkInTime
+    });
+
+    res.json({
+      message: 'Cancellation quote calculated',
+      bookingId,
+      quote
+    });
+
+  } catch (error) {
+    console.error('Cancellation quote error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Cancel a booking under the applicable cancellation policy
+const cancelBooking = async (req, res) => {
+  try {
+    const bookingId = parseInt(req.params.bookingId);
+    const hotelId = req.user.hotelId;
+    const { reason, waiveFee } = cancelBookingSchema.parse(req.body);
+
+    const booking = await findBookingForCancellation(bookingId, hotelId);
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    if (booking.status !== 'confirmed') {
+      return res.status(400).json({
+        error: 'Booking cannot be cancelled',
+        message: `Only confirmed bookings can be cancelled (current status: ${booking.status})`
+      });
+    }
+
+    if (waiveFee && !['hotel_owner', 'hotel_manager'].includes(req.user.role)) {
+      return res.status(403).json({ error: 'Only managers can waive cancellation fees' });
+    }
+
+    const policy = await resolveCancellationPolicy(booking);
+    const evaluation = evaluateCancellation({
+      policy,
+      booking,
+      checkInTime: booking.hotel.checkInTime
+    });
+
+    const cancellationFee = waiveFee ? 0 : evaluation.fee;
+
+    // Cancel only if the booking is still confirmed - a concurrent cancel or the no-show
+    // job may have got there first, and its fee must not be charged twice
+    const cancelledBooking = await prisma.$transaction(async (tx) => {
+      const cancelled = await tx.booking.updateMany({
+        where: {
+          id: bookingId,
+          hotelId,
+          status: 'confirmed'
+        },
+        data: {
+          status: 'cancelled',
+          cancelledAt: new Date(),
+          cancelledById: req.user.userId,
+          cancellationReason: reason,
+          cancellationFee,
+          cancellationPolicyId: evaluation.policyId
+        }
+      });
+
+      if (cancelled.count === 0) return null;
+
+      const updated = await tx.booking.findUnique({ where: { id: bookingId } });
+
+      await recordBookingHistory({
+        booking: updated,
+        before: booking,
+        action: 'cancelled',
+        reason,
+        performedById: req.user.userId
+      }, tx);
+
+      if (cancellationFee > 0) {
+        const folio = await getOrCreateFolio(booking, tx);
+        const settings = await getTaxSettings(hotelId, tx);
+        await postFolioLine(folio, {
+          lineType: 'cancellation_fee',
+          description: evaluation.policyName ? `Cancellation fee (${evaluation.policyName})` : 'Cancellation fee',
+          unitAmount: cancellationFee,
+          reason,
+          postedById: req.user.userId,
+          // The fee is part of the agreed tariff, so it follows the booking's tax basis
+          ...taxForFolioLine({ lineType: 'cancellation_fee', unitAmount: cancellationFee, inclusive: booking.taxInclusive, settings })
+        }, tx);
+      }
+
+      return updated;
+    });
+
+    if (!cancelledBooking) {
+      return res.status(409).json({
+        error: 'Booking cannot be cancelled',
+        message: 'The booking changed while it was being cancelled (cancelled or marked no-show) - refresh and check its status'
+      });
+    }
+
+    // Deposits above the fee show up as a negative balance - the refund owed to the guest
+    const paymentPosition = await refreshPaymentStatus(bookingId);
+    cancelledBooking.paymentStatus = paymentPosition.paymentStatus;
+
+    console.log(`❌ Booking ${bookingId} cancelled by ${req.user.name} (fee: ${cancellationFee})`);
+
+    // 🔌 WEBSOCKET: Broadcast cancellation - the room is free again for these dates
+    if (global.socketServer) {
+      const cancellationData = {
+        bookingId,
+        guestName: booking.guest.name,
+        roomTypeId: booking.roomTypeId,
+        roomId: booking.roomId,
+        roomNumber: booking.room ? booking.room.roomNumber : null,
+        checkInDate: booking.checkInDate,
+        checkOutDate: booking.checkOutDate,
+        reason,
+        cancellationFee,
+        feeWaived: waiveFee && evaluation.fee > 0,
+        policy: evaluation.policyName,
+        cancelledBy: {
+          userId: req.user.userId,
+          userName: req.user.name,
+          userRole: req.user.role
+        }
+      };
+
+      global.socketServer.broadcastToHotel(hotelId, 'booking_cancelled', cancellationData);
+      global.socketServer.broadcastToRole(hotelId, 'hotel_manager', 'booking_management_update', cancellationData);
+      global.socketServer.broadcastToRole(hotelId, 'front_desk', 'booking_management_update', cancellationData);
+    }
+
+    // The released room may be what someone on the waitlist is waiting for
+    await notifyWaitlistMatches(cancelledBooking, 'cancellation')
+      .catch(error => console.error('Waitlist matching error:', error));
+
+    await queueBookingNotification(cancelledBooking.id, 'booking_cancellation')
+      .catch(error => console.error('Booking notification error:', error));
+
+    res.json({
+      message: 'Booking cancelled successfully',
+      booking: cancelledBooking,
+      cancellation: {
+        ...evaluation,
+        fee: cancellationFee,
+        feeWaived: waiveFee && evaluation.fee > 0
+      },
+      payments: paymentPosition
+    });
+
+  } catch (error) {
+    console.error('Cancel booking error:', error);
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.issues.map(err => ({
+          field: err.path.join('.'),
+          message: err.message
+        }))
+      });
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Assign a room to a room-type reservation ahead of arrival (chosen or auto-assigned)
+const assignRoom = async (req, res) => {
+  try {
+    const bookingId = parseInt(req.params.bookingId);
+    const hotelId = req.user.hotelId;
+    const { roomId } = assignRoomSchema.parse(req.body || {});
+
+    const booking = await prisma.booking.findFirst({
+      where: {
+        id: bookingId,
+        hotelId
+      },
+      include: {
+        roomType: {
+          select: { name: true }
+        },
+        guest: {
+          select: { name: true }
+        }
+      }
+    });
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    if (booking.status !== 'confirmed') {
+      return res.status(400).json({ error: `Only confirmed bookings can be assigned a room (current status: ${booking.status})` });
+    }
+
+    if (booking.roomId) {
+      return res.status(409).json({
+        error: 'Booking already has a room',
+        message: 'Use update booking to move it to a different room'
+      });
+    }
+
+    let room;
+
+    if (roomId) {
+      const availability = await checkRoomAvailability({
+        hotelId,
+        roomId,
+        checkInDate: booking.checkInDate,
+        checkOutDate: booking.checkOutDate,
+        excludeBookingId: bookingId
+      });
+
+      if (!availability) {
+        return res.status(404).json({ error: 'Room not found' });
+      }
+
+      if (availability.room.roomTypeId !== booking.roomTypeId) {
+        return res.status(400).json({ error: `Room ${availability.room.roomNumber} is not a ${booking.roomType.name} room` });
+      }
+
+      if (!availability.available) {
+        return res.status(409).json({
+          error: 'Room is not available for selected dates',
+          message: availability.reason,
+          conflictingBookings: availability.conflictingBookings,
+          maintenanceWindows: availability.maintenanceWindows
+        });
+      }
+
+      room = availability.room;
+    } else {
+      room = await pickRoomForBooking(booking);
+
+      if (!room) {
+        return res.status(409).json({
+          error: 'No room available',
+          message: `No ${booking.roomType.name} room is free for the whole stay`
+        });
+      }
+    }
+
+    const saved = await saveRoomAssignment(bookingId, room.id, { performedById: req.user.userId });
+
+    if (!saved) {
+      return res.status(409).json({ error: 'Booking was changed by someone else - reload and try again' });
+    }
+
+    console.log(`🛏️ Booking ${bookingId} assigned to room ${room.roomNumber}${roomId ? '' : ' (auto)'}`);
+
+    // 🔌 WEBSOCKET: Let the front desk see the assignment
+    if (global.socketServer) {
+      const assignmentData = {
+        bookingId,
+        guestName: booking.guest.name,
+        roomId: room.id,
+        roomNumber: room.roomNumber,
+        floor: room.floor,
+        checkInDate: booking.checkInDate,
+        autoAssigned: !roomId,
+        assignedBy: {
+          userId: req.user.userId,
+          userName: req.user.name,
+          userRole: req.user.role
+        }
+      };
+
+      global.socketServer.broadcastToRole(hotelId, 'front_desk', 'room_assigned', assignmentData);
+      global.socketServer.broadcastToRole(hotelId, 'hotel_manager', 'room_assigned', assignmentData);
+    }
+
+    res.json({
+      message: 'Room assigned successfully',
+      bookingId,
+      room: {
+        id: room.id,
+        roomNumber: room.roomNumber,
+        floor: room.floor,
+        status: room.status
+      },
+      autoAssigned: !roomId
+    });
+
+  } catch (error) {
+    console.error('Assign room error:', error);
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.issues.map(err => ({
+          field: err.path.join('.'),
+          message: err.message
+        }))
+      });
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Pre-arrival run: auto-assign rooms to every room-type reservation arriving on a day (default tomorrow)
+const runRoomAssignments = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const { arrivalDate, dryRun } = assignmentRunSchema.parse(req.body || {});
+
+    const result = await runRoomAssignment({
+      hotelId,
+      ...(arrivalDate && { arrivalDate: new Date(arrivalDate) }),
+      dryRun,
+      performedById: req.user.userId
+    });
+
+    console.log(`🛏️ Room assignment run for ${result.arrivalDate.toDateString()}: ${result.assigned.length} assigned, ${result.unassigned.length} left${dryRun ? ' (dry run)' : ''}`);
+
+    // 🔌 WEBSOCKET: Front desk gets the arrival room list
+    if (global.socketServer && !dryRun && result.assigned.length > 0) {
+      global.socketServer.broadcastToRole(hotelId, 'front_desk', 'room_assignment_run_completed', result);
+      global.socketServer.broadcastToRole(hotelId, 'hotel_manager', 'room_assignment_run_completed', result);
+    }
+
+    res.json({
+      message: dryRun
+        ? `${result.assigned.length} booking(s) would be assigned a room`
+        : `${result.assigned.length} booking(s) assigned a room`,
+      dryRun,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Room assignment run error:', error);
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.issues.map(err => ({
+          field: err.path.join('.'),
+          message: err.message
+        }))
+      });
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Run no-show processing now for this hotel (the scheduler also runs it automatically)
+const runNoShowProcessing = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const dryRun = req.query.dryRun === 'true';
+
+    const [result] = await processNoShows({ hotelId, dryRun, performedById: req.user.userId });
+    const processed = result ? result.processed : [];
+
+    res.json({
+      message: dryRun
+        ? `${processed.length} booking(s) would be marked as no-show`
+        : `${processed.length} booking(s) marked as no-show`,
+      dryRun,
+      noShows: processed
+    });
+
+  } catch (error) {
+    console.error('No-show processing error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 };
@@ -667,7 +2107,8 @@ const getBookingStats = async (req, res) => {
     if (fromDate) dateFilter.gte = new Date(fromDate);
     if (toDate) dateFilter.lte = new Date(toDate);
 
-    const whereClause = { hotelId };
+    // Calendar blocks from other channels are not stays at this desk
+    const whereClause = { hotelId, ...NOT_A_BLOCK };
     if (Object.keys(dateFilter).length > 0) {
       whereClause.checkInDate = dateFilter;
     }
@@ -693,13 +2134,35 @@ const getBookingStats = async (req, res) => {
         where: { ...whereClause, status: 'cancelled' }
       });
 
-      const totalRevenue = await tx.booking.aggregate({
-        where: { ...whereClause, status: { in: ['checked_out'] } },
-        _sum: { finalAmount: true }
+      const noShowBookings = await tx.booking.count({
+        where: { ...whereClause, status: 'no_show' }
+      });
+
+      // Revenue is everything billed on settled folios (room nights, room service, extras, adjustments)
+      const totalRevenue = await tx.folioLine.aggregate({
+        where: {
+          folio: {
+            status: 'settled',
+            booking: { ...whereClause, status: 'checked_out' }
+          }
+        },
+        _sum: { amount: true }
+      });
+
+      const cancellationFees = await tx.booking.aggregate({
+        where: { ...whereClause, status: 'cancelled' },
+        _sum: { cancellationFee: true }
+      });
+
+      const noShowFees = await tx.booking.aggregate({
+        where: { ...whereClause, status: 'no_show' },
+        _sum: { noShowFee: true }
       });
 
-      const occupancyRate = totalBookings > 0 ? 
-        ((checkedInBookings + checkedOutBookings) / totalBookings * 100).toFixed(2) : 0;
+      // Cancelled and no-show bookings never occupied a room, so they don't count towards occupancy
+      const occupyingBookings = totalBookings - cancelledBookings - noShowBookings;
+      const occupancyRate = occupyingBookings > 0 ? 
+        ((checkedInBookings + checkedOutBookings) / occupyingBookings * 100).toFixed(2) : 0;
 
       return {
         totalBookings,
@@ -707,7 +2170,10 @@ const getBookingStats = async (req, res) => {
         checkedInBookings,
         checkedOutBookings,
         cancelledBookings,
-        totalRevenue: totalRevenue._sum.finalAmount || 0,
+        noShowBookings,
+        totalRevenue: totalRevenue._sum.amount || 0,
+        cancellationFees: cancellationFees._sum.cancellationFee || 0,
+        noShowFees: noShowFees._sum.noShowFee || 0,
         occupancyRate: parseFloat(occupancyRate)
       };
     });
@@ -731,8 +2197,15 @@ module.exports = {
   createBooking,
   getBookings,
   getBookingById,
+  getBookingHistory,
   updateBooking,
   checkInGuest,
   checkOutGuest,
-  getBookingStats
+  getBookingStats,
+  getCancellationQuote,
+  cancelBooking,
+  runNoShowProcessing,
+  getAvailability,
+  assignRoom,
+  runRoomAssignments
 };
\ No newline at end of file
@@ -0,0 +1,274 @@
+const { PrismaClient } = require('@prisma/client');
+const { z } = require('zod');
+const { CHARGE_TYPES, EARLY_DEPARTURE_CHARGE_TYPES } = require('../utils/cancellationPolicy');
+
+const prisma = new PrismaClient();
+
+// Validation schemas
+const policyFields = z.object({
+  name: z.string().min(2, 'Policy name must be at least 2 characters').max(100, 'Policy name too long'),
+  description: z.string().max(1000, 'Description too long').optional().nullable(),
+  freeCancellationHours: z.number().int().min(0).max(24 * 90, 'Free cancellation window too long'),
+  chargeType: z.enum(CHARGE_TYPES),
+  chargePercentage: z.number().min(0).max(100, 'Charge cannot exceed 100%').optional().nullable(),
+  earlyDepartureChargeType: z.enum(EARLY_DEPARTURE_CHARGE_TYPES).optional(),
+  earlyDepartureNights: z.number().int().positive().max(30).optional().nullable(),
+  earlyDepartureChargePercentage: z.number().min(0).max(100, 'Charge cannot exceed 100%').optional().nullable(),
+  isDefault: z.boolean().optional()
+});
+
+const percentageRequired = (data) => data.chargeType !== 'percentage' ||
+  (data.chargePercentage !== undefined && data.chargePercentage !== null);
+
+// The early-departure charge needs its amount for the type chosen
+const earlyDepartureComplete = (data) => {
+  if (data.earlyDepartureChargeType === 'nights') {
+    return data.earlyDepartureNights !== undefined && data.earlyDepartureNights !== null;
+  }
+  if (data.earlyDepartureChargeType === 'percentage') {
+    return data.earlyDepartureChargePercentage !== undefined && data.earlyDepartureChargePercentage !== null;
+  }
+  return true;
+};
+
+const EARLY_DEPARTURE_MESSAGE = 'earlyDepartureNights (nights) or earlyDepartureChargePercentage (percentage) is required';
+
+const createPolicySchema = policyFields.refine(percentageRequired, {
+  message: 'chargePercentage is required for percentage policies',
+  path: ['chargePercentage']
+}).refine(earlyDepartureComplete, {
+  message: EARLY_DEPARTURE_MESSAGE,
+  path: ['earlyDepartureChargeType']
+});
+
+// Only the field for the chosen early-departure type is kept
+const earlyDepartureFields = (type) => ({
+  ...(type !== 'nights' && { earlyDepartureNights: null }),
+  ...(type !== 'percentage' && { earlyDepartureChargePercentage: null })
+});
+
+const updatePolicySchema = policyFields.partial().extend({
+  isActive: z.boolean().optional()
+});
+
+// Fields that decide what a guest is charged - bookings keep the terms they were made under
+const TERM_FIELDS = [
+  'freeCancellationHours',
+  'chargeType',
+  'chargePercentage',
+  'earlyDepartureChargeType',
+  'earlyDepartureNights',
+  'earlyDepartureChargePercentage'
+];
+
+const normalizeTerm = (value) => (value === null || value === undefined ? null : String(parseFloat(value) || value));
+
+const changesTerms = (existingPolicy, updateData) => TERM_FIELDS.some(field =>
+  field in updateData && normalizeTerm(updateData[field]) !== normalizeTerm(existingPolicy[field]));
+
+const validationError = (res, error) => {
+  return res.status(400).json({
+    error: 'Validation failed',
+    details: error.issues.map(err => ({
+      field: err.path.join('.'),
+      message: err.message
+    }))
+  });
+};
+
+// List cancellation policies
+const getCancellationPolicies = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+
+    const policies = await prisma.cancellationPolicy.findMany({
+      where: { hotelId },
+      include: {
+        createdBy: { select: { id: true, name: true } },
+        _count: { select: { bookings: true } }
+      },
+      orderBy: [
+        { isDefault: 'desc' },
+        { name: 'asc' }
+      ]
+    });
+
+    res.json({
+      message: 'Cancellation policies retrieved successfully',
+      policies
+    });
+
+  } catch (error) {
+    console.error('Get cancellation policies error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Create a cancellation policy
+const createCancellationPolicy = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const policyData = createPolicySchema.parse(req.body);
+
+    // Only one default policy per hotel
+    const policy = await prisma.$transaction(async (tx) => {
+      if (policyData.isDefault) {
+        await tx.cancellationPolicy.updateMany({
+          where: { hotelId, isDefault: true },
+          data: { isDefault: false }
+        });
+      }
+
+      return tx.cancellationPolicy.create({
+        data: {
+          ...policyData,
+          chargePercentage: policyData.chargeType === 'percentage' ? policyData.chargePercentage : null,
+          ...earlyDepartureFields(policyData.earlyDepartureChargeType || 'none'),
+          description: policyData.description || null,
+          hotelId,
+          createdById: req.user.userId
+        }
+      });
+    });
+
+    res.status(201).json({
+      message: 'Cancellation policy created successfully',
+      policy
+    });
+
+  } catch (error) {
+    console.error('Create cancellation policy error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Update a cancellation policy
+// Name and description change in place. Changing the fee terms of a policy that bookings were
+// made under creates a new version instead: the old row is retired (inactive) and keeps those
+// bookings' terms, and rate plans move to the new one.
+const updateCancellationPolicy = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const policyId = parseInt(req.params.policyId);
+    const updateData = updatePolicySchema.parse(req.body);
+
+    const existingPolicy = await prisma.cancellationPolicy.findFirst({
+      where: {
+        id: policyId,
+        hotelId
+      }
+    });
+
+    if (!existingPolicy) {
+      return res.status(404).json({ error: 'Cancellation policy not found' });
+    }
+
+    const merged = { ...existingPolicy, ...updateData };
+    if (!percentageRequired({ ...merged, chargePercentage: merged.chargePercentage ?? null })) {
+      return res.status(400).json({ error: 'chargePercentage is required for percentage policies' });
+    }
+
+    if (!earlyDepartureComplete({
+      ...merged,
+      earlyDepartureNights: merged.earlyDepartureNights ?? null,
+      earlyDepartureChargePercentage: merged.earlyDepartureChargePercentage ?? null
+    })) {
+      return res.status(400).json({ error: EARLY_DEPARTURE_MESSAGE });
+    }
+
+    if (updateData.isActive === false && (updateData.isDefault || existingPolicy.isDefault)) {
+      updateData.isDefault = false;
+    }
+
+    const bookingCount = await prisma.booking.count({
+      where: { cancellationPolicyId: policyId }
+    });
+
+    if (bookingCount > 0 && changesTerms(existingPolicy, updateData)) {
+      const { id, createdAt, updatedAt, ...currentFields } = existingPolicy;
+
+      const newVersion = await prisma.$transaction(async (tx) => {
+        if (merged.isDefault) {
+          await tx.cancellationPolicy.updateMany({
+            where: { hotelId, isDefault: true },
+            data: { isDefault: false }
+          });
+        }
+
+        await tx.cancellationPolicy.update({
+          where: { id: policyId },
+          data: { isActive: false, isDefault: false }
+        });
+
+        const created = await tx.cancellationPolicy.create({
+          data: {
+            ...currentFields,
+            ...updateData,
+            ...(merged.chargeType !== 'percentage' && { chargePercentage: null }),
+            ...earlyDepartureFields(merged.earlyDepartureChargeType),
+            createdById: req.user.userId
+          }
+        });
+
+        await tx.ratePlan.updateMany({
+          where: { cancellationPolicyId: policyId },
+          data: { cancellationPolicyId: created.id }
+        });
+
+        return created;
+      });
+
+      console.log(`📜 Cancellation policy ${policyId} replaced by version ${newVersion.id} (${bookingCount} booking(s) keep the old terms)`);
+
+      return res.status(201).json({
+        message: 'Cancellation policy terms changed as a new version - existing bookings keep the previous terms',
+        policy: newVersion,
+        previousPolicyId: policyId,
+        bookingsOnPreviousTerms: bookingCount
+      });
+    }
+
+    const policy = await prisma.$transaction(async (tx) => {
+      if (updateData.isDefault) {
+        await tx.cancellationPolicy.updateMany({
+          where: { hotelId, isDefault: true, id: { not: policyId } },
+          data: { isDefault: false }
+        });
+      }
+
+      return tx.cancellationPolicy.update({
+        where: { id: policyId },
+        data: {
+          ...updateData,
+          ...(merged.chargeType !== 'percentage' && { chargePercentage: null }),
+          ...earlyDepartureFields(merged.earlyDepartureChargeType)
+        }
+      });
+    });
+
+    res.json({
+      message: 'Cancellation policy updated successfully',
+      policy
+    });
+
+  } catch (error) {
+    console.error('Update cancellation policy error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  getCancellationPolicies,
+  createCancellationPolicy,
+  updateCancellationPolicy
+};
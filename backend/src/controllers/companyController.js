@@ -0,0 +1,799 @@
+const { PrismaClient } = require('@prisma/client');
+const { z } = require('zod');
+const { GSTIN_PATTERN } = require('../utils/gst');
+const { roundCurrency } = require('../utils/pricingEngine');
+const {
+  COMPANY_PAYMENT_METHODS,
+  AGEING_BUCKETS,
+  getCompanyExposure,
+  ageLedger
+} = require('../utils/companies');
+
+const prisma = new PrismaClient();
+
+// Validation schemas - no defaults here, .partial() would apply them on update
+const dateString = (label) => z.string().refine((date) => !isNaN(new Date(date).getTime()), `Invalid ${label}`);
+
+const contactFields = z.object({
+  name: z.string().min(2, 'Contact name is required').max(100),
+  designation: z.string().max(100).optional().nullable(),
+  email: z.string().email('Invalid email format').optional().nullable(),
+  phone: z.string().min(10, 'Phone number must be at least 10 characters').max(20).optional().nullable(),
+  isPrimary: z.boolean().optional()
+});
+
+const companyFields = z.object({
+  name: z.string().min(2, 'Company name is required').max(255),
+  legalName: z.string().max(255).optional().nullable(),
+  gstin: z.string().regex(GSTIN_PATTERN, 'Invalid GSTIN').optional().nullable(),
+  billingAddress: z.string().min(10, 'Billing address must be at least 10 characters').max(500),
+  email: z.string().email('Invalid email format').optional().nullable(),
+  phone: z.string().max(20).optional().nullable(),
+  creditLimit: z.number().min(0).max(9999999999.99, 'Credit limit too high'),
+  paymentTermsDays: z.number().int().min(0).max(365),
+  notes: z.string().max(1000).optional().nullable()
+});
+
+const createCompanySchema = companyFields.extend({
+  creditLimit: companyFields.shape.creditLimit.optional(),
+  paymentTermsDays: companyFields.shape.paymentTermsDays.optional(),
+  contacts: z.array(contactFields).max(20).optional()
+});
+
+const updateCompanySchema = companyFields.partial().extend({
+  isActive: z.boolean().optional()
+});
+
+const companyRateSchema = z.object({
+  roomTypeId: z.number().int().positive('Room type ID is required'),
+  rate: z.number().positive('Rate must be greater than zero').max(999999.99, 'Rate too high'),
+  validFrom: dateString('valid from date').optional().nullable(),
+  validTo: dateString('valid to date').optional().nullable()
+}).refine((data) => !data.validFrom || !data.validTo || new Date(data.validTo) >= new Date(data.validFrom), {
+  message: 'Valid to date cannot be before valid from date',
+  path: ['validTo']
+});
+
+const companyPaymentSchema = z.object({
+  amount: z.number().positive('Amount must be greater than zero'),
+  method: z.enum(COMPANY_PAYMENT_METHODS),
+  referenceNumber: z.string().max(100, 'Reference number too long').optional().nullable(),
+  receivedAt: dateString('received date').optional(),
+  notes: z.string().max(1000).optional().nullable()
+}).refine((data) => data.method === 'cash' || (data.referenceNumber && data.referenceNumber.trim().length > 0), {
+  message: 'Reference number is required for bank, cheque, UPI and card payments',
+  path: ['referenceNumber']
+});
+
+// Positive adds to what the company owes, negative writes it down
+const companyAdjustmentSchema = z.object({
+  amount: z.number().refine((amount) => amount !== 0, 'Amount cannot be zero'),
+  reason: z.string().min(3, 'Reason is required').max(1000)
+});
+
+const companyQuerySchema = z.object({
+  search: z.string().max(100).optional(),
+  includeInactive: z.enum(['true', 'false']).default('false')
+});
+
+const validationError = (res, error) => {
+  return res.status(400).json({
+    error: 'Validation failed',
+    details: error.issues.map(err => ({
+      field: err.path.join('.'),
+      message: err.message
+    }))
+  });
+};
+
+const companyInclude = {
+  contacts: { orderBy: [{ isPrimary: 'desc' }, { name: 'asc' }] },
+  rates: {
+    include: { roomType: { select: { id: true, name: true, basePrice: true } } },
+    orderBy: { roomTypeId: 'asc' }
+  }
+};
+
+const findCompany = (hotelId, companyId) => {
+  return prisma.company.findFirst({
+    where: {
+      id: companyId,
+      hotelId
+    }
+  });
+};
+
+const broadcastLedgerChange = (req, company, entry) => {
+  if (!global.socketServer) return;
+
+  const ledgerUpdate = {
+    companyId: company.id,
+    companyName: company.name,
+    entryId: entry.id,
+    entryType: entry.entryType,
+    amount: entry.amount,
+    recordedBy: {
+      userId: req.user.userId,
+      userName: req.user.name,
+      userRole: req.user.role
+    }
+  };
+
+  global.socketServer.broadcastToRole(req.user.hotelId, 'hotel_manager', 'company_ledger_updated', ledgerUpdate);
+  global.socketServer.broadcastToRole(req.user.hotelId, 'hotel_owner', 'company_ledger_updated', ledgerUpdate);
+};
+
+// Companies of the hotel with their account balance (active only unless includeInactive=true)
+const getCompanies = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const { search, includeInactive } = companyQuerySchema.parse(req.query);
+
+    const companies = await prisma.company.findMany({
+      where: {
+        hotelId,
+        ...(includeInactive !== 'true' && { isActive: true }),
+        ...(search && {
+          OR: [
+            { name: { contains: search, mode: 'insensitive' } },
+            { legalName: { contains: search, mode: 'insensitive' } },
+            { gstin: { contains: search, mode: 'insensitive' } }
+          ]
+        })
+      },
+      include: {
+        contacts: { where: { isPrimary: true } },
+        _count: { select: { rates: true, guests: true } }
+      },
+      orderBy: { name: 'asc' }
+    });
+
+    const balances = await prisma.companyLedgerEntry.groupBy({
+      by: ['companyId'],
+      where: {
+        hotelId,
+        companyId: { in: companies.map(company => company.id) }
+      },
+      _sum: { amount: true }
+    });
+    const balanceOf = new Map(balances.map(row => [row.companyId, roundCurrency(parseFloat(row._sum.amount || 0))]));
+
+    res.json({
+      message: 'Companies retrieved successfully',
+      companies: companies.map(({ contacts, ...company }) => ({
+        ...company,
+        primaryContact: contacts[0] || null,
+        balance: balanceOf.get(company.id) || 0
+      })),
+      count: companies.length
+    });
+
+  } catch (error) {
+    console.error('Get companies error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Company with contacts, negotiated rates and where its credit stands
+const getCompanyById = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const companyId = parseInt(req.params.companyId);
+
+    const company = await prisma.company.findFirst({
+      where: {
+        id: companyId,
+        hotelId
+      },
+      include: companyInclude
+    });
+
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    const credit = await getCompanyExposure(company);
+
+    res.json({
+      message: 'Company retrieved successfully',
+      company,
+      credit
+    });
+
+  } catch (error) {
+    console.error('Get company error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+const createCompany = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const { contacts = [], ...companyData } = createCompanySchema.parse(req.body);
+
+    const duplicate = await prisma.company.findFirst({
+      where: {
+        hotelId,
+        name: companyData.name
+      }
+    });
+
+    if (duplicate) {
+      return res.status(409).json({ error: `A company called ${companyData.name} already exists` });
+    }
+
+    // Only one primary contact - the first one marked, or the first one given
+    const primaryIndex = Math.max(0, contacts.findIndex(contact => contact.isPrimary));
+
+    const company = await prisma.company.create({
+      data: {
+        hotelId,
+        ...companyData,
+        createdById: req.user.userId,
+        contacts: {
+          create: contacts.map((contact, index) => ({
+            hotelId,
+            ...contact,
+            isPrimary: index === primaryIndex
+          }))
+        }
+      },
+      include: companyInclude
+    });
+
+    console.log(`🏢 Company ${company.name} created by ${req.user.name}`);
+
+    res.status(201).json({
+      message: 'Company created successfully',
+      company
+    });
+
+  } catch (error) {
+    console.error('Create company error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Deactivating stops new corporate bookings - the account stays open for collections
+const updateCompany = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const companyId = parseInt(req.params.companyId);
+    const updateData = updateCompanySchema.parse(req.body);
+
+    const existingCompany = await findCompany(hotelId, companyId);
+
+    if (!existingCompany) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    if (updateData.name && updateData.name !== existingCompany.name) {
+      const duplicate = await prisma.company.findFirst({
+        where: {
+          hotelId,
+          name: updateData.name
+        }
+      });
+
+      if (duplicate) {
+        return res.status(409).json({ error: `A company called ${updateData.name} already exists` });
+      }
+    }
+
+    const company = await prisma.company.update({
+      where: { id: companyId },
+      data: updateData,
+      include: companyInclude
+    });
+
+    res.json({
+      message: 'Company updated successfully',
+      company
+    });
+
+  } catch (error) {
+    console.error('Update company error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+const addContact = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const companyId = parseInt(req.params.companyId);
+    const contactData = contactFields.parse(req.body);
+
+    const company = await findCompany(hotelId, companyId);
+
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    // The first contact is the primary one until another is marked
+    const contactCount = await prisma.companyContact.count({ where: { companyId } });
+    const isPrimary = contactData.isPrimary || contactCount === 0;
+
+    const contact = await prisma.$transaction(async (tx) => {
+      if (isPrimary) {
+        await tx.companyContact.updateMany({
+          where: { companyId },
+          data: { isPrimary: false }
+        });
+      }
+
+      return tx.companyContact.create({
+        data: {
+          hotelId,
+          companyId,
+          ...contactData,
+          isPrimary
+        }
+      });
+    });
+
+    res.status(201).json({
+      message: 'Contact added successfully',
+      contact
+    });
+
+  } catch (error) {
+    console.error('Add company contact error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+const updateContact = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const companyId = parseInt(req.params.companyId);
+    const contactId = parseInt(req.params.contactId);
+    const updateData = contactFields.partial().parse(req.body);
+
+    const existingContact = await prisma.companyContact.findFirst({
+      where: {
+        id: contactId,
+        companyId,
+        hotelId
+      }
+    });
+
+    if (!existingContact) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    // Primary moves to another contact by marking that one, not by unmarking this one
+    if (updateData.isPrimary === false) {
+      delete updateData.isPrimary;
+    }
+
+    const contact = await prisma.$transaction(async (tx) => {
+      if (updateData.isPrimary) {
+        await tx.companyContact.updateMany({
+          where: {
+            companyId,
+            id: { not: contactId }
+          },
+          data: { isPrimary: false }
+        });
+      }
+
+      return tx.companyContact.update({
+        where: { id: contactId },
+        data: updateData
+      });
+    });
+
+    res.json({
+      message: 'Contact updated successfully',
+      contact
+    });
+
+  } catch (error) {
+    console.error('Update company contact error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+const removeContact = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const companyId = parseInt(req.params.companyId);
+    const contactId = parseInt(req.params.contactId);
+
+    const existingContact = await prisma.companyContact.findFirst({
+      where: {
+        id: contactId,
+        companyId,
+        hotelId
+      }
+    });
+
+    if (!existingContact) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.companyContact.delete({ where: { id: contactId } });
+
+      // Hand primary over to the longest-standing remaining contact
+      if (existingContact.isPrimary) {
+        const next = await tx.companyContact.findFirst({
+          where: { companyId },
+          orderBy: { createdAt: 'asc' }
+        });
+
+        if (next) {
+          await tx.companyContact.update({
+            where: { id: next.id },
+            data: { isPrimary: true }
+          });
+        }
+      }
+    });
+
+    res.json({ message: 'Contact removed successfully' });
+
+  } catch (error) {
+    console.error('Remove company contact error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Set the negotiated rate for a room type (one per company and room type)
+ * Applies to new bookings - existing ones keep the rates they were priced at
+ */
+const setCompanyRate = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const companyId = parseInt(req.params.companyId);
+    const rateData = companyRateSchema.parse(req.body);
+
+    const company = await findCompany(hotelId, companyId);
+
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    const roomType = await prisma.roomType.findFirst({
+      where: {
+        id: rateData.roomTypeId,
+        hotelId
+      }
+    });
+
+    if (!roomType) {
+      return res.status(404).json({ error: 'Room type not found' });
+    }
+
+    const rateFields = {
+      rate: rateData.rate,
+      validFrom: rateData.validFrom ? new Date(rateData.validFrom) : null,
+      validTo: rateData.validTo ? new Date(rateData.validTo) : null
+    };
+
+    const companyRate = await prisma.companyRate.upsert({
+      where: {
+        companyId_roomTypeId: {
+          companyId,
+          roomTypeId: roomType.id
+        }
+      },
+      create: {
+        hotelId,
+        companyId,
+        roomTypeId: roomType.id,
+        ...rateFields
+      },
+      update: rateFields,
+      include: { roomType: { select: { id: true, name: true, basePrice: true } } }
+    });
+
+    console.log(`💰 ${company.name} rate for ${roomType.name} set to ${rateData.rate} by ${req.user.name}`);
+
+    res.json({
+      message: 'Negotiated rate saved successfully',
+      companyRate
+    });
+
+  } catch (error) {
+    console.error('Set company rate error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Back to the standard rate for the room type
+const removeCompanyRate = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const companyId = parseInt(req.params.companyId);
+    const rateId = parseInt(req.params.rateId);
+
+    const { count } = await prisma.companyRate.deleteMany({
+      where: {
+        id: rateId,
+        companyId,
+        hotelId
+      }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Negotiated rate not found' });
+    }
+
+    res.json({ message: 'Negotiated rate removed successfully' });
+
+  } catch (error) {
+    console.error('Remove company rate error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// City ledger statement: every entry with the running balance, and how the balance ages
+const getCompanyLedger = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const companyId = parseInt(req.params.companyId);
+
+    const company = await findCompany(hotelId, companyId);
+
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    const entries = await prisma.companyLedgerEntry.findMany({
+      where: { companyId },
+      include: {
+        booking: {
+          select: {
+            id: true,
+            checkInDate: true,
+            checkOutDate: true,
+            guest: { select: { id: true, name: true } },
+            invoices: {
+              where: { documentType: 'invoice', status: 'issued' },
+              select: { id: true, invoiceNumber: true }
+            }
+          }
+        },
+        recordedBy: { select: { id: true, name: true } }
+      },
+      orderBy: [{ entryDate: 'asc' }, { id: 'asc' }]
+    });
+
+    let runningBalance = 0;
+    const statement = entries.map(entry => {
+      runningBalance = roundCurrency(runningBalance + parseFloat(entry.amount));
+      return { ...entry, runningBalance };
+    });
+
+    res.json({
+      message: 'Company ledger retrieved successfully',
+      company: {
+        id: company.id,
+        name: company.name,
+        creditLimit: company.creditLimit,
+        paymentTermsDays: company.paymentTermsDays
+      },
+      entries: statement,
+      ageing: ageLedger(entries)
+    });
+
+  } catch (error) {
+    console.error('Get company ledger error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Money received from the company against its account
+const recordCompanyPayment = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const companyId = parseInt(req.params.companyId);
+    const paymentData = companyPaymentSchema.parse(req.body);
+
+    const company = await findCompany(hotelId, companyId);
+
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    const entry = await prisma.companyLedgerEntry.create({
+      data: {
+        hotelId,
+        companyId,
+        entryType: 'payment',
+        amount: -paymentData.amount,
+        description: paymentData.notes || `Payment by ${paymentData.method.replace('_', ' ')}`,
+        entryDate: paymentData.receivedAt ? new Date(paymentData.receivedAt) : new Date(),
+        method: paymentData.method,
+        referenceNumber: paymentData.referenceNumber ? paymentData.referenceNumber.trim() : null,
+        recordedById: req.user.userId
+      }
+    });
+
+    const credit = await getCompanyExposure(company);
+
+    console.log(`🏢 ${company.name} paid ${paymentData.amount} by ${paymentData.method} - balance ${credit.balance}`);
+
+    broadcastLedgerChange(req, company, entry);
+
+    res.status(201).json({
+      message: 'Company payment recorded successfully',
+      entry,
+      credit
+    });
+
+  } catch (error) {
+    console.error('Record company payment error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Write-offs, disputed charges and other corrections to the account
+const recordCompanyAdjustment = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const companyId = parseInt(req.params.companyId);
+    const adjustmentData = companyAdjustmentSchema.parse(req.body);
+
+    const company = await findCompany(hotelId, companyId);
+
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    const entry = await prisma.companyLedgerEntry.create({
+      data: {
+        hotelId,
+        companyId,
+        entryType: 'adjustment',
+        amount: adjustmentData.amount,
+        description: adjustmentData.reason.trim(),
+        // A debit adjustment is due straight away
+        dueDate: adjustmentData.amount > 0 ? new Date() : null,
+        recordedById: req.user.userId
+      }
+    });
+
+    console.log(`🏢 ${company.name} account adjusted by ${adjustmentData.amount} by ${req.user.name}: ${adjustmentData.reason}`);
+
+    broadcastLedgerChange(req, company, entry);
+
+    res.status(201).json({
+      message: 'Adjustment recorded successfully',
+      entry
+    });
+
+  } catch (error) {
+    console.error('Record company adjustment error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Outstanding balances and ageing across all company accounts, for collections
+ * Buckets count days past the due date (check-out plus the company's payment terms)
+ */
+const getAgeingReport = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+
+    const companies = await prisma.company.findMany({
+      where: {
+        hotelId,
+        ledgerEntries: { some: {} }
+      },
+      include: {
+        contacts: { where: { isPrimary: true } },
+        ledgerEntries: true
+      },
+      orderBy: { name: 'asc' }
+    });
+
+    const totals = Object.fromEntries(AGEING_BUCKETS.map(bucket => [bucket.key, 0]));
+    let totalOutstanding = 0;
+
+    const accounts = companies
+      .map(company => {
+        const ageing = ageLedger(company.ledgerEntries);
+
+        AGEING_BUCKETS.forEach(bucket => {
+          totals[bucket.key] = roundCurrency(totals[bucket.key] + ageing.buckets[bucket.key]);
+        });
+        totalOutstanding = roundCurrency(totalOutstanding + ageing.outstanding);
+
+        const creditLimit = parseFloat(company.creditLimit);
+
+        return {
+          companyId: company.id,
+          name: company.name,
+          gstin: company.gstin,
+          primaryContact: company.contacts[0] || null,
+          paymentTermsDays: company.paymentTermsDays,
+          creditLimit,
+          overCreditLimit: ageing.balance > creditLimit,
+          balance: ageing.balance,
+          outstanding: ageing.outstanding,
+          unappliedCredit: ageing.unappliedCredit,
+          buckets: ageing.buckets,
+          oldestDaysOverdue: ageing.openCharges.reduce((oldest, charge) => Math.max(oldest, charge.daysOverdue), 0)
+        };
+      })
+      .filter(account => account.balance !== 0 || account.outstanding !== 0)
+      // Longest overdue first - that's who collections calls
+      .sort((a, b) => b.oldestDaysOverdue - a.oldestDaysOverdue || b.outstanding - a.outstanding);
+
+    res.json({
+      message: 'Company ageing report retrieved successfully',
+      asOf: new Date(),
+      buckets: AGEING_BUCKETS.map(({ key, label }) => ({ key, label })),
+      totals: {
+        ...totals,
+        outstanding: totalOutstanding
+      },
+      accounts,
+      count: accounts.length
+    });
+
+  } catch (error) {
+    console.error('Company ageing report error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  getCompanies,
+  getCompanyById,
+  createCompany,
+  updateCompany,
+  addContact,
+  updateContact,
+  removeContact,
+  setCompanyRate,
+  removeCompanyRate,
+  getCompanyLedger,
+  recordCompanyPayment,
+  recordCompanyAdjustment,
+  getAgeingReport
+};
@@ -0,0 +1,548 @@
+const { PrismaClient } = require('@prisma/client');
+const { z } = require('zod');
+const { roundCurrency } = require('../utils/pricingEngine');
+const { postRoomCharges } = require('../utils/folio');
+const { refreshPaymentStatus } = require('../utils/payments');
+const { syncBookingTax } = require('../utils/taxEngine');
+const { recordBookingHistory } = require('../utils/bookingHistory');
+
+const prisma = new PrismaClient();
+
+const DISCOUNT_ROLES = ['hotel_manager', 'front_desk'];
+
+// Bookings that can still be discounted
+const DISCOUNTABLE_STATUSES = ['confirmed', 'checked_in'];
+
+// Validation schemas
+const requestDiscountSchema = z.object({
+  discountPercentage: z.number().positive('Discount must be positive').max(100, 'Discount cannot exceed 100%').optional(),
+  discountAmount: z.number().positive('Discount must be positive').optional(),
+  reason: z.string().min(5, 'Reason must be at least 5 characters').max(1000)
+}).refine((data) => (data.discountPercentage === undefined) !== (data.discountAmount === undefined), {
+  message: 'Provide either discountPercentage or discountAmount',
+  path: ['discountPercentage']
+});
+
+const decisionSchema = z.object({
+  approvalNotes: z.string().max(1000).optional().nullable()
+});
+
+const discountRuleSchema = z.object({
+  maxDiscountPercentage: z.number().min(0).max(100, 'Discount cannot exceed 100%'),
+  isActive: z.boolean().default(true)
+});
+
+const validationError = (res, error) => {
+  return res.status(400).json({
+    error: 'Validation failed',
+    details: error.issues.map(err => ({
+      field: err.path.join('.'),
+      message: err.message
+    }))
+  });
+};
+
+/**
+ * Max discount % a role may give without approval
+ * Owners are never capped; roles without an active rule get 0
+ */
+const getRoleDiscountCap = async (hotelId, role) => {
+  if (role === 'hotel_owner') return 100;
+
+  const rule = await prisma.discountRule.findFirst({
+    where: {
+      hotelId,
+      userRole: role,
+      isActive: true
+    },
+    orderBy: { updatedAt: 'desc' }
+  });
+
+  return rule ? parseFloat(rule.maxDiscountPercentage) : 0;
+};
+
+// Guests already in-house see an approved discount on their folio straight away (reposting re-taxes the stay);
+// for everyone else the booking's GST is recalculated on the discounted amount.
+// Runs in the transaction that applies the discount, so the booking and its folio never disagree
+const syncInHouseFolio = async (bookingId, userId, client = prisma) => {
+  const booking = await client.booking.findUnique({
+    where: { id: bookingId },
+    include: { nightlyRates: true }
+  });
+
+  if (booking && booking.status === 'checked_in') {
+    await postRoomCharges(booking, { postedById: userId, reason: 'Discount approved', client });
+  } else if (booking) {
+    await syncBookingTax(booking.id, client);
+  }
+
+  // A smaller bill can turn a partial payment into a full one
+  if (booking) {
+    await refreshPaymentStatus(booking.id, client);
+  }
+};
+
+const approvalInclude = {
+  booking: {
+    select: {
+      id: true,
+      baseAmount: true,
+      finalAmount: true,
+      discountStatus: true,
+      checkInDate: true,
+      checkOutDate: true,
+      guest: { select: { id: true, name: true, phone: true } },
+      room: { select: { roomNumber: true } }
+    }
+  },
+  requestedBy: {
+    select: { id: true, name: true, role: true }
+  },
+  approvedBy: {
+    select: { id: true, name: true, role: true }
+  }
+};
+
+// Front desk (or above) requests a discount on a booking
+const requestDiscount = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const bookingId = parseInt(req.params.bookingId);
+    const discountData = requestDiscountSchema.parse(req.body);
+
+    const booking = await prisma.booking.findFirst({
+      where: {
+        id: bookingId,
+        hotelId
+      },
+      include: {
+        guest: { select: { name: true } },
+        room: { select: { roomNumber: true } }
+      }
+    });
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    if (!DISCOUNTABLE_STATUSES.includes(booking.status)) {
+      return res.status(400).json({
+        error: 'Discount not allowed',
+        message: `Cannot discount a booking that is ${booking.status}`
+      });
+    }
+
+    if (booking.discountStatus === 'pending') {
+      return res.status(409).json({ error: 'A discount request is already pending for this booking' });
+    }
+
+    // Discounts are always taken off the undiscounted stay amount
+    const originalAmount = parseFloat(booking.baseAmount);
+    const discountPercentage = discountData.discountPercentage !== undefined
+      ? discountData.discountPercentage
+      : roundCurrency((discountData.discountAmount / originalAmount) * 100);
+
+    if (discountPercentage > 100) {
+      return res.status(400).json({ error: 'Discount cannot exceed the booking amount' });
+    }
+
+    const discountAmount = discountData.discountAmount !== undefined
+      ? roundCurrency(discountData.discountAmount)
+      : roundCurrency(originalAmount * discountPercentage / 100);
+    const finalAmount = roundCurrency(originalAmount - discountAmount);
+
+    const roleCap = await getRoleDiscountCap(hotelId, req.user.role);
+    const withinCap = discountPercentage <= roleCap;
+
+    const approval = await prisma.$transaction(async (tx) => {
+      const created = await tx.discountApproval.create({
+        data: {
+          hotelId,
+          bookingId,
+          requestedById: req.user.userId,
+          approvedById: withinCap ? req.user.userId : null,
+          originalAmount,
+          discountPercentage,
+          discountAmount,
+          finalAmount,
+          status: withinCap ? 'auto_approved' : 'pending',
+          reason: discountData.reason,
+          approvalNotes: withinCap ? `Within ${req.user.role} limit of ${roleCap}%` : null,
+          approvedAt: withinCap ? new Date() : null
+        },
+        include: approvalInclude
+      });
+
+      const updatedBooking = await tx.booking.update({
+        where: { id: bookingId },
+        data: withinCap
+          ? { finalAmount, discountStatus: 'approved' }
+          : { discountStatus: 'pending' }
+      });
+
+      await recordBookingHistory({
+        booking: updatedBooking,
+        before: booking,
+        action: withinCap ? 'discount_applied' : 'updated',
+        reason: discountData.reason,
+        performedById: req.user.userId
+      }, tx);
+
+      if (withinCap) {
+        await syncInHouseFolio(bookingId, req.user.userId, tx);
+      }
+
+      return created;
+    }, {
+      maxWait: 5000,
+      timeout: 20000
+    });
+
+    console.log(`🏷️ Discount ${approval.id} on booking ${bookingId}: ${discountPercentage}% (${approval.status})`);
+
+    // 🔌 WEBSOCKET: Push pending requests to approvers
+    if (global.socketServer && !withinCap) {
+      const discountRequestData = {
+        approvalId: approval.id,
+        bookingId,
+        guestName: booking.guest.name,
+        roomNumber: booking.room ? booking.room.roomNumber : null,
+        originalAmount,
+        discountPercentage,
+        discountAmount,
+        finalAmount,
+        reason: discountData.reason,
+        roleLimit: roleCap,
+        requestedBy: {
+          userId: req.user.userId,
+          userName: req.user.name,
+          userRole: req.user.role
+        }
+      };
+
+      global.socketServer.broadcastToRole(hotelId, 'hotel_manager', 'discount_approval_requested', discountRequestData);
+      global.socketServer.broadcastToRole(hotelId, 'hotel_owner', 'discount_approval_requested', discountRequestData);
+
+      console.log(`📡 WebSocket: Discount approval request ${approval.id} sent to managers of hotel ${hotelId}`);
+    }
+
+    res.status(201).json({
+      message: withinCap
+        ? 'Discount applied automatically'
+        : `Discount exceeds your limit of ${roleCap}% and has been sent for approval`,
+      autoApproved: withinCap,
+      discountApproval: approval
+    });
+
+  } catch (error) {
+    console.error('Request discount error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Discount history for a booking
+const getBookingDiscounts = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const bookingId = parseInt(req.params.bookingId);
+
+    const booking = await prisma.booking.findFirst({
+      where: {
+        id: bookingId,
+        hotelId
+      },
+      select: { id: true, baseAmount: true, finalAmount: true, discountStatus: true }
+    });
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const discountApprovals = await prisma.discountApproval.findMany({
+      where: { bookingId, hotelId },
+      include: {
+        requestedBy: { select: { id: true, name: true, role: true } },
+        approvedBy: { select: { id: true, name: true, role: true } }
+      },
+      orderBy: { requestedAt: 'desc' }
+    });
+
+    res.json({
+      message: 'Booking discounts retrieved successfully',
+      booking,
+      discountApprovals
+    });
+
+  } catch (error) {
+    console.error('Get booking discounts error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Pending discount requests awaiting a decision
+const getPendingDiscounts = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+
+    const pendingApprovals = await prisma.discountApproval.findMany({
+      where: {
+        hotelId,
+        status: 'pending'
+      },
+      include: approvalInclude,
+      orderBy: { requestedAt: 'asc' }
+    });
+
+    res.json({
+      message: 'Pending discount requests retrieved successfully',
+      count: pendingApprovals.length,
+      discountApprovals: pendingApprovals
+    });
+
+  } catch (error) {
+    console.error('Get pending discounts error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Shared approve/reject flow
+const decideDiscount = async (req, res, decision) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const approvalId = parseInt(req.params.approvalId);
+    const { approvalNotes } = decisionSchema.parse(req.body);
+
+    const approval = await prisma.discountApproval.findFirst({
+      where: {
+        id: approvalId,
+        hotelId
+      },
+      include: {
+        booking: {
+          include: {
+            guest: { select: { name: true } },
+            room: { select: { roomNumber: true } }
+          }
+        }
+      }
+    });
+
+    if (!approval) {
+      return res.status(404).json({ error: 'Discount request not found' });
+    }
+
+    if (approval.status !== 'pending') {
+      return res.status(400).json({ error: `Discount request is already ${approval.status}` });
+    }
+
+    // Only owners may decide on their own requests
+    if (approval.requestedById === req.user.userId && req.user.role !== 'hotel_owner') {
+      return res.status(403).json({ error: 'You cannot decide on your own discount request' });
+    }
+
+    // Managers can only approve up to their own limit; anything larger needs the owner
+    if (decision === 'approved') {
+      const approverCap = await getRoleDiscountCap(hotelId, req.user.role);
+      if (req.user.role !== 'hotel_owner' && parseFloat(approval.discountPercentage) > approverCap) {
+        return res.status(403).json({
+          error: 'Discount exceeds your approval limit',
+          message: `You can approve up to ${approverCap}%. This request needs the hotel owner.`
+        });
+      }
+    }
+
+    if (decision === 'approved' && !DISCOUNTABLE_STATUSES.includes(approval.booking.status)) {
+      return res.status(400).json({ error: `Cannot discount a booking that is ${approval.booking.status}` });
+    }
+
+    // A rejection leaves any earlier approved discount in place
+    const previousApproved = await prisma.discountApproval.findFirst({
+      where: {
+        bookingId: approval.bookingId,
+        status: { in: ['approved', 'auto_approved'] }
+      }
+    });
+
+    // The stay may have been repriced while the request waited - the percentage is what was
+    // agreed, so the amounts are worked out again from the booking's current base amount
+    const originalAmount = parseFloat(approval.booking.baseAmount);
+    const discountAmount = roundCurrency(originalAmount * parseFloat(approval.discountPercentage) / 100);
+    const finalAmount = roundCurrency(originalAmount - discountAmount);
+
+    const updatedApproval = await prisma.$transaction(async (tx) => {
+      // Guard on status so two approvers can't both decide the same request
+      const decided = await tx.discountApproval.updateMany({
+        where: { id: approvalId, status: 'pending' },
+        data: {
+          status: decision,
+          approvedById: req.user.userId,
+          approvalNotes: approvalNotes || null,
+          approvedAt: new Date(),
+          ...(decision === 'approved' && { originalAmount, discountAmount, finalAmount })
+        }
+      });
+
+      if (decided.count === 0) return null;
+
+      const updatedBooking = await tx.booking.update({
+        where: { id: approval.bookingId },
+        data: decision === 'approved'
+          ? { finalAmount, discountStatus: 'approved' }
+          : { discountStatus: previousApproved ? 'approved' : 'rejected' }
+      });
+
+      await recordBookingHistory({
+        booking: updatedBooking,
+        before: approval.booking,
+        action: decision === 'approved' ? 'discount_applied' : 'updated',
+        reason: approvalNotes || `Discount request ${decision}`,
+        performedById: req.user.userId
+      }, tx);
+
+      if (decision === 'approved') {
+        await syncInHouseFolio(approval.bookingId, req.user.userId, tx);
+      }
+
+      return tx.discountApproval.findUnique({
+        where: { id: approvalId },
+        include: approvalInclude
+      });
+    }, {
+      maxWait: 5000,
+      timeout: 20000
+    });
+
+    if (!updatedApproval) {
+      return res.status(409).json({ error: 'Discount request was decided by someone else - refresh to see the outcome' });
+    }
+
+    console.log(`🏷️ Discount ${approvalId} ${decision} by ${req.user.name}`);
+
+    // 🔌 WEBSOCKET: Tell the desk (and other approvers) about the decision
+    if (global.socketServer) {
+      const decisionData = {
+        approvalId,
+        bookingId: approval.bookingId,
+        guestName: approval.booking.guest.name,
+        roomNumber: approval.booking.room ? approval.booking.room.roomNumber : null,
+        status: decision,
+        discountPercentage: approval.discountPercentage,
+        finalAmount: decision === 'approved' ? finalAmount : approval.booking.finalAmount,
+        approvalNotes: approvalNotes || null,
+        decidedBy: {
+          userId: req.user.userId,
+          userName: req.user.name,
+          userRole: req.user.role
+        }
+      };
+
+      global.socketServer.broadcastToRole(hotelId, 'front_desk', 'discount_request_resolved', decisionData);
+      global.socketServer.broadcastToRole(hotelId, 'hotel_manager', 'discount_request_resolved', decisionData);
+      global.socketServer.broadcastToRole(hotelId, 'hotel_owner', 'discount_request_resolved', decisionData);
+    }
+
+    res.json({
+      message: `Discount ${decision} successfully`,
+      discountApproval: updatedApproval
+    });
+
+  } catch (error) {
+    console.error(`Discount ${decision} error:`, error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+const approveDiscount = (req, res) => decideDiscount(req, res, 'approved');
+const rejectDiscount = (req, res) => decideDiscount(req, res, 'rejected');
+
+// Discount limits per role
+const getDiscountRules = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+
+    const rules = await prisma.discountRule.findMany({
+      where: { hotelId },
+      include: {
+        createdBy: { select: { id: true, name: true } }
+      },
+      orderBy: { userRole: 'asc' }
+    });
+
+    res.json({
+      message: 'Discount rules retrieved successfully',
+      rules
+    });
+
+  } catch (error) {
+    console.error('Get discount rules error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Create or update the discount limit for a role
+const upsertDiscountRule = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const { role } = req.params;
+    const ruleData = discountRuleSchema.parse(req.body);
+
+    if (!DISCOUNT_ROLES.includes(role)) {
+      return res.status(400).json({
+        error: 'Invalid role',
+        validRoles: DISCOUNT_ROLES
+      });
+    }
+
+    const existingRule = await prisma.discountRule.findFirst({
+      where: { hotelId, userRole: role }
+    });
+
+    const rule = existingRule
+      ? await prisma.discountRule.update({
+          where: { id: existingRule.id },
+          data: ruleData
+        })
+      : await prisma.discountRule.create({
+          data: {
+            ...ruleData,
+            hotelId,
+            userRole: role,
+            createdById: req.user.userId
+          }
+        });
+
+    res.json({
+      message: 'Discount rule saved successfully',
+      rule
+    });
+
+  } catch (error) {
+    console.error('Upsert discount rule error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  requestDiscount,
+  getBookingDiscounts,
+  getPendingDiscounts,
+  approveDiscount,
+  rejectDiscount,
+  getDiscountRules,
+  upsertDiscountRule
+};
@@ -0,0 +1,253 @@
+const { PrismaClient } = require('@prisma/client');
+const { z } = require('zod');
+const { roundCurrency } = require('../utils/pricingEngine');
+const {
+  folioInclude,
+  getOrCreateFolio,
+  postFolioLine,
+  reverseFolioLine,
+  lineTotal,
+  summarizeFolio
+} = require('../utils/folio');
+const { getTaxSettings, taxForFolioLine } = require('../utils/taxEngine');
+
+const prisma = new PrismaClient();
+
+// Line types staff can post by hand - room nights, room service and fees are posted by the system,
+// and discounts come from the booking's approved discount (see discountController)
+const MANUAL_LINE_TYPES = ['extra', 'tax', 'adjustment'];
+
+// Credits and corrections need a manager
+const MANAGER_LINE_TYPES = ['adjustment'];
+
+// Posted from the booking itself, so they change with the booking and are never reversed by hand
+const BOOKING_LINE_TYPES = ['room_night', 'discount'];
+
+// Validation schemas
+const postLineSchema = z.object({
+  lineType: z.enum(MANUAL_LINE_TYPES),
+  description: z.string().min(2, 'Description is required').max(255, 'Description too long'),
+  quantity: z.number().int().positive().default(1),
+  unitAmount: z.number().refine((amount) => amount !== 0, 'Amount cannot be zero'),
+  serviceDate: z.string().refine((date) => !isNaN(new Date(date).getTime()), 'Invalid service date').optional(),
+  reason: z.string().max(1000).optional().nullable()
+}).refine((data) => data.lineType === 'adjustment' || data.unitAmount > 0, {
+  message: 'Only adjustments can be credits',
+  path: ['unitAmount']
+}).refine((data) => !MANAGER_LINE_TYPES.includes(data.lineType) || (data.reason && data.reason.trim().length >= 3), {
+  message: 'A reason is required for adjustments',
+  path: ['reason']
+});
+
+const reverseLineSchema = z.object({
+  reason: z.string().min(3, 'Reversal reason is required').max(1000)
+});
+
+const validationError = (res, error) => {
+  return res.status(400).json({
+    error: 'Validation failed',
+    details: error.issues.map(err => ({
+      field: err.path.join('.'),
+      message: err.message
+    }))
+  });
+};
+
+const isManager = (user) => ['hotel_owner', 'hotel_manager'].includes(user.role);
+
+const findBooking = (bookingId, hotelId) => {
+  return prisma.booking.findFirst({
+    where: {
+      id: bookingId,
+      hotelId
+    },
+    include: {
+      guest: { select: { id: true, name: true } },
+      room: { select: { id: true, roomNumber: true } }
+    }
+  });
+};
+
+// Get a booking's folio with running balance
+const getFolio = async (req, res) => {
+  try {
+    const bookingId = parseInt(req.params.bookingId);
+    const booking = await findBooking(bookingId, req.user.hotelId);
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const folio = await prisma.folio.findUnique({
+      where: { bookingId },
+      include: folioInclude
+    });
+
+    // Running balance after each line, in posting order
+    let runningBalance = 0;
+    const lines = (folio ? folio.lines : []).map(line => {
+      runningBalance = roundCurrency(runningBalance + lineTotal(line));
+      return { ...line, runningBalance };
+    });
+
+    res.json({
+      message: 'Folio retrieved successfully',
+      booking: {
+        id: booking.id,
+        status: booking.status,
+        guest: booking.guest,
+        room: booking.room
+      },
+      folio: folio ? { ...folio, lines } : null,
+      summary: summarizeFolio(folio)
+    });
+
+  } catch (error) {
+    console.error('Get folio error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Post a manual charge or credit to a folio
+const postLine = async (req, res) => {
+  try {
+    const bookingId = parseInt(req.params.bookingId);
+    const hotelId = req.user.hotelId;
+    const lineData = postLineSchema.parse(req.body);
+
+    if (MANAGER_LINE_TYPES.includes(lineData.lineType) && !isManager(req.user)) {
+      return res.status(403).json({ error: 'Only managers can post adjustments' });
+    }
+
+    const booking = await findBooking(bookingId, hotelId);
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    if (['cancelled', 'no_show'].includes(booking.status) && lineData.lineType !== 'adjustment') {
+      return res.status(400).json({ error: `Only adjustments can be posted to a ${booking.status} booking` });
+    }
+
+    const folio = await getOrCreateFolio(booking);
+
+    if (folio.status === 'settled') {
+      return res.status(400).json({ error: 'Folio is already settled' });
+    }
+
+    // Extras are taxed by the engine at the hotel's pricing basis; manual tax and adjustments carry no GST
+    const settings = await getTaxSettings(hotelId);
+
+    const line = await postFolioLine(folio, {
+      ...lineData,
+      serviceDate: lineData.serviceDate ? new Date(lineData.serviceDate) : new Date(),
+      reason: lineData.reason || null,
+      postedById: req.user.userId,
+      ...taxForFolioLine({
+        lineType: lineData.lineType,
+        quantity: lineData.quantity,
+        unitAmount: lineData.unitAmount,
+        inclusive: settings.pricesIncludeTax,
+        settings
+      })
+    });
+
+    const updatedFolio = await prisma.folio.findUnique({
+      where: { id: folio.id },
+      include: folioInclude
+    });
+
+    console.log(`🧾 Folio ${folio.id}: ${line.lineType} ${line.amount} posted by ${req.user.name}`);
+
+    res.status(201).json({
+      message: 'Folio line posted successfully',
+      line,
+      summary: summarizeFolio(updatedFolio)
+    });
+
+  } catch (error) {
+    console.error('Post folio line error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Reverse a folio line (lines are never edited or deleted)
+const reverseLine = async (req, res) => {
+  try {
+    const bookingId = parseInt(req.params.bookingId);
+    const lineId = parseInt(req.params.lineId);
+    const hotelId = req.user.hotelId;
+    const { reason } = reverseLineSchema.parse(req.body);
+
+    if (!isManager(req.user)) {
+      return res.status(403).json({ error: 'Only managers can reverse folio lines' });
+    }
+
+    const folio = await prisma.folio.findFirst({
+      where: {
+        bookingId,
+        hotelId
+      },
+      include: folioInclude
+    });
+
+    const line = folio && folio.lines.find(folioLine => folioLine.id === lineId);
+
+    if (!line) {
+      return res.status(404).json({ error: 'Folio line not found' });
+    }
+
+    if (folio.status === 'settled') {
+      return res.status(400).json({ error: 'Folio is already settled' });
+    }
+
+    if (BOOKING_LINE_TYPES.includes(line.lineType)) {
+      return res.status(400).json({
+        error: 'Room charges are posted from the booking',
+        message: 'Update the booking dates, room or discount and the folio is reposted automatically'
+      });
+    }
+
+    if (line.reversesLineId || folio.lines.some(folioLine => folioLine.reversesLineId === line.id)) {
+      return res.status(400).json({ error: 'Line is a reversal or has already been reversed' });
+    }
+
+    const reversal = await reverseFolioLine(folio, line, {
+      reason,
+      postedById: req.user.userId
+    });
+
+    const updatedFolio = await prisma.folio.findUnique({
+      where: { id: folio.id },
+      include: folioInclude
+    });
+
+    console.log(`🧾 Folio ${folio.id}: line ${lineId} reversed by ${req.user.name}`);
+
+    res.status(201).json({
+      message: 'Folio line reversed successfully',
+      reversal,
+      summary: summarizeFolio(updatedFolio)
+    });
+
+  } catch (error) {
+    console.error('Reverse folio line error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  getFolio,
+  postLine,
+  reverseLine
+};
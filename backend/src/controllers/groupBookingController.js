@@ -0,0 +1,1087 @@
+const { PrismaClient } = require('@prisma/client');
+const { z } = require('zod');
+const { calculateStayPricing, calculateFixedRatePricing, roundCurrency } = require('../utils/pricingEngine');
+const { resolveCancellationPolicy } = require('../utils/cancellationPolicy');
+const { ACTIVE_BOOKING_STATUSES, findAvailableRooms, heldBlockRooms } = require('../utils/availability');
+const { pickRoomsForBookings } = require('../utils/roomAssignment');
+const { postRoomCharges, settleFolio, summarizeFolio } = require('../utils/folio');
+const { refreshPaymentStatus } = require('../utils/payments');
+const { taxStayPricing } = require('../utils/taxEngine');
+const { recordBookingHistory } = require('../utils/bookingHistory');
+const { generateConfirmationCode, queueBookingNotification } = require('../utils/notifications');
+const { startOfDay, addDays, getStayNights } = require('../utils/dateUtils');
+
+const prisma = new PrismaClient();
+
+const GROUP_TYPES = ['wedding', 'corporate', 'conference', 'tour', 'other'];
+
+// Same room states as single check-in: these can't be overridden
+const HARD_BLOCK_CHECK_IN_STATUSES = ['occupied', 'out_of_order', 'blocked'];
+
+const validDate = (label) => z.string().refine((date) => !isNaN(new Date(date).getTime()), `Invalid ${label}`);
+
+// Validation schemas
+const blockSchema = z.object({
+  roomTypeId: z.number().int().positive(),
+  checkInDate: validDate('check-in date'),
+  checkOutDate: validDate('check-out date'),
+  roomsBlocked: z.number().int().min(1, 'Block at least one room').max(500),
+  groupRate: z.number().positive().optional().nullable()
+}).refine((data) => new Date(data.checkOutDate) > new Date(data.checkInDate), {
+  message: 'Check-out date must be after check-in date',
+  path: ['checkOutDate']
+});
+
+const createGroupSchema = z.object({
+  name: z.string().min(2, 'Group name must be at least 2 characters').max(150, 'Group name too long'),
+  organizerGuestId: z.number().int().positive(),
+  groupType: z.enum(GROUP_TYPES).default('other'),
+  releaseDate: validDate('release date'),
+  consolidatedBilling: z.boolean().default(false),
+  notes: z.string().max(2000).optional().nullable(),
+  blocks: z.array(blockSchema).min(1, 'A group needs at least one room block')
+});
+
+const updateGroupSchema = z.object({
+  name: z.string().min(2).max(150).optional(),
+  organizerGuestId: z.number().int().positive().optional(),
+  groupType: z.enum(GROUP_TYPES).optional(),
+  releaseDate: validDate('release date').optional(),
+  consolidatedBilling: z.boolean().optional(),
+  notes: z.string().max(2000).optional().nullable(),
+  status: z.enum(['active', 'cancelled', 'completed']).optional()
+});
+
+const roomingListEntrySchema = z.object({
+  guestId: z.number().int().positive(),
+  blockId: z.number().int().positive(),
+  // Default to the block's dates; a guest may stay for part of the block
+  checkInDate: validDate('check-in date').optional(),
+  checkOutDate: validDate('check-out date').optional(),
+  numberOfGuests: z.number().int().positive().default(1),
+  specialRequests: z.string().max(1000).optional().nullable()
+});
+
+const groupCheckInSchema = z.object({
+  bookingIds: z.array(z.number().int().positive()).optional(),
+  overrideHousekeeping: z.boolean().default(false)
+});
+
+const groupCheckOutSchema = z.object({
+  bookingIds: z.array(z.number().int().positive()).optional()
+});
+
+const validationError = (res, error) => {
+  return res.status(400).json({
+    error: 'Validation failed',
+    details: error.issues.map(err => ({
+      field: err.path.join('.'),
+      message: err.message
+    }))
+  });
+};
+
+const groupInclude = {
+  organizer: {
+    select: { id: true, name: true, phone: true, email: true, organization: true }
+  },
+  createdBy: {
+    select: { id: true, name: true }
+  },
+  blocks: {
+    include: {
+      roomType: { select: { id: true, name: true } },
+      bookings: {
+        where: { status: { in: ['confirmed', 'checked_in', 'checked_out'] } },
+        select: { id: true, checkInDate: true, checkOutDate: true, status: true }
+      }
+    },
+    orderBy: [
+      { checkInDate: 'asc' },
+      { roomTypeId: 'asc' }
+    ]
+  },
+  bookings: {
+    include: {
+      guest: { select: { id: true, name: true, phone: true } },
+      roomType: { select: { id: true, name: true } },
+      room: { select: { id: true, roomNumber: true, floor: true, status: true } }
+    },
+    orderBy: [
+      { checkInDate: 'asc' },
+      { id: 'asc' }
+    ]
+  }
+};
+
+// Block rooms only stay taken while the pickup booking is active (a checked-out early departure frees it)
+const activePickups = (block) => ({
+  ...block,
+  bookings: block.bookings.filter(booking => ACTIVE_BOOKING_STATUSES.includes(booking.status))
+});
+
+const isHolding = (group, now = new Date()) => {
+  return group.status === 'active' && !group.releasedAt && new Date(group.releaseDate) > now;
+};
+
+// Pickup per block: rooms blocked, picked up, and still held (on the tightest night)
+const summarizeBlocks = (group) => {
+  const holding = isHolding(group);
+
+  return group.blocks.map(({ bookings, ...block }) => {
+    const nights = getStayNights(block.checkInDate, block.checkOutDate);
+    const stillHeld = holding
+      ? Math.min(...nights.map(night => heldBlockRooms(activePickups({ ...block, bookings }), night)))
+      : 0;
+
+    return {
+      ...block,
+      pickedUp: bookings.length,
+      unpicked: Math.max(0, block.roomsBlocked - bookings.length),
+      stillHeld
+    };
+  });
+};
+
+const formatGroup = (group) => {
+  const { blocks, bookings, ...details } = group;
+
+  return {
+    ...details,
+    holdingRooms: isHolding(group),
+    blocks: summarizeBlocks(group),
+    roomingList: bookings || []
+  };
+};
+
+const findGroup = (groupId, hotelId) => {
+  return prisma.groupBooking.findFirst({
+    where: {
+      id: groupId,
+      hotelId
+    },
+    include: groupInclude
+  });
+};
+
+// Check the hotel can hold a block, then create it (inside the caller's transaction)
+const createBlock = async (tx, hotelId, groupId, blockData) => {
+  const [inventory] = await findAvailableRooms({
+    hotelId,
+    roomTypeId: blockData.roomTypeId,
+    checkInDate: blockData.checkInDate,
+    checkOutDate: blockData.checkOutDate,
+    client: tx
+  });
+
+  if (!inventory) {
+    const error = new Error(`Room type ${blockData.roomTypeId} not found`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (inventory.availableCount < blockData.roomsBlocked) {
+    const error = new Error(`Only ${inventory.availableCount} ${inventory.roomType.name} room(s) free for ${blockData.checkInDate} to ${blockData.checkOutDate}`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  return tx.groupRoomBlock.create({
+    data: {
+      hotelId,
+      groupBookingId: groupId,
+      roomTypeId: blockData.roomTypeId,
+      checkInDate: new Date(blockData.checkInDate),
+      checkOutDate: new Date(blockData.checkOutDate),
+      roomsBlocked: blockData.roomsBlocked,
+      groupRate: blockData.groupRate || null
+    }
+  });
+};
+
+// Create a group with its room blocks
+const createGroup = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const groupData = createGroupSchema.parse(req.body);
+
+    const organizer = await prisma.guest.findFirst({
+      where: {
+        id: groupData.organizerGuestId,
+        hotelId
+      }
+    });
+
+    if (!organizer) {
+      return res.status(404).json({ error: 'Organizer guest not found' });
+    }
+
+    const firstArrival = groupData.blocks
+      .map(block => startOfDay(block.checkInDate))
+      .sort((a, b) => a - b)[0];
+
+    if (new Date(groupData.releaseDate) > firstArrival) {
+      return res.status(400).json({ error: 'Release date must be on or before the first arrival date' });
+    }
+
+    const { blocks, ...details } = groupData;
+
+    // Blocks are created one by one so each sees the inventory the previous one took
+    const group = await prisma.$transaction(async (tx) => {
+      const created = await tx.groupBooking.create({
+        data: {
+          ...details,
+          releaseDate: new Date(details.releaseDate),
+          notes: details.notes || null,
+          hotelId,
+          createdById: req.user.userId
+        }
+      });
+
+      for (const block of blocks) {
+        await createBlock(tx, hotelId, created.id, block);
+      }
+
+      return tx.groupBooking.findUnique({
+        where: { id: created.id },
+        include: groupInclude
+      });
+    });
+
+    console.log(`👥 Group "${group.name}" created with ${blocks.reduce((total, block) => total + block.roomsBlocked, 0)} blocked room(s)`);
+
+    // 🔌 WEBSOCKET: Blocks take inventory - let the desk and managers know
+    if (global.socketServer) {
+      const groupNotificationData = {
+        groupId: group.id,
+        name: group.name,
+        organizer: group.organizer.name,
+        releaseDate: group.releaseDate,
+        blocks: group.blocks.map(block => ({
+          roomType: block.roomType.name,
+          checkInDate: block.checkInDate,
+          checkOutDate: block.checkOutDate,
+          roomsBlocked: block.roomsBlocked
+        })),
+        createdBy: {
+          userId: req.user.userId,
+          userName: req.user.name,
+          userRole: req.user.role
+        }
+      };
+
+      global.socketServer.broadcastToRole(hotelId, 'hotel_manager', 'group_booking_created', groupNotificationData);
+      global.socketServer.broadcastToRole(hotelId, 'front_desk', 'group_booking_created', groupNotificationData);
+    }
+
+    res.status(201).json({
+      message: 'Group booking created successfully',
+      group: formatGroup(group)
+    });
+
+  } catch (error) {
+    console.error('Create group booking error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// List groups
+const getGroups = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const { status, arrivingFrom, arrivingTo } = req.query;
+
+    const filters = { hotelId };
+    if (status) filters.status = status;
+
+    if (arrivingFrom || arrivingTo) {
+      filters.blocks = {
+        some: {
+          checkInDate: {
+            ...(arrivingFrom && { gte: new Date(arrivingFrom) }),
+            ...(arrivingTo && { lte: new Date(arrivingTo) })
+          }
+        }
+      };
+    }
+
+    const groups = await prisma.groupBooking.findMany({
+      where: filters,
+      include: {
+        organizer: groupInclude.organizer,
+        blocks: groupInclude.blocks
+      },
+      orderBy: { releaseDate: 'asc' }
+    });
+
+    res.json({
+      message: 'Group bookings retrieved successfully',
+      groups: groups.map(group => {
+        const blocks = summarizeBlocks(group);
+        return {
+          ...group,
+          holdingRooms: isHolding(group),
+          blocks,
+          roomsBlocked: blocks.reduce((total, block) => total + block.roomsBlocked, 0),
+          roomsPickedUp: blocks.reduce((total, block) => total + block.pickedUp, 0)
+        };
+      })
+    });
+
+  } catch (error) {
+    console.error('Get group bookings error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Group with blocks, pickup and rooming list
+const getGroupById = async (req, res) => {
+  try {
+    const group = await findGroup(parseInt(req.params.groupId), req.user.hotelId);
+
+    if (!group) {
+      return res.status(404).json({ error: 'Group booking not found' });
+    }
+
+    res.json({
+      message: 'Group booking retrieved successfully',
+      group: formatGroup(group)
+    });
+
+  } catch (error) {
+    console.error('Get group booking error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Update group details
+const updateGroup = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const groupId = parseInt(req.params.groupId);
+    const updateData = updateGroupSchema.parse(req.body);
+
+    const group = await findGroup(groupId, hotelId);
+
+    if (!group) {
+      return res.status(404).json({ error: 'Group booking not found' });
+    }
+
+    if (updateData.organizerGuestId) {
+      const organizer = await prisma.guest.findFirst({
+        where: { id: updateData.organizerGuestId, hotelId }
+      });
+
+      if (!organizer) {
+        return res.status(404).json({ error: 'Organizer guest not found' });
+      }
+    }
+
+    if (updateData.status && updateData.status !== 'active') {
+      const activeBookings = group.bookings.filter(booking => ['confirmed', 'checked_in'].includes(booking.status));
+      if (activeBookings.length > 0) {
+        return res.status(400).json({
+          error: `Group still has ${activeBookings.length} active booking(s)`,
+          message: 'Check out or cancel the rooming list bookings first'
+        });
+      }
+    }
+
+    const updatedGroup = await prisma.groupBooking.update({
+      where: { id: groupId },
+      data: {
+        ...updateData,
+        releaseDate: updateData.releaseDate ? new Date(updateData.releaseDate) : undefined
+      },
+      include: groupInclude
+    });
+
+    res.json({
+      message: 'Group booking updated successfully',
+      group: formatGroup(updatedGroup)
+    });
+
+  } catch (error) {
+    console.error('Update group booking error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Add a room block to an existing group
+const addBlock = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const groupId = parseInt(req.params.groupId);
+    const blockData = blockSchema.parse(req.body);
+
+    const group = await prisma.groupBooking.findFirst({
+      where: { id: groupId, hotelId }
+    });
+
+    if (!group) {
+      return res.status(404).json({ error: 'Group booking not found' });
+    }
+
+    if (!isHolding(group)) {
+      return res.status(400).json({ error: 'Group is no longer holding rooms - book additional rooms through the rooming list' });
+    }
+
+    const block = await prisma.$transaction(tx => createBlock(tx, hotelId, groupId, blockData));
+
+    res.status(201).json({
+      message: 'Room block added successfully',
+      block
+    });
+
+  } catch (error) {
+    console.error('Add group block error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Release unpicked rooms now instead of waiting for the release date
+const releaseGroup = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const groupId = parseInt(req.params.groupId);
+
+    const group = await findGroup(groupId, hotelId);
+
+    if (!group) {
+      return res.status(404).json({ error: 'Group booking not found' });
+    }
+
+    if (!isHolding(group)) {
+      return res.status(400).json({ error: 'Group is not holding any rooms' });
+    }
+
+    const releasedGroup = await prisma.groupBooking.update({
+      where: { id: groupId },
+      data: { releasedAt: new Date() },
+      include: groupInclude
+    });
+
+    const releasedRooms = summarizeBlocks(group).reduce((total, block) => total + block.unpicked, 0);
+
+    console.log(`👥 Group "${group.name}" released ${releasedRooms} unpicked room(s)`);
+
+    // 🔌 WEBSOCKET: Released rooms are sellable again
+    if (global.socketServer) {
+      const releaseData = {
+        groupId,
+        name: group.name,
+        releasedRooms,
+        releasedBy: {
+          userId: req.user.userId,
+          userName: req.user.name,
+          userRole: req.user.role
+        }
+      };
+
+      global.socketServer.broadcastToRole(hotelId, 'hotel_manager', 'group_rooms_released', releaseData);
+      global.socketServer.broadcastToRole(hotelId, 'front_desk', 'group_rooms_released', releaseData);
+    }
+
+    res.json({
+      message: 'Unpicked group rooms released successfully',
+      releasedRooms,
+      group: formatGroup(releasedGroup)
+    });
+
+  } catch (error) {
+    console.error('Release group error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Add a guest to the rooming list - picks up one room from a block
+const addRoomingListEntry = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const groupId = parseInt(req.params.groupId);
+    const entry = roomingListEntrySchema.parse(req.body);
+
+    const group = await findGroup(groupId, hotelId);
+
+    if (!group) {
+      return res.status(404).json({ error: 'Group booking not found' });
+    }
+
+    if (group.status !== 'active') {
+      return res.status(400).json({ error: `Group is ${group.status}` });
+    }
+
+    const block = group.blocks.find(groupBlock => groupBlock.id === entry.blockId);
+
+    if (!block) {
+      return res.status(404).json({ error: 'Room block not found in this group' });
+    }
+
+    const guest = await prisma.guest.findFirst({
+      where: { id: entry.guestId, hotelId }
+    });
+
+    if (!guest) {
+      return res.status(404).json({ error: 'Guest not found' });
+    }
+
+    const checkInDate = entry.checkInDate ? new Date(entry.checkInDate) : block.checkInDate;
+    const checkOutDate = entry.checkOutDate ? new Date(entry.checkOutDate) : block.checkOutDate;
+
+    if (checkOutDate <= checkInDate) {
+      return res.status(400).json({ error: 'Check-out date must be after check-in date' });
+    }
+
+    if (startOfDay(checkInDate) < startOfDay(block.checkInDate) || startOfDay(checkOutDate) > startOfDay(block.checkOutDate)) {
+      return res.status(400).json({ error: 'Rooming list dates must fall within the block dates' });
+    }
+
+    // While the block holds rooms the pickup uses one of them; after release it needs free inventory
+    const nights = getStayNights(checkInDate, checkOutDate);
+    const coveredByBlock = isHolding(group) && nights.every(night => heldBlockRooms(activePickups(block), night) > 0);
+
+    if (!coveredByBlock) {
+      const [inventory] = await findAvailableRooms({
+        hotelId,
+        roomTypeId: block.roomTypeId,
+        checkInDate,
+        checkOutDate
+      });
+
+      if (!inventory || inventory.availableCount < 1) {
+        return res.status(409).json({
+          error: 'No room left for this guest',
+          message: isHolding(group)
+            ? `All ${block.roomsBlocked} block room(s) are picked up and no other ${block.roomType.name} room is free`
+            : `The block was released and no ${block.roomType.name} room is free`
+        });
+      }
+    }
+
+    const pricing = block.groupRate
+      ? calculateFixedRatePricing({
+        checkInDate,
+        checkOutDate,
+        rate: block.groupRate,
+        rateSource: 'group_rate',
+        occasion: group.name
+      })
+      : await calculateStayPricing({
+        hotelId,
+        roomTypeId: block.roomTypeId,
+        checkInDate,
+        checkOutDate
+      });
+
+    const stayTax = await taxStayPricing({
+      hotelId,
+      nightlyRates: pricing.nightlyRates,
+      baseAmount: pricing.baseAmount,
+      finalAmount: pricing.baseAmount
+    });
+
+    const cancellationPolicy = await resolveCancellationPolicy({ hotelId });
+
+    const booking = await prisma.booking.create({
+      data: {
+        hotelId,
+        guestId: entry.guestId,
+        confirmationCode: generateConfirmationCode(),
+        roomTypeId: block.roomTypeId,
+        groupBookingId: groupId,
+        groupRoomBlockId: block.id,
+        checkInDate,
+        checkOutDate,
+        numberOfGuests: entry.numberOfGuests,
+        roomRate: pricing.averageRate,
+        totalNights: pricing.totalNights,
+        baseAmount: pricing.baseAmount,
+        finalAmount: pricing.baseAmount,
+        taxAmount: stayTax.taxAmount,
+        taxInclusive: stayTax.taxInclusive,
+        totalAmount: stayTax.totalAmount,
+        status: 'confirmed',
+        paymentStatus: 'pending',
+        specialRequests: entry.specialRequests || null,
+        source: 'group',
+        cancellationPolicyId: cancellationPolicy ? cancellationPolicy.id : null,
+        nightlyRates: {
+          create: stayTax.nightlyRates.map(night => ({ hotelId, ...night }))
+        }
+      },
+      include: {
+        guest: { select: { id: true, name: true, phone: true } },
+        roomType: { select: { id: true, name: true } },
+        nightlyRates: { orderBy: { stayDate: 'asc' } }
+      }
+    });
+
+    await recordBookingHistory({
+      booking,
+      action: 'created',
+      reason: `Added to group "${group.name}"`,
+      performedById: req.user.userId
+    });
+
+    console.log(`👥 ${guest.name} added to rooming list of "${group.name}" (booking ${booking.id})`);
+
+    // Confirmation voucher to the guest
+    await queueBookingNotification(booking.id, 'booking_confirmation')
+      .catch(error => console.error('Booking notification error:', error));
+
+    res.status(201).json({
+      message: 'Guest added to rooming list successfully',
+      booking,
+      pickedFromBlock: coveredByBlock
+    });
+
+  } catch (error) {
+    console.error('Add rooming list entry error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Check in the group's arriving rooms together, keeping them on one floor where possible
+const groupCheckIn = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const groupId = parseInt(req.params.groupId);
+    const { bookingIds, overrideHousekeeping } = groupCheckInSchema.parse(req.body || {});
+
+    const group = await prisma.groupBooking.findFirst({
+      where: { id: groupId, hotelId }
+    });
+
+    if (!group) {
+      return res.status(404).json({ error: 'Group booking not found' });
+    }
+
+    // Everyone due today (or earlier) unless specific bookings are given,
+    // which may arrive up to 7 days early like a single check-in
+    const bookings = await prisma.booking.findMany({
+      where: {
+        hotelId,
+        groupBookingId: groupId,
+        status: 'confirmed',
+        checkInDate: { lt: addDays(startOfDay(new Date()), bookingIds ? 8 : 1) },
+        ...(bookingIds && { id: { in: bookingIds } })
+      },
+      include: {
+        room: true,
+        nightlyRates: { orderBy: { stayDate: 'asc' } },
+        guest: { select: { name: true, phone: true } }
+      }
+    });
+
+    if (bookings.length === 0) {
+      return res.status(400).json({ error: 'No confirmed group bookings to check in' });
+    }
+
+    const picks = await pickRoomsForBookings(bookings.filter(booking => !booking.roomId), { readyNow: true });
+
+    const checkedIn = [];
+    const skipped = [];
+    const usedRooms = new Set();
+
+    for (const booking of bookings) {
+      const room = booking.room || picks.get(booking.id);
+
+      if (!room || usedRooms.has(room.id)) {
+        skipped.push({ bookingId: booking.id, guestName: booking.guest.name, reason: 'No free room of the booked type' });
+        continue;
+      }
+
+      if (HARD_BLOCK_CHECK_IN_STATUSES.includes(room.status)) {
+        skipped.push({ bookingId: booking.id, guestName: booking.guest.name, roomNumber: room.roomNumber, reason: `Room is ${room.status}` });
+        continue;
+      }
+
+      if (room.status !== 'available' && !overrideHousekeeping) {
+        skipped.push({ bookingId: booking.id, guestName: booking.guest.name, roomNumber: room.roomNumber, reason: `Room is ${room.status}`, requiresOverride: true });
+        continue;
+      }
+
+      // Each room checks in as a unit: booking, room, history and opening folio
+      const checkedInAt = new Date();
+      const checkedInBooking = await prisma.$transaction(async (tx) => {
+        // Guard on status - a concurrent single check-in or cancel of this booking wins
+        const claimed = await tx.booking.updateMany({
+          where: { id: booking.id, status: 'confirmed' },
+          data: {
+            status: 'checked_in',
+            checkedInAt,
+            ...(!booking.roomId && {
+              roomId: room.id,
+              roomAssignedAt: checkedInAt
+            })
+          }
+        });
+
+        if (claimed.count === 0) return null;
+
+        await tx.room.update({
+          where: { id: room.id },
+          data: { status: 'occupied' }
+        });
+
+        const updated = await tx.booking.findUnique({ where: { id: booking.id } });
+
+        await recordBookingHistory({
+          booking: updated,
+          before: booking,
+          action: 'checked_in',
+          reason: `Group check-in "${group.name}"`,
+          performedById: req.user.userId
+        }, tx);
+
+        await postRoomCharges(booking, { postedById: req.user.userId, client: tx });
+
+        return updated;
+      }, {
+        maxWait: 5000,
+        timeout: 20000
+      });
+
+      if (!checkedInBooking) {
+        skipped.push({ bookingId: booking.id, guestName: booking.guest.name, reason: 'Booking is no longer confirmed' });
+        continue;
+      }
+
+      usedRooms.add(room.id);
+      checkedIn.push({
+        bookingId: booking.id,
+        guestName: booking.guest.name,
+        roomId: room.id,
+        roomNumber: room.roomNumber,
+        floor: room.floor,
+        previousRoomStatus: room.status,
+        checkInTime: checkedInAt
+      });
+    }
+
+    console.log(`👥 Group "${group.name}": ${checkedIn.length} checked in, ${skipped.length} skipped`);
+
+    // 🔌 WEBSOCKET: Broadcast the group arrival
+    if (global.socketServer && checkedIn.length > 0) {
+      const arrivalData = {
+        groupId,
+        name: group.name,
+        checkedIn,
+        skipped,
+        checkedInBy: {
+          userId: req.user.userId,
+          userName: req.user.name,
+          userRole: req.user.role
+        }
+      };
+
+      global.socketServer.broadcastToHotel(hotelId, 'group_checked_in', arrivalData);
+      checkedIn.forEach(arrival => {
+        global.socketServer.broadcastToRole(hotelId, 'housekeeping', 'room_occupied', { ...arrival, roomStatus: 'occupied' });
+      });
+    }
+
+    res.json({
+      message: `${checkedIn.length} group booking(s) checked in successfully`,
+      checkedIn,
+      skipped
+    });
+
+  } catch (error) {
+    console.error('Group check-in error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Bill for the whole group: one line per rooming list booking
+ * Bookings with a folio bill what is posted on it; upcoming stays show their
+ * room charges and older cancellations/no-shows their fee
+ */
+const buildGroupBill = (group, bookings) => {
+  const lines = bookings.map(booking => {
+    let roomCharges = 0;
+    let roomServiceCharges = 0;
+    let otherCharges = 0;
+    let fees = 0;
+
+    if (booking.folio) {
+      const { byType } = summarizeFolio(booking.folio);
+      roomCharges = roundCurrency((byType.room_night || 0) + (byType.discount || 0));
+      roomServiceCharges = byType.room_service || 0;
+      otherCharges = roundCurrency((byType.extra || 0) + (byType.tax || 0) + (byType.adjustment || 0));
+      fees = roundCurrency((byType.cancellation_fee || 0) + (byType.no_show_fee || 0) + (byType.early_departure_fee || 0));
+    } else if (booking.status === 'cancelled') {
+      fees = parseFloat(booking.cancellationFee || 0);
+    } else if (booking.status === 'no_show') {
+      fees = parseFloat(booking.noShowFee || 0);
+    } else {
+      roomCharges = parseFloat(booking.totalAmount);
+    }
+
+    return {
+      bookingId: booking.id,
+      guestName: booking.guest.name,
+      roomNumber: booking.room ? booking.room.roomNumber : null,
+      roomType: booking.roomType.name,
+      checkInDate: booking.checkInDate,
+      checkOutDate: booking.checkOutDate,
+      status: booking.status,
+      folioStatus: booking.folio ? booking.folio.status : null,
+      roomCharges,
+      roomServiceCharges,
+      otherCharges,
+      fees,
+      total: roundCurrency(roomCharges + roomServiceCharges + otherCharges + fees)
+    };
+  });
+
+  return {
+    groupId: group.id,
+    name: group.name,
+    consolidated: group.consolidatedBilling,
+    billedTo: group.consolidatedBilling ? group.organizer : null,
+    lines,
+    totals: {
+      roomCharges: roundCurrency(lines.reduce((total, line) => total + line.roomCharges, 0)),
+      roomServiceCharges: roundCurrency(lines.reduce((total, line) => total + line.roomServiceCharges, 0)),
+      otherCharges: roundCurrency(lines.reduce((total, line) => total + line.otherCharges, 0)),
+      fees: roundCurrency(lines.reduce((total, line) => total + line.fees, 0)),
+      totalAmount: roundCurrency(lines.reduce((total, line) => total + line.total, 0))
+    }
+  };
+};
+
+const groupBillInclude = {
+  guest: { select: { name: true } },
+  roomType: { select: { name: true } },
+  room: { select: { id: true, roomNumber: true } },
+  nightlyRates: true,
+  folio: { include: { lines: true } }
+};
+
+// Check out the group's in-house rooms together
+const groupCheckOut = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const groupId = parseInt(req.params.groupId);
+    const { bookingIds } = groupCheckOutSchema.parse(req.body || {});
+
+    const group = await prisma.groupBooking.findFirst({
+      where: { id: groupId, hotelId },
+      include: { organizer: groupInclude.organizer }
+    });
+
+    if (!group) {
+      return res.status(404).json({ error: 'Group booking not found' });
+    }
+
+    const bookings = await prisma.booking.findMany({
+      where: {
+        hotelId,
+        groupBookingId: groupId,
+        status: 'checked_in',
+        ...(bookingIds && { id: { in: bookingIds } })
+      },
+      include: groupBillInclude
+    });
+
+    if (bookings.length === 0) {
+      return res.status(400).json({ error: 'No checked-in group bookings to check out' });
+    }
+
+    const checkedOutAt = new Date();
+    const checkedOut = [];
+
+    // Same as a single check-out: each room's folio is brought up to date and settled,
+    // all in one transaction per room
+    for (const booking of bookings) {
+      const departure = await prisma.$transaction(async (tx) => {
+        // Guard on status so a room checked out meanwhile isn't settled twice
+        const claimed = await tx.booking.updateMany({
+          where: { id: booking.id, status: 'checked_in' },
+          data: {
+            status: 'checked_out',
+            checkedOutAt
+          }
+        });
+
+        if (claimed.count === 0) return null;
+
+        await tx.room.update({
+          where: { id: booking.roomId },
+          data: { status: 'dirty' } // Room needs cleaning after checkout
+        });
+
+        const checkedOutBooking = await tx.booking.findUnique({ where: { id: booking.id } });
+
+        await recordBookingHistory({
+          booking: checkedOutBooking,
+          before: booking,
+          action: 'checked_out',
+          reason: `Group check-out "${group.name}"`,
+          performedById: req.user.userId
+        }, tx);
+
+        const { summary } = await settleFolio(booking, { settledById: req.user.userId, client: tx });
+        const paymentPosition = await refreshPaymentStatus(booking.id, tx);
+
+        return { summary, paymentPosition };
+      }, {
+        maxWait: 5000,
+        timeout: 20000
+      });
+
+      if (!departure) continue;
+
+      const { summary, paymentPosition } = departure;
+
+      checkedOut.push({
+        bookingId: booking.id,
+        guestName: booking.guest.name,
+        roomId: booking.roomId,
+        roomNumber: booking.room.roomNumber,
+        finalBillAmount: summary.balance,
+        paymentStatus: paymentPosition.paymentStatus,
+        balanceDue: paymentPosition.balanceDue
+      });
+    }
+
+    // Mark the group completed once nobody is left to arrive or depart
+    const remaining = await prisma.booking.count({
+      where: {
+        groupBookingId: groupId,
+        status: { in: ['confirmed', 'checked_in'] }
+      }
+    });
+
+    if (remaining === 0 && group.status === 'active') {
+      await prisma.groupBooking.update({
+        where: { id: groupId },
+        data: { status: 'completed' }
+      });
+    }
+
+    const allBookings = await prisma.booking.findMany({
+      where: { groupBookingId: groupId },
+      include: groupBillInclude,
+      orderBy: { id: 'asc' }
+    });
+
+    console.log(`👥 Group "${group.name}": ${checkedOut.length} room(s) checked out`);
+
+    // 🔌 WEBSOCKET: Rooms need cleaning
+    if (global.socketServer) {
+      const departureData = {
+        groupId,
+        name: group.name,
+        checkedOut,
+        checkedOutBy: {
+          userId: req.user.userId,
+          userName: req.user.name,
+          userRole: req.user.role
+        }
+      };
+
+      global.socketServer.broadcastToHotel(hotelId, 'group_checked_out', departureData);
+      checkedOut.forEach(departure => {
+        global.socketServer.broadcastToRole(hotelId, 'housekeeping', 'room_needs_urgent_cleaning', { ...departure, roomStatus: 'dirty' });
+      });
+    }
+
+    res.json({
+      message: `${checkedOut.length} group booking(s) checked out successfully`,
+      checkedOut,
+      groupCompleted: remaining === 0,
+      bill: buildGroupBill(group, allBookings)
+    });
+
+  } catch (error) {
+    console.error('Group check-out error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Bill for the whole group (consolidated for the organizer when enabled)
+const getGroupBill = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const groupId = parseInt(req.params.groupId);
+
+    const group = await prisma.groupBooking.findFirst({
+      where: { id: groupId, hotelId },
+      include: { organizer: groupInclude.organizer }
+    });
+
+    if (!group) {
+      return res.status(404).json({ error: 'Group booking not found' });
+    }
+
+    const bookings = await prisma.booking.findMany({
+      where: { groupBookingId: groupId },
+      include: groupBillInclude,
+      orderBy: { id: 'asc' }
+    });
+
+    res.json({
+      message: 'Group bill calculated',
+      bill: buildGroupBill(group, bookings)
+    });
+
+  } catch (error) {
+    console.error('Group bill error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  GROUP_TYPES,
+  createGroup,
+  getGroups,
+  getGroupById,
+  updateGroup,
+  addBlock,
+  releaseGroup,
+  addRoomingListEntry,
+  groupCheckIn,
+  groupCheckOut,
+  getGroupBill
+};
@@ -1,5 +1,6 @@
 const { PrismaClient } = require('@prisma/client');
 const { z } = require('zod');
+const { GSTIN_PATTERN } = require('../utils/gst');
 
 const prisma = new PrismaClient();
 
@@ -22,6 +23,16 @@ const createGuestSchema = z.object({
     .max(255, 'Organization name too long')
     .optional()
     .nullable(),
+  gstin: z.string()
+    .regex(GSTIN_PATTERN, 'Invalid GSTIN')
+    .optional()
+    .nullable(),
+  // Corporate account the guest travels for - their bookings get its negotiated rates
+  companyId: z.number()
+    .int()
+    .positive()
+    .optional()
+    .nullable(),
   guestType: z.enum(['individual', 'corporate'])
     .default('individual'),
   idType: z.string()
@@ -65,13 +76,29 @@ const createGuest = async (req, res) => {
       });
     }
 
+    let company = null;
+    if (guestData.companyId) {
+      company = await prisma.company.findFirst({
+        where: {
+          id: guestData.companyId,
+          hotelId
+        }
+      });
+
+      if (!company) {
+        return res.status(404).json({ error: 'Company not found' });
+      }
+    }
+
     // Create guest
     const guest = await prisma.guest.create({
       data: {
         ...guestData,
         hotelId,
         email: guestData.email || null,
-        organization: guestData.organization || null
+        organization: guestData.organization || (company ? company.name : null),
+        companyId: company ? company.id : null,
+        gstin: guestData.gstin || null
       }
     });
 
@@ -252,6 +279,19 @@ const updateGuest = async (req, res) => {
       }
     }
 
+    if (updateData.companyId) {
+      const company = await prisma.company.findFirst({
+        where: {
+          id: updateData.companyId,
+          hotelId
+        }
+      });
+
+      if (!company) {
+        return res.status(404).json({ error: 'Company not found' });
+      }
+    }
+
     // Update guest
     const updatedGuest = await prisma.guest.update({
       where: { id: parseInt(guestId) },
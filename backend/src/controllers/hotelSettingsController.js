@@ -0,0 +1,109 @@
+const { PrismaClient } = require('@prisma/client');
+const { z } = require('zod');
+const { NO_SHOW_CHARGE_TYPES } = require('../jobs/noShowProcessor');
+const { GSTIN_PATTERN } = require('../utils/gst');
+
+const prisma = new PrismaClient();
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Operational settings the hotel owner can change
+const SETTINGS_SELECT = {
+  id: true,
+  name: true,
+  checkInTime: true,
+  autoNoShowEnabled: true,
+  noShowCutoffTime: true,
+  noShowChargeType: true,
+  gstin: true,
+  legalName: true,
+  invoicePrefix: true,
+  pricesIncludeTax: true,
+  guestNotificationsEnabled: true,
+  preArrivalReminderDays: true
+};
+
+const updateSettingsSchema = z.object({
+  checkInTime: z.string().regex(TIME_OF_DAY, 'Check-in time must be HH:MM (24 hour)').optional(),
+  autoNoShowEnabled: z.boolean().optional(),
+  noShowCutoffTime: z.string().regex(TIME_OF_DAY, 'No-show cutoff must be HH:MM (24 hour)').optional(),
+  noShowChargeType: z.enum(NO_SHOW_CHARGE_TYPES).optional(),
+  gstin: z.string().regex(GSTIN_PATTERN, 'Invalid GSTIN').optional().nullable(),
+  legalName: z.string().min(2).max(255).optional().nullable(),
+  // 'CN' is taken by credit notes
+  invoicePrefix: z.string()
+    .regex(/^[A-Z0-9]{1,4}$/, 'Invoice prefix must be 1-4 capital letters or digits')
+    .refine((prefix) => prefix !== 'CN', 'CN is reserved for credit notes')
+    .optional(),
+  // Applies to bookings and charges priced from now on
+  pricesIncludeTax: z.boolean().optional(),
+  // Confirmation, change and cancellation messages to guests
+  guestNotificationsEnabled: z.boolean().optional(),
+  // Days before arrival the reminder goes out; 0 sends none
+  preArrivalReminderDays: z.number().int().min(0).max(30).optional()
+});
+
+// Get hotel operational settings
+const getHotelSettings = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+
+    const settings = await prisma.hotel.findUnique({
+      where: { id: hotelId },
+      select: SETTINGS_SELECT
+    });
+
+    if (!settings) {
+      return res.status(404).json({ error: 'Hotel not found' });
+    }
+
+    res.json({
+      message: 'Hotel settings retrieved successfully',
+      settings
+    });
+
+  } catch (error) {
+    console.error('Get hotel settings error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Update hotel operational settings
+const updateHotelSettings = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const updateData = updateSettingsSchema.parse(req.body);
+
+    const settings = await prisma.hotel.update({
+      where: { id: hotelId },
+      data: updateData,
+      select: SETTINGS_SELECT
+    });
+
+    res.json({
+      message: 'Hotel settings updated successfully',
+      settings
+    });
+
+  } catch (error) {
+    console.error('Update hotel settings error:', error);
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.issues.map(err => ({
+          field: err.path.join('.'),
+          message: err.message
+        }))
+      });
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  getHotelSettings,
+  updateHotelSettings,
+  TIME_OF_DAY
+};
@@ -0,0 +1,356 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { z } = require('zod');
+const { buildCalendar, parseCalendar } = require('../utils/ical');
+const { getFeedEvents, importCalendarEvents } = require('../utils/icalSync');
+
+const prisma = new PrismaClient();
+
+// Validation schemas - imports may be multipart, so numbers and flags can arrive as strings
+const createFeedSchema = z.object({
+  roomId: z.number().int().positive().optional(),
+  roomTypeId: z.number().int().positive().optional(),
+  name: z.string().max(100).optional().nullable()
+}).refine((data) => Boolean(data.roomId) !== Boolean(data.roomTypeId), {
+  message: 'Give either a room or a room type',
+  path: ['roomId']
+});
+
+const importCalendarSchema = z.object({
+  // Booking source of the blocks, e.g. airbnb
+  channel: z.string()
+    .trim()
+    .toLowerCase()
+    .regex(/^[a-z0-9][a-z0-9._-]{1,29}$/, 'Channel must be 2-30 letters, digits, dots, dashes or underscores'),
+  roomId: z.coerce.number().int().positive().optional(),
+  roomTypeId: z.coerce.number().int().positive().optional(),
+  // Pasted .ics text when no file is uploaded
+  content: z.string().max(5 * 1024 * 1024).optional(),
+  dryRun: z.preprocess((value) => value === true || value === 'true', z.boolean())
+}).refine((data) => Boolean(data.roomId) !== Boolean(data.roomTypeId), {
+  message: 'Give either a room or a room type',
+  path: ['roomId']
+});
+
+const validationError = (res, error) => {
+  return res.status(400).json({
+    error: 'Validation failed',
+    details: error.issues.map(err => ({
+      field: err.path.join('.'),
+      message: err.message
+    }))
+  });
+};
+
+const feedInclude = {
+  room: { select: { id: true, roomNumber: true } },
+  roomType: { select: { id: true, name: true } },
+  createdBy: { select: { id: true, name: true } }
+};
+
+// Where channels fetch the feed from - the token is the only credential
+const feedUrl = (req, feed) => `${req.protocol}://${req.get('host')}/api/ical/feeds/${feed.token}.ics`;
+
+// Feeds of the hotel, with their URLs
+const getFeeds = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+
+    const feeds = await prisma.icalFeed.findMany({
+      where: {
+        hotelId,
+        isActive: true
+      },
+      include: feedInclude,
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({
+      message: 'iCal feeds retrieved successfully',
+      feeds: feeds.map(feed => ({ ...feed, url: feedUrl(req, feed) })),
+      count: feeds.length
+    });
+
+  } catch (error) {
+    console.error('Get iCal feeds error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// New read-only feed for a room or a room type
+const createFeed = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const feedData = createFeedSchema.parse(req.body);
+
+    const target = feedData.roomId
+      ? await prisma.room.findFirst({ where: { id: feedData.roomId, hotelId } })
+      : await prisma.roomType.findFirst({ where: { id: feedData.roomTypeId, hotelId } });
+
+    if (!target) {
+      return res.status(404).json({ error: feedData.roomId ? 'Room not found' : 'Room type not found' });
+    }
+
+    const feed = await prisma.icalFeed.create({
+      data: {
+        hotelId,
+        roomId: feedData.roomId || null,
+        roomTypeId: feedData.roomTypeId || null,
+        name: feedData.name || null,
+        token: crypto.randomBytes(24).toString('hex'),
+        createdById: req.user.userId
+      },
+      include: feedInclude
+    });
+
+    console.log(`📅 iCal feed created for ${feedData.roomId ? `room ${target.roomNumber}` : target.name} by ${req.user.name}`);
+
+    res.status(201).json({
+      message: 'iCal feed created successfully',
+      feed: { ...feed, url: feedUrl(req, feed) }
+    });
+
+  } catch (error) {
+    console.error('Create iCal feed error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Stop a feed - its URL returns 404 from now on (create a new one to rotate the token)
+const revokeFeed = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const feedId = parseInt(req.params.feedId);
+
+    const { count } = await prisma.icalFeed.updateMany({
+      where: {
+        id: feedId,
+        hotelId,
+        isActive: true
+      },
+      data: {
+        isActive: false,
+        revokedAt: new Date()
+      }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'iCal feed not found' });
+    }
+
+    console.log(`📅 iCal feed ${feedId} revoked by ${req.user.name}`);
+
+    res.json({ message: 'iCal feed revoked successfully' });
+
+  } catch (error) {
+    console.error('Revoke iCal feed error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * The .ics a channel polls - no login, the token identifies the feed
+ * Publishes dates only, never guest details
+ */
+const getFeedCalendar = async (req, res) => {
+  try {
+    const feed = await prisma.icalFeed.findUnique({
+      where: { token: req.params.token },
+      include: {
+        hotel: { select: { name: true } },
+        room: { select: { roomNumber: true } },
+        roomType: { select: { name: true } }
+      }
+    });
+
+    if (!feed || !feed.isActive) {
+      return res.status(404).type('text/plain').send('Calendar not found');
+    }
+
+    const events = await getFeedEvents(feed);
+    const target = feed.room ? `Room ${feed.room.roomNumber}` : feed.roomType.name;
+
+    // Channels poll often - the timestamp is for the desk, it must never fail the feed
+    prisma.icalFeed.update({
+      where: { id: feed.id },
+      data: { lastAccessedAt: new Date() }
+    }).catch(error => console.error('iCal feed access time error:', error));
+
+    res
+      .type('text/calendar; charset=utf-8')
+      .set('Content-Disposition', `inline; filename="${feed.room ? `room-${feed.room.roomNumber}` : `room-type-${feed.roomTypeId}`}.ics"`)
+      .send(buildCalendar({ name: `${feed.hotel.name} - ${target}`, events }));
+
+  } catch (error) {
+    console.error('iCal feed error:', error);
+    res.status(500).type('text/plain').send('Calendar unavailable');
+  }
+};
+
+// Channel calendars imported so far, with how the last import went
+const getCalendars = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+
+    const calendars = await prisma.icalCalendar.findMany({
+      where: { hotelId },
+      include: {
+        room: { select: { id: true, roomNumber: true } },
+        roomType: { select: { id: true, name: true } },
+        lastImportedBy: { select: { id: true, name: true } },
+        _count: {
+          select: { bookings: { where: { status: 'confirmed' } } }
+        }
+      },
+      orderBy: { lastImportedAt: 'desc' }
+    });
+
+    res.json({
+      message: 'iCal calendars retrieved successfully',
+      calendars,
+      count: calendars.length
+    });
+
+  } catch (error) {
+    console.error('Get iCal calendars error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Import a channel's .ics (uploaded as `file` or pasted as `content`) for a room or room type
+ * Events become blocking reservations with the channel as source; re-importing the
+ * same channel calendar moves changed blocks and cancels ones whose event is gone.
+ * With dryRun=true nothing is saved.
+ */
+const importCalendar = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const importData = importCalendarSchema.parse(req.body);
+
+    const text = req.file ? req.file.buffer.toString('utf8') : importData.content;
+
+    if (!text) {
+      return res.status(400).json({ error: 'Upload an .ics file or paste its content' });
+    }
+
+    const events = parseCalendar(text);
+
+    // An unreadable file must never reconcile every block away
+    if (!events) {
+      return res.status(400).json({ error: 'Content is not an iCalendar (.ics) file' });
+    }
+
+    const room = importData.roomId
+      ? await prisma.room.findFirst({ where: { id: importData.roomId, hotelId } })
+      : null;
+    const roomTypeId = room ? room.roomTypeId : importData.roomTypeId;
+    const roomType = await prisma.roomType.findFirst({ where: { id: roomTypeId, hotelId } });
+
+    if (importData.roomId && !room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    if (!roomType) {
+      return res.status(404).json({ error: 'Room type not found' });
+    }
+
+    // One calendar per channel and room (or room type) - re-imports reconcile against it
+    const calendarKey = {
+      hotelId,
+      channel: importData.channel,
+      roomId: room ? room.id : null,
+      roomTypeId: roomType.id
+    };
+    const existingCalendar = await prisma.icalCalendar.findFirst({ where: calendarKey });
+
+    const calendar = existingCalendar || (importData.dryRun
+      ? { id: null, ...calendarKey }
+      : await prisma.icalCalendar.create({ data: calendarKey }));
+    calendar.roomType = roomType;
+
+    const { summary, results } = await importCalendarEvents({
+      calendar,
+      events,
+      dryRun: importData.dryRun,
+      performedById: req.user.userId
+    });
+
+    if (importData.dryRun) {
+      return res.json({
+        message: 'Import preview - nothing has been saved',
+        dryRun: true,
+        channel: importData.channel,
+        totalEvents: events.length,
+        summary,
+        results
+      });
+    }
+
+    await prisma.icalCalendar.update({
+      where: { id: calendar.id },
+      data: {
+        lastImportedAt: new Date(),
+        lastImportedById: req.user.userId,
+        lastSummary: summary
+      }
+    });
+
+    const target = room ? `room ${room.roomNumber}` : roomType.name;
+    console.log(`📅 ${importData.channel} calendar for ${target} imported by ${req.user.name}: ${summary.created} created, ${summary.updated} updated, ${summary.removed} removed, ${summary.failed} failed`);
+
+    // 🔌 WEBSOCKET: Blocks change what the desk can sell
+    if (global.socketServer && (summary.created + summary.updated + summary.removed) > 0) {
+      const importUpdate = {
+        calendarId: calendar.id,
+        channel: importData.channel,
+        roomId: calendar.roomId,
+        roomTypeId: roomType.id,
+        summary,
+        importedBy: {
+          userId: req.user.userId,
+          userName: req.user.name,
+          userRole: req.user.role
+        }
+      };
+
+      global.socketServer.broadcastToRole(hotelId, 'hotel_manager', 'ical_import_completed', importUpdate);
+      global.socketServer.broadcastToRole(hotelId, 'front_desk', 'ical_import_completed', importUpdate);
+    }
+
+    res.json({
+      message: summary.failed > 0
+        ? `Calendar imported with ${summary.failed} failed event(s)`
+        : 'Calendar imported successfully',
+      dryRun: false,
+      calendarId: calendar.id,
+      channel: importData.channel,
+      totalEvents: events.length,
+      summary,
+      results
+    });
+
+  } catch (error) {
+    console.error('iCal import error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  getFeeds,
+  createFeed,
+  revokeFeed,
+  getFeedCalendar,
+  getCalendars,
+  importCalendar
+};
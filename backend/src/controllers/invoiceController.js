@@ -0,0 +1,466 @@
+const { PrismaClient } = require('@prisma/client');
+const { z } = require('zod');
+const {
+  GSTIN_PATTERN,
+  gstinStateCode,
+  getFinancialYear,
+  formatInvoiceNumber,
+  buildInvoiceLines,
+  sumInvoiceLines
+} = require('../utils/gst');
+const { renderInvoiceHtml, renderInvoicePdf } = require('../utils/invoiceDocument');
+
+const prisma = new PrismaClient();
+
+// Credit notes run their own sequence alongside the hotel's invoice prefix
+const CREDIT_NOTE_PREFIX = 'CN';
+
+// Validation schemas
+const issueInvoiceSchema = z.object({
+  // Override the recipient (defaults to the booking's company, else the guest or their organization when it has a GSTIN)
+  recipientName: z.string().min(2).max(255).optional(),
+  recipientAddress: z.string().max(500).optional().nullable(),
+  recipientGstin: z.string().regex(GSTIN_PATTERN, 'Invalid GSTIN').optional().nullable(),
+  // GST state code - only differs from the hotel's state for supplies taxed as inter-state (e.g. SEZ units)
+  placeOfSupply: z.string().regex(/^[0-9]{2}$/, 'Place of supply must be a 2-digit state code').optional()
+});
+
+const creditNoteSchema = z.object({
+  reason: z.string().min(3, 'Reason is required').max(1000)
+});
+
+const validationError = (res, error) => {
+  return res.status(400).json({
+    error: 'Validation failed',
+    details: error.issues.map(err => ({
+      field: err.path.join('.'),
+      message: err.message
+    }))
+  });
+};
+
+const invoiceInclude = {
+  lines: { orderBy: { id: 'asc' } },
+  booking: {
+    select: {
+      id: true,
+      checkInDate: true,
+      checkOutDate: true,
+      guest: { select: { id: true, name: true } },
+      room: { select: { roomNumber: true } }
+    }
+  },
+  creditNoteFor: { select: { id: true, invoiceNumber: true, issueDate: true } },
+  creditNote: { select: { id: true, invoiceNumber: true, issueDate: true, reason: true } },
+  issuedBy: { select: { id: true, name: true } }
+};
+
+/**
+ * Take the next number in a hotel's sequence
+ * Runs inside the issuing transaction: the row stays locked until the document is saved,
+ * and a failed issue rolls the counter back, so numbers never skip
+ */
+const allocateDocumentNumber = async (tx, { hotelId, documentType, prefix, issueDate }) => {
+  const financialYear = getFinancialYear(issueDate);
+
+  const sequence = await tx.invoiceSequence.upsert({
+    where: {
+      hotelId_documentType_financialYear: { hotelId, documentType, financialYear }
+    },
+    create: { hotelId, documentType, financialYear, lastNumber: 1 },
+    update: { lastNumber: { increment: 1 } }
+  });
+
+  return {
+    financialYear,
+    sequenceNumber: sequence.lastNumber,
+    invoiceNumber: formatInvoiceNumber(prefix, financialYear, sequence.lastNumber)
+  };
+};
+
+const statusError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Issue the tax invoice for a completed stay
+const issueInvoice = async (req, res) => {
+  try {
+    const bookingId = parseInt(req.params.bookingId);
+    const hotelId = req.user.hotelId;
+    const invoiceData = issueInvoiceSchema.parse(req.body || {});
+
+    const hotel = await prisma.hotel.findUnique({
+      where: { id: hotelId },
+      select: { name: true, legalName: true, address: true, gstin: true, invoicePrefix: true }
+    });
+
+    if (!hotel.gstin) {
+      return res.status(400).json({
+        error: 'Hotel GSTIN is not set',
+        message: 'Add the GSTIN in hotel settings before issuing tax invoices'
+      });
+    }
+
+    const booking = await prisma.booking.findFirst({
+      where: {
+        id: bookingId,
+        hotelId
+      },
+      include: {
+        guest: true,
+        company: true,
+        folio: { include: { lines: { orderBy: [{ postedAt: 'asc' }, { id: 'asc' }] } } }
+      }
+    });
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    if (booking.status !== 'checked_out' || !booking.folio || booking.folio.status !== 'settled') {
+      return res.status(400).json({ error: 'Invoices are issued once the guest has checked out and the folio is settled' });
+    }
+
+    const supplierState = gstinStateCode(hotel.gstin);
+    const placeOfSupply = invoiceData.placeOfSupply || supplierState;
+    const taxType = placeOfSupply === supplierState ? 'intra_state' : 'inter_state';
+
+    const lines = buildInvoiceLines(booking.folio, taxType);
+    if (lines.length === 0) {
+      return res.status(400).json({ error: 'Nothing to invoice - the folio has no charges' });
+    }
+
+    // Corporate stays are billed to the company; business guests in their organization's name when they have a GSTIN
+    const { guest, company } = booking;
+    const recipientGstin = invoiceData.recipientGstin !== undefined ? invoiceData.recipientGstin : (company ? company.gstin : guest.gstin);
+    const recipientName = invoiceData.recipientName || (company
+      ? company.legalName || company.name
+      : (recipientGstin && guest.organization ? guest.organization : guest.name));
+    const issueDate = new Date();
+
+    const invoice = await prisma.$transaction(async (tx) => {
+      // One live invoice per stay - re-print it, or issue a credit note first to replace it
+      // (a partial unique index backs this check up when two requests race)
+      const existing = await tx.invoice.findFirst({
+        where: {
+          bookingId,
+          documentType: 'invoice',
+          status: 'issued'
+        },
+        select: { invoiceNumber: true }
+      });
+
+      if (existing) {
+        throw statusError(409, `Invoice ${existing.invoiceNumber} is already issued for this booking`);
+      }
+
+      const number = await allocateDocumentNumber(tx, {
+        hotelId,
+        documentType: 'invoice',
+        prefix: hotel.invoicePrefix,
+        issueDate
+      });
+
+      return tx.invoice.create({
+        data: {
+          hotelId,
+          bookingId,
+          documentType: 'invoice',
+          ...number,
+          issueDate,
+          supplierName: hotel.legalName || hotel.name,
+          supplierAddress: hotel.address,
+          supplierGstin: hotel.gstin,
+          recipientName,
+          recipientAddress: invoiceData.recipientAddress !== undefined ? invoiceData.recipientAddress : (company ? company.billingAddress : guest.address),
+          recipientGstin: recipientGstin || null,
+          placeOfSupply,
+          taxType,
+          ...sumInvoiceLines(lines),
+          issuedById: req.user.userId,
+          lines: { create: lines }
+        },
+        include: invoiceInclude
+      });
+    });
+
+    console.log(`🧾 Invoice ${invoice.invoiceNumber} issued for booking ${bookingId} (${invoice.totalAmount})`);
+
+    res.status(201).json({
+      message: 'Invoice issued successfully',
+      invoice
+    });
+
+  } catch (error) {
+    console.error('Issue invoice error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+
+    // Another request issued the stay's invoice between our check and insert
+    if (error.code === 'P2002') {
+      const live = await prisma.invoice.findFirst({
+        where: { bookingId: parseInt(req.params.bookingId), documentType: 'invoice', status: 'issued' },
+        select: { invoiceNumber: true }
+      });
+
+      if (live) {
+        return res.status(409).json({ error: `Invoice ${live.invoiceNumber} is already issued for this booking` });
+      }
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// List invoices and credit notes
+const getInvoices = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const { financialYear, documentType, status, bookingId, page = 1, limit = 20 } = req.query;
+
+    const filters = { hotelId };
+    if (financialYear) filters.financialYear = financialYear;
+    if (documentType) filters.documentType = documentType;
+    if (status) filters.status = status;
+    if (bookingId) filters.bookingId = parseInt(bookingId);
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [invoices, totalCount] = await Promise.all([
+      prisma.invoice.findMany({
+        where: filters,
+        include: {
+          booking: { select: { id: true, guest: { select: { name: true } } } },
+          creditNoteFor: { select: { id: true, invoiceNumber: true } },
+          creditNote: { select: { id: true, invoiceNumber: true } }
+        },
+        orderBy: [{ issueDate: 'desc' }, { id: 'desc' }],
+        skip,
+        take: parseInt(limit)
+      }),
+      prisma.invoice.count({ where: filters })
+    ]);
+
+    res.json({
+      message: 'Invoices retrieved successfully',
+      invoices,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: totalCount,
+        totalPages: Math.ceil(totalCount / parseInt(limit))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get invoices error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Get one invoice or credit note
+const getInvoiceById = async (req, res) => {
+  try {
+    const invoice = await prisma.invoice.findFirst({
+      where: {
+        id: parseInt(req.params.invoiceId),
+        hotelId: req.user.hotelId
+      },
+      include: invoiceInclude
+    });
+
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    res.json({
+      message: 'Invoice retrieved successfully',
+      invoice
+    });
+
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Print (or re-print) an invoice as HTML or PDF - ?format=pdf|html
+const printInvoice = async (req, res) => {
+  try {
+    const invoiceId = parseInt(req.params.invoiceId);
+    const format = req.query.format === 'html' ? 'html' : 'pdf';
+
+    const existing = await prisma.invoice.findFirst({
+      where: {
+        id: invoiceId,
+        hotelId: req.user.hotelId
+      },
+      select: { id: true }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    // Every print is counted so copies after the first are marked as reprints
+    const invoice = await prisma.invoice.update({
+      where: { id: invoiceId },
+      data: {
+        printCount: { increment: 1 },
+        lastPrintedAt: new Date()
+      },
+      include: invoiceInclude
+    });
+
+    const fileName = invoice.invoiceNumber.replace(/\//g, '-');
+
+    if (format === 'html') {
+      res.type('html').send(renderInvoiceHtml(invoice));
+      return;
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${fileName}.pdf"`);
+    res.send(await renderInvoicePdf(invoice));
+
+  } catch (error) {
+    console.error('Print invoice error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Cancel an invoice by issuing a credit note for its full value
+const issueCreditNote = async (req, res) => {
+  try {
+    const invoiceId = parseInt(req.params.invoiceId);
+    const hotelId = req.user.hotelId;
+    const { reason } = creditNoteSchema.parse(req.body);
+
+    const original = await prisma.invoice.findFirst({
+      where: {
+        id: invoiceId,
+        hotelId
+      },
+      include: { lines: { orderBy: { id: 'asc' } } }
+    });
+
+    if (!original) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    if (original.documentType !== 'invoice') {
+      return res.status(400).json({ error: 'Credit notes can only be issued against invoices' });
+    }
+
+    const issueDate = new Date();
+
+    const creditNote = await prisma.$transaction(async (tx) => {
+      // Guarded on status so two requests can't both cancel the same invoice
+      const { count } = await tx.invoice.updateMany({
+        where: {
+          id: invoiceId,
+          status: 'issued'
+        },
+        data: { status: 'cancelled' }
+      });
+
+      if (count === 0) {
+        throw statusError(409, `Invoice ${original.invoiceNumber} is already cancelled`);
+      }
+
+      const number = await allocateDocumentNumber(tx, {
+        hotelId,
+        documentType: 'credit_note',
+        prefix: CREDIT_NOTE_PREFIX,
+        issueDate
+      });
+
+      return tx.invoice.create({
+        data: {
+          hotelId,
+          bookingId: original.bookingId,
+          documentType: 'credit_note',
+          ...number,
+          issueDate,
+          creditNoteForId: original.id,
+          reason,
+          supplierName: original.supplierName,
+          supplierAddress: original.supplierAddress,
+          supplierGstin: original.supplierGstin,
+          recipientName: original.recipientName,
+          recipientAddress: original.recipientAddress,
+          recipientGstin: original.recipientGstin,
+          placeOfSupply: original.placeOfSupply,
+          taxType: original.taxType,
+          taxableAmount: original.taxableAmount,
+          cgstAmount: original.cgstAmount,
+          sgstAmount: original.sgstAmount,
+          igstAmount: original.igstAmount,
+          totalAmount: original.totalAmount,
+          issuedById: req.user.userId,
+          lines: {
+            create: original.lines.map(({ id, invoiceId: lineInvoiceId, ...line }) => line)
+          }
+        },
+        include: invoiceInclude
+      });
+    });
+
+    console.log(`🧾 Credit note ${creditNote.invoiceNumber} issued against ${original.invoiceNumber} by ${req.user.name}`);
+
+    // 🔌 WEBSOCKET: Cancelled invoices change the books - owners and managers are told
+    if (global.socketServer) {
+      const creditNoteData = {
+        creditNoteId: creditNote.id,
+        creditNoteNumber: creditNote.invoiceNumber,
+        invoiceId: original.id,
+        invoiceNumber: original.invoiceNumber,
+        bookingId: original.bookingId,
+        amount: creditNote.totalAmount,
+        reason,
+        issuedBy: {
+          userId: req.user.userId,
+          userName: req.user.name,
+          userRole: req.user.role
+        }
+      };
+
+      global.socketServer.broadcastToRole(hotelId, 'hotel_owner', 'credit_note_issued', creditNoteData);
+      global.socketServer.broadcastToRole(hotelId, 'hotel_manager', 'credit_note_issued', creditNoteData);
+    }
+
+    res.status(201).json({
+      message: 'Credit note issued successfully',
+      creditNote
+    });
+
+  } catch (error) {
+    console.error('Issue credit note error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  issueInvoice,
+  getInvoices,
+  getInvoiceById,
+  printInvoice,
+  issueCreditNote
+};
@@ -1,5 +1,6 @@
 const { PrismaClient } = require('@prisma/client');
 const { z } = require('zod');
+const { getOverbookingPosition } = require('../utils/overbooking');
 
 const prisma = new PrismaClient();
 
@@ -147,6 +148,9 @@ const getManagerDashboard = async (req, res) => {
     const pendingUrgentTasks = tasksByPriority.urgent.filter(t => t.status !== 'completed').length;
     const overdueCount = tasksByStatus.overdue.length;
 
+    // Tonight's overbooking - who to relocate or walk if arrivals exceed rooms
+    const overbooking = await getOverbookingPosition({ hotelId, date: today });
+
     res.json({
       message: 'Manager dashboard loaded',
       date: today.toDateString(),
@@ -164,7 +168,12 @@ const getManagerDashboard = async (req, res) => {
       tasksByPriority,
       canLogout: pendingUrgentTasks === 0, // Can only logout if no urgent tasks pending
       logoutBlockReason: pendingUrgentTasks > 0 ? 
-        `${pendingUrgentTasks} urgent task${pendingUrgentTasks > 1 ? 's' : ''} must be completed before logout` : null
+        `${pendingUrgentTasks} urgent task${pendingUrgentTasks > 1 ? 's' : ''} must be completed before logout` : null,
+      overbooking: {
+        overbooked: overbooking.overbooked,
+        roomTypes: overbooking.roomTypes.filter(roomType => roomType.overbookedBy > 0 || roomType.allowance > 0),
+        walkList: overbooking.walkList
+      }
     });
 
   } catch (error) {
@@ -0,0 +1,289 @@
+const { PrismaClient } = require('@prisma/client');
+const { z } = require('zod');
+const { roundCurrency } = require('../utils/pricingEngine');
+const { startOfDay, addDays, toTimeKey, isWithinTimeWindow } = require('../utils/dateUtils');
+
+const prisma = new PrismaClient();
+
+const MENU_CATEGORIES = ['breakfast', 'starters', 'mains', 'desserts', 'snacks', 'beverages', 'minibar'];
+
+// Room service is food; minibar non-food items (toiletries, souvenirs) are 'other'
+const MENU_TAX_CATEGORIES = ['food', 'other'];
+
+const TIME_PATTERN = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Validation schemas
+const menuItemFields = z.object({
+  name: z.string().min(2, 'Item name must be at least 2 characters').max(255, 'Item name too long'),
+  description: z.string().max(1000).optional().nullable(),
+  category: z.enum(MENU_CATEGORIES),
+  price: z.number().positive('Price must be greater than zero'),
+  taxCategory: z.enum(MENU_TAX_CATEGORIES).optional(),
+  availableFrom: z.string().regex(TIME_PATTERN, 'Time must be HH:MM').optional().nullable(),
+  availableTo: z.string().regex(TIME_PATTERN, 'Time must be HH:MM').optional().nullable()
+});
+
+// A window needs both ends (or neither, for 24h)
+const windowComplete = (data) => !data.availableFrom === !data.availableTo;
+
+const createMenuItemSchema = menuItemFields.refine(windowComplete, {
+  message: 'Set both availableFrom and availableTo, or neither for 24h',
+  path: ['availableTo']
+});
+
+const updateMenuItemSchema = menuItemFields.partial().extend({
+  isActive: z.boolean().optional()
+});
+
+const menuQuerySchema = z.object({
+  category: z.enum(MENU_CATEGORIES).optional(),
+  // all=true includes inactive items (menu management); otherwise only what can be ordered
+  all: z.enum(['true', 'false']).optional()
+});
+
+const salesQuerySchema = z.object({
+  from: z.string().refine((date) => !isNaN(new Date(date).getTime()), 'Invalid from date'),
+  to: z.string().refine((date) => !isNaN(new Date(date).getTime()), 'Invalid to date')
+});
+
+const validationError = (res, error) => {
+  return res.status(400).json({
+    error: 'Validation failed',
+    details: error.issues.map(err => ({
+      field: err.path.join('.'),
+      message: err.message
+    }))
+  });
+};
+
+const isAvailableNow = (menuItem, now = new Date()) => {
+  return menuItem.isActive && isWithinTimeWindow(toTimeKey(now), menuItem.availableFrom, menuItem.availableTo);
+};
+
+// The menu, grouped by category, with whether each item can be ordered right now
+const getMenuItems = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const { category, all } = menuQuerySchema.parse(req.query);
+
+    const menuItems = await prisma.menuItem.findMany({
+      where: {
+        hotelId,
+        ...(category && { category }),
+        ...(all !== 'true' && { isActive: true })
+      },
+      orderBy: [
+        { category: 'asc' },
+        { name: 'asc' }
+      ]
+    });
+
+    const now = new Date();
+    const items = menuItems.map(menuItem => ({
+      ...menuItem,
+      availableNow: isAvailableNow(menuItem, now)
+    }));
+
+    const byCategory = {};
+    items.forEach(item => {
+      byCategory[item.category] = byCategory[item.category] || [];
+      byCategory[item.category].push(item);
+    });
+
+    res.json({
+      message: 'Menu retrieved successfully',
+      menuItems: items,
+      byCategory,
+      count: items.length
+    });
+
+  } catch (error) {
+    console.error('Get menu items error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Add an item to the menu
+const createMenuItem = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const itemData = createMenuItemSchema.parse(req.body);
+
+    const existingItem = await prisma.menuItem.findFirst({
+      where: {
+        hotelId,
+        name: itemData.name
+      }
+    });
+
+    if (existingItem) {
+      return res.status(409).json({ error: 'A menu item with this name already exists' });
+    }
+
+    const menuItem = await prisma.menuItem.create({
+      data: {
+        ...itemData,
+        hotelId,
+        createdById: req.user.userId
+      }
+    });
+
+    console.log(`🍽️ Menu item added: ${menuItem.name} (${menuItem.category}) at ${menuItem.price} by ${req.user.name}`);
+
+    res.status(201).json({
+      message: 'Menu item created successfully',
+      menuItem
+    });
+
+  } catch (error) {
+    console.error('Create menu item error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Update (or deactivate) a menu item - orders already placed keep the price they were placed at
+const updateMenuItem = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const menuItemId = parseInt(req.params.menuItemId);
+    const updateData = updateMenuItemSchema.parse(req.body);
+
+    const existingItem = await prisma.menuItem.findFirst({
+      where: {
+        id: menuItemId,
+        hotelId
+      }
+    });
+
+    if (!existingItem) {
+      return res.status(404).json({ error: 'Menu item not found' });
+    }
+
+    const window = {
+      availableFrom: updateData.availableFrom !== undefined ? updateData.availableFrom : existingItem.availableFrom,
+      availableTo: updateData.availableTo !== undefined ? updateData.availableTo : existingItem.availableTo
+    };
+
+    if (!windowComplete(window)) {
+      return res.status(400).json({ error: 'Set both availableFrom and availableTo, or neither for 24h' });
+    }
+
+    if (updateData.name && updateData.name !== existingItem.name) {
+      const duplicate = await prisma.menuItem.findFirst({
+        where: {
+          hotelId,
+          name: updateData.name,
+          id: { not: menuItemId }
+        }
+      });
+
+      if (duplicate) {
+        return res.status(409).json({ error: 'A menu item with this name already exists' });
+      }
+    }
+
+    const menuItem = await prisma.menuItem.update({
+      where: { id: menuItemId },
+      data: updateData
+    });
+
+    res.json({
+      message: 'Menu item updated successfully',
+      menuItem
+    });
+
+  } catch (error) {
+    console.error('Update menu item error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Room service sales per menu item (cancelled orders excluded)
+ * Orders from before the catalog are listed by item name
+ */
+const getMenuSales = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const { from, to } = salesQuerySchema.parse(req.query);
+
+    const orders = await prisma.roomServiceOrder.findMany({
+      where: {
+        hotelId,
+        orderStatus: { not: 'cancelled' },
+        orderedAt: {
+          gte: startOfDay(from),
+          lt: addDays(startOfDay(to), 1)
+        }
+      },
+      include: {
+        menuItem: { select: { id: true, name: true, category: true } }
+      }
+    });
+
+    const byItem = {};
+    orders.forEach(order => {
+      const key = order.menuItemId ? `item_${order.menuItemId}` : `name_${order.itemName}`;
+
+      byItem[key] = byItem[key] || {
+        menuItemId: order.menuItemId,
+        name: order.menuItem ? order.menuItem.name : order.itemName,
+        category: order.menuItem ? order.menuItem.category : null,
+        orders: 0,
+        quantity: 0,
+        revenue: 0,
+        taxAmount: 0
+      };
+
+      byItem[key].orders += 1;
+      byItem[key].quantity += order.quantity;
+      byItem[key].revenue = roundCurrency(byItem[key].revenue + parseFloat(order.totalAmount));
+      byItem[key].taxAmount = roundCurrency(byItem[key].taxAmount + parseFloat(order.taxAmount));
+    });
+
+    const items = Object.values(byItem).sort((a, b) => b.revenue - a.revenue);
+
+    res.json({
+      message: 'Menu sales retrieved successfully',
+      period: { from, to },
+      summary: {
+        orders: orders.length,
+        revenue: roundCurrency(items.reduce((total, item) => total + item.revenue, 0)),
+        taxAmount: roundCurrency(items.reduce((total, item) => total + item.taxAmount, 0))
+      },
+      items
+    });
+
+  } catch (error) {
+    console.error('Get menu sales error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  isAvailableNow,
+  getMenuItems,
+  createMenuItem,
+  updateMenuItem,
+  getMenuSales
+};
@@ -0,0 +1,301 @@
+const { PrismaClient } = require('@prisma/client');
+const { z } = require('zod');
+const { renderVoucherHtml, renderVoucherPdf } = require('../utils/bookingVoucher');
+const {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_STATUSES,
+  loadVoucherBooking,
+  voucherOptions,
+  voucherFilename,
+  queueBookingNotification,
+  processOutbox
+} = require('../utils/notifications');
+
+const prisma = new PrismaClient();
+
+// Validation schemas
+const notificationQuerySchema = z.object({
+  status: z.enum(NOTIFICATION_STATUSES).optional(),
+  type: z.enum(NOTIFICATION_TYPES).optional(),
+  channel: z.enum(NOTIFICATION_CHANNELS).optional(),
+  bookingId: z.coerce.number().int().positive().optional(),
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(100).default(20)
+});
+
+const validationError = (res, error) => {
+  return res.status(400).json({
+    error: 'Validation failed',
+    details: error.issues.map(err => ({
+      field: err.path.join('.'),
+      message: err.message
+    }))
+  });
+};
+
+// Everything but the content - lists stay small
+const notificationSummarySelect = {
+  id: true,
+  bookingId: true,
+  guestId: true,
+  type: true,
+  channel: true,
+  recipient: true,
+  subject: true,
+  status: true,
+  attempts: true,
+  maxAttempts: true,
+  nextAttemptAt: true,
+  lastError: true,
+  transport: true,
+  providerMessageId: true,
+  sentAt: true,
+  attachmentName: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+// Outbox messages of the hotel, newest first
+const getNotifications = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const { status, type, channel, bookingId, page, limit } = notificationQuerySchema.parse(req.query);
+
+    const where = {
+      hotelId,
+      ...(status && { status }),
+      ...(type && { type }),
+      ...(channel && { channel }),
+      ...(bookingId && { bookingId })
+    };
+
+    const [notifications, totalCount, statusCounts] = await Promise.all([
+      prisma.notification.findMany({
+        where,
+        select: {
+          ...notificationSummarySelect,
+          guest: { select: { id: true, name: true } }
+        },
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.notification.count({ where }),
+      prisma.notification.groupBy({
+        by: ['status'],
+        where: { hotelId },
+        _count: true
+      })
+    ]);
+
+    res.json({
+      message: 'Notifications retrieved successfully',
+      notifications,
+      summary: Object.fromEntries(NOTIFICATION_STATUSES.map(value => [
+        value,
+        (statusCounts.find(row => row.status === value) || { _count: 0 })._count
+      ])),
+      pagination: {
+        page,
+        limit,
+        totalCount,
+        totalPages: Math.ceil(totalCount / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// One message with its content (the attachment is left out - the voucher endpoint prints it)
+const getNotificationById = async (req, res) => {
+  try {
+    const notificationId = parseInt(req.params.notificationId);
+
+    const notification = await prisma.notification.findFirst({
+      where: {
+        id: notificationId,
+        hotelId: req.user.hotelId
+      },
+      select: {
+        ...notificationSummarySelect,
+        body: true,
+        htmlBody: true,
+        guest: { select: { id: true, name: true } },
+        booking: { select: { id: true, confirmationCode: true, status: true } }
+      }
+    });
+
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    res.json({
+      message: 'Notification retrieved successfully',
+      notification
+    });
+
+  } catch (error) {
+    console.error('Get notification error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Send a failed (or waiting) message again now - a failed one gets one more attempt
+const retryNotification = async (req, res) => {
+  try {
+    const notificationId = parseInt(req.params.notificationId);
+
+    const notification = await prisma.notification.findFirst({
+      where: {
+        id: notificationId,
+        hotelId: req.user.hotelId
+      },
+      select: { id: true, status: true, attempts: true, maxAttempts: true }
+    });
+
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    if (!['failed', 'pending'].includes(notification.status)) {
+      return res.status(400).json({
+        error: `Cannot retry a notification that is ${notification.status}`
+      });
+    }
+
+    const updated = await prisma.notification.updateMany({
+      where: { id: notification.id, status: notification.status },
+      data: {
+        status: 'pending',
+        nextAttemptAt: new Date(),
+        maxAttempts: Math.max(notification.maxAttempts, notification.attempts + 1)
+      }
+    });
+
+    if (updated.count === 0) {
+      return res.status(409).json({ error: 'Notification changed while retrying - refresh and try again' });
+    }
+
+    console.log(`🔁 Notification ${notification.id} queued for retry by user ${req.user.userId}`);
+
+    processOutbox({ hotelId: req.user.hotelId })
+      .catch(error => console.error('Notification outbox error:', error));
+
+    const retried = await prisma.notification.findUnique({
+      where: { id: notification.id },
+      select: notificationSummarySelect
+    });
+
+    res.json({
+      message: 'Notification queued for retry',
+      notification: retried
+    });
+
+  } catch (error) {
+    console.error('Retry notification error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Deliver the hotel's due messages now instead of waiting for the scheduler
+const processNotifications = async (req, res) => {
+  try {
+    const result = await processOutbox({ hotelId: req.user.hotelId });
+
+    res.json({
+      message: 'Notification outbox processed',
+      result
+    });
+
+  } catch (error) {
+    console.error('Process notifications error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Booking confirmation voucher as PDF or HTML - ?format=pdf|html
+const getBookingVoucher = async (req, res) => {
+  try {
+    const bookingId = parseInt(req.params.bookingId);
+    const format = req.query.format === 'html' ? 'html' : 'pdf';
+
+    const booking = await loadVoucherBooking(bookingId, req.user.hotelId);
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const options = voucherOptions(booking, booking.status === 'cancelled' ? 'booking_cancellation' : 'booking_confirmation');
+
+    if (format === 'html') {
+      res.type('html').send(renderVoucherHtml(booking, options));
+      return;
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${voucherFilename(booking)}"`);
+    res.send(await renderVoucherPdf(booking, options));
+
+  } catch (error) {
+    console.error('Get booking voucher error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Send the guest their voucher again (or the cancellation notice for a cancelled booking)
+// Goes out even when automatic guest notifications are switched off - staff asked for it
+const resendBookingVoucher = async (req, res) => {
+  try {
+    const bookingId = parseInt(req.params.bookingId);
+
+    const booking = await prisma.booking.findFirst({
+      where: {
+        id: bookingId,
+        hotelId: req.user.hotelId
+      },
+      select: {
+        id: true,
+        status: true,
+        guest: { select: { email: true, phone: true } }
+      }
+    });
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    if (!booking.guest.email && !booking.guest.phone) {
+      return res.status(400).json({ error: 'Guest has no email address or phone number' });
+    }
+
+    const type = booking.status === 'cancelled' ? 'booking_cancellation' : 'booking_confirmation';
+    const notifications = await queueBookingNotification(booking.id, type, { force: true });
+
+    res.status(201).json({
+      message: 'Voucher queued for sending',
+      notifications
+    });
+
+  } catch (error) {
+    console.error('Resend booking voucher error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  getNotificationById,
+  retryNotification,
+  processNotifications,
+  getBookingVoucher,
+  resendBookingVoucher
+};
@@ -0,0 +1,214 @@
+const { PrismaClient } = require('@prisma/client');
+const { z } = require('zod');
+const { detectFormat, parseReservationFile } = require('../utils/otaFileParser');
+const { OTA_CHANNELS, importReservations } = require('../utils/otaImport');
+
+const prisma = new PrismaClient();
+
+// Validation schemas - multipart fields arrive as strings
+const importSchema = z.object({
+  channel: z.enum(OTA_CHANNELS),
+  dryRun: z.enum(['true', 'false']).default('false'),
+  // JSON object of the channel's room names to our room type IDs, e.g. {"Deluxe Double Room": 3}
+  roomTypeMap: z.preprocess((value) => {
+    if (typeof value !== 'string') return value;
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  }, z.record(z.string(), z.number().int().positive())).optional()
+});
+
+const importQuerySchema = z.object({
+  channel: z.enum(OTA_CHANNELS).optional()
+});
+
+const validationError = (res, error) => {
+  return res.status(400).json({
+    error: 'Validation failed',
+    details: error.issues.map(err => ({
+      field: err.path.join('.'),
+      message: err.message
+    }))
+  });
+};
+
+/**
+ * Import a reservation export (CSV or XML) downloaded from a channel extranet
+ * New reservations become bookings, ones seen before are updated or cancelled
+ * to match the file. With dryRun=true nothing is saved - the response shows what would happen.
+ */
+const importReservationFile = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const importData = importSchema.parse(req.body);
+    const dryRun = importData.dryRun === 'true';
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'Export file is required' });
+    }
+
+    const text = req.file.buffer.toString('utf8');
+    const format = detectFormat(req.file.originalname, text);
+    const records = parseReservationFile(text, format);
+
+    if (records.length === 0) {
+      return res.status(400).json({ error: `No reservations found in the ${format.toUpperCase()} file` });
+    }
+
+    const { summary, results } = await importReservations({
+      hotelId,
+      channel: importData.channel,
+      records,
+      roomTypeMap: importData.roomTypeMap || {},
+      dryRun,
+      performedById: req.user.userId
+    });
+
+    if (dryRun) {
+      return res.json({
+        message: 'Import preview - nothing has been saved',
+        dryRun: true,
+        channel: importData.channel,
+        format,
+        totalRows: records.length,
+        summary,
+        results
+      });
+    }
+
+    const otaImport = await prisma.otaImport.create({
+      data: {
+        hotelId,
+        channel: importData.channel,
+        format,
+        fileName: req.file.originalname || null,
+        totalRows: records.length,
+        summary,
+        results,
+        importedById: req.user.userId
+      }
+    });
+
+    console.log(`📥 ${importData.channel} import by ${req.user.name}: ${summary.created} created, ${summary.updated} updated, ${summary.cancelled} cancelled, ${summary.failed} failed`);
+
+    // 🔌 WEBSOCKET: Desk and managers refresh arrivals when channel bookings land
+    if (global.socketServer && (summary.created + summary.updated + summary.cancelled) > 0) {
+      const importUpdate = {
+        importId: otaImport.id,
+        channel: importData.channel,
+        summary,
+        importedBy: {
+          userId: req.user.userId,
+          userName: req.user.name,
+          userRole: req.user.role
+        }
+      };
+
+      global.socketServer.broadcastToRole(hotelId, 'hotel_manager', 'ota_import_completed', importUpdate);
+      global.socketServer.broadcastToRole(hotelId, 'front_desk', 'ota_import_completed', importUpdate);
+    }
+
+    res.status(201).json({
+      message: summary.failed > 0
+        ? `Import finished with ${summary.failed} failed row(s)`
+        : 'Import finished successfully',
+      dryRun: false,
+      importId: otaImport.id,
+      channel: importData.channel,
+      format,
+      totalRows: records.length,
+      summary,
+      results
+    });
+
+  } catch (error) {
+    console.error('OTA import error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Past imports, newest first (summaries only)
+const getImports = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const { channel } = importQuerySchema.parse(req.query);
+
+    const imports = await prisma.otaImport.findMany({
+      where: {
+        hotelId,
+        ...(channel && { channel })
+      },
+      select: {
+        id: true,
+        channel: true,
+        format: true,
+        fileName: true,
+        totalRows: true,
+        summary: true,
+        importedAt: true,
+        importedBy: { select: { id: true, name: true } }
+      },
+      orderBy: { importedAt: 'desc' },
+      take: 100
+    });
+
+    res.json({
+      message: 'OTA imports retrieved successfully',
+      imports,
+      count: imports.length
+    });
+
+  } catch (error) {
+    console.error('Get OTA imports error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// One import with its row-by-row results
+const getImportById = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const importId = parseInt(req.params.importId);
+
+    const otaImport = await prisma.otaImport.findFirst({
+      where: {
+        id: importId,
+        hotelId
+      },
+      include: {
+        importedBy: { select: { id: true, name: true } }
+      }
+    });
+
+    if (!otaImport) {
+      return res.status(404).json({ error: 'OTA import not found' });
+    }
+
+    res.json({
+      message: 'OTA import retrieved successfully',
+      import: otaImport
+    });
+
+  } catch (error) {
+    console.error('Get OTA import error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  importReservationFile,
+  getImports,
+  getImportById
+};
@@ -0,0 +1,202 @@
+const { PrismaClient } = require('@prisma/client');
+const { z } = require('zod');
+const { getOverbookingAllowances, getOverbookingPosition } = require('../utils/overbooking');
+const { startOfDay, addDays, countNights, getStayNights, toDateKey } = require('../utils/dateUtils');
+
+const prisma = new PrismaClient();
+
+// Validation schemas
+const dateString = (label) => z.string().refine((date) => !isNaN(new Date(date).getTime()), `Invalid ${label}`);
+
+const setAllowanceSchema = z.object({
+  roomTypeId: z.number().int().positive('Room type ID is required'),
+  // Inclusive range of nights
+  fromDate: dateString('from date'),
+  toDate: dateString('to date'),
+  // 0 removes the allowance for these nights
+  allowance: z.number().int().min(0, 'Allowance cannot be negative'),
+  reason: z.string().max(255).optional().nullable()
+}).refine((data) => startOfDay(data.toDate) >= startOfDay(data.fromDate), {
+  message: 'To date cannot be before from date',
+  path: ['toDate']
+}).refine((data) => countNights(data.fromDate, data.toDate) < 366, {
+  message: 'An allowance can cover at most one year',
+  path: ['toDate']
+});
+
+const allowanceQuerySchema = z.object({
+  from: dateString('from date'),
+  to: dateString('to date'),
+  roomTypeId: z.coerce.number().int().positive().optional()
+});
+
+const positionQuerySchema = z.object({
+  date: dateString('date').optional()
+});
+
+const validationError = (res, error) => {
+  return res.status(400).json({
+    error: 'Validation failed',
+    details: error.issues.map(err => ({
+      field: err.path.join('.'),
+      message: err.message
+    }))
+  });
+};
+
+// Allowances set for a date range (inclusive)
+const getAllowances = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const { from, to, roomTypeId } = allowanceQuerySchema.parse(req.query);
+
+    const allowances = await getOverbookingAllowances({
+      hotelId,
+      roomTypeId,
+      fromDate: from,
+      toDate: addDays(startOfDay(to), 1)
+    });
+
+    res.json({
+      message: 'Overbooking allowances retrieved successfully',
+      allowances,
+      count: allowances.length
+    });
+
+  } catch (error) {
+    console.error('Get overbooking allowances error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Set how many room-type reservations may be taken beyond a room type's rooms
+ * for each night in a range. Existing reservations are never cancelled by a lower allowance.
+ */
+const setAllowance = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const allowanceData = setAllowanceSchema.parse(req.body);
+
+    const roomType = await prisma.roomType.findFirst({
+      where: {
+        id: allowanceData.roomTypeId,
+        hotelId
+      },
+      include: {
+        _count: { select: { rooms: true } }
+      }
+    });
+
+    if (!roomType) {
+      return res.status(404).json({ error: 'Room type not found' });
+    }
+
+    // More oversold rooms than the type has would leave nothing to relocate into
+    if (allowanceData.allowance > roomType._count.rooms) {
+      return res.status(400).json({
+        error: `Allowance cannot exceed the ${roomType._count.rooms} room(s) of ${roomType.name}`
+      });
+    }
+
+    const nights = getStayNights(allowanceData.fromDate, addDays(startOfDay(allowanceData.toDate), 1));
+
+    await prisma.$transaction(async (tx) => {
+      await tx.overbookingAllowance.deleteMany({
+        where: {
+          roomTypeId: roomType.id,
+          stayDate: { in: nights }
+        }
+      });
+
+      if (allowanceData.allowance > 0) {
+        await tx.overbookingAllowance.createMany({
+          data: nights.map(stayDate => ({
+            hotelId,
+            roomTypeId: roomType.id,
+            stayDate,
+            allowance: allowanceData.allowance,
+            reason: allowanceData.reason || null,
+            setById: req.user.userId
+          }))
+        });
+      }
+    });
+
+    console.log(`📈 Overbooking allowance for ${roomType.name} set to ${allowanceData.allowance} from ${toDateKey(nights[0])} to ${toDateKey(nights[nights.length - 1])} by ${req.user.name}`);
+
+    // 🔌 WEBSOCKET: Managers see the new limit on the dashboard
+    if (global.socketServer) {
+      const allowanceUpdate = {
+        roomTypeId: roomType.id,
+        roomType: roomType.name,
+        fromDate: toDateKey(nights[0]),
+        toDate: toDateKey(nights[nights.length - 1]),
+        allowance: allowanceData.allowance,
+        setBy: {
+          userId: req.user.userId,
+          userName: req.user.name,
+          userRole: req.user.role
+        }
+      };
+
+      global.socketServer.broadcastToRole(hotelId, 'hotel_manager', 'overbooking_allowance_updated', allowanceUpdate);
+    }
+
+    res.json({
+      message: allowanceData.allowance > 0
+        ? 'Overbooking allowance set successfully'
+        : 'Overbooking allowance removed successfully',
+      roomTypeId: roomType.id,
+      allowance: allowanceData.allowance,
+      nights: nights.length
+    });
+
+  } catch (error) {
+    console.error('Set overbooking allowance error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Overbooked indicator and walk/relocation list for a night (default tonight)
+const getPosition = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const { date } = positionQuerySchema.parse(req.query);
+
+    const position = await getOverbookingPosition({
+      hotelId,
+      ...(date && { date: new Date(date) })
+    });
+
+    res.json({
+      message: 'Overbooking position retrieved successfully',
+      ...position
+    });
+
+  } catch (error) {
+    console.error('Get overbooking position error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  getAllowances,
+  setAllowance,
+  getPosition
+};
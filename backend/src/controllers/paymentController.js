@@ -0,0 +1,132 @@
+const { PrismaClient } = require('@prisma/client');
+const { z } = require('zod');
+const { recordPaymentSchema, paymentInclude, summarizePayments, getPaymentPosition, lockBookingPayments, createPayment, announcePayment } = require('../utils/payments');
+
+const prisma = new PrismaClient();
+
+const statusError = (statusCode, message, details = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.details = details;
+  return error;
+};
+
+const validationError = (res, error) => {
+  return res.status(400).json({
+    error: 'Validation failed',
+    details: error.issues.map(err => ({
+      field: err.path.join('.'),
+      message: err.message
+    }))
+  });
+};
+
+// List payments on a booking with the current position
+const getPayments = async (req, res) => {
+  try {
+    const bookingId = parseInt(req.params.bookingId);
+
+    const booking = await prisma.booking.findFirst({
+      where: {
+        id: bookingId,
+        hotelId: req.user.hotelId
+      },
+      include: {
+        folio: { include: { lines: true } },
+        payments: {
+          include: paymentInclude,
+          orderBy: { receivedAt: 'asc' }
+        }
+      }
+    });
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    // Read only - the stored status is refreshed by whatever changes payments or charges
+    const position = getPaymentPosition(booking);
+
+    res.json({
+      message: 'Payments retrieved successfully',
+      payments: booking.payments,
+      position
+    });
+
+  } catch (error) {
+    console.error('Get payments error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Record a deposit, payment or refund
+const recordPayment = async (req, res) => {
+  try {
+    const bookingId = parseInt(req.params.bookingId);
+    const hotelId = req.user.hotelId;
+    const paymentData = recordPaymentSchema.parse(req.body);
+
+    const booking = await prisma.booking.findFirst({
+      where: {
+        id: bookingId,
+        hotelId
+      },
+      include: {
+        guest: { select: { name: true } }
+      }
+    });
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    if (paymentData.paymentType === 'deposit' && booking.status !== 'confirmed') {
+      return res.status(400).json({ error: 'Deposits can only be taken before check-in' });
+    }
+
+    if (paymentData.paymentType === 'refund' && !['hotel_owner', 'hotel_manager'].includes(req.user.role)) {
+      return res.status(403).json({ error: 'Only managers can record refunds' });
+    }
+
+    // A refund is capped at what is paid when it is written, so two refunds at once can't both pass
+    const { payment, position } = await prisma.$transaction(async (tx) => {
+      if (paymentData.paymentType === 'refund') {
+        await lockBookingPayments(tx, bookingId);
+
+        const paid = await tx.payment.findMany({ where: { bookingId } });
+        const { netPaid } = summarizePayments(paid);
+
+        if (paymentData.amount > netPaid) {
+          throw statusError(400, 'Refund exceeds the amount paid', { netPaid });
+        }
+      }
+
+      return createPayment({ booking, paymentData, user: req.user, client: tx });
+    });
+    announcePayment({ booking, payment, position, user: req.user });
+
+    res.status(201).json({
+      message: paymentData.paymentType === 'refund' ? 'Refund recorded successfully' : 'Payment recorded successfully',
+      payment,
+      position
+    });
+
+  } catch (error) {
+    console.error('Record payment error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  getPayments,
+  recordPayment
+};
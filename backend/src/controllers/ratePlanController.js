@@ -0,0 +1,477 @@
+const { PrismaClient } = require('@prisma/client');
+const { z } = require('zod');
+const { roundCurrency } = require('../utils/pricingEngine');
+const { RATE_PLAN_RULES, RATE_PLAN_CHANNELS, isSoldThrough } = require('../utils/ratePlans');
+const { startOfDay, addDays } = require('../utils/dateUtils');
+
+const prisma = new PrismaClient();
+
+// Stays that earn room revenue (cancellations and no-shows only earn their fee)
+const REVENUE_BOOKING_STATUSES = ['confirmed', 'checked_in', 'checked_out'];
+
+// Validation schemas - no defaults here, .partial() would apply them on update
+const dateString = (label) => z.string().refine((date) => !isNaN(new Date(date).getTime()), `Invalid ${label}`);
+
+const ratePlanFields = z.object({
+  roomTypeId: z.number().int().positive('Room type ID is required'),
+  name: z.string().min(2, 'Name is required').max(100),
+  code: z.string().max(20).optional().nullable(),
+  description: z.string().max(1000).optional().nullable(),
+  priceRule: z.enum(RATE_PLAN_RULES),
+  priceValue: z.number().min(-999999.99).max(999999.99, 'Price too high'),
+  inclusions: z.array(z.string().min(1).max(100)).max(20),
+  // null = the hotel's default policy
+  cancellationPolicyId: z.number().int().positive().nullable(),
+  // Empty = sold through every channel
+  channels: z.array(z.enum(RATE_PLAN_CHANNELS))
+});
+
+const createRatePlanSchema = ratePlanFields.extend({
+  inclusions: ratePlanFields.shape.inclusions.optional(),
+  cancellationPolicyId: ratePlanFields.shape.cancellationPolicyId.optional(),
+  channels: ratePlanFields.shape.channels.optional()
+});
+
+// Plans stay on their room type - bookings were priced on it
+const updateRatePlanSchema = ratePlanFields.omit({ roomTypeId: true }).partial().extend({
+  isActive: z.boolean().optional()
+});
+
+const ratePlanQuerySchema = z.object({
+  roomTypeId: z.coerce.number().int().positive().optional(),
+  channel: z.enum(RATE_PLAN_CHANNELS).optional(),
+  includeInactive: z.enum(['true', 'false']).default('false')
+});
+
+const revenueQuerySchema = z.object({
+  from: dateString('from date'),
+  to: dateString('to date'),
+  roomTypeId: z.coerce.number().int().positive().optional()
+}).refine((data) => startOfDay(data.to) >= startOfDay(data.from), {
+  message: 'To date cannot be before from date',
+  path: ['to']
+});
+
+const validationError = (res, error) => {
+  return res.status(400).json({
+    error: 'Validation failed',
+    details: error.issues.map(err => ({
+      field: err.path.join('.'),
+      message: err.message
+    }))
+  });
+};
+
+// What's wrong with a price rule, or null
+const priceRuleProblem = (priceRule, priceValue) => {
+  if (priceRule === 'fixed' && priceValue <= 0) return 'A fixed rate must be positive';
+  if (priceRule === 'percentage' && priceValue <= -100) return 'A percentage cannot take 100% or more off';
+  return null;
+};
+
+const ratePlanInclude = {
+  roomType: { select: { id: true, name: true, basePrice: true } },
+  cancellationPolicy: { select: { id: true, name: true, chargeType: true } }
+};
+
+// Policy must be the hotel's own
+const findPolicy = (hotelId, cancellationPolicyId) => {
+  return prisma.cancellationPolicy.findFirst({
+    where: { id: cancellationPolicyId, hotelId }
+  });
+};
+
+const broadcastRatePlanChange = (req, action, ratePlan) => {
+  if (!global.socketServer) return;
+
+  global.socketServer.broadcastToRole(req.user.hotelId, 'hotel_manager', 'rate_plan_updated', {
+    action,
+    ratePlanId: ratePlan.id,
+    name: ratePlan.name,
+    roomTypeId: ratePlan.roomTypeId,
+    updatedBy: {
+      userId: req.user.userId,
+      userName: req.user.name,
+      userRole: req.user.role
+    }
+  });
+};
+
+// Rate plans, per room type (active only unless includeInactive=true)
+const getRatePlans = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const { roomTypeId, channel, includeInactive } = ratePlanQuerySchema.parse(req.query);
+
+    const ratePlans = await prisma.ratePlan.findMany({
+      where: {
+        hotelId,
+        ...(roomTypeId && { roomTypeId }),
+        ...(includeInactive !== 'true' && { isActive: true })
+      },
+      include: ratePlanInclude,
+      orderBy: [
+        { roomTypeId: 'asc' },
+        { name: 'asc' }
+      ]
+    });
+
+    const visible = channel ? ratePlans.filter(ratePlan => isSoldThrough(ratePlan, channel)) : ratePlans;
+
+    res.json({
+      message: 'Rate plans retrieved successfully',
+      ratePlans: visible,
+      count: visible.length
+    });
+
+  } catch (error) {
+    console.error('Get rate plans error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+const getRatePlanById = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const ratePlanId = parseInt(req.params.ratePlanId);
+
+    const ratePlan = await prisma.ratePlan.findFirst({
+      where: {
+        id: ratePlanId,
+        hotelId
+      },
+      include: {
+        ...ratePlanInclude,
+        _count: { select: { bookings: true } }
+      }
+    });
+
+    if (!ratePlan) {
+      return res.status(404).json({ error: 'Rate plan not found' });
+    }
+
+    res.json({
+      message: 'Rate plan retrieved successfully',
+      ratePlan
+    });
+
+  } catch (error) {
+    console.error('Get rate plan error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+const createRatePlan = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const planData = createRatePlanSchema.parse(req.body);
+
+    const ruleProblem = priceRuleProblem(planData.priceRule, planData.priceValue);
+    if (ruleProblem) {
+      return res.status(400).json({ error: ruleProblem });
+    }
+
+    const roomType = await prisma.roomType.findFirst({
+      where: {
+        id: planData.roomTypeId,
+        hotelId
+      }
+    });
+
+    if (!roomType) {
+      return res.status(404).json({ error: 'Room type not found' });
+    }
+
+    if (planData.cancellationPolicyId && !(await findPolicy(hotelId, planData.cancellationPolicyId))) {
+      return res.status(404).json({ error: 'Cancellation policy not found' });
+    }
+
+    const duplicate = await prisma.ratePlan.findFirst({
+      where: {
+        roomTypeId: roomType.id,
+        name: planData.name
+      }
+    });
+
+    if (duplicate) {
+      return res.status(409).json({ error: `${roomType.name} already has a rate plan called ${planData.name}` });
+    }
+
+    const ratePlan = await prisma.ratePlan.create({
+      data: {
+        hotelId,
+        roomTypeId: roomType.id,
+        name: planData.name,
+        code: planData.code || null,
+        description: planData.description || null,
+        priceRule: planData.priceRule,
+        priceValue: planData.priceValue,
+        inclusions: planData.inclusions || [],
+        cancellationPolicyId: planData.cancellationPolicyId || null,
+        channels: planData.channels || [],
+        createdById: req.user.userId
+      },
+      include: ratePlanInclude
+    });
+
+    console.log(`💰 Rate plan ${ratePlan.name} created for ${roomType.name} (${ratePlan.priceRule} ${planData.priceValue}) by ${req.user.name}`);
+
+    broadcastRatePlanChange(req, 'created', ratePlan);
+
+    res.status(201).json({
+      message: 'Rate plan created successfully',
+      ratePlan
+    });
+
+  } catch (error) {
+    console.error('Create rate plan error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Changes apply to new bookings - existing bookings keep the rates they were priced at
+const updateRatePlan = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const ratePlanId = parseInt(req.params.ratePlanId);
+    const updateData = updateRatePlanSchema.parse(req.body);
+
+    const existingPlan = await prisma.ratePlan.findFirst({
+      where: {
+        id: ratePlanId,
+        hotelId
+      }
+    });
+
+    if (!existingPlan) {
+      return res.status(404).json({ error: 'Rate plan not found' });
+    }
+
+    const ruleProblem = priceRuleProblem(
+      updateData.priceRule || existingPlan.priceRule,
+      updateData.priceValue !== undefined ? updateData.priceValue : parseFloat(existingPlan.priceValue)
+    );
+    if (ruleProblem) {
+      return res.status(400).json({ error: ruleProblem });
+    }
+
+    if (updateData.cancellationPolicyId && !(await findPolicy(hotelId, updateData.cancellationPolicyId))) {
+      return res.status(404).json({ error: 'Cancellation policy not found' });
+    }
+
+    if (updateData.name && updateData.name !== existingPlan.name) {
+      const duplicate = await prisma.ratePlan.findFirst({
+        where: {
+          roomTypeId: existingPlan.roomTypeId,
+          name: updateData.name
+        }
+      });
+
+      if (duplicate) {
+        return res.status(409).json({ error: `This room type already has a rate plan called ${updateData.name}` });
+      }
+    }
+
+    const ratePlan = await prisma.ratePlan.update({
+      where: { id: ratePlanId },
+      data: updateData,
+      include: ratePlanInclude
+    });
+
+    broadcastRatePlanChange(req, 'updated', ratePlan);
+
+    res.json({
+      message: 'Rate plan updated successfully',
+      ratePlan
+    });
+
+  } catch (error) {
+    console.error('Update rate plan error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Stop selling a plan - bookings already on it keep it
+const deactivateRatePlan = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const ratePlanId = parseInt(req.params.ratePlanId);
+
+    const existingPlan = await prisma.ratePlan.findFirst({
+      where: {
+        id: ratePlanId,
+        hotelId
+      }
+    });
+
+    if (!existingPlan) {
+      return res.status(404).json({ error: 'Rate plan not found' });
+    }
+
+    const ratePlan = await prisma.ratePlan.update({
+      where: { id: ratePlanId },
+      data: { isActive: false },
+      include: ratePlanInclude
+    });
+
+    broadcastRatePlanChange(req, 'deactivated', ratePlan);
+
+    res.json({
+      message: 'Rate plan deactivated successfully',
+      ratePlan
+    });
+
+  } catch (error) {
+    console.error('Deactivate rate plan error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Room revenue by rate plan for the nights in from..to (inclusive)
+ * Each night's rate is taken net of the booking's discount; stays on no plan are
+ * grouped per room type as the standard rate. Cancellation and no-show fees are
+ * listed separately by the arrival date of the stay.
+ */
+const getRatePlanRevenue = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const { from, to, roomTypeId } = revenueQuerySchema.parse(req.query);
+    const fromDate = startOfDay(from);
+    const toDate = addDays(startOfDay(to), 1);
+
+    const bookingSelect = {
+      id: true,
+      baseAmount: true,
+      finalAmount: true,
+      cancellationFee: true,
+      noShowFee: true,
+      roomType: { select: { id: true, name: true } },
+      ratePlan: { select: { id: true, name: true, code: true } }
+    };
+
+    const [nights, lostStays] = await Promise.all([
+      prisma.bookingNightlyRate.findMany({
+        where: {
+          hotelId,
+          stayDate: { gte: fromDate, lt: toDate },
+          booking: {
+            status: { in: REVENUE_BOOKING_STATUSES },
+            ...(roomTypeId && { roomTypeId })
+          }
+        },
+        select: {
+          rate: true,
+          booking: { select: bookingSelect }
+        }
+      }),
+      prisma.booking.findMany({
+        where: {
+          hotelId,
+          status: { in: ['cancelled', 'no_show'] },
+          checkInDate: { gte: fromDate, lt: toDate },
+          ...(roomTypeId && { roomTypeId })
+        },
+        select: bookingSelect
+      })
+    ]);
+
+    const byPlan = {};
+    const planRow = (booking) => {
+      const key = booking.ratePlan ? `plan_${booking.ratePlan.id}` : `standard_${booking.roomType.id}`;
+
+      byPlan[key] = byPlan[key] || {
+        ratePlanId: booking.ratePlan ? booking.ratePlan.id : null,
+        name: booking.ratePlan ? booking.ratePlan.name : 'Standard rate',
+        code: booking.ratePlan ? booking.ratePlan.code : null,
+        roomTypeId: booking.roomType.id,
+        roomType: booking.roomType.name,
+        bookingIds: new Set(),
+        roomNights: 0,
+        roomRevenue: 0,
+        feeRevenue: 0
+      };
+
+      return byPlan[key];
+    };
+
+    nights.forEach(({ rate, booking }) => {
+      const row = planRow(booking);
+      const baseAmount = parseFloat(booking.baseAmount);
+      // Discounts lower every night by the same share
+      const share = baseAmount > 0 ? parseFloat(booking.finalAmount) / baseAmount : 1;
+
+      row.bookingIds.add(booking.id);
+      row.roomNights += 1;
+      row.roomRevenue += parseFloat(rate) * share;
+    });
+
+    lostStays.forEach(booking => {
+      const fee = parseFloat(booking.cancellationFee || 0) + parseFloat(booking.noShowFee || 0);
+      if (fee > 0) planRow(booking).feeRevenue += fee;
+    });
+
+    const totalRevenue = Object.values(byPlan).reduce((total, row) => total + row.roomRevenue + row.feeRevenue, 0);
+
+    const plans = Object.values(byPlan)
+      .map(({ bookingIds, ...row }) => {
+        const revenue = roundCurrency(row.roomRevenue + row.feeRevenue);
+
+        return {
+          ...row,
+          bookings: bookingIds.size,
+          roomRevenue: roundCurrency(row.roomRevenue),
+          feeRevenue: roundCurrency(row.feeRevenue),
+          revenue,
+          averageRate: row.roomNights > 0 ? roundCurrency(row.roomRevenue / row.roomNights) : 0,
+          share: totalRevenue > 0 ? roundCurrency((revenue / totalRevenue) * 100) : 0
+        };
+      })
+      .sort((a, b) => b.revenue - a.revenue);
+
+    res.json({
+      message: 'Rate plan revenue retrieved successfully',
+      period: { from, to },
+      summary: {
+        roomNights: plans.reduce((total, plan) => total + plan.roomNights, 0),
+        roomRevenue: roundCurrency(plans.reduce((total, plan) => total + plan.roomRevenue, 0)),
+        feeRevenue: roundCurrency(plans.reduce((total, plan) => total + plan.feeRevenue, 0)),
+        revenue: roundCurrency(totalRevenue)
+      },
+      plans
+    });
+
+  } catch (error) {
+    console.error('Get rate plan revenue error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  getRatePlans,
+  getRatePlanById,
+  createRatePlan,
+  updateRatePlan,
+  deactivateRatePlan,
+  getRatePlanRevenue
+};
@@ -1,5 +1,7 @@
 const { PrismaClient } = require('@prisma/client');
 const { z } = require('zod');
+const { findRoomConflicts } = require('../utils/availability');
+const { startOfDay } = require('../utils/dateUtils');
 
 const prisma = new PrismaClient();
 
@@ -39,6 +41,15 @@ const updateStatusSchema = z.object({
   notes: z.string().max(500).optional()
 });
 
+const maintenanceWindowSchema = z.object({
+  startDate: z.string().refine((date) => !isNaN(new Date(date).getTime()), 'Invalid start date'),
+  endDate: z.string().refine((date) => !isNaN(new Date(date).getTime()), 'Invalid end date'),
+  reason: z.string().min(3, 'Reason is required').max(1000)
+}).refine((data) => startOfDay(data.endDate) > startOfDay(data.startDate), {
+  message: 'End date must be after start date',
+  path: ['endDate']
+});
+
 // Create physical room
 const createRoom = async (req, res) => {
   try {
@@ -476,6 +487,141 @@ const updateRoomStatus = async (req, res) => {
   }
 };
 
+// Schedule a maintenance window (room can't be reserved for those dates)
+const createMaintenanceWindow = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const roomId = parseInt(req.params.id);
+    const windowData = maintenanceWindowSchema.parse(req.body);
+
+    const room = await prisma.room.findFirst({
+      where: {
+        id: roomId,
+        hotelId
+      }
+    });
+
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const startDate = startOfDay(windowData.startDate);
+    const endDate = startOfDay(windowData.endDate);
+
+    // Existing reservations have to be moved before the room can be taken out of inventory
+    const conflictingBookings = await findRoomConflicts({
+      hotelId,
+      roomId,
+      checkInDate: startDate,
+      checkOutDate: endDate
+    });
+
+    if (conflictingBookings.length > 0) {
+      return res.status(409).json({
+        error: 'Room has bookings during this maintenance window',
+        message: 'Move these bookings to another room first',
+        conflictingBookings
+      });
+    }
+
+    const maintenanceWindow = await prisma.roomMaintenanceWindow.create({
+      data: {
+        hotelId,
+        roomId,
+        startDate,
+        endDate,
+        reason: windowData.reason,
+        createdById: req.user.userId
+      }
+    });
+
+    console.log(`🔧 Room ${room.roomNumber} maintenance scheduled ${startDate.toDateString()} → ${endDate.toDateString()} by user ${req.user.userId}`);
+
+    res.status(201).json({
+      message: 'Maintenance window scheduled successfully',
+      maintenanceWindow
+    });
+
+  } catch (error) {
+    console.error('Create maintenance window error:', error);
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.issues.map(err => ({
+          field: err.path.join('.'),
+          message: err.message
+        }))
+      });
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// List upcoming maintenance windows for a room
+const getMaintenanceWindows = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const roomId = parseInt(req.params.id);
+
+    const maintenanceWindows = await prisma.roomMaintenanceWindow.findMany({
+      where: {
+        hotelId,
+        roomId,
+        isActive: true,
+        endDate: { gt: startOfDay(new Date()) }
+      },
+      include: {
+        createdBy: { select: { id: true, name: true } }
+      },
+      orderBy: { startDate: 'asc' }
+    });
+
+    res.json({
+      message: 'Maintenance windows retrieved successfully',
+      maintenanceWindows
+    });
+
+  } catch (error) {
+    console.error('Get maintenance windows error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Cancel a maintenance window (room goes back into inventory)
+const cancelMaintenanceWindow = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const roomId = parseInt(req.params.id);
+    const windowId = parseInt(req.params.windowId);
+
+    const maintenanceWindow = await prisma.roomMaintenanceWindow.findFirst({
+      where: {
+        id: windowId,
+        roomId,
+        hotelId,
+        isActive: true
+      }
+    });
+
+    if (!maintenanceWindow) {
+      return res.status(404).json({ error: 'Maintenance window not found' });
+    }
+
+    await prisma.roomMaintenanceWindow.update({
+      where: { id: windowId },
+      data: { isActive: false }
+    });
+
+    res.json({ message: 'Maintenance window cancelled successfully' });
+
+  } catch (error) {
+    console.error('Cancel maintenance window error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
 // Status transition validation logic
 const validateStatusTransition = (fromStatus, toStatus) => {
   const validTransitions = {
@@ -509,5 +655,8 @@ module.exports = {
   getRoom,
   updateRoom,
   updateRoomStatus,
+  createMaintenanceWindow,
+  getMaintenanceWindows,
+  cancelMaintenanceWindow,
   ROOM_STATUSES
 };
\ No newline at end of file
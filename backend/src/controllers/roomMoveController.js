@@ -0,0 +1,377 @@
+const { PrismaClient } = require('@prisma/client');
+const { z } = require('zod');
+const { calculateStayPricing, toNightlyRateRows, summarizeNightlyRates, roundCurrency } = require('../utils/pricingEngine');
+const { checkRoomAvailability, lockRoomTypeInventory } = require('../utils/availability');
+const { startOfDay, toDateKey } = require('../utils/dateUtils');
+const { postRoomCharges } = require('../utils/folio');
+const { refreshPaymentStatus } = require('../utils/payments');
+const { recordBookingHistory } = require('../utils/bookingHistory');
+
+const prisma = new PrismaClient();
+
+// Rooms a guest can never be moved into
+const HARD_BLOCK_MOVE_STATUSES = ['occupied', 'out_of_order', 'blocked'];
+
+// Validation schemas
+const moveRoomSchema = z.object({
+  roomId: z.number().int().positive(),
+  reason: z.string().min(3, 'Reason for the move is required').max(1000),
+  // Keep the old rate for the rest of the stay (upgrade on the house)
+  complimentary: z.boolean().default(false),
+  overrideHousekeeping: z.boolean().default(false)
+});
+
+const validationError = (res, error) => {
+  return res.status(400).json({
+    error: 'Validation failed',
+    details: error.issues.map(err => ({
+      field: err.path.join('.'),
+      message: err.message
+    }))
+  });
+};
+
+const isManager = (user) => ['hotel_owner', 'hotel_manager'].includes(user.role);
+
+const statusError = (statusCode, message, details = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.details = details;
+  return error;
+};
+
+/**
+ * Move an in-house guest to another room
+ * Nights before today stay as they were; tonight onwards are charged at the new room type's rates
+ * (or left at the old rate when complimentary). The booking keeps any discount at the same ratio.
+ * Booking, nightly rates, folio, both rooms, the move record and the cleaning task change in one transaction,
+ * which checks the new room again under the room type lock and claims it only if it is still free
+ */
+const moveRoom = async (req, res) => {
+  try {
+    const bookingId = parseInt(req.params.bookingId);
+    const hotelId = req.user.hotelId;
+    const moveData = moveRoomSchema.parse(req.body);
+
+    if (moveData.complimentary && !isManager(req.user)) {
+      return res.status(403).json({ error: 'Only managers can give a complimentary upgrade' });
+    }
+
+    const booking = await prisma.booking.findFirst({
+      where: {
+        id: bookingId,
+        hotelId,
+        status: 'checked_in'
+      },
+      include: {
+        room: true,
+        roomType: { select: { id: true, name: true } },
+        guest: { select: { name: true, phone: true } },
+        nightlyRates: { orderBy: { stayDate: 'asc' } }
+      }
+    });
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found or guest not in house' });
+    }
+
+    if (moveData.roomId === booking.roomId) {
+      return res.status(400).json({ error: 'Guest is already in this room' });
+    }
+
+    // Tonight is the first night in the new room
+    const effectiveDate = startOfDay(new Date());
+    if (effectiveDate >= startOfDay(booking.checkOutDate)) {
+      return res.status(400).json({ error: 'No nights left in the stay - check the guest out instead' });
+    }
+
+    const availability = await checkRoomAvailability({
+      hotelId,
+      roomId: moveData.roomId,
+      checkInDate: effectiveDate,
+      checkOutDate: booking.checkOutDate,
+      excludeBookingId: bookingId
+    });
+
+    if (!availability) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const newRoom = availability.room;
+
+    if (HARD_BLOCK_MOVE_STATUSES.includes(newRoom.status)) {
+      return res.status(409).json({
+        error: 'Guest cannot be moved into this room',
+        roomStatus: newRoom.status,
+        message: `Room ${newRoom.roomNumber} is ${newRoom.status}`
+      });
+    }
+
+    if (!availability.available) {
+      return res.status(409).json({
+        error: 'Room is not available for the rest of the stay',
+        message: availability.reason,
+        conflicts: availability.conflictingBookings,
+        maintenanceWindows: availability.maintenanceWindows
+      });
+    }
+
+    // Same rule as check-in: the room must be clean unless the desk overrides
+    let housekeepingWarning = null;
+    if (newRoom.status !== 'available') {
+      if (!moveData.overrideHousekeeping) {
+        return res.status(409).json({
+          error: 'Room is not ready',
+          roomStatus: newRoom.status,
+          requiresOverride: true,
+          message: `Room ${newRoom.roomNumber} is ${newRoom.status}. Wait for housekeeping or send overrideHousekeeping: true to move anyway.`
+        });
+      }
+
+      housekeepingWarning = `Guest moved while room was ${newRoom.status}`;
+      console.log(`⚠️ Booking ${booking.id}: ${housekeepingWarning} (override by ${req.user.name})`);
+    }
+
+    // Remaining nights at the new room type's rates, unless the upgrade is complimentary or the type is unchanged
+    const repriced = !moveData.complimentary && newRoom.roomTypeId !== booking.roomTypeId;
+    let remainingNights = null;
+    let pricing = {
+      baseAmount: parseFloat(booking.baseAmount),
+      finalAmount: parseFloat(booking.finalAmount),
+      roomRate: parseFloat(booking.roomRate)
+    };
+
+    if (repriced) {
+      const newRates = await calculateStayPricing({
+        hotelId,
+        roomTypeId: newRoom.roomTypeId,
+        checkInDate: effectiveDate,
+        checkOutDate: booking.checkOutDate
+      });
+      remainingNights = newRates.nightlyRates;
+
+      const keptNights = booking.nightlyRates.filter(night => startOfDay(night.stayDate) < effectiveDate);
+      const baseAmount = roundCurrency(
+        keptNights.reduce((total, night) => total + parseFloat(night.rate), 0) + newRates.baseAmount
+      );
+
+      // Keep any discount at the same share of the room charge
+      const oldBase = parseFloat(booking.baseAmount);
+      const ratio = oldBase > 0 ? parseFloat(booking.finalAmount) / oldBase : 1;
+
+      pricing = {
+        baseAmount,
+        finalAmount: roundCurrency(baseAmount * ratio),
+        roomRate: roundCurrency(baseAmount / (keptNights.length + remainingNights.length))
+      };
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      await lockRoomTypeInventory(tx, newRoom.roomTypeId);
+
+      const recheck = await checkRoomAvailability({
+        hotelId,
+        roomId: newRoom.id,
+        checkInDate: effectiveDate,
+        checkOutDate: booking.checkOutDate,
+        excludeBookingId: bookingId,
+        client: tx
+      });
+
+      if (!recheck.available) {
+        throw statusError(409, `Room ${newRoom.roomNumber} was booked meanwhile - pick another room`, {
+          message: recheck.reason,
+          conflicts: recheck.conflictingBookings,
+          maintenanceWindows: recheck.maintenanceWindows
+        });
+      }
+
+      // Still in house and still in the room we read
+      const moved = await tx.booking.updateMany({
+        where: {
+          id: bookingId,
+          status: 'checked_in',
+          roomId: booking.roomId
+        },
+        data: {
+          roomId: newRoom.id,
+          roomTypeId: newRoom.roomTypeId,
+          roomAssignedAt: new Date(),
+          ...pricing
+        }
+      });
+
+      if (moved.count === 0) {
+        throw statusError(409, 'Booking changed meanwhile - reload it and try again');
+      }
+
+      const claimed = await tx.room.updateMany({
+        where: {
+          id: newRoom.id,
+          status: { notIn: HARD_BLOCK_MOVE_STATUSES }
+        },
+        data: { status: 'occupied' }
+      });
+
+      if (claimed.count === 0) {
+        throw statusError(409, `Room ${newRoom.roomNumber} was taken meanwhile - pick another room`);
+      }
+
+      if (repriced) {
+        await tx.bookingNightlyRate.deleteMany({
+          where: {
+            bookingId,
+            stayDate: { gte: effectiveDate }
+          }
+        });
+
+        await tx.bookingNightlyRate.createMany({
+          data: toNightlyRateRows(hotelId, bookingId, remainingNights)
+        });
+      }
+
+      const updatedBooking = await tx.booking.findUnique({
+        where: { id: bookingId },
+        include: {
+          nightlyRates: { orderBy: { stayDate: 'asc' } }
+        }
+      });
+
+      await recordBookingHistory({
+        booking: updatedBooking,
+        before: booking,
+        action: 'room_moved',
+        reason: moveData.reason,
+        performedById: req.user.userId
+      }, tx);
+
+      // Re-taxes the nights and reposts the room charges when they changed
+      await postRoomCharges(updatedBooking, {
+        postedById: req.user.userId,
+        reason: `Room move ${booking.room.roomNumber} -> ${newRoom.roomNumber}`,
+        client: tx
+      });
+
+      await tx.room.update({
+        where: { id: booking.roomId },
+        data: { status: 'dirty' }
+      });
+
+      const roomMove = await tx.roomMove.create({
+        data: {
+          hotelId,
+          bookingId,
+          fromRoomId: booking.roomId,
+          toRoomId: newRoom.id,
+          fromRoomTypeId: booking.roomTypeId,
+          toRoomTypeId: newRoom.roomTypeId,
+          effectiveDate,
+          reason: moveData.reason,
+          complimentary: moveData.complimentary,
+          previousFinalAmount: booking.finalAmount,
+          newFinalAmount: pricing.finalAmount,
+          movedById: req.user.userId
+        }
+      });
+
+      const cleaningTask = await tx.task.create({
+        data: {
+          hotelId,
+          roomId: booking.roomId,
+          taskType: 'cleaning',
+          priority: 'high',
+          description: `Clean room ${booking.room.roomNumber} - guest moved to room ${newRoom.roomNumber}`,
+          assignedById: req.user.userId,
+          scheduledFor: new Date(),
+          status: 'pending'
+        }
+      });
+
+      return { roomMove, cleaningTask };
+    }, {
+      maxWait: 5000,
+      timeout: 20000
+    });
+
+    const { roomMove, cleaningTask } = result;
+    const updatedBooking = await prisma.booking.findUnique({
+      where: { id: bookingId },
+      include: {
+        nightlyRates: { orderBy: { stayDate: 'asc' } },
+        guest: { select: { id: true, name: true, phone: true } },
+        room: { include: { roomType: { select: { name: true } } } }
+      }
+    });
+    const paymentPosition = await refreshPaymentStatus(bookingId);
+
+    console.log(`🔀 Guest ${booking.guest.name} moved from room ${booking.room.roomNumber} to ${newRoom.roomNumber} by ${req.user.name}: ${moveData.reason}`);
+
+    // 🔌 WEBSOCKET: Broadcast the move
+    if (global.socketServer) {
+      const moveNotificationData = {
+        bookingId,
+        roomMoveId: roomMove.id,
+        guestName: booking.guest.name,
+        fromRoom: { roomId: booking.roomId, roomNumber: booking.room.roomNumber, roomStatus: 'dirty' },
+        toRoom: { roomId: newRoom.id, roomNumber: newRoom.roomNumber, roomStatus: 'occupied' },
+        complimentary: moveData.complimentary,
+        reason: moveData.reason,
+        cleaningTaskId: cleaningTask.id,
+        housekeepingWarning,
+        movedBy: {
+          userId: req.user.userId,
+          userName: req.user.name,
+          userRole: req.user.role
+        }
+      };
+
+      // Notify all staff about the move
+      global.socketServer.broadcastToHotel(hotelId, 'guest_room_moved', moveNotificationData);
+
+      // Housekeeping - the vacated room needs cleaning
+      global.socketServer.broadcastToRole(hotelId, 'housekeeping', 'room_needs_urgent_cleaning', {
+        ...moveNotificationData,
+        roomId: booking.roomId,
+        roomNumber: booking.room.roomNumber,
+        roomStatus: 'dirty'
+      });
+
+      console.log(`📡 WebSocket: Room move notification sent for ${booking.guest.name}`);
+    }
+
+    res.json({
+      message: `Guest moved to room ${newRoom.roomNumber}`,
+      booking: {
+        ...updatedBooking,
+        paymentStatus: paymentPosition.paymentStatus
+      },
+      roomMove,
+      cleaningTask,
+      pricing: {
+        effectiveDate: toDateKey(effectiveDate),
+        repriced,
+        previousFinalAmount: parseFloat(booking.finalAmount),
+        newFinalAmount: pricing.finalAmount,
+        rateSummary: summarizeNightlyRates(updatedBooking.nightlyRates)
+      },
+      housekeepingWarning
+    });
+
+  } catch (error) {
+    console.error('Room move error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  moveRoom
+};
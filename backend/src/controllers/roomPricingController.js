@@ -0,0 +1,586 @@
+const { PrismaClient } = require('@prisma/client');
+const { z } = require('zod');
+const { calculateStayPricing } = require('../utils/pricingEngine');
+const { startOfDay, addDays, countNights, toDateKey } = require('../utils/dateUtils');
+
+const prisma = new PrismaClient();
+
+const MAX_CALENDAR_DAYS = 92;
+
+// Validation schemas
+const dateString = (label) => z.string().refine((date) => !isNaN(new Date(date).getTime()), `Invalid ${label}`);
+
+const roomPricingFields = z.object({
+  roomTypeId: z.number().int().positive('Room type ID is required'),
+  price: z.number()
+    .positive('Price must be positive')
+    .max(999999.99, 'Price too high'),
+  effectiveDate: dateString('effective date'),
+  endDate: dateString('end date'),
+  occasion: z.string().max(100, 'Occasion name too long').optional().nullable(),
+  allowOverlap: z.boolean().default(false)
+});
+
+const endAfterStart = (data) => !data.effectiveDate || !data.endDate ||
+  startOfDay(data.endDate) >= startOfDay(data.effectiveDate);
+
+const createRoomPricingSchema = roomPricingFields.refine(endAfterStart, {
+  message: 'End date cannot be before effective date',
+  path: ['endDate']
+});
+
+const updateRoomPricingSchema = roomPricingFields.partial().refine(endAfterStart, {
+  message: 'End date cannot be before effective date',
+  path: ['endDate']
+});
+
+const bulkApplySchema = z.object({
+  roomTypeIds: z.array(z.number().int().positive()).min(1, 'Select at least one room type'),
+  price: z.number()
+    .positive('Price must be positive')
+    .max(999999.99, 'Price too high'),
+  fromDate: dateString('from date'),
+  toDate: dateString('to date'),
+  // 0 = Sunday ... 6 = Saturday; omit to apply to every day in the range
+  daysOfWeek: z.array(z.number().int().min(0).max(6)).min(1).optional(),
+  occasion: z.string().max(100, 'Occasion name too long').optional().nullable(),
+  allowOverlap: z.boolean().default(false)
+}).refine((data) => startOfDay(data.toDate) >= startOfDay(data.fromDate), {
+  message: 'To date cannot be before from date',
+  path: ['toDate']
+}).refine((data) => countNights(data.fromDate, data.toDate) < 366, {
+  message: 'Bulk pricing can cover at most one year',
+  path: ['toDate']
+});
+
+const validationError = (res, error) => {
+  return res.status(400).json({
+    error: 'Validation failed',
+    details: error.issues.map(err => ({
+      field: err.path.join('.'),
+      message: err.message
+    }))
+  });
+};
+
+/**
+ * Active pricing rows for a room type whose date range overlaps start..end (inclusive)
+ */
+const findOverlappingPricings = (hotelId, roomTypeId, start, end, excludeId = null) => {
+  return prisma.roomPricing.findMany({
+    where: {
+      hotelId,
+      roomTypeId,
+      isActive: true,
+      effectiveDate: { lte: end },
+      endDate: { gte: start },
+      ...(excludeId && { id: { not: excludeId } })
+    },
+    select: {
+      id: true,
+      price: true,
+      effectiveDate: true,
+      endDate: true,
+      occasion: true
+    },
+    orderBy: { effectiveDate: 'asc' }
+  });
+};
+
+/**
+ * Split a date range into contiguous runs of days matching daysOfWeek
+ * e.g. Fri+Sat over a month -> one [Fri, Sat] run per weekend
+ */
+const buildDateRuns = (fromDate, toDate, daysOfWeek) => {
+  const runs = [];
+  const last = startOfDay(toDate);
+  let current = startOfDay(fromDate);
+  let run = null;
+
+  while (current <= last) {
+    const matches = !daysOfWeek || daysOfWeek.includes(current.getDay());
+
+    if (matches && run) {
+      run.endDate = current;
+    } else if (matches) {
+      run = { effectiveDate: current, endDate: current };
+      runs.push(run);
+    } else {
+      run = null;
+    }
+
+    current = addDays(current, 1);
+  }
+
+  return runs;
+};
+
+const broadcastPricingChange = (req, action, details) => {
+  if (!global.socketServer) return;
+
+  global.socketServer.broadcastToRole(req.user.hotelId, 'hotel_manager', 'room_pricing_updated', {
+    action,
+    ...details,
+    updatedBy: {
+      userId: req.user.userId,
+      userName: req.user.name,
+      userRole: req.user.role
+    }
+  });
+};
+
+// Create a date-range rate for a room type
+const createRoomPricing = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const pricingData = createRoomPricingSchema.parse(req.body);
+
+    const roomType = await prisma.roomType.findFirst({
+      where: {
+        id: pricingData.roomTypeId,
+        hotelId
+      }
+    });
+
+    if (!roomType) {
+      return res.status(404).json({ error: 'Room type not found' });
+    }
+
+    const effectiveDate = startOfDay(pricingData.effectiveDate);
+    const endDate = startOfDay(pricingData.endDate);
+
+    const overlapping = await findOverlappingPricings(hotelId, roomType.id, effectiveDate, endDate);
+
+    if (overlapping.length > 0 && !pricingData.allowOverlap) {
+      return res.status(409).json({
+        error: 'Pricing overlaps an existing rate',
+        message: `${roomType.name} already has ${overlapping.length} active rate(s) in this date range. Send allowOverlap: true to layer this rate on top (the narrower range wins).`,
+        overlapping
+      });
+    }
+
+    const roomPricing = await prisma.roomPricing.create({
+      data: {
+        hotelId,
+        roomTypeId: roomType.id,
+        price: pricingData.price,
+        effectiveDate,
+        endDate,
+        occasion: pricingData.occasion || null,
+        createdById: req.user.userId
+      },
+      include: {
+        roomType: {
+          select: { id: true, name: true, basePrice: true }
+        }
+      }
+    });
+
+    console.log(`💰 Room pricing ${roomPricing.id} created for ${roomType.name}: ${pricingData.price} (${toDateKey(effectiveDate)} → ${toDateKey(endDate)})`);
+
+    broadcastPricingChange(req, 'created', {
+      roomTypeId: roomType.id,
+      roomTypeName: roomType.name,
+      pricingIds: [roomPricing.id]
+    });
+
+    res.status(201).json({
+      message: 'Room pricing created successfully',
+      roomPricing,
+      overlapping
+    });
+
+  } catch (error) {
+    console.error('Create room pricing error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Apply one rate across a date range (optionally only on some weekdays) for several room types
+const bulkApplyRoomPricing = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const bulkData = bulkApplySchema.parse(req.body);
+
+    const roomTypes = await prisma.roomType.findMany({
+      where: {
+        id: { in: bulkData.roomTypeIds },
+        hotelId
+      },
+      select: { id: true, name: true }
+    });
+
+    if (roomTypes.length !== new Set(bulkData.roomTypeIds).size) {
+      return res.status(404).json({ error: 'One or more room types not found' });
+    }
+
+    const runs = buildDateRuns(bulkData.fromDate, bulkData.toDate, bulkData.daysOfWeek);
+
+    if (runs.length === 0) {
+      return res.status(400).json({ error: 'No days in the selected range match the chosen days of week' });
+    }
+
+    // Detect overlaps for every room type before writing anything
+    const conflicts = [];
+    for (const roomType of roomTypes) {
+      const overlapping = await findOverlappingPricings(
+        hotelId,
+        roomType.id,
+        runs[0].effectiveDate,
+        runs[runs.length - 1].endDate
+      );
+
+      const conflicting = overlapping.filter(pricing => runs.some(run =>
+        startOfDay(pricing.effectiveDate) <= run.endDate && startOfDay(pricing.endDate) >= run.effectiveDate
+      ));
+
+      if (conflicting.length > 0) {
+        conflicts.push({ roomTypeId: roomType.id, roomTypeName: roomType.name, overlapping: conflicting });
+      }
+    }
+
+    if (conflicts.length > 0 && !bulkData.allowOverlap) {
+      return res.status(409).json({
+        error: 'Pricing overlaps existing rates',
+        message: 'Send allowOverlap: true to layer these rates on top (the narrower range wins).',
+        conflicts
+      });
+    }
+
+    const rows = roomTypes.flatMap(roomType => runs.map(run => ({
+      hotelId,
+      roomTypeId: roomType.id,
+      price: bulkData.price,
+      effectiveDate: run.effectiveDate,
+      endDate: run.endDate,
+      occasion: bulkData.occasion || null,
+      createdById: req.user.userId
+    })));
+
+    const created = await prisma.$transaction(
+      rows.map(row => prisma.roomPricing.create({ data: row }))
+    );
+
+    console.log(`💰 Bulk pricing: ${created.length} rate(s) created across ${roomTypes.length} room type(s)`);
+
+    broadcastPricingChange(req, 'bulk_applied', {
+      roomTypeIds: roomTypes.map(roomType => roomType.id),
+      pricingIds: created.map(pricing => pricing.id),
+      fromDate: toDateKey(runs[0].effectiveDate),
+      toDate: toDateKey(runs[runs.length - 1].endDate)
+    });
+
+    res.status(201).json({
+      message: 'Bulk pricing applied successfully',
+      createdCount: created.length,
+      roomPricings: created,
+      conflicts
+    });
+
+  } catch (error) {
+    console.error('Bulk apply room pricing error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// List pricing rows for the hotel
+const getRoomPricings = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const { roomTypeId, fromDate, toDate, includeInactive } = req.query;
+
+    const filters = { hotelId };
+
+    if (roomTypeId) {
+      filters.roomTypeId = parseInt(roomTypeId);
+    }
+
+    if (includeInactive !== 'true') {
+      filters.isActive = true;
+    }
+
+    // Rows overlapping the requested window
+    if (fromDate) filters.endDate = { gte: startOfDay(fromDate) };
+    if (toDate) filters.effectiveDate = { lte: startOfDay(toDate) };
+
+    const roomPricings = await prisma.roomPricing.findMany({
+      where: filters,
+      include: {
+        roomType: {
+          select: { id: true, name: true, basePrice: true }
+        },
+        createdBy: {
+          select: { id: true, name: true }
+        }
+      },
+      orderBy: [
+        { roomTypeId: 'asc' },
+        { effectiveDate: 'asc' }
+      ]
+    });
+
+    res.json({
+      message: 'Room pricing retrieved successfully',
+      roomPricings
+    });
+
+  } catch (error) {
+    console.error('Get room pricing error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Get single pricing row
+const getRoomPricingById = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const pricingId = parseInt(req.params.pricingId);
+
+    const roomPricing = await prisma.roomPricing.findFirst({
+      where: {
+        id: pricingId,
+        hotelId
+      },
+      include: {
+        roomType: {
+          select: { id: true, name: true, basePrice: true }
+        },
+        createdBy: {
+          select: { id: true, name: true }
+        }
+      }
+    });
+
+    if (!roomPricing) {
+      return res.status(404).json({ error: 'Room pricing not found' });
+    }
+
+    res.json({
+      message: 'Room pricing retrieved successfully',
+      roomPricing
+    });
+
+  } catch (error) {
+    console.error('Get room pricing by ID error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Edit a pricing row
+const updateRoomPricing = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const pricingId = parseInt(req.params.pricingId);
+    const { allowOverlap, ...updateData } = updateRoomPricingSchema.parse(req.body);
+
+    const existingPricing = await prisma.roomPricing.findFirst({
+      where: {
+        id: pricingId,
+        hotelId
+      }
+    });
+
+    if (!existingPricing) {
+      return res.status(404).json({ error: 'Room pricing not found' });
+    }
+
+    if (!existingPricing.isActive) {
+      return res.status(400).json({ error: 'Cannot edit a deactivated rate' });
+    }
+
+    const roomTypeId = updateData.roomTypeId || existingPricing.roomTypeId;
+    if (updateData.roomTypeId) {
+      const roomType = await prisma.roomType.findFirst({
+        where: {
+          id: updateData.roomTypeId,
+          hotelId
+        }
+      });
+
+      if (!roomType) {
+        return res.status(404).json({ error: 'Room type not found' });
+      }
+    }
+
+    const effectiveDate = updateData.effectiveDate ? startOfDay(updateData.effectiveDate) : existingPricing.effectiveDate;
+    const endDate = updateData.endDate ? startOfDay(updateData.endDate) : existingPricing.endDate;
+
+    if (endDate < effectiveDate) {
+      return res.status(400).json({ error: 'End date cannot be before effective date' });
+    }
+
+    const overlapping = await findOverlappingPricings(hotelId, roomTypeId, effectiveDate, endDate, pricingId);
+
+    if (overlapping.length > 0 && !allowOverlap) {
+      return res.status(409).json({
+        error: 'Pricing overlaps an existing rate',
+        message: 'Send allowOverlap: true to layer this rate on top (the narrower range wins).',
+        overlapping
+      });
+    }
+
+    const updatedPricing = await prisma.roomPricing.update({
+      where: { id: pricingId },
+      data: {
+        ...updateData,
+        effectiveDate,
+        endDate
+      },
+      include: {
+        roomType: {
+          select: { id: true, name: true, basePrice: true }
+        }
+      }
+    });
+
+    broadcastPricingChange(req, 'updated', {
+      roomTypeId,
+      roomTypeName: updatedPricing.roomType.name,
+      pricingIds: [pricingId]
+    });
+
+    res.json({
+      message: 'Room pricing updated successfully',
+      roomPricing: updatedPricing,
+      overlapping
+    });
+
+  } catch (error) {
+    console.error('Update room pricing error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Deactivate a pricing row (kept for history, ignored by the pricing engine)
+const deactivateRoomPricing = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const pricingId = parseInt(req.params.pricingId);
+
+    const existingPricing = await prisma.roomPricing.findFirst({
+      where: {
+        id: pricingId,
+        hotelId
+      }
+    });
+
+    if (!existingPricing) {
+      return res.status(404).json({ error: 'Room pricing not found' });
+    }
+
+    if (!existingPricing.isActive) {
+      return res.status(400).json({ error: 'Room pricing is already inactive' });
+    }
+
+    const roomPricing = await prisma.roomPricing.update({
+      where: { id: pricingId },
+      data: { isActive: false }
+    });
+
+    broadcastPricingChange(req, 'deactivated', {
+      roomTypeId: roomPricing.roomTypeId,
+      pricingIds: [pricingId]
+    });
+
+    res.json({
+      message: 'Room pricing deactivated successfully',
+      roomPricing
+    });
+
+  } catch (error) {
+    console.error('Deactivate room pricing error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Effective price per night for each room type over a date range
+const getPricingCalendar = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const { roomTypeId } = req.query;
+
+    const fromDate = req.query.fromDate ? startOfDay(req.query.fromDate) : startOfDay(new Date());
+    const toDate = req.query.toDate ? startOfDay(req.query.toDate) : addDays(fromDate, 29);
+
+    if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime())) {
+      return res.status(400).json({ error: 'Invalid date range' });
+    }
+
+    if (toDate < fromDate) {
+      return res.status(400).json({ error: 'To date cannot be before from date' });
+    }
+
+    if (countNights(fromDate, toDate) >= MAX_CALENDAR_DAYS) {
+      return res.status(400).json({ error: `Calendar range cannot exceed ${MAX_CALENDAR_DAYS} days` });
+    }
+
+    const roomTypes = await prisma.roomType.findMany({
+      where: {
+        hotelId,
+        ...(roomTypeId && { id: parseInt(roomTypeId) })
+      },
+      select: { id: true, name: true, basePrice: true },
+      orderBy: { name: 'asc' }
+    });
+
+    const calendar = [];
+    for (const roomType of roomTypes) {
+      // Price the window as one stay ending the morning after toDate
+      const pricing = await calculateStayPricing({
+        hotelId,
+        roomTypeId: roomType.id,
+        checkInDate: fromDate,
+        checkOutDate: addDays(toDate, 1)
+      });
+
+      calendar.push({
+        roomTypeId: roomType.id,
+        roomTypeName: roomType.name,
+        basePrice: roomType.basePrice,
+        days: pricing.nightlyRates.map(night => ({
+          date: toDateKey(night.stayDate),
+          price: night.rate,
+          source: night.rateSource,
+          roomPricingId: night.roomPricingId,
+          occasion: night.occasion
+        }))
+      });
+    }
+
+    res.json({
+      message: 'Pricing calendar retrieved successfully',
+      fromDate: toDateKey(fromDate),
+      toDate: toDateKey(toDate),
+      calendar
+    });
+
+  } catch (error) {
+    console.error('Pricing calendar error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  createRoomPricing,
+  bulkApplyRoomPricing,
+  getRoomPricings,
+  getRoomPricingById,
+  updateRoomPricing,
+  deactivateRoomPricing,
+  getPricingCalendar
+};
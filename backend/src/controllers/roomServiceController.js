@@ -0,0 +1,497 @@
+const { PrismaClient } = require('@prisma/client');
+const { z } = require('zod');
+const { roundCurrency } = require('../utils/pricingEngine');
+const { startOfDay, addDays } = require('../utils/dateUtils');
+const { getOrCreateFolio, postRoomServiceOrder, reverseFolioLine } = require('../utils/folio');
+const { getTaxSettings, taxForFolioLine } = require('../utils/taxEngine');
+const { isAvailableNow } = require('./menuItemController');
+
+const prisma = new PrismaClient();
+
+const ORDER_STATUSES = ['received', 'preparing', 'delivered', 'cancelled'];
+
+// Charged to the room (posted to the folio on delivery) or paid to staff at the door
+const ORDER_PAYMENT_METHODS = ['room_charge', 'cash', 'card', 'upi'];
+
+// Orders the kitchen is still working on
+const OPEN_STATUSES = ['received', 'preparing'];
+
+// Validation schemas
+const createOrderSchema = z.object({
+  bookingId: z.number().int().positive(),
+  menuItemId: z.number().int().positive(),
+  quantity: z.number().int().positive().max(50, 'Quantity too large'),
+  specialInstructions: z.string().max(1000).optional().nullable(),
+  paymentMethod: z.enum(ORDER_PAYMENT_METHODS).default('room_charge')
+});
+
+const deliverOrderSchema = z.object({
+  // The guest can change how they pay at the door
+  paymentMethod: z.enum(ORDER_PAYMENT_METHODS).optional(),
+  paymentReference: z.string().max(100, 'Payment reference too long').optional().nullable(),
+  deliveryNotes: z.string().max(1000).optional().nullable()
+});
+
+const cancelOrderSchema = z.object({
+  reason: z.string().min(3, 'Cancellation reason is required').max(1000)
+});
+
+const listQuerySchema = z.object({
+  status: z.enum(ORDER_STATUSES).optional(),
+  open: z.enum(['true', 'false']).optional(),
+  bookingId: z.string().regex(/^\d+$/, 'Invalid booking id').optional(),
+  date: z.string().refine((date) => !isNaN(new Date(date).getTime()), 'Invalid date').optional()
+});
+
+const validationError = (res, error) => {
+  return res.status(400).json({
+    error: 'Validation failed',
+    details: error.issues.map(err => ({
+      field: err.path.join('.'),
+      message: err.message
+    }))
+  });
+};
+
+const isManager = (user) => ['hotel_owner', 'hotel_manager'].includes(user.role);
+
+const orderInclude = {
+  guest: { select: { id: true, name: true, phone: true } },
+  room: { select: { id: true, roomNumber: true, floor: true } },
+  menuItem: { select: { id: true, name: true, category: true } },
+  booking: { select: { id: true, status: true } }
+};
+
+const findOrder = (orderId, hotelId) => {
+  return prisma.roomServiceOrder.findFirst({
+    where: {
+      id: orderId,
+      hotelId
+    },
+    include: orderInclude
+  });
+};
+
+/**
+ * 🔌 WEBSOCKET: every step goes to the kitchen channel and to the front desk
+ */
+const broadcastOrderUpdate = (order, event, extra = {}) => {
+  if (!global.socketServer) return;
+
+  const orderData = {
+    orderId: order.id,
+    bookingId: order.bookingId,
+    roomNumber: order.room ? order.room.roomNumber : null,
+    guestName: order.guest ? order.guest.name : null,
+    itemName: order.itemName,
+    quantity: order.quantity,
+    specialInstructions: order.specialInstructions,
+    orderStatus: order.orderStatus,
+    paymentMethod: order.paymentMethod,
+    paymentStatus: order.paymentStatus,
+    totalAmount: order.totalAmount,
+    orderedAt: order.orderedAt,
+    ...extra
+  };
+
+  global.socketServer.broadcastToRoom(order.hotelId, 'kitchen', event, orderData);
+  global.socketServer.broadcastToRole(order.hotelId, 'front_desk', event, orderData);
+};
+
+// List orders - the kitchen view is ?open=true (received and preparing, oldest first)
+const getOrders = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const { status, open, bookingId, date } = listQuerySchema.parse(req.query);
+
+    const where = { hotelId };
+
+    if (open === 'true') {
+      where.orderStatus = { in: OPEN_STATUSES };
+    } else if (status) {
+      where.orderStatus = status;
+    }
+
+    if (bookingId) {
+      where.bookingId = parseInt(bookingId);
+    }
+
+    if (date) {
+      where.orderedAt = {
+        gte: startOfDay(date),
+        lt: addDays(startOfDay(date), 1)
+      };
+    }
+
+    const orders = await prisma.roomServiceOrder.findMany({
+      where,
+      include: orderInclude,
+      orderBy: { orderedAt: open === 'true' ? 'asc' : 'desc' }
+    });
+
+    res.json({
+      message: 'Room service orders retrieved successfully',
+      orders,
+      count: orders.length
+    });
+
+  } catch (error) {
+    console.error('Get room service orders error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Get a single order
+const getOrderById = async (req, res) => {
+  try {
+    const order = await findOrder(parseInt(req.params.orderId), req.user.hotelId);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Room service order not found' });
+    }
+
+    res.json({
+      message: 'Room service order retrieved successfully',
+      order
+    });
+
+  } catch (error) {
+    console.error('Get room service order error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Place an order for an in-house guest
+const createOrder = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const orderData = createOrderSchema.parse(req.body);
+
+    const booking = await prisma.booking.findFirst({
+      where: {
+        id: orderData.bookingId,
+        hotelId,
+        status: 'checked_in'
+      },
+      include: {
+        folio: { select: { status: true } }
+      }
+    });
+
+    if (!booking || !booking.roomId) {
+      return res.status(404).json({ error: 'Booking not found or guest not in house' });
+    }
+
+    if (orderData.paymentMethod === 'room_charge' && booking.folio && booking.folio.status === 'settled') {
+      return res.status(409).json({ error: 'Folio is already settled - take payment on delivery' });
+    }
+
+    const menuItem = await prisma.menuItem.findFirst({
+      where: {
+        id: orderData.menuItemId,
+        hotelId,
+        isActive: true
+      }
+    });
+
+    if (!menuItem) {
+      return res.status(404).json({ error: 'Menu item not found' });
+    }
+
+    if (!isAvailableNow(menuItem)) {
+      return res.status(409).json({
+        error: `${menuItem.name} is only served ${menuItem.availableFrom}-${menuItem.availableTo}`
+      });
+    }
+
+    // Price from the menu and GST fixed now, so the price quoted is the price charged
+    const unitPrice = parseFloat(menuItem.price);
+    const settings = await getTaxSettings(hotelId);
+    const tax = taxForFolioLine({
+      lineType: 'room_service',
+      category: menuItem.taxCategory,
+      quantity: orderData.quantity,
+      unitAmount: unitPrice,
+      inclusive: settings.pricesIncludeTax,
+      settings
+    });
+
+    const amount = roundCurrency(orderData.quantity * unitPrice);
+
+    const order = await prisma.roomServiceOrder.create({
+      data: {
+        hotelId,
+        bookingId: booking.id,
+        guestId: booking.guestId,
+        roomId: booking.roomId,
+        menuItemId: menuItem.id,
+        itemName: menuItem.name,
+        quantity: orderData.quantity,
+        unitPrice,
+        totalAmount: tax.taxInclusive ? amount : roundCurrency(amount + tax.taxAmount),
+        specialInstructions: orderData.specialInstructions,
+        paymentMethod: orderData.paymentMethod,
+        ...tax
+      },
+      include: orderInclude
+    });
+
+    console.log(`🍽️ Room service order ${order.id} for room ${order.room.roomNumber}: ${order.quantity} x ${order.itemName} by ${req.user.name}`);
+
+    broadcastOrderUpdate(order, 'room_service_order_received');
+
+    res.status(201).json({
+      message: 'Room service order placed successfully',
+      order
+    });
+
+  } catch (error) {
+    console.error('Create room service order error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Kitchen starts on the order
+const startPreparing = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const order = await findOrder(parseInt(req.params.orderId), hotelId);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Room service order not found' });
+    }
+
+    if (order.orderStatus !== 'received') {
+      return res.status(409).json({
+        error: `Cannot start preparing an order that is ${order.orderStatus}`
+      });
+    }
+
+    const updatedOrder = await prisma.roomServiceOrder.update({
+      where: { id: order.id },
+      data: {
+        orderStatus: 'preparing',
+        preparedAt: new Date()
+      },
+      include: orderInclude
+    });
+
+    console.log(`👨‍🍳 Room service order ${order.id} being prepared`);
+
+    broadcastOrderUpdate(updatedOrder, 'room_service_order_preparing');
+
+    res.json({
+      message: 'Order is being prepared',
+      order: updatedOrder
+    });
+
+  } catch (error) {
+    console.error('Prepare room service order error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Deliver the order and settle it: room charges go on the folio, anything else is collected at the door
+ */
+const deliverOrder = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const deliveryData = deliverOrderSchema.parse(req.body);
+
+    const order = await findOrder(parseInt(req.params.orderId), hotelId);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Room service order not found' });
+    }
+
+    if (order.orderStatus !== 'preparing') {
+      return res.status(409).json({
+        error: order.orderStatus === 'received'
+          ? 'Order has not been prepared yet'
+          : `Cannot deliver an order that is ${order.orderStatus}`
+      });
+    }
+
+    const paymentMethod = deliveryData.paymentMethod || order.paymentMethod;
+
+    if (['card', 'upi'].includes(paymentMethod) && !(deliveryData.paymentReference && deliveryData.paymentReference.trim())) {
+      return res.status(400).json({ error: 'Payment reference is required for card and UPI payments' });
+    }
+
+    const updatedOrder = await prisma.$transaction(async (tx) => {
+      // Checkout posts open room-charge orders, so this one may already be on the folio
+      const postedLine = await tx.folioLine.findFirst({
+        where: { roomServiceOrderId: order.id }
+      });
+
+      if (paymentMethod === 'room_charge' && !postedLine) {
+        const folio = await getOrCreateFolio({ id: order.bookingId, hotelId }, tx);
+
+        if (folio.status === 'settled') {
+          const error = new Error('Folio is already settled - take payment on delivery');
+          error.statusCode = 409;
+          throw error;
+        }
+
+        await postRoomServiceOrder(folio, order, { postedById: req.user.userId, client: tx });
+      }
+
+      const paidAtDoor = paymentMethod !== 'room_charge' && !postedLine;
+
+      return tx.roomServiceOrder.update({
+        where: { id: order.id },
+        data: {
+          orderStatus: 'delivered',
+          deliveredAt: new Date(),
+          deliveryNotes: deliveryData.deliveryNotes,
+          ...(paidAtDoor && {
+            paymentMethod,
+            paymentStatus: 'paid',
+            paymentReference: deliveryData.paymentReference
+          }),
+          ...(!paidAtDoor && {
+            paymentMethod: 'room_charge',
+            paymentStatus: 'posted'
+          })
+        },
+        include: orderInclude
+      });
+    });
+
+    console.log(`🛎️ Room service order ${order.id} delivered to room ${updatedOrder.room.roomNumber} (${updatedOrder.paymentStatus})`);
+
+    broadcastOrderUpdate(updatedOrder, 'room_service_order_delivered', {
+      deliveredAt: updatedOrder.deliveredAt
+    });
+
+    res.json({
+      message: updatedOrder.paymentStatus === 'posted'
+        ? 'Order delivered and charged to the room'
+        : 'Order delivered and paid',
+      order: updatedOrder
+    });
+
+  } catch (error) {
+    console.error('Deliver room service order error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Cancel an order
+ * Front desk can cancel until the kitchen starts; after that (food already made) it takes a manager.
+ * A charge already on an open folio is reversed
+ */
+const cancelOrder = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const { reason } = cancelOrderSchema.parse(req.body);
+
+    const order = await findOrder(parseInt(req.params.orderId), hotelId);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Room service order not found' });
+    }
+
+    if (!OPEN_STATUSES.includes(order.orderStatus)) {
+      return res.status(409).json({
+        error: `Cannot cancel an order that is ${order.orderStatus}`
+      });
+    }
+
+    if (order.orderStatus === 'preparing' && !isManager(req.user)) {
+      return res.status(403).json({ error: 'Only managers can cancel an order that is being prepared' });
+    }
+
+    const updatedOrder = await prisma.$transaction(async (tx) => {
+      const postedLine = await tx.folioLine.findFirst({
+        where: {
+          roomServiceOrderId: order.id,
+          reversesLineId: null,
+          reversedBy: { is: null }
+        },
+        include: {
+          folio: true
+        }
+      });
+
+      if (postedLine) {
+        if (postedLine.folio.status === 'settled') {
+          const error = new Error('Order was billed on a settled folio - issue a credit instead');
+          error.statusCode = 409;
+          throw error;
+        }
+
+        await reverseFolioLine(postedLine.folio, postedLine, {
+          reason: `Room service order cancelled: ${reason}`,
+          postedById: req.user.userId
+        }, tx);
+      }
+
+      return tx.roomServiceOrder.update({
+        where: { id: order.id },
+        data: {
+          orderStatus: 'cancelled',
+          paymentStatus: 'void',
+          cancelledAt: new Date(),
+          cancellationReason: reason
+        },
+        include: orderInclude
+      });
+    });
+
+    console.log(`❌ Room service order ${order.id} cancelled by ${req.user.name}: ${reason}`);
+
+    broadcastOrderUpdate(updatedOrder, 'room_service_order_cancelled', {
+      cancellationReason: reason,
+      cancelledBy: req.user.name
+    });
+
+    res.json({
+      message: 'Room service order cancelled successfully',
+      order: updatedOrder
+    });
+
+  } catch (error) {
+    console.error('Cancel room service order error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  getOrders,
+  getOrderById,
+  createOrder,
+  startPreparing,
+  deliverOrder,
+  cancelOrder
+};
@@ -12,6 +12,11 @@ const createRoomTypeSchema = z.object({
   basePrice: z.number()
     .positive('Base price must be positive')
     .max(999999.99, 'Base price too high'),
+  maxOccupancy: z.number()
+    .int()
+    .min(1, 'Room must fit at least one guest')
+    .max(20, 'Max occupancy too high')
+    .optional(),
   description: z.string().max(500, 'Description too long').optional().nullable(),
   amenities: z.string().max(1000, 'Amenities list too long').optional().nullable()
 });
@@ -46,6 +51,7 @@ const createRoomType = async (req, res) => {
       data: {
         name: roomTypeData.name,
         basePrice: roomTypeData.basePrice,
+        maxOccupancy: roomTypeData.maxOccupancy,
         description: roomTypeData.description || null,
         amenities: roomTypeData.amenities || null,
         hotelId
@@ -64,6 +70,7 @@ const createRoomType = async (req, res) => {
         id: roomType.id,
         name: roomType.name,
         basePrice: roomType.basePrice,
+        maxOccupancy: roomType.maxOccupancy,
         description: roomType.description,
         amenities: roomType.amenities,
         createdAt: roomType.createdAt
@@ -265,7 +272,7 @@ const deleteRoomType = async (req, res) => {
       },
       include: {
         _count: {
-          select: { rooms: true }
+          select: { rooms: true, bookings: true }
         }
       }
     });
@@ -282,6 +289,14 @@ const deleteRoomType = async (req, res) => {
       });
     }
 
+    // Room-type reservations point at the type directly
+    if (roomType._count.bookings > 0) {
+      return res.status(400).json({
+        error: 'Cannot delete room type',
+        message: `Room type has ${roomType._count.bookings} bookings.`
+      });
+    }
+
     await prisma.roomType.delete({
       where: { id: roomTypeId }
     });
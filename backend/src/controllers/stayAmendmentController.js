@@ -0,0 +1,518 @@
+const { PrismaClient } = require('@prisma/client');
+const { z } = require('zod');
+const { calculateStayPricing, applyCompanyRate, toNightlyRateRows, summarizeNightlyRates, roundCurrency } = require('../utils/pricingEngine');
+const { findCompanyRate, getCompanyExposure } = require('../utils/companies');
+const { checkRoomAvailability, findAvailableRooms } = require('../utils/availability');
+const { resolveCancellationPolicy, evaluateEarlyDeparture } = require('../utils/cancellationPolicy');
+const { startOfDay, countNights, toDateKey } = require('../utils/dateUtils');
+const { getOrCreateFolio, postFolioLine, postRoomCharges } = require('../utils/folio');
+const { getTaxSettings, taxForFolioLine, syncBookingTax, taxStayPricing } = require('../utils/taxEngine');
+const { refreshPaymentStatus } = require('../utils/payments');
+const { recordBookingHistory } = require('../utils/bookingHistory');
+const { queueBookingNotification } = require('../utils/notifications');
+
+const prisma = new PrismaClient();
+
+const validDate = (label) => z.string().refine((date) => !isNaN(new Date(date).getTime()), `Invalid ${label}`);
+
+// Validation schemas
+const extendStaySchema = z.object({
+  checkOutDate: validDate('check-out date'),
+  reason: z.string().max(1000).optional().nullable()
+});
+
+const earlyDepartureSchema = z.object({
+  // Defaults to today - the guest is leaving now
+  checkOutDate: validDate('check-out date').optional(),
+  reason: z.string().min(3, 'Reason for the early departure is required').max(1000),
+  waiveFee: z.boolean().default(false)
+});
+
+const earlyDepartureQuerySchema = z.object({
+  checkOutDate: validDate('check-out date').optional()
+});
+
+const validationError = (res, error) => {
+  return res.status(400).json({
+    error: 'Validation failed',
+    details: error.issues.map(err => ({
+      field: err.path.join('.'),
+      message: err.message
+    }))
+  });
+};
+
+const isManager = (user) => ['hotel_owner', 'hotel_manager'].includes(user.role);
+
+const findBooking = (bookingId, hotelId) => {
+  return prisma.booking.findFirst({
+    where: {
+      id: bookingId,
+      hotelId
+    },
+    include: {
+      room: { select: { id: true, roomNumber: true } },
+      roomType: { select: { id: true, name: true } },
+      guest: { select: { name: true, phone: true } },
+      ratePlan: true,
+      company: true,
+      nightlyRates: { orderBy: { stayDate: 'asc' } }
+    }
+  });
+};
+
+const amendedBookingInclude = {
+  nightlyRates: { orderBy: { stayDate: 'asc' } },
+  guest: { select: { id: true, name: true, phone: true } },
+  room: { select: { id: true, roomNumber: true } },
+  roomType: { select: { id: true, name: true } }
+};
+
+/**
+ * Nights given up when the stay ends early, each with what it was actually charged
+ * (its rate less its share of any discount on the booking)
+ */
+const getReleasedNights = (booking, newCheckOut) => {
+  const baseAmount = parseFloat(booking.baseAmount);
+  const ratio = baseAmount > 0 ? parseFloat(booking.finalAmount) / baseAmount : 1;
+
+  return booking.nightlyRates
+    .filter(night => startOfDay(night.stayDate) >= startOfDay(newCheckOut))
+    .map(night => ({
+      id: night.id,
+      stayDate: night.stayDate,
+      rate: parseFloat(night.rate),
+      chargedAmount: roundCurrency(parseFloat(night.rate) * ratio)
+    }));
+};
+
+/**
+ * Check the new departure date for an early departure
+ * Returns an error message, or null when the date works
+ */
+const checkEarlyDepartureDate = (booking, newCheckOut) => {
+  if (booking.status !== 'checked_in') {
+    return `Only in-house guests can depart early (current status: ${booking.status})`;
+  }
+  if (newCheckOut >= startOfDay(booking.checkOutDate)) {
+    return 'New check-out date must be before the booked check-out date';
+  }
+  if (newCheckOut <= startOfDay(booking.checkInDate)) {
+    return 'The stay must keep at least one night';
+  }
+  if (newCheckOut < startOfDay(new Date())) {
+    return 'Nights already passed cannot be released';
+  }
+  return null;
+};
+
+const broadcastStayAmendment = (booking, amendment, user) => {
+  if (!global.socketServer) return;
+
+  const amendmentData = {
+    bookingId: booking.id,
+    amendmentId: amendment.id,
+    amendmentType: amendment.amendmentType,
+    guestName: booking.guest.name,
+    roomNumber: booking.room ? booking.room.roomNumber : null,
+    originalCheckOutDate: amendment.originalCheckOutDate,
+    newCheckOutDate: amendment.newCheckOutDate,
+    nightsChanged: amendment.nightsChanged,
+    earlyDepartureFee: amendment.earlyDepartureFee,
+    amendedBy: {
+      userId: user.userId,
+      userName: user.name,
+      userRole: user.role
+    }
+  };
+
+  // Housekeeping plans departures off the check-out date, so everyone hears about it
+  global.socketServer.broadcastToHotel(booking.hotelId, 'stay_amended', amendmentData);
+  global.socketServer.broadcastToRole(booking.hotelId, 'front_desk', 'booking_management_update', amendmentData);
+};
+
+/**
+ * Extend a stay
+ * The extra nights are priced at the room type's rates for those dates; nights already booked
+ * (and any negotiated amount on them) stay as they are
+ */
+const extendStay = async (req, res) => {
+  try {
+    const bookingId = parseInt(req.params.bookingId);
+    const hotelId = req.user.hotelId;
+    const { checkOutDate, reason } = extendStaySchema.parse(req.body);
+
+    const booking = await findBooking(bookingId, hotelId);
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    if (!['confirmed', 'checked_in'].includes(booking.status)) {
+      return res.status(400).json({
+        error: 'Booking cannot be extended',
+        message: `Only confirmed or in-house bookings can be extended (current status: ${booking.status})`
+      });
+    }
+
+    const originalCheckOut = startOfDay(booking.checkOutDate);
+    const newCheckOut = startOfDay(checkOutDate);
+
+    if (newCheckOut <= originalCheckOut) {
+      return res.status(400).json({ error: 'New check-out date must be after the booked check-out date' });
+    }
+
+    // Only the extra nights need to be free
+    if (booking.roomId) {
+      const availability = await checkRoomAvailability({
+        hotelId,
+        roomId: booking.roomId,
+        checkInDate: originalCheckOut,
+        checkOutDate: newCheckOut,
+        excludeBookingId: bookingId
+      });
+
+      if (!availability.available) {
+        return res.status(409).json({
+          error: 'Room is not available for the extra nights',
+          message: availability.reason,
+          conflicts: availability.conflictingBookings,
+          maintenanceWindows: availability.maintenanceWindows
+        });
+      }
+    } else {
+      const [inventory] = await findAvailableRooms({
+        hotelId,
+        roomTypeId: booking.roomTypeId,
+        checkInDate: originalCheckOut,
+        checkOutDate: newCheckOut,
+        excludeBookingId: bookingId
+      });
+
+      if (!inventory || inventory.availableCount < 1) {
+        return res.status(409).json({
+          error: 'Room type is not available for the extra nights',
+          message: `All ${booking.roomType.name} rooms are already reserved for these dates`
+        });
+      }
+    }
+
+    // Extra nights are sold on the stay's rate plan (or the company's negotiated rate) too
+    const companyRate = !booking.ratePlan && await findCompanyRate({
+      companyId: booking.companyId,
+      roomTypeId: booking.roomTypeId
+    });
+
+    const extraNights = applyCompanyRate(await calculateStayPricing({
+      hotelId,
+      roomTypeId: booking.roomTypeId,
+      checkInDate: originalCheckOut,
+      checkOutDate: newCheckOut,
+      ratePlan: booking.ratePlan
+    }), companyRate);
+
+    // The company pays for the extra nights too - they must fit in its credit limit
+    if (booking.billToCompany && booking.company) {
+      const extraTax = await taxStayPricing({
+        hotelId,
+        nightlyRates: extraNights.nightlyRates,
+        baseAmount: extraNights.baseAmount,
+        finalAmount: extraNights.baseAmount,
+        inclusive: booking.taxInclusive
+      });
+      const newAmount = roundCurrency(parseFloat(booking.totalAmount) + extraTax.totalAmount);
+      const credit = await getCompanyExposure(booking.company, { excludeBookingId: bookingId });
+
+      if (credit.exposure + newAmount > credit.creditLimit) {
+        return res.status(409).json({
+          error: `Extension would take ${booking.company.name} over its credit limit`,
+          message: 'Collect a payment on the account, raise the limit, or stop billing the stay to the company',
+          bookingAmount: newAmount,
+          credit
+        });
+      }
+    }
+
+    const totalNights = booking.totalNights + extraNights.totalNights;
+    const baseAmount = roundCurrency(parseFloat(booking.baseAmount) + extraNights.baseAmount);
+    const finalAmount = roundCurrency(parseFloat(booking.finalAmount) + extraNights.baseAmount);
+
+    const amendment = await prisma.$transaction(async (tx) => {
+      await tx.bookingNightlyRate.createMany({
+        data: toNightlyRateRows(hotelId, bookingId, extraNights.nightlyRates)
+      });
+
+      const updatedBooking = await tx.booking.update({
+        where: { id: bookingId },
+        data: {
+          checkOutDate: newCheckOut,
+          totalNights,
+          baseAmount,
+          finalAmount,
+          roomRate: roundCurrency(baseAmount / totalNights)
+        },
+        include: {
+          nightlyRates: { orderBy: { stayDate: 'asc' } }
+        }
+      });
+
+      await recordBookingHistory({
+        booking: updatedBooking,
+        before: booking,
+        action: 'stay_extended',
+        reason,
+        performedById: req.user.userId
+      }, tx);
+
+      // In house: the folio follows (it re-taxes the stay); otherwise just re-tax the booking
+      if (booking.status === 'checked_in') {
+        await postRoomCharges(updatedBooking, {
+          postedById: req.user.userId,
+          reason: `Stay extended to ${toDateKey(newCheckOut)}`,
+          client: tx
+        });
+      } else {
+        await syncBookingTax(bookingId, tx);
+      }
+
+      return tx.stayAmendment.create({
+        data: {
+          hotelId,
+          bookingId,
+          amendmentType: 'extension',
+          originalCheckInDate: booking.checkInDate,
+          originalCheckOutDate: booking.checkOutDate,
+          newCheckOutDate: newCheckOut,
+          nightsChanged: extraNights.totalNights,
+          previousFinalAmount: booking.finalAmount,
+          newFinalAmount: finalAmount,
+          reason,
+          amendedById: req.user.userId
+        }
+      });
+    });
+
+    const updatedBooking = await prisma.booking.findUnique({
+      where: { id: bookingId },
+      include: amendedBookingInclude
+    });
+    updatedBooking.paymentStatus = (await refreshPaymentStatus(bookingId)).paymentStatus;
+
+    console.log(`📆 Booking ${bookingId} extended by ${extraNights.totalNights} night(s) to ${toDateKey(newCheckOut)} by ${req.user.name}`);
+
+    broadcastStayAmendment(booking, amendment, req.user);
+
+    // Updated voucher with the new check-out date
+    await queueBookingNotification(bookingId, 'booking_modification')
+      .catch(error => console.error('Booking notification error:', error));
+
+    res.json({
+      message: `Stay extended by ${extraNights.totalNights} night${extraNights.totalNights === 1 ? '' : 's'}`,
+      booking: updatedBooking,
+      amendment,
+      extraNights: {
+        nights: extraNights.totalNights,
+        amount: extraNights.baseAmount,
+        rateSummary: summarizeNightlyRates(extraNights.nightlyRates)
+      }
+    });
+
+  } catch (error) {
+    console.error('Extend stay error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// What an early departure would release and charge, before doing it
+const getEarlyDepartureQuote = async (req, res) => {
+  try {
+    const bookingId = parseInt(req.params.bookingId);
+    const { checkOutDate } = earlyDepartureQuerySchema.parse(req.query);
+
+    const booking = await findBooking(bookingId, req.user.hotelId);
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const newCheckOut = startOfDay(checkOutDate || new Date());
+    const dateError = checkEarlyDepartureDate(booking, newCheckOut);
+    if (dateError) {
+      return res.status(400).json({ error: dateError });
+    }
+
+    const releasedNights = getReleasedNights(booking, newCheckOut);
+    const policy = await resolveCancellationPolicy(booking);
+    const evaluation = evaluateEarlyDeparture({ policy, releasedNights });
+
+    res.json({
+      message: 'Early departure quote',
+      bookingId,
+      originalCheckOutDate: booking.checkOutDate,
+      newCheckOutDate: newCheckOut,
+      releasedNights: releasedNights.map(({ stayDate, chargedAmount }) => ({ stayDate, chargedAmount })),
+      earlyDeparture: evaluation
+    });
+
+  } catch (error) {
+    console.error('Early departure quote error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Shorten an in-house stay
+ * The released nights come off the room charge and the booking's early-departure policy
+ * (on its cancellation policy) decides what is charged for them. Check the guest out as usual afterwards.
+ */
+const departEarly = async (req, res) => {
+  try {
+    const bookingId = parseInt(req.params.bookingId);
+    const hotelId = req.user.hotelId;
+    const { checkOutDate, reason, waiveFee } = earlyDepartureSchema.parse(req.body);
+
+    if (waiveFee && !isManager(req.user)) {
+      return res.status(403).json({ error: 'Only managers can waive early departure charges' });
+    }
+
+    const booking = await findBooking(bookingId, hotelId);
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const newCheckOut = startOfDay(checkOutDate || new Date());
+    const dateError = checkEarlyDepartureDate(booking, newCheckOut);
+    if (dateError) {
+      return res.status(400).json({ error: dateError });
+    }
+
+    const releasedNights = getReleasedNights(booking, newCheckOut);
+    const policy = await resolveCancellationPolicy(booking);
+    const evaluation = evaluateEarlyDeparture({ policy, releasedNights });
+    const earlyDepartureFee = waiveFee ? 0 : evaluation.fee;
+
+    const totalNights = countNights(booking.checkInDate, newCheckOut);
+    const baseAmount = roundCurrency(parseFloat(booking.baseAmount) - releasedNights.reduce((total, night) => total + night.rate, 0));
+    const finalAmount = roundCurrency(parseFloat(booking.finalAmount) - evaluation.releasedAmount);
+
+    const amendment = await prisma.$transaction(async (tx) => {
+      await tx.bookingNightlyRate.deleteMany({
+        where: { id: { in: releasedNights.map(night => night.id) } }
+      });
+
+      const updatedBooking = await tx.booking.update({
+        where: { id: bookingId },
+        data: {
+          checkOutDate: newCheckOut,
+          totalNights,
+          baseAmount,
+          finalAmount,
+          roomRate: roundCurrency(baseAmount / totalNights)
+        },
+        include: {
+          nightlyRates: { orderBy: { stayDate: 'asc' } }
+        }
+      });
+
+      await recordBookingHistory({
+        booking: updatedBooking,
+        before: booking,
+        action: 'early_departure',
+        reason,
+        performedById: req.user.userId
+      }, tx);
+
+      await postRoomCharges(updatedBooking, {
+        postedById: req.user.userId,
+        reason: `Early departure on ${toDateKey(newCheckOut)}`,
+        client: tx
+      });
+
+      if (earlyDepartureFee > 0) {
+        const folio = await getOrCreateFolio(booking, tx);
+        const settings = await getTaxSettings(hotelId, tx);
+        await postFolioLine(folio, {
+          lineType: 'early_departure_fee',
+          description: evaluation.policyName ? `Early departure charge (${evaluation.policyName})` : 'Early departure charge',
+          unitAmount: earlyDepartureFee,
+          reason,
+          postedById: req.user.userId,
+          // Part of the agreed tariff, so it follows the booking's tax basis
+          ...taxForFolioLine({ lineType: 'early_departure_fee', unitAmount: earlyDepartureFee, inclusive: booking.taxInclusive, settings })
+        }, tx);
+      }
+
+      return tx.stayAmendment.create({
+        data: {
+          hotelId,
+          bookingId,
+          amendmentType: 'early_departure',
+          originalCheckInDate: booking.checkInDate,
+          originalCheckOutDate: booking.checkOutDate,
+          newCheckOutDate: newCheckOut,
+          nightsChanged: -releasedNights.length,
+          previousFinalAmount: booking.finalAmount,
+          newFinalAmount: finalAmount,
+          earlyDepartureFee,
+          feeWaived: waiveFee && evaluation.fee > 0,
+          cancellationPolicyId: evaluation.policyId,
+          reason,
+          amendedById: req.user.userId
+        }
+      });
+    });
+
+    const updatedBooking = await prisma.booking.findUnique({
+      where: { id: bookingId },
+      include: amendedBookingInclude
+    });
+    const paymentPosition = await refreshPaymentStatus(bookingId);
+    updatedBooking.paymentStatus = paymentPosition.paymentStatus;
+
+    console.log(`📆 Booking ${bookingId} departing early on ${toDateKey(newCheckOut)} (${releasedNights.length} night(s) released, charge: ${earlyDepartureFee}) by ${req.user.name}`);
+
+    broadcastStayAmendment(booking, amendment, req.user);
+
+    // Updated voucher with the new check-out date and any early departure charge
+    await queueBookingNotification(bookingId, 'booking_modification')
+      .catch(error => console.error('Booking notification error:', error));
+
+    res.json({
+      message: `Stay shortened by ${releasedNights.length} night${releasedNights.length === 1 ? '' : 's'} - check the guest out to settle the folio`,
+      booking: updatedBooking,
+      amendment,
+      earlyDeparture: {
+        ...evaluation,
+        fee: earlyDepartureFee,
+        feeWaived: waiveFee && evaluation.fee > 0
+      },
+      payments: paymentPosition
+    });
+
+  } catch (error) {
+    console.error('Early departure error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  extendStay,
+  getEarlyDepartureQuote,
+  departEarly
+};
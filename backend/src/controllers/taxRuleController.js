@@ -0,0 +1,303 @@
+const { PrismaClient } = require('@prisma/client');
+const { z } = require('zod');
+const { roundCurrency } = require('../utils/pricingEngine');
+const { startOfDay, addDays } = require('../utils/dateUtils');
+const { TAX_CATEGORIES, LINE_TYPE_TAX_CATEGORIES, getTaxSettings } = require('../utils/taxEngine');
+
+const prisma = new PrismaClient();
+
+// Validation schemas
+const ruleFields = z.object({
+  category: z.enum(TAX_CATEGORIES),
+  name: z.string().min(2, 'Rule name must be at least 2 characters').max(100, 'Rule name too long'),
+  sacCode: z.string().regex(/^[0-9]{4,8}$/, 'SAC/HSN code must be 4-8 digits'),
+  minAmount: z.number().min(0).optional(),
+  maxAmount: z.number().positive().optional().nullable(),
+  rate: z.number().min(0).max(28, 'GST rate cannot exceed 28%')
+});
+
+const slabInOrder = (data) => data.maxAmount === undefined || data.maxAmount === null ||
+  data.maxAmount > (data.minAmount || 0);
+
+const createRuleSchema = ruleFields.refine(slabInOrder, {
+  message: 'maxAmount must be above minAmount',
+  path: ['maxAmount']
+});
+
+const updateRuleSchema = ruleFields.partial().extend({
+  isActive: z.boolean().optional()
+});
+
+const summaryQuerySchema = z.object({
+  from: z.string().refine((date) => !isNaN(new Date(date).getTime()), 'Invalid from date'),
+  to: z.string().refine((date) => !isNaN(new Date(date).getTime()), 'Invalid to date')
+});
+
+const validationError = (res, error) => {
+  return res.status(400).json({
+    error: 'Validation failed',
+    details: error.issues.map(err => ({
+      field: err.path.join('.'),
+      message: err.message
+    }))
+  });
+};
+
+/**
+ * Another active rule in the category whose slab overlaps this one
+ * Slabs are inclusive at both ends, so 0-7500 and 7500.01+ don't overlap
+ */
+const findOverlappingRule = (hotelId, { id, category, minAmount, maxAmount }) => {
+  return prisma.taxRule.findFirst({
+    where: {
+      hotelId,
+      category,
+      isActive: true,
+      ...(id && { id: { not: id } }),
+      // other.min <= this.max (when bounded) and other.max >= this.min (or unbounded)
+      ...(maxAmount !== null && { minAmount: { lte: maxAmount } }),
+      OR: [
+        { maxAmount: null },
+        { maxAmount: { gte: minAmount } }
+      ]
+    }
+  });
+};
+
+// Tax rules and the rules in effect per category (hotel rules, or the GST defaults)
+const getTaxRules = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+
+    const [rules, settings] = await Promise.all([
+      prisma.taxRule.findMany({
+        where: { hotelId },
+        include: {
+          createdBy: { select: { id: true, name: true } }
+        },
+        orderBy: [
+          { category: 'asc' },
+          { minAmount: 'asc' }
+        ]
+      }),
+      getTaxSettings(hotelId)
+    ]);
+
+    res.json({
+      message: 'Tax rules retrieved successfully',
+      pricesIncludeTax: settings.pricesIncludeTax,
+      rules,
+      effectiveRules: settings.rules
+    });
+
+  } catch (error) {
+    console.error('Get tax rules error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Create a tax rule (slab)
+const createTaxRule = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const ruleData = createRuleSchema.parse(req.body);
+
+    const slab = {
+      category: ruleData.category,
+      minAmount: ruleData.minAmount || 0,
+      maxAmount: ruleData.maxAmount ?? null
+    };
+
+    const overlapping = await findOverlappingRule(hotelId, slab);
+    if (overlapping) {
+      return res.status(409).json({
+        error: 'Slab overlaps an existing rule',
+        conflictingRule: overlapping
+      });
+    }
+
+    const rule = await prisma.taxRule.create({
+      data: {
+        ...ruleData,
+        ...slab,
+        hotelId,
+        createdById: req.user.userId
+      }
+    });
+
+    console.log(`🧮 Tax rule created: ${rule.category} ${rule.minAmount}-${rule.maxAmount ?? 'up'} @ ${rule.rate}% by ${req.user.name}`);
+
+    res.status(201).json({
+      message: 'Tax rule created successfully',
+      rule
+    });
+
+  } catch (error) {
+    console.error('Create tax rule error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Update (or deactivate) a tax rule - applies to charges priced from now on
+const updateTaxRule = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const ruleId = parseInt(req.params.ruleId);
+    const updateData = updateRuleSchema.parse(req.body);
+
+    const existingRule = await prisma.taxRule.findFirst({
+      where: {
+        id: ruleId,
+        hotelId
+      }
+    });
+
+    if (!existingRule) {
+      return res.status(404).json({ error: 'Tax rule not found' });
+    }
+
+    const merged = {
+      id: ruleId,
+      category: updateData.category || existingRule.category,
+      minAmount: updateData.minAmount !== undefined ? updateData.minAmount : parseFloat(existingRule.minAmount),
+      maxAmount: updateData.maxAmount !== undefined
+        ? updateData.maxAmount
+        : (existingRule.maxAmount === null ? null : parseFloat(existingRule.maxAmount))
+    };
+
+    if (!slabInOrder(merged)) {
+      return res.status(400).json({ error: 'maxAmount must be above minAmount' });
+    }
+
+    const staysActive = updateData.isActive !== undefined ? updateData.isActive : existingRule.isActive;
+    if (staysActive) {
+      const overlapping = await findOverlappingRule(hotelId, merged);
+      if (overlapping) {
+        return res.status(409).json({
+          error: 'Slab overlaps an existing rule',
+          conflictingRule: overlapping
+        });
+      }
+    }
+
+    const rule = await prisma.taxRule.update({
+      where: { id: ruleId },
+      data: updateData
+    });
+
+    res.json({
+      message: 'Tax rule updated successfully',
+      rule
+    });
+
+  } catch (error) {
+    console.error('Update tax rule error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * GST collected on settled folios, by category and by rate
+ * Totals the tax stored on each folio line, so it matches what was billed
+ */
+const getTaxSummary = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const { from, to } = summaryQuerySchema.parse(req.query);
+
+    const lines = await prisma.folioLine.findMany({
+      where: {
+        hotelId,
+        folio: {
+          status: 'settled',
+          settledAt: {
+            gte: startOfDay(from),
+            lt: addDays(startOfDay(to), 1)
+          }
+        }
+      },
+      select: {
+        lineType: true,
+        amount: true,
+        taxAmount: true,
+        taxRate: true,
+        taxInclusive: true,
+        roomServiceOrder: {
+          select: {
+            menuItem: { select: { taxCategory: true } }
+          }
+        }
+      }
+    });
+
+    // Menu items can set their own tax category (minibar non-food items)
+    const lineCategory = (line) => line.roomServiceOrder && line.roomServiceOrder.menuItem
+      ? line.roomServiceOrder.menuItem.taxCategory
+      : LINE_TYPE_TAX_CATEGORIES[line.lineType];
+
+    const byCategory = {};
+    const byRate = {};
+    let taxableAmount = 0;
+    let taxAmount = 0;
+
+    lines.forEach(line => {
+      const category = lineCategory(line);
+      if (!category) return;
+
+      const tax = parseFloat(line.taxAmount);
+      const taxable = line.taxInclusive ? parseFloat(line.amount) - tax : parseFloat(line.amount);
+
+      byCategory[category] = byCategory[category] || { taxableAmount: 0, taxAmount: 0 };
+      byCategory[category].taxableAmount = roundCurrency(byCategory[category].taxableAmount + taxable);
+      byCategory[category].taxAmount = roundCurrency(byCategory[category].taxAmount + tax);
+
+      // Discounts carry no rate of their own - they only lower the category's taxable value
+      if (line.taxRate !== null) {
+        const rateKey = String(parseFloat(line.taxRate));
+        byRate[rateKey] = byRate[rateKey] || { taxRate: parseFloat(line.taxRate), taxableAmount: 0, taxAmount: 0 };
+        byRate[rateKey].taxableAmount = roundCurrency(byRate[rateKey].taxableAmount + taxable);
+        byRate[rateKey].taxAmount = roundCurrency(byRate[rateKey].taxAmount + tax);
+      }
+
+      taxableAmount += taxable;
+      taxAmount += tax;
+    });
+
+    res.json({
+      message: 'Tax summary retrieved successfully',
+      period: { from, to },
+      summary: {
+        taxableAmount: roundCurrency(taxableAmount),
+        taxAmount: roundCurrency(taxAmount),
+        byCategory,
+        byRate: Object.values(byRate).sort((a, b) => a.taxRate - b.taxRate)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get tax summary error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  getTaxRules,
+  createTaxRule,
+  updateTaxRule,
+  getTaxSummary
+};
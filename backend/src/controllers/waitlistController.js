@@ -0,0 +1,363 @@
+const { PrismaClient } = require('@prisma/client');
+const { z } = require('zod');
+const { findAvailableRooms } = require('../utils/availability');
+const { startOfDay } = require('../utils/dateUtils');
+const {
+  WAITLIST_PRIORITIES,
+  OPEN_WAITLIST_STATUSES,
+  compareWaitlistEntries,
+  waitlistInclude
+} = require('../utils/waitlist');
+
+const prisma = new PrismaClient();
+
+const WAITLIST_STATUSES = ['waiting', 'notified', 'converted', 'cancelled'];
+
+// Validation schemas
+const createWaitlistSchema = z.object({
+  guestId: z.number().int().positive(),
+  roomTypeId: z.number().int().positive(),
+  checkInDate: z.string().refine((date) => {
+    const checkIn = new Date(date);
+    return !isNaN(checkIn.getTime()) && checkIn >= startOfDay(new Date());
+  }, 'Check-in date cannot be in the past'),
+  checkOutDate: z.string().refine((date) => !isNaN(new Date(date).getTime()), 'Invalid check-out date'),
+  numberOfGuests: z.number().int().positive().default(1),
+  priority: z.enum(WAITLIST_PRIORITIES).default('normal'),
+  notes: z.string().max(1000).optional().nullable()
+}).refine((data) => new Date(data.checkOutDate) > new Date(data.checkInDate), {
+  message: 'Check-out date must be after check-in date',
+  path: ['checkOutDate']
+});
+
+const updateWaitlistSchema = z.object({
+  checkInDate: z.string().refine((date) => !isNaN(new Date(date).getTime()), 'Invalid check-in date').optional(),
+  checkOutDate: z.string().refine((date) => !isNaN(new Date(date).getTime()), 'Invalid check-out date').optional(),
+  numberOfGuests: z.number().int().positive().optional(),
+  priority: z.enum(WAITLIST_PRIORITIES).optional(),
+  notes: z.string().max(1000).optional().nullable()
+});
+
+const cancelWaitlistSchema = z.object({
+  reason: z.string().min(3, 'Reason is required').max(1000)
+});
+
+const waitlistQuerySchema = z.object({
+  status: z.enum(WAITLIST_STATUSES).optional(),
+  roomTypeId: z.coerce.number().int().positive().optional(),
+  guestId: z.coerce.number().int().positive().optional(),
+  // Entries wanting to stay on this date
+  date: z.string().refine((date) => !isNaN(new Date(date).getTime()), 'Invalid date').optional()
+});
+
+const validationError = (res, error) => {
+  return res.status(400).json({
+    error: 'Validation failed',
+    details: error.issues.map(err => ({
+      field: err.path.join('.'),
+      message: err.message
+    }))
+  });
+};
+
+// Rooms of the type free for every night of the stay right now
+const currentAvailability = async (hotelId, entry) => {
+  const [inventory] = await findAvailableRooms({
+    hotelId,
+    roomTypeId: entry.roomTypeId,
+    checkInDate: entry.checkInDate,
+    checkOutDate: entry.checkOutDate
+  });
+
+  return inventory ? inventory.availableCount : 0;
+};
+
+/**
+ * The waitlist in offer order (priority, then oldest first)
+ * Defaults to open entries that haven't passed their arrival date
+ */
+const getWaitlist = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const { status, roomTypeId, guestId, date } = waitlistQuerySchema.parse(req.query);
+
+    const entries = await prisma.waitlistEntry.findMany({
+      where: {
+        hotelId,
+        ...(status
+          ? { status }
+          : { status: { in: OPEN_WAITLIST_STATUSES }, checkInDate: { gte: startOfDay(new Date()) } }),
+        ...(roomTypeId && { roomTypeId }),
+        ...(guestId && { guestId }),
+        ...(date && {
+          AND: [
+            { checkInDate: { lte: startOfDay(date) } },
+            { checkOutDate: { gt: startOfDay(date) } }
+          ]
+        })
+      },
+      include: waitlistInclude
+    });
+
+    entries.sort(compareWaitlistEntries);
+
+    res.json({
+      message: 'Waitlist retrieved successfully',
+      entries,
+      count: entries.length
+    });
+
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// One entry, with how many rooms could be booked for it right now
+const getWaitlistEntryById = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const entryId = parseInt(req.params.entryId);
+
+    const entry = await prisma.waitlistEntry.findFirst({
+      where: {
+        id: entryId,
+        hotelId
+      },
+      include: {
+        ...waitlistInclude,
+        booking: { select: { id: true, status: true, checkInDate: true, checkOutDate: true } }
+      }
+    });
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Waitlist entry not found' });
+    }
+
+    const availableCount = OPEN_WAITLIST_STATUSES.includes(entry.status)
+      ? await currentAvailability(hotelId, entry)
+      : null;
+
+    res.json({
+      message: 'Waitlist entry retrieved successfully',
+      entry,
+      availableCount
+    });
+
+  } catch (error) {
+    console.error('Get waitlist entry error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Put a guest on the waitlist for a sold-out room type
+const createWaitlistEntry = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const entryData = createWaitlistSchema.parse(req.body);
+
+    const [guest, roomType] = await Promise.all([
+      prisma.guest.findFirst({ where: { id: entryData.guestId, hotelId } }),
+      prisma.roomType.findFirst({ where: { id: entryData.roomTypeId, hotelId } })
+    ]);
+
+    if (!guest) {
+      return res.status(404).json({ error: 'Guest not found' });
+    }
+
+    if (!roomType) {
+      return res.status(404).json({ error: 'Room type not found' });
+    }
+
+    if (entryData.numberOfGuests > roomType.maxOccupancy) {
+      return res.status(400).json({ error: `${roomType.name} sleeps at most ${roomType.maxOccupancy} guests` });
+    }
+
+    const checkInDate = new Date(entryData.checkInDate);
+    const checkOutDate = new Date(entryData.checkOutDate);
+
+    // One open entry per guest for overlapping dates of a room type
+    const duplicate = await prisma.waitlistEntry.findFirst({
+      where: {
+        hotelId,
+        guestId: entryData.guestId,
+        roomTypeId: entryData.roomTypeId,
+        status: { in: OPEN_WAITLIST_STATUSES },
+        checkInDate: { lt: checkOutDate },
+        checkOutDate: { gt: checkInDate }
+      }
+    });
+
+    if (duplicate) {
+      return res.status(409).json({
+        error: 'Guest is already on the waitlist for these dates',
+        waitlistEntryId: duplicate.id
+      });
+    }
+
+    const entry = await prisma.waitlistEntry.create({
+      data: {
+        ...entryData,
+        checkInDate,
+        checkOutDate,
+        hotelId,
+        createdById: req.user.userId
+      },
+      include: waitlistInclude
+    });
+
+    // Rooms may have opened up since the desk saw the 409 - say so rather than refuse
+    const availableCount = await currentAvailability(hotelId, entry);
+
+    console.log(`📋 ${guest.name} waitlisted for ${roomType.name} (${entry.priority}) by ${req.user.name}`);
+
+    res.status(201).json({
+      message: availableCount > 0
+        ? 'Guest added to the waitlist - rooms are available now, the booking can be made straight away'
+        : 'Guest added to the waitlist',
+      entry,
+      availableCount
+    });
+
+  } catch (error) {
+    console.error('Create waitlist entry error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Change the dates, party size, priority or notes of an open entry
+const updateWaitlistEntry = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const entryId = parseInt(req.params.entryId);
+    const updateData = updateWaitlistSchema.parse(req.body);
+
+    const existingEntry = await prisma.waitlistEntry.findFirst({
+      where: {
+        id: entryId,
+        hotelId
+      },
+      include: { roomType: true }
+    });
+
+    if (!existingEntry) {
+      return res.status(404).json({ error: 'Waitlist entry not found' });
+    }
+
+    if (!OPEN_WAITLIST_STATUSES.includes(existingEntry.status)) {
+      return res.status(400).json({ error: `Waitlist entry is already ${existingEntry.status}` });
+    }
+
+    const checkInDate = updateData.checkInDate ? new Date(updateData.checkInDate) : existingEntry.checkInDate;
+    const checkOutDate = updateData.checkOutDate ? new Date(updateData.checkOutDate) : existingEntry.checkOutDate;
+
+    if (checkOutDate <= checkInDate) {
+      return res.status(400).json({ error: 'Check-out date must be after check-in date' });
+    }
+
+    if (updateData.checkInDate && checkInDate < startOfDay(new Date())) {
+      return res.status(400).json({ error: 'Check-in date cannot be in the past' });
+    }
+
+    if (updateData.numberOfGuests && updateData.numberOfGuests > existingEntry.roomType.maxOccupancy) {
+      return res.status(400).json({ error: `${existingEntry.roomType.name} sleeps at most ${existingEntry.roomType.maxOccupancy} guests` });
+    }
+
+    const datesChanged = Boolean(updateData.checkInDate || updateData.checkOutDate);
+
+    const entry = await prisma.waitlistEntry.update({
+      where: { id: entryId },
+      data: {
+        ...updateData,
+        checkInDate,
+        checkOutDate,
+        // New dates haven't been offered yet
+        ...(datesChanged && { status: 'waiting', notifiedAt: null })
+      },
+      include: waitlistInclude
+    });
+
+    res.json({
+      message: 'Waitlist entry updated successfully',
+      entry,
+      availableCount: await currentAvailability(hotelId, entry)
+    });
+
+  } catch (error) {
+    console.error('Update waitlist entry error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Take a guest off the waitlist (booked elsewhere, no longer travelling...)
+const cancelWaitlistEntry = async (req, res) => {
+  try {
+    const hotelId = req.user.hotelId;
+    const entryId = parseInt(req.params.entryId);
+    const { reason } = cancelWaitlistSchema.parse(req.body);
+
+    const { count } = await prisma.waitlistEntry.updateMany({
+      where: {
+        id: entryId,
+        hotelId,
+        status: { in: OPEN_WAITLIST_STATUSES }
+      },
+      data: {
+        status: 'cancelled',
+        cancelledAt: new Date(),
+        cancellationReason: reason
+      }
+    });
+
+    if (count === 0) {
+      const entry = await prisma.waitlistEntry.findFirst({ where: { id: entryId, hotelId } });
+      return entry
+        ? res.status(400).json({ error: `Waitlist entry is already ${entry.status}` })
+        : res.status(404).json({ error: 'Waitlist entry not found' });
+    }
+
+    const entry = await prisma.waitlistEntry.findUnique({
+      where: { id: entryId },
+      include: waitlistInclude
+    });
+
+    console.log(`📋 Waitlist entry ${entryId} cancelled by ${req.user.name}: ${reason}`);
+
+    res.json({
+      message: 'Waitlist entry cancelled successfully',
+      entry
+    });
+
+  } catch (error) {
+    console.error('Cancel waitlist entry error:', error);
+
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  getWaitlist,
+  getWaitlistEntryById,
+  createWaitlistEntry,
+  updateWaitlistEntry,
+  cancelWaitlistEntry
+};
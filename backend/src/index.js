@@ -10,6 +10,10 @@ const { PrismaClient }= require('@prisma/client');
 // Import WebSocket server
 const SocketServer = require('./websocket/socketServer');
 
+// Import background jobs
+const { startNoShowScheduler } = require('./jobs/noShowProcessor');
+const { startNotificationScheduler } = require('./jobs/notificationDispatcher');
+
 // Import routes
 const authRoutes = require('./routes/auth');
 const hotelRoutes = require('./routes/hotels');
@@ -17,8 +21,23 @@ const platformRoutes = require('./routes/platform');
 const hotelUserRoutes = require('./routes/hotelUsers');
 const roomTypeRoutes = require('./routes/roomTypes');
 const roomRoutes = require('./routes/rooms');
+const roomPricingRoutes = require('./routes/roomPricing');
+const ratePlanRoutes = require('./routes/ratePlans');
 const guestRoutes = require('./routes/guests');
 const bookingRoutes = require('./routes/bookings');
+const groupBookingRoutes = require('./routes/groupBookings');
+const discountRoutes = require('./routes/discounts');
+const cancellationPolicyRoutes = require('./routes/cancellationPolicies');
+const hotelSettingsRoutes = require('./routes/hotelSettings');
+const invoiceRoutes = require('./routes/invoices');
+const taxRoutes = require('./routes/tax');
+const roomServiceRoutes = require('./routes/roomService');
+const waitlistRoutes = require('./routes/waitlist');
+const overbookingRoutes = require('./routes/overbooking');
+const otaImportRoutes = require('./routes/otaImports');
+const icalRoutes = require('./routes/ical');
+const companyRoutes = require('./routes/companies');
+const notificationRoutes = require('./routes/notifications');
 const taskRoutes = require('./routes/tasks');
 const managerRoutes = require('./routes/manager');
 const websocketTestRoutes = require('./routes/websocketTest');
@@ -69,8 +88,23 @@ app.use('/api/platform', platformRoutes);
 app.use('/api/users', hotelUserRoutes);
 app.use('/api/room-types', roomTypeRoutes);
 app.use('/api/rooms', roomRoutes);
+app.use('/api/room-pricing', roomPricingRoutes);
+app.use('/api/rate-plans', ratePlanRoutes);
 app.use('/api/guests', guestRoutes);
 app.use('/api/bookings', bookingRoutes);
+app.use('/api/groups', groupBookingRoutes);
+app.use('/api/discounts', discountRoutes);
+app.use('/api/cancellation-policies', cancellationPolicyRoutes);
+app.use('/api/hotel-settings', hotelSettingsRoutes);
+app.use('/api/invoices', invoiceRoutes);
+app.use('/api/tax', taxRoutes);
+app.use('/api/room-service', roomServiceRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/overbooking', overbookingRoutes);
+app.use('/api/ota-imports', otaImportRoutes);
+app.use('/api/ical', icalRoutes);
+app.use('/api/companies', companyRoutes);
+app.use('/api/notifications', notificationRoutes);
 app.use('/api/tasks', taskRoutes);
 app.use('/api/manager', managerRoutes);
 app.use('/api/websocket-test', websocketTestRoutes);
@@ -86,7 +120,8 @@ app.use('/api',(req,res)=>{
       platform: '/api/platform',
       users: '/api/users',
       roomTypes: '/api/room-types',
-      rooms: '/api/rooms'
+      rooms: '/api/rooms',
+      roomPricing: '/api/room-pricing'
     },
     documentation: 'Use /api/platform/setup-hotel for atomic hotel + owner creation'
   });
@@ -143,6 +178,12 @@ server.listen(PORT, 'localhost', (error) => {
   console.log(`🚀 Server running on http://localhost:${PORT}`);
   console.log(`🔌 WebSocket server running on ws://localhost:${PORT}`);
   console.log('🔄 Server is ready to accept connections');
+
+  // Mark bookings that never arrived as no-shows
+  startNoShowScheduler();
+
+  // Send guest confirmations and reminders from the outbox
+  startNotificationScheduler();
   console.log('🔧 Server should now stay running...');
 });
 
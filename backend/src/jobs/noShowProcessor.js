@@ -0,0 +1,207 @@
+const { PrismaClient } = require('@prisma/client');
+const { roundCurrency } = require('../utils/pricingEngine');
+const { startOfDay, addDays } = require('../utils/dateUtils');
+const { getArrivalTime } = require('../utils/cancellationPolicy');
+const { getOrCreateFolio, postFolioLine } = require('../utils/folio');
+const { refreshPaymentStatus } = require('../utils/payments');
+const { getTaxSettings, taxForFolioLine } = require('../utils/taxEngine');
+const { recordBookingHistory } = require('../utils/bookingHistory');
+const { notifyWaitlistMatches } = require('../utils/waitlist');
+const { NOT_A_BLOCK } = require('../utils/icalSync');
+
+const prisma = new PrismaClient();
+
+const NO_SHOW_CHARGE_TYPES = ['none', 'first_night', 'full_stay'];
+const CHECK_INTERVAL_MINUTES = parseInt(process.env.NO_SHOW_CHECK_INTERVAL_MINUTES) || 15;
+
+let schedulerHandle = null;
+
+/**
+ * Moment a confirmed booking becomes a no-show:
+ * the hotel's cutoff time on the morning after the arrival day
+ */
+const getNoShowCutoff = (checkInDate, cutoffTime) => {
+  return getArrivalTime(addDays(startOfDay(checkInDate), 1), cutoffTime);
+};
+
+const calculateNoShowFee = (booking, chargeType) => {
+  if (chargeType === 'full_stay') {
+    return roundCurrency(parseFloat(booking.finalAmount));
+  }
+
+  if (chargeType === 'first_night') {
+    const firstNight = booking.nightlyRates.length > 0 ? booking.nightlyRates[0].rate : booking.roomRate;
+    return roundCurrency(parseFloat(firstNight));
+  }
+
+  return 0;
+};
+
+/**
+ * Find confirmed bookings past their no-show cutoff and mark them no_show
+ * Options:
+ * - hotelId: limit to one hotel (manual runs); otherwise every hotel with auto no-show enabled
+ * - dryRun: report what would change without writing
+ * - performedById: the manager who triggered a manual run (history shows the system otherwise)
+ */
+const processNoShows = async ({ hotelId = null, now = new Date(), dryRun = false, performedById = null } = {}) => {
+  const hotels = await prisma.hotel.findMany({
+    where: hotelId
+      ? { id: hotelId }
+      : { isActive: true, autoNoShowEnabled: true },
+    select: {
+      id: true,
+      noShowCutoffTime: true,
+      noShowChargeType: true
+    }
+  });
+
+  const results = [];
+
+  for (const hotel of hotels) {
+    // Only bookings whose arrival day is already over can be past the cutoff.
+    // Calendar blocks never check in here - they stay until the channel's calendar drops them
+    const candidates = await prisma.booking.findMany({
+      where: {
+        hotelId: hotel.id,
+        status: 'confirmed',
+        checkInDate: { lt: startOfDay(now) },
+        ...NOT_A_BLOCK
+      },
+      include: {
+        nightlyRates: {
+          orderBy: { stayDate: 'asc' },
+          take: 1
+        },
+        guest: { select: { name: true, phone: true } },
+        room: { select: { id: true, roomNumber: true } }
+      }
+    });
+
+    const overdue = candidates.filter(booking => getNoShowCutoff(booking.checkInDate, hotel.noShowCutoffTime) <= now);
+    const processed = [];
+
+    for (const booking of overdue) {
+      const noShowFee = calculateNoShowFee(booking, hotel.noShowChargeType);
+
+      if (!dryRun) {
+        // Status flip, fee and payment status land together; the status guard means a
+        // concurrent check-in or cancellation always wins and nothing is charged twice
+        const marked = await prisma.$transaction(async (tx) => {
+          const { count } = await tx.booking.updateMany({
+            where: { id: booking.id, status: 'confirmed' },
+            data: {
+              status: 'no_show',
+              noShowAt: now,
+              noShowFee
+            }
+          });
+
+          if (count === 0) return false;
+
+          await recordBookingHistory({
+            booking: { ...booking, status: 'no_show', noShowFee },
+            before: booking,
+            action: 'no_show',
+            reason: `Not checked in by the ${hotel.noShowCutoffTime} cutoff`,
+            performedById
+          }, tx);
+
+          // Posted by the system, so no user on the line
+          if (noShowFee > 0) {
+            const folio = await getOrCreateFolio(booking, tx);
+            const settings = await getTaxSettings(hotel.id, tx);
+            await postFolioLine(folio, {
+              lineType: 'no_show_fee',
+              description: `No-show fee (${hotel.noShowChargeType.replace('_', ' ')})`,
+              unitAmount: noShowFee,
+              serviceDate: booking.checkInDate,
+              ...taxForFolioLine({ lineType: 'no_show_fee', unitAmount: noShowFee, inclusive: booking.taxInclusive, settings })
+            }, tx);
+          }
+
+          // Any deposit is now measured against the no-show fee
+          await refreshPaymentStatus(booking.id, tx);
+
+          return true;
+        });
+
+        if (!marked) continue;
+      }
+
+      processed.push({
+        bookingId: booking.id,
+        guestName: booking.guest.name,
+        guestPhone: booking.guest.phone,
+        roomTypeId: booking.roomTypeId,
+        roomId: booking.roomId,
+        roomNumber: booking.room ? booking.room.roomNumber : null,
+        checkInDate: booking.checkInDate,
+        checkOutDate: booking.checkOutDate,
+        noShowFee
+      });
+    }
+
+    if (processed.length > 0 && !dryRun) {
+      console.log(`🚫 Hotel ${hotel.id}: ${processed.length} booking(s) marked as no-show`);
+
+      // 🔌 WEBSOCKET: Rooms are free again - tell the front desk and manager
+      if (global.socketServer) {
+        processed.forEach(noShow => {
+          global.socketServer.broadcastToRole(hotel.id, 'front_desk', 'booking_no_show', noShow);
+          global.socketServer.broadcastToRole(hotel.id, 'hotel_manager', 'booking_no_show', noShow);
+        });
+
+        global.socketServer.broadcastToRole(hotel.id, 'hotel_manager', 'no_show_run_completed', {
+          count: processed.length,
+          totalNoShowFees: roundCurrency(processed.reduce((total, noShow) => total + noShow.noShowFee, 0)),
+          bookingIds: processed.map(noShow => noShow.bookingId)
+        });
+      }
+
+      // The released rooms may be what someone on the waitlist is waiting for
+      for (const noShow of processed) {
+        await notifyWaitlistMatches({ id: noShow.bookingId, hotelId: hotel.id, ...noShow }, 'no_show')
+          .catch(error => console.error('Waitlist matching error:', error));
+      }
+    }
+
+    results.push({ hotelId: hotel.id, processed });
+  }
+
+  return results;
+};
+
+/**
+ * Run no-show processing on an interval for the lifetime of the server
+ */
+const startNoShowScheduler = () => {
+  if (schedulerHandle) return schedulerHandle;
+
+  const run = () => {
+    processNoShows().catch(error => {
+      console.error('No-show processing error:', error);
+    });
+  };
+
+  schedulerHandle = setInterval(run, CHECK_INTERVAL_MINUTES * 60 * 1000);
+  schedulerHandle.unref();
+  console.log(`⏰ No-show processing scheduled every ${CHECK_INTERVAL_MINUTES} minutes`);
+
+  return schedulerHandle;
+};
+
+const stopNoShowScheduler = () => {
+  if (schedulerHandle) {
+    clearInterval(schedulerHandle);
+    schedulerHandle = null;
+  }
+};
+
+module.exports = {
+  NO_SHOW_CHARGE_TYPES,
+  getNoShowCutoff,
+  processNoShows,
+  startNoShowScheduler,
+  stopNoShowScheduler
+};
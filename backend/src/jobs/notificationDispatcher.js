@@ -0,0 +1,100 @@
+const { PrismaClient } = require('@prisma/client');
+const { startOfDay, addDays, toDateKey } = require('../utils/dateUtils');
+const { queueBookingNotification, processOutbox } = require('../utils/notifications');
+
+const prisma = new PrismaClient();
+
+const CHECK_INTERVAL_SECONDS = parseInt(process.env.NOTIFICATION_CHECK_INTERVAL_SECONDS) || 60;
+
+// Reminders go out at most once an hour - every dispatcher run doesn't need to look
+const REMINDER_SCAN_INTERVAL_MS = 60 * 60 * 1000;
+
+// A booking made this recently just got its confirmation - no reminder on top of it
+const RECENT_BOOKING_HOURS = 24;
+
+let schedulerHandle = null;
+let lastReminderScan = 0;
+
+/**
+ * Queue pre-arrival reminders for confirmed bookings arriving within each hotel's reminder window
+ * The dedupe key includes the arrival date, so a booking moved to new dates gets a fresh reminder
+ */
+const queuePreArrivalReminders = async ({ now = new Date() } = {}) => {
+  const hotels = await prisma.hotel.findMany({
+    where: {
+      isActive: true,
+      guestNotificationsEnabled: true,
+      preArrivalReminderDays: { gt: 0 }
+    },
+    select: { id: true, preArrivalReminderDays: true }
+  });
+
+  let queued = 0;
+
+  for (const hotel of hotels) {
+    const bookings = await prisma.booking.findMany({
+      where: {
+        hotelId: hotel.id,
+        status: 'confirmed',
+        checkInDate: {
+          gte: startOfDay(now),
+          lt: addDays(startOfDay(now), hotel.preArrivalReminderDays + 1)
+        },
+        createdAt: { lt: new Date(now.getTime() - RECENT_BOOKING_HOURS * 60 * 60 * 1000) }
+      },
+      select: { id: true, checkInDate: true }
+    });
+
+    for (const booking of bookings) {
+      const messages = await queueBookingNotification(booking.id, 'pre_arrival_reminder', {
+        dedupeKey: `pre_arrival_reminder:${booking.id}:${toDateKey(booking.checkInDate)}`
+      });
+      queued += messages.length;
+    }
+  }
+
+  if (queued > 0) {
+    console.log(`🔔 ${queued} pre-arrival reminder(s) queued`);
+  }
+
+  return queued;
+};
+
+/**
+ * Deliver the outbox (and queue due reminders) on an interval for the lifetime of the server
+ */
+const startNotificationScheduler = () => {
+  if (schedulerHandle) return schedulerHandle;
+
+  const run = async () => {
+    if (Date.now() - lastReminderScan >= REMINDER_SCAN_INTERVAL_MS) {
+      lastReminderScan = Date.now();
+      await queuePreArrivalReminders();
+    }
+
+    await processOutbox();
+  };
+
+  schedulerHandle = setInterval(() => {
+    run().catch(error => {
+      console.error('Notification dispatch error:', error);
+    });
+  }, CHECK_INTERVAL_SECONDS * 1000);
+  schedulerHandle.unref();
+  console.log(`⏰ Guest notification delivery scheduled every ${CHECK_INTERVAL_SECONDS} seconds`);
+
+  return schedulerHandle;
+};
+
+const stopNotificationScheduler = () => {
+  if (schedulerHandle) {
+    clearInterval(schedulerHandle);
+    schedulerHandle = null;
+  }
+};
+
+module.exports = {
+  queuePreArrivalReminders,
+  startNotificationScheduler,
+  stopNotificationScheduler
+};
@@ -4,15 +4,30 @@ const {
   createBooking, 
   getBookings, 
   getBookingById, 
+  getBookingHistory,
   updateBooking,
   checkInGuest,
   checkOutGuest,
-  getBookingStats
+  getBookingStats,
+  getCancellationQuote,
+  cancelBooking,
+  runNoShowProcessing,
+  getAvailability,
+  assignRoom,
+  runRoomAssignments
 } = require('../controllers/bookingController');
+const { requestDiscount, getBookingDiscounts } = require('../controllers/discountController');
+const { getFolio, postLine, reverseLine } = require('../controllers/folioController');
+const { getPayments, recordPayment } = require('../controllers/paymentController');
+const { issueInvoice } = require('../controllers/invoiceController');
+const { getBookingVoucher, resendBookingVoucher } = require('../controllers/notificationController');
+const { moveRoom } = require('../controllers/roomMoveController');
+const { extendStay, getEarlyDepartureQuote, departEarly } = require('../controllers/stayAmendmentController');
 const { 
   authenticateToken, 
   requireHotelStaff, 
-  requireTenantAccess 
+  requireTenantAccess,
+  requireRole
 } = require('../middleware/auth');
 
 // All booking routes require authentication and hotel staff level access
@@ -22,9 +37,54 @@ router.use(requireTenantAccess);
 // Statistics (for managers)
 router.get('/stats', getBookingStats);
 
+// Availability search across room types and dates
+router.get('/availability', getAvailability);
+
+// No-show processing (runs on a schedule; managers can trigger or preview with ?dryRun=true)
+router.post('/no-shows/process', requireRole('hotel_manager'), runNoShowProcessing);
+
+// Pre-arrival room assignment for room-type reservations (managers; preview with dryRun)
+router.post('/room-assignments/run', requireRole('hotel_manager'), runRoomAssignments);
+
 // Check-in and check-out operations
 router.post('/:bookingId/check-in', checkInGuest);
 router.post('/:bookingId/check-out', checkOutGuest);
+router.post('/:bookingId/assign-room', assignRoom);
+
+// Mid-stay room move (complimentary upgrades need a manager)
+router.post('/:bookingId/move', moveRoom);
+
+// Stay amendments (extra nights, or leaving early under the booking's policy)
+router.post('/:bookingId/extend', extendStay);
+router.get('/:bookingId/early-departure-quote', getEarlyDepartureQuote);
+router.post('/:bookingId/early-departure', departEarly);
+
+// Cancellation (quote first, then cancel)
+router.get('/:bookingId/cancellation-quote', getCancellationQuote);
+router.post('/:bookingId/cancel', cancelBooking);
+
+// Discount requests (approval happens under /api/discounts)
+router.post('/:bookingId/discounts', requestDiscount);
+router.get('/:bookingId/discounts', getBookingDiscounts);
+
+// Guest folio (charges and running balance; settled at check-out)
+router.get('/:bookingId/folio', getFolio);
+router.post('/:bookingId/folio/lines', postLine);
+router.post('/:bookingId/folio/lines/:lineId/reverse', reverseLine);
+
+// Payments ledger (deposits, payments and refunds; refunds need a manager)
+router.get('/:bookingId/payments', getPayments);
+router.post('/:bookingId/payments', recordPayment);
+
+// GST tax invoice for a checked-out stay (print and credit notes under /api/invoices)
+router.post('/:bookingId/invoice', issueInvoice);
+
+// Confirmation voucher (print, or send to the guest again)
+router.get('/:bookingId/voucher', getBookingVoucher);
+router.post('/:bookingId/voucher/send', resendBookingVoucher);
+
+// Change history (who changed what, and why)
+router.get('/:bookingId/history', getBookingHistory);
 
 // CRUD operations
 router.post('/', createBooking);
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCancellationPolicies,
+  createCancellationPolicy,
+  updateCancellationPolicy
+} = require('../controllers/cancellationPolicyController');
+const { requireHotelStaff, requirePermission } = require('../middleware/auth');
+
+// Cancellation policy management
+router.get('/', requireHotelStaff, getCancellationPolicies);                                                // All hotel staff
+router.post('/', requireHotelStaff, requirePermission('manage_pricing'), createCancellationPolicy);         // Owner only
+router.put('/:policyId', requireHotelStaff, requirePermission('manage_pricing'), updateCancellationPolicy); // Owner only
+
+module.exports = router;
@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCompanies,
+  getCompanyById,
+  createCompany,
+  updateCompany,
+  addContact,
+  updateContact,
+  removeContact,
+  setCompanyRate,
+  removeCompanyRate,
+  getCompanyLedger,
+  recordCompanyPayment,
+  recordCompanyAdjustment,
+  getAgeingReport
+} = require('../controllers/companyController');
+const { requireHotelStaff, requireHotelManager } = require('../middleware/auth');
+
+// Outstanding balances by age across all accounts
+router.get('/ageing', requireHotelManager, getAgeingReport);                                  // Manager+
+
+// Corporate accounts - the desk looks them up when booking, managers run them
+router.get('/', requireHotelStaff, getCompanies);                                             // All hotel staff
+router.post('/', requireHotelManager, createCompany);                                         // Manager+
+router.get('/:companyId', requireHotelStaff, getCompanyById);                                 // All hotel staff
+router.put('/:companyId', requireHotelManager, updateCompany);                                // Manager+
+
+// Contact people
+router.post('/:companyId/contacts', requireHotelManager, addContact);                         // Manager+
+router.put('/:companyId/contacts/:contactId', requireHotelManager, updateContact);            // Manager+
+router.delete('/:companyId/contacts/:contactId', requireHotelManager, removeContact);         // Manager+
+
+// Negotiated rates per room type
+router.put('/:companyId/rates', requireHotelManager, setCompanyRate);                         // Manager+
+router.delete('/:companyId/rates/:rateId', requireHotelManager, removeCompanyRate);           // Manager+
+
+// City ledger
+router.get('/:companyId/ledger', requireHotelManager, getCompanyLedger);                      // Manager+
+router.post('/:companyId/payments', requireHotelManager, recordCompanyPayment);               // Manager+
+router.post('/:companyId/adjustments', requireHotelManager, recordCompanyAdjustment);         // Manager+
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPendingDiscounts,
+  approveDiscount,
+  rejectDiscount,
+  getDiscountRules,
+  upsertDiscountRule
+} = require('../controllers/discountController');
+const {
+  authenticateToken,
+  requireTenantAccess,
+  requireRole,
+  requirePermission
+} = require('../middleware/auth');
+
+// All discount routes require authentication and tenant access
+router.use(authenticateToken);
+router.use(requireTenantAccess);
+
+// Discount limits per role (viewable by managers, set by the owner)
+router.get('/rules', requirePermission('approve_discounts'), getDiscountRules);
+router.put('/rules/:role', requireRole('hotel_owner'), upsertDiscountRule);
+
+// Approval queue (managers and owner)
+router.get('/pending', requirePermission('approve_discounts'), getPendingDiscounts);
+router.post('/:approvalId/approve', requirePermission('approve_discounts'), approveDiscount);
+router.post('/:approvalId/reject', requirePermission('approve_discounts'), rejectDiscount);
+
+module.exports = router;
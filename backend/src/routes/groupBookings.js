@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createGroup,
+  getGroups,
+  getGroupById,
+  updateGroup,
+  addBlock,
+  releaseGroup,
+  addRoomingListEntry,
+  groupCheckIn,
+  groupCheckOut,
+  getGroupBill
+} = require('../controllers/groupBookingController');
+const { requireHotelStaff, requireHotelManager } = require('../middleware/auth');
+
+// Groups and room blocks (blocks take inventory, so managers set them up)
+router.get('/', requireHotelStaff, getGroups);                                        // All hotel staff
+router.post('/', requireHotelManager, createGroup);                                   // Manager+
+router.get('/:groupId', requireHotelStaff, getGroupById);                             // All hotel staff
+router.put('/:groupId', requireHotelManager, updateGroup);                            // Manager+
+router.post('/:groupId/blocks', requireHotelManager, addBlock);                       // Manager+
+router.post('/:groupId/release', requireHotelManager, releaseGroup);                  // Manager+
+
+// Rooming list and group arrival/departure
+router.post('/:groupId/rooming-list', requireHotelStaff, addRoomingListEntry);        // All hotel staff
+router.post('/:groupId/check-in', requireHotelStaff, groupCheckIn);                   // All hotel staff
+router.post('/:groupId/check-out', requireHotelStaff, groupCheckOut);                 // All hotel staff
+router.get('/:groupId/bill', requireHotelStaff, getGroupBill);                        // All hotel staff
+
+module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const { getHotelSettings, updateHotelSettings } = require('../controllers/hotelSettingsController');
+const { requireHotelOwner, requireHotelStaff } = require('../middleware/auth');
+
+// Hotel operational settings
+router.get('/', requireHotelStaff, getHotelSettings);      // All hotel staff
+router.put('/', requireHotelOwner, updateHotelSettings);   // Owner only
+
+module.exports = router;
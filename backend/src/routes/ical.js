@@ -0,0 +1,42 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const {
+  getFeeds,
+  createFeed,
+  revokeFeed,
+  getFeedCalendar,
+  getCalendars,
+  importCalendar
+} = require('../controllers/icalController');
+const { requireHotelManager } = require('../middleware/auth');
+
+// .ics uploads are parsed in memory, never written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }
+});
+
+// Upload errors (file too large, wrong field name) are the client's, not a 500
+const uploadCalendarFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ error: `Upload failed: ${error.message}` });
+    }
+    next(error);
+  });
+};
+
+// Public feed channels poll - the token in the URL is the credential
+router.get('/feeds/:token.ics', getFeedCalendar);                           // Public
+
+// Feed management
+router.get('/feeds', requireHotelManager, getFeeds);                        // Manager+
+router.post('/feeds', requireHotelManager, createFeed);                     // Manager+
+router.delete('/feeds/:feedId', requireHotelManager, revokeFeed);           // Manager+
+
+// Channel calendars imported as blocking reservations (file or pasted content)
+router.get('/calendars', requireHotelManager, getCalendars);                // Manager+
+router.post('/import', requireHotelManager, uploadCalendarFile, importCalendar);   // Manager+
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getInvoices,
+  getInvoiceById,
+  printInvoice,
+  issueCreditNote
+} = require('../controllers/invoiceController');
+const { requireHotelStaff, requireHotelManager } = require('../middleware/auth');
+
+// Tax invoices and credit notes (invoices are issued from POST /api/bookings/:bookingId/invoice)
+router.get('/', requireHotelStaff, getInvoices);                                      // All hotel staff
+router.get('/:invoiceId', requireHotelStaff, getInvoiceById);                         // All hotel staff
+router.get('/:invoiceId/print', requireHotelStaff, printInvoice);                     // All hotel staff
+router.post('/:invoiceId/credit-note', requireHotelManager, issueCreditNote);         // Manager+
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getNotifications,
+  getNotificationById,
+  retryNotification,
+  processNotifications
+} = require('../controllers/notificationController');
+const { requireHotelStaff, requireHotelManager } = require('../middleware/auth');
+
+// Deliver due messages now (the scheduler does this every minute)
+router.post('/process', requireHotelManager, processNotifications);                           // Manager+
+
+// Guest notification outbox - delivery status per message
+router.get('/', requireHotelStaff, getNotifications);                                         // All hotel staff
+router.get('/:notificationId', requireHotelStaff, getNotificationById);                       // All hotel staff
+router.post('/:notificationId/retry', requireHotelManager, retryNotification);                // Manager+
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const {
+  importReservationFile,
+  getImports,
+  getImportById
+} = require('../controllers/otaImportController');
+const { requireHotelManager } = require('../middleware/auth');
+
+// Export files are parsed in memory, never written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }
+});
+
+// Upload errors (file too large, wrong field name) are the client's, not a 500
+const uploadExportFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ error: `Upload failed: ${error.message}` });
+    }
+    next(error);
+  });
+};
+
+// Channel reservation exports (multipart: file, channel, dryRun, roomTypeMap)
+router.post('/', requireHotelManager, uploadExportFile, importReservationFile);   // Manager+
+router.get('/', requireHotelManager, getImports);                                // Manager+ (?channel=)
+router.get('/:importId', requireHotelManager, getImportById);                    // Manager+
+
+module.exports = router;
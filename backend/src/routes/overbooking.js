@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAllowances,
+  setAllowance,
+  getPosition
+} = require('../controllers/overbookingController');
+const { requireHotelOwner, requireHotelManager } = require('../middleware/auth');
+
+// Overbooked indicator and walk/relocation list for a night
+router.get('/position', requireHotelManager, getPosition);              // Manager+ (?date=, default tonight)
+
+// Per room type, per night allowances - the owner decides how far to oversell
+router.get('/allowances', requireHotelManager, getAllowances);          // Manager+
+router.put('/allowances', requireHotelOwner, setAllowance);             // Owner only
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getRatePlans,
+  getRatePlanById,
+  createRatePlan,
+  updateRatePlan,
+  deactivateRatePlan,
+  getRatePlanRevenue
+} = require('../controllers/ratePlanController');
+const {
+  authenticateToken,
+  requireTenantAccess,
+  requireHotelManager,
+  requirePermission
+} = require('../middleware/auth');
+
+// All rate plan routes require authentication and tenant access
+router.use(authenticateToken);
+router.use(requireTenantAccess);
+
+// Room revenue broken down by rate plan (?from=&to=&roomTypeId=)
+router.get('/revenue', requireHotelManager, getRatePlanRevenue);
+
+// CRUD operations - viewing is open to staff, changes need manage_pricing
+router.post('/', requirePermission('manage_pricing'), createRatePlan);
+router.get('/', getRatePlans);
+router.get('/:ratePlanId', getRatePlanById);
+router.put('/:ratePlanId', requirePermission('manage_pricing'), updateRatePlan);
+router.patch('/:ratePlanId/deactivate', requirePermission('manage_pricing'), deactivateRatePlan);
+
+module.exports = router;
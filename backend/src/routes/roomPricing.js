@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createRoomPricing,
+  bulkApplyRoomPricing,
+  getRoomPricings,
+  getRoomPricingById,
+  updateRoomPricing,
+  deactivateRoomPricing,
+  getPricingCalendar
+} = require('../controllers/roomPricingController');
+const {
+  authenticateToken,
+  requireTenantAccess,
+  requirePermission
+} = require('../middleware/auth');
+
+// All pricing routes require authentication and tenant access
+router.use(authenticateToken);
+router.use(requireTenantAccess);
+
+// Effective price per night (all hotel staff)
+router.get('/calendar', getPricingCalendar);
+
+// Bulk apply a rate across a date range (owner only)
+router.post('/bulk', requirePermission('manage_pricing'), bulkApplyRoomPricing);
+
+// CRUD operations - viewing is open to staff, changes need manage_pricing
+router.post('/', requirePermission('manage_pricing'), createRoomPricing);
+router.get('/', getRoomPricings);
+router.get('/:pricingId', getRoomPricingById);
+router.put('/:pricingId', requirePermission('manage_pricing'), updateRoomPricing);
+router.patch('/:pricingId/deactivate', requirePermission('manage_pricing'), deactivateRoomPricing);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getOrders,
+  getOrderById,
+  createOrder,
+  startPreparing,
+  deliverOrder,
+  cancelOrder
+} = require('../controllers/roomServiceController');
+const {
+  getMenuItems,
+  createMenuItem,
+  updateMenuItem,
+  getMenuSales
+} = require('../controllers/menuItemController');
+const { requireHotelStaff, requireHotelManager } = require('../middleware/auth');
+
+// Menu catalog
+router.get('/menu', requireHotelStaff, getMenuItems);                      // All hotel staff (?all=true for inactive items)
+router.post('/menu', requireHotelManager, createMenuItem);                 // Manager+
+router.put('/menu/:menuItemId', requireHotelManager, updateMenuItem);      // Manager+
+router.get('/menu/sales', requireHotelManager, getMenuSales);              // Manager+
+
+// Room service orders: received -> preparing -> delivered (or cancelled)
+router.get('/', requireHotelStaff, getOrders);                              // All hotel staff (?open=true for the kitchen queue)
+router.post('/', requireHotelStaff, createOrder);                           // All hotel staff
+router.get('/:orderId', requireHotelStaff, getOrderById);                   // All hotel staff
+router.post('/:orderId/prepare', requireHotelStaff, startPreparing);        // All hotel staff
+router.post('/:orderId/deliver', requireHotelStaff, deliverOrder);          // All hotel staff
+router.post('/:orderId/cancel', requireHotelStaff, cancelOrder);            // Staff; manager once preparing
+
+module.exports = router;
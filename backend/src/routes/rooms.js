@@ -5,7 +5,10 @@ const {
   getRooms,
   getRoom,
   updateRoom,
-  updateRoomStatus
+  updateRoomStatus,
+  createMaintenanceWindow,
+  getMaintenanceWindows,
+  cancelMaintenanceWindow
 } = require('../controllers/roomController');
 const {
   requireHotelOwner,
@@ -20,4 +23,9 @@ router.get('/:id', requireHotelStaff, getRoom);                // All hotel staf
 router.put('/:id', requireHotelManager, updateRoom);           // Manager and above
 router.put('/:id/status', requireHotelStaff, updateRoomStatus); // All hotel staff can update status
 
+// Maintenance windows (take a room out of future inventory)
+router.get('/:id/maintenance-windows', requireHotelStaff, getMaintenanceWindows);                       // All hotel staff
+router.post('/:id/maintenance-windows', requireHotelManager, createMaintenanceWindow);                  // Manager and above
+router.delete('/:id/maintenance-windows/:windowId', requireHotelManager, cancelMaintenanceWindow);      // Manager and above
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getTaxRules,
+  createTaxRule,
+  updateTaxRule,
+  getTaxSummary
+} = require('../controllers/taxRuleController');
+const { requireHotelStaff, requireHotelManager, requirePermission } = require('../middleware/auth');
+
+// Tax rules (GST slabs per category)
+router.get('/rules', requireHotelStaff, getTaxRules);                                                // All hotel staff
+router.post('/rules', requireHotelStaff, requirePermission('manage_pricing'), createTaxRule);         // Owner only
+router.put('/rules/:ruleId', requireHotelStaff, requirePermission('manage_pricing'), updateTaxRule); // Owner only
+
+// GST collected on settled folios (?from=YYYY-MM-DD&to=YYYY-MM-DD)
+router.get('/summary', requireHotelManager, getTaxSummary);                                          // Manager+
+
+module.exports = router;
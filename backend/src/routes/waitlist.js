@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getWaitlist,
+  getWaitlistEntryById,
+  createWaitlistEntry,
+  updateWaitlistEntry,
+  cancelWaitlistEntry
+} = require('../controllers/waitlistController');
+const { requireHotelStaff } = require('../middleware/auth');
+
+// Waitlist for sold-out dates - entries become bookings via POST /api/bookings with waitlistEntryId
+router.get('/', requireHotelStaff, getWaitlist);                           // All hotel staff
+router.post('/', requireHotelStaff, createWaitlistEntry);                  // All hotel staff
+router.get('/:entryId', requireHotelStaff, getWaitlistEntryById);          // All hotel staff
+router.put('/:entryId', requireHotelStaff, updateWaitlistEntry);           // All hotel staff
+router.post('/:entryId/cancel', requireHotelStaff, cancelWaitlistEntry);   // All hotel staff
+
+module.exports = router;
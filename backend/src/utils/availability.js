@@ -0,0 +1,313 @@
+const { PrismaClient } = require('@prisma/client');
+const { calculateStayPricing, summarizeNightlyRates } = require('./pricingEngine');
+const { startOfDay, getStayNights } = require('./dateUtils');
+const { priceRatePlans } = require('./ratePlans');
+
+const prisma = new PrismaClient();
+
+// Bookings that hold a room for their dates
+const ACTIVE_BOOKING_STATUSES = ['confirmed', 'checked_in'];
+
+// Rooms that cannot be sold regardless of bookings
+// Housekeeping states (dirty, cleaning, occupied) describe the room right now
+// and never block future dates - readiness is checked at check-in instead
+const UNSELLABLE_ROOM_STATUSES = ['out_of_order', 'blocked'];
+
+/**
+ * Prisma filter for bookings overlapping a stay
+ * Stays are half-open [checkIn, checkOut): a guest checking out on the
+ * day another checks in does not conflict
+ */
+const overlappingStayFilter = (checkInDate, checkOutDate) => ({
+  status: { in: ACTIVE_BOOKING_STATUSES },
+  checkInDate: { lt: new Date(checkOutDate) },
+  checkOutDate: { gt: new Date(checkInDate) }
+});
+
+/**
+ * Prisma filter for maintenance windows overlapping a stay
+ */
+const overlappingMaintenanceFilter = (checkInDate, checkOutDate) => ({
+  isActive: true,
+  startDate: { lt: new Date(checkOutDate) },
+  endDate: { gt: new Date(checkInDate) }
+});
+
+/**
+ * Active bookings on a specific room overlapping the stay
+ */
+const findRoomConflicts = ({ hotelId, roomId, checkInDate, checkOutDate, excludeBookingId = null, client = prisma }) => {
+  return client.booking.findMany({
+    where: {
+      hotelId,
+      roomId,
+      ...overlappingStayFilter(checkInDate, checkOutDate),
+      ...(excludeBookingId && { id: { not: excludeBookingId } })
+    },
+    select: {
+      id: true,
+      checkInDate: true,
+      checkOutDate: true,
+      status: true
+    }
+  });
+};
+
+/**
+ * Prisma filter for groups whose blocks still hold rooms
+ * Once the release date passes (or the group is released early) unpicked rooms are sellable again
+ */
+const holdingGroupFilter = (now = new Date()) => ({
+  status: 'active',
+  releasedAt: null,
+  releaseDate: { gt: now }
+});
+
+// Does a half-open [start, end) date range cover the given night?
+const coversNight = (start, end, night) => startOfDay(start) <= night && startOfDay(end) > night;
+
+/**
+ * Rooms a group block still holds on a night: blocked minus rooms already
+ * picked up by rooming list bookings staying that night
+ */
+const heldBlockRooms = (block, night) => {
+  if (!coversNight(block.checkInDate, block.checkOutDate, night)) return 0;
+  const pickedUp = block.bookings.filter(booking => coversNight(booking.checkInDate, booking.checkOutDate, night)).length;
+  return Math.max(0, block.roomsBlocked - pickedUp);
+};
+
+/**
+ * Can this room be reserved for the stay?
+ * Blocked by out_of_order/blocked status, overlapping bookings, maintenance windows,
+ * or by room-type reservations that still need every remaining room of its type
+ *
+ * Returns { room, available, reason, conflictingBookings, maintenanceWindows } or null if the room doesn't exist
+ */
+const checkRoomAvailability = async ({ hotelId, roomId, checkInDate, checkOutDate, excludeBookingId = null, client = prisma }) => {
+  const room = await client.room.findFirst({
+    where: {
+      id: roomId,
+      hotelId
+    },
+    include: {
+      roomType: true,
+      maintenanceWindows: {
+        where: overlappingMaintenanceFilter(checkInDate, checkOutDate),
+        select: { id: true, startDate: true, endDate: true, reason: true }
+      }
+    }
+  });
+
+  if (!room) return null;
+
+  const conflictingBookings = await findRoomConflicts({ hotelId, roomId, checkInDate, checkOutDate, excludeBookingId, client });
+  const { maintenanceWindows, ...roomDetails } = room;
+
+  let reason = null;
+  if (UNSELLABLE_ROOM_STATUSES.includes(room.status)) {
+    reason = `Room ${room.roomNumber} is ${room.status}`;
+  } else if (conflictingBookings.length > 0) {
+    reason = `Room ${room.roomNumber} is already booked for these dates`;
+  } else if (maintenanceWindows.length > 0) {
+    reason = `Room ${room.roomNumber} is scheduled for maintenance during these dates`;
+  } else {
+    const [typeInventory] = await findAvailableRooms({
+      hotelId,
+      checkInDate,
+      checkOutDate,
+      roomTypeId: room.roomTypeId,
+      excludeBookingId,
+      client
+    });
+
+    if (!typeInventory || typeInventory.availableCount < 1) {
+      reason = `All ${room.roomType.name} rooms are already reserved for these dates`;
+    }
+  }
+
+  return {
+    room: roomDetails,
+    available: reason === null,
+    reason,
+    conflictingBookings,
+    maintenanceWindows
+  };
+};
+
+/**
+ * Free rooms per room type for a stay
+ * A room is free when it is not out_of_order/blocked, has no overlapping
+ * confirmed or checked-in booking and no overlapping maintenance window
+ *
+ * Bookings that hold a room type without a room, and unpicked group block
+ * rooms, still use up inventory, so availableCount is worked out night by
+ * night: rooms free that night minus unassigned bookings and held block rooms,
+ * taking the tightest night of the stay
+ *
+ * Returns [{ roomType, totalRooms, freeRooms: [room], unassignedBookings, availableCount, nightlyAvailability }]
+ * nightlyAvailability is the net count per night ({ date, available }) - negative when the night is overbooked
+ */
+const findAvailableRooms = async ({ hotelId, checkInDate, checkOutDate, roomTypeId = null, excludeBookingId = null, client = prisma }) => {
+  const roomTypes = await client.roomType.findMany({
+    where: {
+      hotelId,
+      ...(roomTypeId && { id: roomTypeId })
+    },
+    include: {
+      rooms: {
+        include: {
+          bookings: {
+            where: {
+              ...overlappingStayFilter(checkInDate, checkOutDate),
+              ...(excludeBookingId && { id: { not: excludeBookingId } })
+            },
+            select: { id: true, checkInDate: true, checkOutDate: true }
+          },
+          maintenanceWindows: {
+            where: overlappingMaintenanceFilter(checkInDate, checkOutDate),
+            select: { id: true, startDate: true, endDate: true }
+          }
+        },
+        orderBy: [
+          { floor: 'asc' },
+          { roomNumber: 'asc' }
+        ]
+      }
+    },
+    orderBy: [
+      { basePrice: 'asc' },
+      { name: 'asc' }
+    ]
+  });
+
+  // Room-type reservations that have no physical room yet
+  const unassignedBookings = await client.booking.findMany({
+    where: {
+      hotelId,
+      roomId: null,
+      ...(roomTypeId && { roomTypeId }),
+      ...overlappingStayFilter(checkInDate, checkOutDate),
+      ...(excludeBookingId && { id: { not: excludeBookingId } })
+    },
+    select: { id: true, roomTypeId: true, checkInDate: true, checkOutDate: true }
+  });
+
+  // Group blocks that still hold rooms; pickups are counted without excludeBookingId
+  // so moving a picked-up booking never frees its block room twice
+  const heldBlocks = await client.groupRoomBlock.findMany({
+    where: {
+      hotelId,
+      ...(roomTypeId && { roomTypeId }),
+      checkInDate: { lt: new Date(checkOutDate) },
+      checkOutDate: { gt: new Date(checkInDate) },
+      groupBooking: holdingGroupFilter()
+    },
+    include: {
+      bookings: {
+        where: { status: { in: ACTIVE_BOOKING_STATUSES } },
+        select: { checkInDate: true, checkOutDate: true }
+      }
+    }
+  });
+
+  const nights = getStayNights(checkInDate, checkOutDate);
+
+  return roomTypes.map(({ rooms, ...roomType }) => {
+    const sellableRooms = rooms.filter(room => !UNSELLABLE_ROOM_STATUSES.includes(room.status));
+    const typeHolds = unassignedBookings.filter(booking => booking.roomTypeId === roomType.id);
+    const typeBlocks = heldBlocks.filter(block => block.roomTypeId === roomType.id);
+
+    const freeRooms = sellableRooms
+      .filter(room => room.bookings.length === 0 && room.maintenanceWindows.length === 0)
+      .map(({ bookings, maintenanceWindows, ...room }) => room);
+
+    const nightlyFree = nights.map(night => {
+      const roomsFree = sellableRooms.filter(room =>
+        !room.bookings.some(booking => coversNight(booking.checkInDate, booking.checkOutDate, night)) &&
+        !room.maintenanceWindows.some(window => coversNight(window.startDate, window.endDate, night))
+      ).length;
+      const held = typeHolds.filter(booking => coversNight(booking.checkInDate, booking.checkOutDate, night)).length;
+      const blocked = typeBlocks.reduce((total, block) => total + heldBlockRooms(block, night), 0);
+      return roomsFree - held - blocked;
+    });
+
+    // A guest needs one room for the whole stay, so never report more than freeRooms
+    const availableCount = Math.max(0, Math.min(freeRooms.length, ...nightlyFree));
+
+    return {
+      roomType,
+      totalRooms: rooms.length,
+      freeRooms,
+      unassignedBookings: typeHolds.length,
+      availableCount,
+      nightlyAvailability: nights.map((date, index) => ({ date, available: nightlyFree[index] }))
+    };
+  });
+};
+
+/**
+ * Lock a room type's inventory until the transaction ends
+ * Writes that take a room of the type (new bookings, check-ins, room moves) call this first and then
+ * check availability again with the transaction client, so two requests can't both take the last room
+ */
+const lockRoomTypeInventory = (tx, roomTypeId) => tx.$queryRaw`SELECT id FROM room_types WHERE id = ${roomTypeId} FOR UPDATE`;
+
+/**
+ * Availability search: free rooms and the priced stay per room type, with the
+ * price on each rate plan (limited to plans sold through source when given)
+ * Room types too small for the party are left out. Unassigned room-type bookings hold rooms
+ * without naming them, so only as many free rooms as can still be sold are offered
+ */
+const searchAvailability = async ({ hotelId, checkInDate, checkOutDate, guests = 1, roomTypeId = null, source = null }) => {
+  const inventory = await findAvailableRooms({ hotelId, checkInDate, checkOutDate, roomTypeId });
+
+  const results = [];
+  for (const { roomType, totalRooms, freeRooms, availableCount } of inventory) {
+    if (roomType.maxOccupancy < guests) continue;
+
+    const pricing = await calculateStayPricing({
+      hotelId,
+      roomTypeId: roomType.id,
+      checkInDate,
+      checkOutDate
+    });
+
+    results.push({
+      roomTypeId: roomType.id,
+      name: roomType.name,
+      maxOccupancy: roomType.maxOccupancy,
+      basePrice: roomType.basePrice,
+      totalRooms,
+      availableCount,
+      availableRooms: freeRooms.slice(0, availableCount).map(room => ({
+        id: room.id,
+        roomNumber: room.roomNumber,
+        floor: room.floor,
+        status: room.status
+      })),
+      pricing: {
+        totalNights: pricing.totalNights,
+        totalAmount: pricing.baseAmount,
+        averageRate: pricing.averageRate,
+        rateSummary: summarizeNightlyRates(pricing.nightlyRates)
+      },
+      ratePlans: await priceRatePlans({ hotelId, roomTypeId: roomType.id, standardPricing: pricing, source })
+    });
+  }
+
+  return results;
+};
+
+module.exports = {
+  ACTIVE_BOOKING_STATUSES,
+  UNSELLABLE_ROOM_STATUSES,
+  overlappingStayFilter,
+  overlappingMaintenanceFilter,
+  holdingGroupFilter,
+  heldBlockRooms,
+  findRoomConflicts,
+  checkRoomAvailability,
+  findAvailableRooms,
+  lockRoomTypeInventory,
+  searchAvailability
+};
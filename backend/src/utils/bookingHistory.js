@@ -0,0 +1,106 @@
+const { PrismaClient } = require('@prisma/client');
+const { toDateKey } = require('./dateUtils');
+
+const prisma = new PrismaClient();
+
+const BOOKING_HISTORY_ACTIONS = [
+  'created',
+  'updated',
+  'status_changed',
+  'checked_in',
+  'checked_out',
+  'cancelled',
+  'no_show',
+  'room_assigned',
+  'room_moved',
+  'stay_extended',
+  'early_departure',
+  'discount_applied'
+];
+
+// Reservation fields worth auditing - derived values (tax, payment status) follow from these
+const TRACKED_FIELDS = [
+  'status',
+  'guestId',
+  'roomTypeId',
+  'roomId',
+  'ratePlanId',
+  'companyId',
+  'billToCompany',
+  'checkInDate',
+  'checkOutDate',
+  'numberOfGuests',
+  'roomRate',
+  'totalNights',
+  'baseAmount',
+  'finalAmount',
+  'discountStatus',
+  'specialRequests',
+  'source',
+  'cancellationFee',
+  'noShowFee'
+];
+
+const DATE_FIELDS = ['checkInDate', 'checkOutDate'];
+
+// Comparable, JSON-friendly value: stay dates as YYYY-MM-DD, Decimals as numbers
+const normalizeValue = (field, value) => {
+  if (value === null || value === undefined) return null;
+  if (DATE_FIELDS.includes(field)) return toDateKey(value);
+  if (typeof value === 'object' && typeof value.toNumber === 'function') return value.toNumber();
+  return value;
+};
+
+/**
+ * Tracked fields that differ between two versions of a booking
+ * Returns { field: { from, to } }; with no before, every set field is listed (from null)
+ */
+const diffBooking = (before, after) => {
+  const changes = {};
+
+  TRACKED_FIELDS.forEach(field => {
+    if (!(field in after)) return;
+
+    const from = before ? normalizeValue(field, before[field]) : null;
+    const to = normalizeValue(field, after[field]);
+
+    if (from !== to) {
+      changes[field] = { from, to };
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Add a history entry for a booking
+ * before/after are the booking as it was and as it is now; an update that changed
+ * nothing tracked is not recorded
+ */
+const recordBookingHistory = async ({ booking, before = null, action, reason = null, performedById = null }, client = prisma) => {
+  const changes = diffBooking(before, booking);
+
+  if (action === 'updated' && Object.keys(changes).length === 0) return null;
+
+  return client.bookingHistory.create({
+    data: {
+      hotelId: booking.hotelId,
+      bookingId: booking.id,
+      action: action === 'updated' && changes.status ? 'status_changed' : action,
+      changes,
+      reason,
+      performedById
+    }
+  });
+};
+
+const historyInclude = {
+  performedBy: { select: { id: true, name: true, role: true } }
+};
+
+module.exports = {
+  BOOKING_HISTORY_ACTIONS,
+  diffBooking,
+  recordBookingHistory,
+  historyInclude
+};
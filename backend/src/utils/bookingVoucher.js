@@ -0,0 +1,225 @@
+const { createPdfDocument } = require('./pdfDocument');
+const { toDateKey } = require('./dateUtils');
+const { summarizePayments } = require('./payments');
+const { roundCurrency } = require('./pricingEngine');
+
+/**
+ * Booking confirmation vouchers (HTML, PDF and plain text)
+ * booking needs: hotel, guest, roomType, room, ratePlan, cancellationPolicy and payments
+ * options: { heading, message } - what the voucher is for, e.g. 'Booking confirmed'
+ */
+
+const money = (amount) => parseFloat(amount).toLocaleString('en-IN', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+const formatDate = (date) => toDateKey(date).split('-').reverse().join('-');
+
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const STATUS_LABELS = {
+  confirmed: 'Confirmed',
+  checked_in: 'Checked in',
+  checked_out: 'Checked out',
+  cancelled: 'Cancelled',
+  no_show: 'No-show'
+};
+
+// The cancellation terms in a sentence the guest can act on
+const describeCancellationPolicy = (policy, checkInTime) => {
+  if (!policy) return 'Please contact the hotel for cancellation terms.';
+
+  const charge = {
+    percentage: `${parseFloat(policy.chargePercentage || 0)}% of the stay`,
+    first_night: 'the first night',
+    none: 'nothing'
+  }[policy.chargeType];
+
+  const terms = policy.chargeType === 'none'
+    ? 'Free cancellation at any time before arrival.'
+    : `Free cancellation until ${policy.freeCancellationHours} hours before check-in (${checkInTime} on the arrival day); after that ${charge} is charged.`;
+
+  return policy.description ? `${terms} ${policy.description}` : terms;
+};
+
+/**
+ * Everything the voucher prints, in print order
+ * Returns { title, fields: [[label, value]], amounts: [[label, amount]], policies: [text] }
+ */
+const voucherContent = (booking, { heading = 'Booking confirmation' } = {}) => {
+  const { hotel } = booking;
+  const paid = summarizePayments(booking.payments || []).netPaid;
+  const cancelled = booking.status === 'cancelled';
+
+  const fields = [
+    ['Confirmation code', booking.confirmationCode],
+    ['Booking', `#${booking.id}`],
+    ['Status', STATUS_LABELS[booking.status] || booking.status],
+    ['Guest', booking.guest.name],
+    ['Check-in', `${formatDate(booking.checkInDate)} from ${hotel.checkInTime}`],
+    ['Check-out', formatDate(booking.checkOutDate)],
+    ['Nights', String(booking.totalNights)],
+    ['Guests', String(booking.numberOfGuests)],
+    ['Room', booking.room ? `${booking.roomType.name} - Room ${booking.room.roomNumber}` : booking.roomType.name]
+  ];
+
+  if (booking.ratePlan) {
+    const inclusions = Array.isArray(booking.ratePlan.inclusions) ? booking.ratePlan.inclusions : [];
+    fields.push(['Rate', inclusions.length > 0 ? `${booking.ratePlan.name} (${inclusions.join(', ')})` : booking.ratePlan.name]);
+  }
+
+  if (booking.company) fields.push(['Company', booking.company.name]);
+  if (booking.specialRequests) fields.push(['Special requests', booking.specialRequests]);
+
+  const amounts = cancelled
+    ? [['Cancellation fee', parseFloat(booking.cancellationFee || 0)], ['Paid', paid]]
+    : [
+      ['Room charges', parseFloat(booking.finalAmount)],
+      [booking.taxInclusive ? 'GST (included)' : 'GST', parseFloat(booking.taxAmount)],
+      ['Total', parseFloat(booking.totalAmount)],
+      ['Paid', paid],
+      ['Balance due', roundCurrency(parseFloat(booking.totalAmount) - paid)]
+    ];
+
+  const policies = cancelled
+    ? [`Cancelled on ${formatDate(booking.cancelledAt || new Date())}.`]
+    : [
+      `Check-in from ${hotel.checkInTime} on the arrival day.`,
+      describeCancellationPolicy(booking.cancellationPolicy, hotel.checkInTime),
+      'A valid government photo ID is required for every guest at check-in.'
+    ];
+
+  if (booking.billToCompany && booking.company && !cancelled) {
+    policies.push(`Room charges are billed to ${booking.company.name}.`);
+  }
+
+  return { title: heading, fields, amounts, policies };
+};
+
+const renderVoucherHtml = (booking, options = {}) => {
+  const { hotel } = booking;
+  const content = voucherContent(booking, options);
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(content.title)} ${escapeHtml(booking.confirmationCode)}</title>
+  <style>
+    body { font-family: Arial, Helvetica, sans-serif; font-size: 13px; color: #222; margin: 32px; }
+    h1 { font-size: 20px; margin: 0 0 4px; }
+    .hotel { color: #555; margin-bottom: 16px; }
+    .code { font-size: 22px; font-weight: bold; letter-spacing: 2px; border: 2px dashed #999; display: inline-block; padding: 6px 14px; margin: 8px 0 16px; }
+    table { border-collapse: collapse; margin-bottom: 16px; }
+    td { padding: 4px 12px 4px 0; vertical-align: top; }
+    td.label { font-weight: bold; }
+    .num { text-align: right; }
+    .policies { font-size: 12px; color: #444; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(content.title)}</h1>
+  <div class="hotel">
+    <strong>${escapeHtml(hotel.name)}</strong><br>
+    ${escapeHtml(hotel.address)}<br>
+    Phone: ${escapeHtml(hotel.phone)}
+  </div>
+  ${options.message ? `<p>${escapeHtml(options.message)}</p>` : ''}
+  <div class="code">${escapeHtml(booking.confirmationCode)}</div>
+
+  <table>
+    ${content.fields.map(([label, value]) => `<tr><td class="label">${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>`).join('\n    ')}
+  </table>
+
+  <table>
+    ${content.amounts.map(([label, amount]) => `<tr><td class="label">${escapeHtml(label)}</td><td class="num">Rs. ${money(amount)}</td></tr>`).join('\n    ')}
+  </table>
+
+  <div class="policies">
+    <strong>Hotel policies</strong>
+    <ul>
+      ${content.policies.map(policy => `<li>${escapeHtml(policy)}</li>`).join('\n      ')}
+    </ul>
+    <p>Please quote your confirmation code when contacting the hotel.</p>
+  </div>
+</body>
+</html>`;
+};
+
+const renderVoucherPdf = async (booking, options = {}) => {
+  const { hotel } = booking;
+  const content = voucherContent(booking, options);
+  const pdf = createPdfDocument();
+
+  pdf.text(content.title, { size: 16, bold: true });
+  pdf.text(hotel.name, { size: 11, bold: true });
+  pdf.text(hotel.address, { size: 9 });
+  pdf.text(`Phone: ${hotel.phone}`, { size: 9 });
+  pdf.space(10);
+
+  if (options.message) {
+    pdf.text(options.message, { size: 10 });
+    pdf.space(6);
+  }
+
+  pdf.text(`Confirmation code: ${booking.confirmationCode}`, { size: 14, bold: true });
+  pdf.rule();
+
+  content.fields.forEach(([label, value]) => {
+    pdf.row([
+      { text: `${label}:`, x: pdf.left, bold: true },
+      { text: value, x: pdf.left + 120, width: pdf.contentWidth - 120 }
+    ], { size: 10 });
+  });
+  pdf.rule();
+
+  content.amounts.forEach(([label, amount]) => {
+    pdf.row([
+      { text: label, x: pdf.left, bold: label === 'Total' || label === 'Balance due' },
+      { text: `Rs. ${money(amount)}`, x: pdf.left + 260, align: 'right' }
+    ], { size: 10 });
+  });
+  pdf.rule();
+
+  pdf.text('Hotel policies', { size: 10, bold: true });
+  content.policies.forEach(policy => pdf.text(`- ${policy}`, { size: 9 }));
+  pdf.space(10);
+  pdf.text('Please quote your confirmation code when contacting the hotel.', { size: 8 });
+
+  return pdf.toBuffer();
+};
+
+// Plain-text version for the email body
+const renderVoucherText = (booking, options = {}) => {
+  const { hotel } = booking;
+  const content = voucherContent(booking, options);
+
+  return [
+    content.title,
+    '',
+    ...(options.message ? [options.message, ''] : []),
+    ...content.fields.map(([label, value]) => `${label}: ${value}`),
+    '',
+    ...content.amounts.map(([label, amount]) => `${label}: Rs. ${money(amount)}`),
+    '',
+    'Hotel policies:',
+    ...content.policies.map(policy => `- ${policy}`),
+    '',
+    `${hotel.name}`,
+    `${hotel.address}`,
+    `Phone: ${hotel.phone}`
+  ].join('\n');
+};
+
+module.exports = {
+  describeCancellationPolicy,
+  renderVoucherHtml,
+  renderVoucherPdf,
+  renderVoucherText
+};
@@ -0,0 +1,148 @@
+const { PrismaClient } = require('@prisma/client');
+const { roundCurrency } = require('./pricingEngine');
+
+const prisma = new PrismaClient();
+
+const CHARGE_TYPES = ['percentage', 'first_night', 'none'];
+
+const EARLY_DEPARTURE_CHARGE_TYPES = ['none', 'nights', 'percentage'];
+
+/**
+ * Arrival moment for a booking: check-in day at the hotel's check-in time
+ */
+const getArrivalTime = (checkInDate, checkInTime = '12:00') => {
+  const [hours, minutes] = checkInTime.split(':').map(value => parseInt(value) || 0);
+  const arrival = new Date(checkInDate);
+  arrival.setHours(hours, minutes, 0, 0);
+  return arrival;
+};
+
+/**
+ * Policy that applies to a booking
+ * 1. The policy stamped on the booking when it was made
+ * 2. Otherwise the hotel's active default policy
+ * Returns null when the hotel has no policy (free cancellation)
+ */
+const resolveCancellationPolicy = async (booking, client = prisma) => {
+  if (booking.cancellationPolicyId) {
+    const policy = await client.cancellationPolicy.findFirst({
+      where: { id: booking.cancellationPolicyId, hotelId: booking.hotelId }
+    });
+    if (policy) return policy;
+  }
+
+  return client.cancellationPolicy.findFirst({
+    where: {
+      hotelId: booking.hotelId,
+      isDefault: true,
+      isActive: true
+    },
+    orderBy: { updatedAt: 'desc' }
+  });
+};
+
+/**
+ * Work out the cancellation fee for a booking at a given moment
+ * booking needs: checkInDate, finalAmount, roomRate and (optionally) nightlyRates
+ */
+const evaluateCancellation = ({ policy, booking, checkInTime, now = new Date() }) => {
+  const arrival = getArrivalTime(booking.checkInDate, checkInTime);
+  const hoursBeforeArrival = Math.round(((arrival - now) / (1000 * 60 * 60)) * 10) / 10;
+  const bookingAmount = parseFloat(booking.finalAmount);
+
+  if (!policy || policy.chargeType === 'none') {
+    return {
+      policyId: policy ? policy.id : null,
+      policyName: policy ? policy.name : null,
+      hoursBeforeArrival,
+      isFree: true,
+      fee: 0,
+      description: 'Free cancellation'
+    };
+  }
+
+  if (hoursBeforeArrival >= policy.freeCancellationHours) {
+    return {
+      policyId: policy.id,
+      policyName: policy.name,
+      hoursBeforeArrival,
+      isFree: true,
+      fee: 0,
+      description: `Free cancellation up to ${policy.freeCancellationHours} hours before arrival`
+    };
+  }
+
+  let fee;
+  let description;
+
+  if (policy.chargeType === 'first_night') {
+    const firstNight = booking.nightlyRates && booking.nightlyRates.length > 0
+      ? [...booking.nightlyRates].sort((a, b) => new Date(a.stayDate) - new Date(b.stayDate))[0].rate
+      : booking.roomRate;
+    fee = parseFloat(firstNight);
+    description = 'First night charged for late cancellation';
+  } else {
+    const percentage = parseFloat(policy.chargePercentage || 0);
+    fee = bookingAmount * percentage / 100;
+    description = `${percentage}% of booking charged for late cancellation`;
+  }
+
+  return {
+    policyId: policy.id,
+    policyName: policy.name,
+    hoursBeforeArrival,
+    isFree: false,
+    fee: roundCurrency(Math.min(fee, bookingAmount)),
+    description
+  };
+};
+
+/**
+ * Work out the early-departure charge for nights a guest gives up
+ * releasedNights: [{ stayDate, chargedAmount }] - what each released night would have cost
+ */
+const evaluateEarlyDeparture = ({ policy, releasedNights }) => {
+  const releasedAmount = roundCurrency(releasedNights.reduce((total, night) => total + night.chargedAmount, 0));
+
+  if (!policy || policy.earlyDepartureChargeType === 'none' || releasedNights.length === 0) {
+    return {
+      policyId: policy ? policy.id : null,
+      policyName: policy ? policy.name : null,
+      releasedAmount,
+      isFree: true,
+      fee: 0,
+      description: 'No early departure charge'
+    };
+  }
+
+  let fee;
+  let description;
+
+  if (policy.earlyDepartureChargeType === 'nights') {
+    const chargedNights = Math.min(policy.earlyDepartureNights || 0, releasedNights.length);
+    fee = releasedNights.slice(0, chargedNights).reduce((total, night) => total + night.chargedAmount, 0);
+    description = `${chargedNights} released night${chargedNights === 1 ? '' : 's'} charged for early departure`;
+  } else {
+    const percentage = parseFloat(policy.earlyDepartureChargePercentage || 0);
+    fee = releasedAmount * percentage / 100;
+    description = `${percentage}% of released nights charged for early departure`;
+  }
+
+  return {
+    policyId: policy.id,
+    policyName: policy.name,
+    releasedAmount,
+    isFree: fee <= 0,
+    fee: roundCurrency(Math.min(fee, releasedAmount)),
+    description
+  };
+};
+
+module.exports = {
+  CHARGE_TYPES,
+  EARLY_DEPARTURE_CHARGE_TYPES,
+  getArrivalTime,
+  resolveCancellationPolicy,
+  evaluateCancellation,
+  evaluateEarlyDeparture
+};
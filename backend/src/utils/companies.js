@@ -0,0 +1,199 @@
+const { PrismaClient } = require('@prisma/client');
+const { roundCurrency } = require('./pricingEngine');
+const { startOfDay, addDays } = require('./dateUtils');
+const { refreshPaymentStatus } = require('./payments');
+
+const prisma = new PrismaClient();
+
+const LEDGER_ENTRY_TYPES = ['charge', 'payment', 'adjustment'];
+
+// How companies settle their account
+const COMPANY_PAYMENT_METHODS = ['bank_transfer', 'cheque', 'upi', 'card', 'cash'];
+
+// Payment method on a booking whose balance was moved to the company account
+const CITY_LEDGER_METHOD = 'city_ledger';
+
+// Stays that will still be billed to the account - they count against the credit limit
+const OPEN_BILLED_STATUSES = ['confirmed', 'checked_in'];
+
+// Days overdue (past the due date) each ageing bucket covers
+const AGEING_BUCKETS = [
+  { key: 'current', label: 'Not yet due', maxDays: 0 },
+  { key: 'days1To30', label: '1-30 days', maxDays: 30 },
+  { key: 'days31To60', label: '31-60 days', maxDays: 60 },
+  { key: 'days61To90', label: '61-90 days', maxDays: 90 },
+  { key: 'over90', label: 'Over 90 days', maxDays: Infinity }
+];
+
+/**
+ * The company's negotiated rate for a room type, or null
+ * Inactive companies have no rates
+ */
+const findCompanyRate = async ({ companyId, roomTypeId, client = prisma }) => {
+  if (!companyId) return null;
+
+  return client.companyRate.findFirst({
+    where: {
+      companyId,
+      roomTypeId,
+      company: { isActive: true }
+    }
+  });
+};
+
+// Lock a company's account until the transaction ends, so concurrent bookings billed to it check credit one at a time
+const lockCompanyAccount = (tx, companyId) => tx.$queryRaw`SELECT id FROM companies WHERE id = ${companyId} FOR UPDATE`;
+
+/**
+ * Balance of the account plus the stays still to be billed to it
+ * Open stays count at their booked amount with tax - the folio may end up different
+ */
+const getCompanyExposure = async (company, { excludeBookingId = null, client = prisma } = {}) => {
+  const [ledger, openBookings] = await Promise.all([
+    client.companyLedgerEntry.aggregate({
+      where: { companyId: company.id },
+      _sum: { amount: true }
+    }),
+    client.booking.aggregate({
+      where: {
+        companyId: company.id,
+        billToCompany: true,
+        status: { in: OPEN_BILLED_STATUSES },
+        ...(excludeBookingId && { id: { not: excludeBookingId } })
+      },
+      _sum: { totalAmount: true },
+      _count: true
+    })
+  ]);
+
+  const balance = roundCurrency(parseFloat(ledger._sum.amount || 0));
+  const openAmount = roundCurrency(parseFloat(openBookings._sum.totalAmount || 0));
+  const exposure = roundCurrency(balance + openAmount);
+  const creditLimit = parseFloat(company.creditLimit);
+
+  return {
+    creditLimit,
+    balance,
+    openBookings: openBookings._count,
+    openAmount,
+    exposure,
+    availableCredit: roundCurrency(creditLimit - exposure)
+  };
+};
+
+const bucketFor = (daysOverdue) => AGEING_BUCKETS.find(bucket => daysOverdue <= bucket.maxDays).key;
+
+/**
+ * Age a company's ledger as of a date
+ * Payments and credits settle the oldest charges first; what is left of each charge
+ * goes into a bucket by how many days it is past its due date.
+ *
+ * Returns { balance, outstanding, unappliedCredit, buckets, openCharges }
+ */
+const ageLedger = (entries, asOf = new Date()) => {
+  const today = startOfDay(asOf);
+  const sorted = [...entries].sort((a, b) => new Date(a.entryDate) - new Date(b.entryDate) || a.id - b.id);
+
+  let credit = roundCurrency(sorted
+    .filter(entry => parseFloat(entry.amount) < 0)
+    .reduce((total, entry) => total - parseFloat(entry.amount), 0));
+
+  const buckets = Object.fromEntries(AGEING_BUCKETS.map(bucket => [bucket.key, 0]));
+  const openCharges = [];
+
+  sorted.filter(entry => parseFloat(entry.amount) > 0).forEach(entry => {
+    const applied = Math.min(credit, parseFloat(entry.amount));
+    const remaining = roundCurrency(parseFloat(entry.amount) - applied);
+    credit = roundCurrency(credit - applied);
+
+    if (remaining <= 0) return;
+
+    const dueDate = startOfDay(entry.dueDate || entry.entryDate);
+    const daysOverdue = Math.max(0, Math.round((today - dueDate) / (1000 * 60 * 60 * 24)));
+    const bucket = bucketFor(daysOverdue);
+
+    buckets[bucket] = roundCurrency(buckets[bucket] + remaining);
+    openCharges.push({
+      entryId: entry.id,
+      bookingId: entry.bookingId,
+      description: entry.description,
+      entryDate: entry.entryDate,
+      dueDate: entry.dueDate,
+      amount: parseFloat(entry.amount),
+      outstanding: remaining,
+      daysOverdue,
+      bucket
+    });
+  });
+
+  const outstanding = roundCurrency(openCharges.reduce((total, charge) => total + charge.outstanding, 0));
+
+  return {
+    balance: roundCurrency(outstanding - credit),
+    outstanding,
+    unappliedCredit: credit,
+    buckets,
+    openCharges
+  };
+};
+
+/**
+ * Move what a checked-out guest still owes to their company's account
+ * The booking gets a city_ledger payment for the amount (so the stay shows paid)
+ * and the account a charge due after the company's payment terms.
+ * Runs in its own transaction unless given one (check-out passes its own)
+ */
+const transferToCityLedger = async ({ booking, company, amount, user, client = null }) => {
+  const entryDate = new Date();
+  const dueDate = addDays(startOfDay(entryDate), company.paymentTermsDays);
+
+  const transfer = async (tx) => {
+    await tx.payment.create({
+      data: {
+        hotelId: booking.hotelId,
+        bookingId: booking.id,
+        paymentType: 'payment',
+        method: CITY_LEDGER_METHOD,
+        amount,
+        notes: `Billed to ${company.name}`,
+        receivedById: user.userId
+      }
+    });
+
+    const entry = await tx.companyLedgerEntry.create({
+      data: {
+        hotelId: booking.hotelId,
+        companyId: company.id,
+        entryType: 'charge',
+        amount,
+        description: `Booking ${booking.id} - ${booking.guest.name}`,
+        bookingId: booking.id,
+        entryDate,
+        dueDate,
+        recordedById: user.userId
+      }
+    });
+
+    const position = await refreshPaymentStatus(booking.id, tx);
+
+    return { entry, position };
+  };
+
+  const result = client ? await transfer(client) : await prisma.$transaction(transfer);
+
+  console.log(`🏢 Booking ${booking.id}: ${amount} billed to ${company.name}, due ${dueDate.toDateString()}`);
+
+  return result;
+};
+
+module.exports = {
+  LEDGER_ENTRY_TYPES,
+  COMPANY_PAYMENT_METHODS,
+  CITY_LEDGER_METHOD,
+  AGEING_BUCKETS,
+  findCompanyRate,
+  lockCompanyAccount,
+  getCompanyExposure,
+  ageLedger,
+  transferToCityLedger
+};
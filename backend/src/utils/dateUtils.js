@@ -0,0 +1,81 @@
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Strip the time portion of a date (local midnight)
+ * Stay dates are compared by calendar day, never by time of day
+ */
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+/**
+ * Number of nights between check-in and check-out
+ */
+const countNights = (checkIn, checkOut) => {
+  return Math.round((startOfDay(checkOut) - startOfDay(checkIn)) / MS_PER_DAY);
+};
+
+/**
+ * Calendar dates of every night in a stay
+ * The check-out day is not a night (guest leaves that morning)
+ */
+const getStayNights = (checkIn, checkOut) => {
+  const nights = [];
+  const lastNight = startOfDay(checkOut);
+  let current = startOfDay(checkIn);
+
+  while (current < lastNight) {
+    nights.push(current);
+    current = addDays(current, 1);
+  }
+
+  return nights;
+};
+
+// YYYY-MM-DD key for grouping by calendar day (local time)
+const toDateKey = (date) => {
+  const day = new Date(date);
+  const month = String(day.getMonth() + 1).padStart(2, '0');
+  const dayOfMonth = String(day.getDate()).padStart(2, '0');
+  return `${day.getFullYear()}-${month}-${dayOfMonth}`;
+};
+
+// HH:MM of a date (local time)
+const toTimeKey = (date) => {
+  const time = new Date(date);
+  return `${String(time.getHours()).padStart(2, '0')}:${String(time.getMinutes()).padStart(2, '0')}`;
+};
+
+/**
+ * Whether a time of day (HH:MM) falls in a window; a window with no ends is open all day
+ * from > to means the window runs past midnight (e.g. 22:00-06:00)
+ */
+const isWithinTimeWindow = (time, from, to) => {
+  if (!from && !to) return true;
+
+  const start = from || '00:00';
+  const end = to || '23:59';
+
+  return start <= end
+    ? time >= start && time <= end
+    : time >= start || time <= end;
+};
+
+module.exports = {
+  MS_PER_DAY,
+  startOfDay,
+  addDays,
+  countNights,
+  getStayNights,
+  toDateKey,
+  toTimeKey,
+  isWithinTimeWindow
+};
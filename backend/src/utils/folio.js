@@ -0,0 +1,322 @@
+const { PrismaClient } = require('@prisma/client');
+const { roundCurrency } = require('./pricingEngine');
+const { toDateKey } = require('./dateUtils');
+const { getTaxSettings, taxForFolioLine, syncBookingTax } = require('./taxEngine');
+
+const prisma = new PrismaClient();
+
+const FOLIO_LINE_TYPES = [
+  'room_night',
+  'tax',
+  'room_service',
+  'extra',
+  'discount',
+  'adjustment',
+  'cancellation_fee',
+  'no_show_fee',
+  'early_departure_fee'
+];
+
+// Lines that make up the room charge - reposted together when the stay is repriced
+const ROOM_CHARGE_LINE_TYPES = ['room_night', 'discount'];
+
+const folioInclude = {
+  lines: {
+    include: {
+      postedBy: { select: { id: true, name: true, role: true } }
+    },
+    orderBy: [
+      { postedAt: 'asc' },
+      { id: 'asc' }
+    ]
+  },
+  settledBy: { select: { id: true, name: true } }
+};
+
+/**
+ * The booking's folio, created on first use
+ */
+const getOrCreateFolio = async (booking, client = prisma) => {
+  const existing = await client.folio.findUnique({
+    where: { bookingId: booking.id },
+    include: folioInclude
+  });
+
+  if (existing) return existing;
+
+  return client.folio.create({
+    data: {
+      hotelId: booking.hotelId,
+      bookingId: booking.id
+    },
+    include: folioInclude
+  });
+};
+
+/**
+ * Post one line to a folio
+ * amount = quantity x unitAmount (pass a negative unitAmount for credits)
+ * Tax fields come from the tax engine (see taxForFolioLine); lines without them carry no GST
+ */
+const postFolioLine = (folio, { lineType, description, quantity = 1, unitAmount, serviceDate = new Date(), reason = null, roomServiceOrderId = null, reversesLineId = null, postedById = null, sacCode = null, taxRate = null, taxAmount = 0, taxInclusive = false }, client = prisma) => {
+  return client.folioLine.create({
+    data: {
+      hotelId: folio.hotelId,
+      folioId: folio.id,
+      lineType,
+      description: description.slice(0, 255),
+      quantity,
+      unitAmount: roundCurrency(unitAmount),
+      amount: roundCurrency(quantity * unitAmount),
+      serviceDate,
+      reason,
+      sacCode,
+      taxRate,
+      taxAmount: roundCurrency(taxAmount),
+      taxInclusive,
+      roomServiceOrderId,
+      reversesLineId,
+      postedById
+    }
+  });
+};
+
+// What a line adds to the bill: its amount, plus its tax when that is charged on top
+const lineTotal = (line) => {
+  const amount = parseFloat(line.amount);
+  return line.taxInclusive ? amount : roundCurrency(amount + parseFloat(line.taxAmount || 0));
+};
+
+// Lines still in effect: not a reversal and not reversed
+const activeLines = (lines) => {
+  const reversedIds = new Set(lines.filter(line => line.reversesLineId).map(line => line.reversesLineId));
+  return lines.filter(line => !line.reversesLineId && !reversedIds.has(line.id));
+};
+
+/**
+ * Cancel out a line with an equal and opposite one of the same type
+ */
+const reverseFolioLine = (folio, line, { reason, postedById = null }, client = prisma) => {
+  return postFolioLine(folio, {
+    lineType: line.lineType,
+    description: `Reversal: ${line.description}`,
+    quantity: line.quantity,
+    unitAmount: -parseFloat(line.unitAmount),
+    serviceDate: line.serviceDate,
+    reason,
+    roomServiceOrderId: line.roomServiceOrderId,
+    reversesLineId: line.id,
+    postedById,
+    sacCode: line.sacCode,
+    taxRate: line.taxRate,
+    taxAmount: -parseFloat(line.taxAmount || 0),
+    taxInclusive: line.taxInclusive
+  }, client);
+};
+
+/**
+ * Totals for a folio - the balance is always computed from the lines
+ * Amounts include tax; taxAmount is the GST within them
+ */
+const summarizeFolio = (folio) => {
+  const lines = folio ? folio.lines : [];
+  const byType = {};
+
+  lines.forEach(line => {
+    byType[line.lineType] = roundCurrency((byType[line.lineType] || 0) + lineTotal(line));
+  });
+
+  const amounts = lines.map(lineTotal);
+
+  return {
+    totalCharges: roundCurrency(amounts.filter(amount => amount > 0).reduce((total, amount) => total + amount, 0)),
+    totalCredits: roundCurrency(amounts.filter(amount => amount < 0).reduce((total, amount) => total + amount, 0)),
+    taxAmount: roundCurrency(lines.reduce((total, line) => total + parseFloat(line.taxAmount || 0), 0)),
+    balance: roundCurrency(amounts.reduce((total, amount) => total + amount, 0)),
+    byType
+  };
+};
+
+/**
+ * Post the room charges for a stay: one line per night plus any approved discount
+ * If the posted room charges no longer match the booking (repriced, moved, extended, re-taxed)
+ * they are reversed and posted again, so the folio always tells the full story
+ * Each night carries its GST; the discount line carries none because the nights are taxed net of it
+ *
+ * booking needs: id, hotelId, baseAmount, finalAmount, taxInclusive, nightlyRates
+ */
+const postRoomCharges = async (booking, { postedById = null, reason = null, client = prisma } = {}) => {
+  const folio = await getOrCreateFolio(booking, client);
+  if (folio.status === 'settled') return folio;
+
+  const stayTax = await syncBookingTax(booking.id, client);
+  const nightTax = new Map(stayTax.nights.map(night => [toDateKey(night.stayDate), night]));
+
+  const currentLines = activeLines(folio.lines).filter(line => ROOM_CHARGE_LINE_TYPES.includes(line.lineType));
+  const postedTotal = roundCurrency(currentLines.reduce((total, line) => total + parseFloat(line.amount), 0));
+  const postedTax = roundCurrency(currentLines.reduce((total, line) => total + parseFloat(line.taxAmount || 0), 0));
+  const expectedTotal = roundCurrency(parseFloat(booking.finalAmount));
+
+  if (currentLines.length > 0 && postedTotal === expectedTotal && postedTax === stayTax.taxAmount) return folio;
+
+  for (const line of currentLines) {
+    await reverseFolioLine(folio, line, {
+      reason: reason || 'Room charges revised',
+      postedById
+    }, client);
+  }
+
+  const nights = [...booking.nightlyRates].sort((a, b) => new Date(a.stayDate) - new Date(b.stayDate));
+
+  for (const night of nights) {
+    const tax = nightTax.get(toDateKey(night.stayDate));
+
+    await postFolioLine(folio, {
+      lineType: 'room_night',
+      description: `Room night ${toDateKey(night.stayDate)}${night.occasion ? ` (${night.occasion})` : ''}`,
+      unitAmount: parseFloat(night.rate),
+      serviceDate: night.stayDate,
+      postedById,
+      sacCode: tax ? tax.sacCode : null,
+      taxRate: tax ? tax.taxRate : null,
+      taxAmount: tax ? tax.taxAmount : 0,
+      taxInclusive: booking.taxInclusive
+    }, client);
+  }
+
+  const discount = roundCurrency(parseFloat(booking.finalAmount) - parseFloat(booking.baseAmount));
+  if (discount < 0) {
+    await postFolioLine(folio, {
+      lineType: 'discount',
+      description: 'Approved booking discount',
+      unitAmount: discount,
+      serviceDate: nights.length > 0 ? nights[0].stayDate : new Date(),
+      postedById,
+      taxInclusive: booking.taxInclusive
+    }, client);
+  }
+
+  return client.folio.findUnique({
+    where: { id: folio.id },
+    include: folioInclude
+  });
+};
+
+/**
+ * Post one room-service order to the folio
+ * Orders carry the GST fixed when they were placed; older orders are taxed with the hotel's current settings
+ */
+const postRoomServiceOrder = async (folio, order, { postedById = null, client = prisma } = {}) => {
+  let tax = {
+    sacCode: order.sacCode,
+    taxRate: order.taxRate,
+    taxAmount: parseFloat(order.taxAmount),
+    taxInclusive: order.taxInclusive
+  };
+
+  if (order.taxRate === null) {
+    const settings = await getTaxSettings(folio.hotelId, client);
+    tax = taxForFolioLine({
+      lineType: 'room_service',
+      quantity: order.quantity,
+      unitAmount: parseFloat(order.unitPrice),
+      inclusive: settings.pricesIncludeTax,
+      settings
+    });
+  }
+
+  const line = await postFolioLine(folio, {
+    lineType: 'room_service',
+    description: `Room service: ${order.itemName}`,
+    quantity: order.quantity,
+    unitAmount: parseFloat(order.unitPrice),
+    serviceDate: order.orderedAt,
+    roomServiceOrderId: order.id,
+    postedById,
+    ...tax
+  }, client);
+
+  await client.roomServiceOrder.update({
+    where: { id: order.id },
+    data: { paymentStatus: 'posted' }
+  });
+
+  return line;
+};
+
+/**
+ * Post room-service orders charged to the room that aren't on the folio yet
+ * Normally each order is posted on delivery; this catches anything still open at checkout
+ */
+const postRoomServiceCharges = async (booking, { postedById = null, client = prisma } = {}) => {
+  const folio = await getOrCreateFolio(booking, client);
+  if (folio.status === 'settled') return folio;
+
+  // Once an order has been posted it is never auto-posted again, even if that line was reversed
+  const postedOrderIds = new Set(folio.lines
+    .filter(line => line.roomServiceOrderId)
+    .map(line => line.roomServiceOrderId));
+
+  const orders = await client.roomServiceOrder.findMany({
+    where: {
+      bookingId: booking.id,
+      paymentMethod: 'room_charge',
+      orderStatus: { not: 'cancelled' }
+    },
+    orderBy: { orderedAt: 'asc' }
+  });
+
+  const pendingOrders = orders.filter(roomServiceOrder => !postedOrderIds.has(roomServiceOrder.id));
+
+  for (const order of pendingOrders) {
+    await postRoomServiceOrder(folio, order, { postedById, client });
+  }
+
+  return client.folio.findUnique({
+    where: { id: folio.id },
+    include: folioInclude
+  });
+};
+
+/**
+ * Checkout: bring the folio up to date and settle it
+ * Returns the settled folio with its summary
+ */
+const settleFolio = async (booking, { settledById, client = prisma }) => {
+  await postRoomCharges(booking, { postedById: settledById, client });
+  const folio = await postRoomServiceCharges(booking, { postedById: settledById, client });
+
+  if (folio.status === 'settled') {
+    return { folio, summary: summarizeFolio(folio) };
+  }
+
+  const summary = summarizeFolio(folio);
+
+  const settledFolio = await client.folio.update({
+    where: { id: folio.id },
+    data: {
+      status: 'settled',
+      settledAt: new Date(),
+      settledById,
+      settledAmount: summary.balance
+    },
+    include: folioInclude
+  });
+
+  return { folio: settledFolio, summary };
+};
+
+module.exports = {
+  FOLIO_LINE_TYPES,
+  folioInclude,
+  getOrCreateFolio,
+  postFolioLine,
+  reverseFolioLine,
+  lineTotal,
+  activeLines,
+  summarizeFolio,
+  postRoomCharges,
+  postRoomServiceOrder,
+  postRoomServiceCharges,
+  settleFolio
+};
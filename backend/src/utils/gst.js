@@ -0,0 +1,155 @@
+const { roundCurrency } = require('./pricingEngine');
+const { activeLines } = require('./folio');
+const { TAX_CATEGORIES, LINE_TYPE_TAX_CATEGORIES, DEFAULT_TAX_RULES, calculateTax } = require('./taxEngine');
+
+// 2-digit state code, PAN, entity number, 'Z', checksum
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+// Services with no SAC of their own (manual tax and levies, adjustments)
+const OTHER_SERVICES_SAC = '999799';
+
+// Folio lines posted before the tax engine carry no tax of their own; their amounts were tax-inclusive
+const LEGACY_TAX_SETTINGS = {
+  rules: TAX_CATEGORIES.reduce((rules, category) => ({
+    ...rules,
+    [category]: DEFAULT_TAX_RULES.filter(rule => rule.category === category)
+  }), {})
+};
+
+const gstinStateCode = (gstin) => gstin.slice(0, 2);
+
+/**
+ * Indian financial year (April to March) for a date, e.g. '2026-27'
+ */
+const getFinancialYear = (date = new Date()) => {
+  const day = new Date(date);
+  const startYear = day.getMonth() >= 3 ? day.getFullYear() : day.getFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+/**
+ * Document number: PREFIX/YY-YY/00001 (GST allows at most 16 characters)
+ */
+const formatInvoiceNumber = (prefix, financialYear, sequenceNumber) => {
+  return `${prefix}/${financialYear.slice(2)}/${String(sequenceNumber).padStart(5, '0')}`;
+};
+
+/**
+ * Split GST between the heads that apply
+ * intra_state: CGST + SGST (half each) | inter_state: IGST
+ */
+const splitTax = (taxAmount, taxType) => {
+  if (taxType === 'inter_state') {
+    return { cgstAmount: 0, sgstAmount: 0, igstAmount: roundCurrency(taxAmount) };
+  }
+
+  const cgstAmount = roundCurrency(taxAmount / 2);
+  return { cgstAmount, sgstAmount: roundCurrency(taxAmount - cgstAmount), igstAmount: 0 };
+};
+
+// SAC, rate and tax of a folio charge - as posted by the tax engine, or backed out of older lines
+const lineTax = (line, grossAmount) => {
+  if (line.taxRate !== null && line.taxRate !== undefined) {
+    return {
+      sacCode: line.sacCode || OTHER_SERVICES_SAC,
+      gstRate: parseFloat(line.taxRate),
+      taxAmount: parseFloat(line.taxAmount),
+      taxInclusive: line.taxInclusive
+    };
+  }
+
+  const tax = calculateTax({
+    category: LINE_TYPE_TAX_CATEGORIES[line.lineType],
+    amount: grossAmount,
+    quantity: line.quantity || 1,
+    inclusive: true,
+    settings: LEGACY_TAX_SETTINGS
+  });
+
+  return {
+    sacCode: tax.sacCode || OTHER_SERVICES_SAC,
+    gstRate: tax.taxRate,
+    taxAmount: tax.taxAmount,
+    taxInclusive: true
+  };
+};
+
+/**
+ * Spread a credit over charge lines in proportion to their amounts
+ * Adds each line's share to shares (Map of line id -> credit); the last line takes the rounding remainder
+ */
+const apportionCredit = (credit, charges, shares) => {
+  const chargesTotal = charges.reduce((total, line) => total + parseFloat(line.amount), 0);
+  const applied = roundCurrency(Math.min(credit, chargesTotal));
+  let left = applied;
+
+  charges.forEach((line, index) => {
+    const share = index === charges.length - 1
+      ? left
+      : Math.min(left, roundCurrency(applied * parseFloat(line.amount) / chargesTotal));
+    left = roundCurrency(left - share);
+    shares.set(line.id, roundCurrency((shares.get(line.id) || 0) + share));
+  });
+};
+
+/**
+ * Invoice lines from a settled folio
+ * Each charge keeps the GST it was posted with. Credits lower the taxable value of the charges:
+ * the booking discount is spread over the room nights (which were already taxed net of it),
+ * credit adjustments over everything
+ *
+ * Returns [{ description, sacCode, quantity, taxableAmount, gstRate, cgstAmount, sgstAmount, igstAmount, totalAmount }]
+ */
+const buildInvoiceLines = (folio, taxType) => {
+  const lines = activeLines(folio.lines);
+  const charges = lines.filter(line => parseFloat(line.amount) > 0);
+  const creditTotal = (lineTypes, include) => Math.abs(lines
+    .filter(line => parseFloat(line.amount) < 0 && lineTypes.includes(line.lineType) === include)
+    .reduce((total, line) => total + parseFloat(line.amount), 0));
+
+  const shares = new Map();
+  apportionCredit(creditTotal(['discount'], true), charges.filter(line => line.lineType === 'room_night'), shares);
+  apportionCredit(creditTotal(['discount'], false), charges, shares);
+
+  return charges.map(line => {
+    const netAmount = roundCurrency(parseFloat(line.amount) - (shares.get(line.id) || 0));
+    const { sacCode, gstRate, taxAmount, taxInclusive } = lineTax(line, netAmount);
+    const taxableAmount = taxInclusive ? roundCurrency(netAmount - taxAmount) : netAmount;
+
+    return {
+      description: line.description,
+      sacCode,
+      quantity: line.quantity || 1,
+      gstRate,
+      taxableAmount,
+      ...splitTax(taxAmount, taxType),
+      totalAmount: roundCurrency(taxableAmount + taxAmount)
+    };
+  }).filter(line => line.totalAmount > 0);
+};
+
+/**
+ * Header totals from invoice lines
+ */
+const sumInvoiceLines = (lines) => {
+  const sumOf = (field) => roundCurrency(lines.reduce((total, line) => total + parseFloat(line[field]), 0));
+
+  return {
+    taxableAmount: sumOf('taxableAmount'),
+    cgstAmount: sumOf('cgstAmount'),
+    sgstAmount: sumOf('sgstAmount'),
+    igstAmount: sumOf('igstAmount'),
+    totalAmount: sumOf('totalAmount')
+  };
+};
+
+module.exports = {
+  GSTIN_PATTERN,
+  gstinStateCode,
+  getFinancialYear,
+  formatInvoiceNumber,
+  splitTax,
+  apportionCredit,
+  buildInvoiceLines,
+  sumInvoiceLines
+};
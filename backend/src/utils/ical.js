@@ -0,0 +1,180 @@
+/**
+ * iCalendar (RFC 5545) for channel availability sync
+ * Only what calendar sync uses: all-day VEVENTs with UID, DTSTART, DTEND and SUMMARY
+ */
+const { addDays, toDateKey } = require('./dateUtils');
+
+const PRODUCT_ID = '-//Hotel Management//Availability Calendar//EN';
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+
+// Content lines are at most 75 octets; longer ones continue on lines starting with a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+// DATE values are the local calendar day, DATE-TIME stamps are UTC
+const formatIcalDate = (date) => toDateKey(date).replace(/-/g, '');
+const formatIcalTimestamp = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Build a calendar of all-day events
+ * events: [{ uid, start, end, summary }] - end is exclusive (the check-out day)
+ */
+const buildCalendar = ({ name, events, now = new Date() }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  events.forEach(event => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatIcalTimestamp(now)}`,
+      `DTSTART;VALUE=DATE:${formatIcalDate(event.start)}`,
+      `DTEND;VALUE=DATE:${formatIcalDate(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      'TRANSP:OPAQUE',
+      'END:VEVENT'
+    );
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// NAME;PARAM=x;PARAM="quoted:value":VALUE - the value starts at the first colon outside quotes
+const parseContentLine = (line) => {
+  let inQuotes = false;
+  let colon = -1;
+
+  for (let index = 0; index < line.length; index++) {
+    if (line[index] === '"') inQuotes = !inQuotes;
+    if (line[index] === ':' && !inQuotes) {
+      colon = index;
+      break;
+    }
+  }
+
+  if (colon === -1) return null;
+
+  // Parameters (VALUE=DATE, TZID=...) don't matter - only the calendar day is used
+  return {
+    name: line.slice(0, colon).split(';')[0].toUpperCase(),
+    value: line.slice(colon + 1)
+  };
+};
+
+/**
+ * Calendar day of a DATE or DATE-TIME value
+ * Times are dropped - a stay runs from the start day to the end day whatever the hour
+ */
+const parseIcalDate = (value) => {
+  const match = value && value.match(/^(\d{4})(\d{2})(\d{2})/);
+  if (!match) return null;
+
+  const date = new Date(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]));
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Whole days of a DURATION such as P3D or P1W (anything shorter rounds up to a day)
+const parseDurationDays = (value) => {
+  const match = value && value.match(/^\+?P(?:(\d+)W)?(?:(\d+)D)?(?:T.*)?$/);
+  if (!match) return null;
+  return Math.max(1, (parseInt(match[1] || 0) * 7) + parseInt(match[2] || 0));
+};
+
+/**
+ * Events of a calendar, in file order
+ * Returns null when the text isn't a calendar at all, otherwise
+ * [{ index, uid, start, end, summary, status, recurring }] where start/end are
+ * null if the dates can't be read
+ */
+const parseCalendar = (text) => {
+  const lines = text
+    .replace(/^\uFEFF/, '')
+    .replace(/\r?\n[ \t]/g, '')
+    .split(/\r?\n/);
+
+  if (!lines.some(line => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) return null;
+
+  const events = [];
+  let properties = null;
+  // Components nested in an event (VALARM) - their properties aren't the event's
+  let nested = 0;
+
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    const upper = line.toUpperCase();
+
+    if (upper === 'BEGIN:VEVENT') {
+      properties = {};
+      nested = 0;
+    } else if (!properties) {
+      continue;
+    } else if (upper === 'END:VEVENT') {
+      events.push(properties);
+      properties = null;
+    } else if (upper.startsWith('BEGIN:')) {
+      nested++;
+    } else if (upper.startsWith('END:')) {
+      nested--;
+    } else if (nested === 0) {
+      const property = parseContentLine(line);
+      if (property && !(property.name in properties)) properties[property.name] = property;
+    }
+  }
+
+  return events.map((event, index) => {
+    const value = (name) => (event[name] ? event[name].value.trim() : null);
+    const start = parseIcalDate(value('DTSTART'));
+    let end = parseIcalDate(value('DTEND'));
+
+    if (!end && start) {
+      end = addDays(start, parseDurationDays(value('DURATION')) || 1);
+    }
+    // A same-day event still blocks that night
+    if (start && end && end <= start) {
+      end = addDays(start, 1);
+    }
+
+    return {
+      index: index + 1,
+      uid: value('UID'),
+      start,
+      end,
+      summary: value('SUMMARY') ? unescapeText(value('SUMMARY')) : null,
+      status: value('STATUS') ? value('STATUS').toUpperCase() : null,
+      recurring: Boolean(event.RRULE)
+    };
+  });
+};
+
+module.exports = {
+  buildCalendar,
+  parseCalendar
+};
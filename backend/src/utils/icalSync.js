@@ -0,0 +1,457 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { calculateFixedRatePricing, toNightlyRateRows } = require('./pricingEngine');
+const { findAvailableRooms, checkRoomAvailability } = require('./availability');
+const { taxStayPricing } = require('./taxEngine');
+const { recordBookingHistory } = require('./bookingHistory');
+const { notifyWaitlistMatches } = require('./waitlist');
+const { startOfDay, addDays, toDateKey } = require('./dateUtils');
+
+const prisma = new PrismaClient();
+
+// How far ahead feeds publish
+const FEED_DAYS_AHEAD = 365;
+
+// Bookings that make a room unavailable on the feed
+const FEED_BOOKING_STATUSES = ['confirmed', 'checked_in'];
+
+// Guest the blocks of a channel are booked under until the desk has the real guest
+const BLOCK_GUEST_ID_TYPE = 'ical_block';
+
+// Booking filter that leaves blocks out - they have no guest to arrive, charge or count in stats
+const NOT_A_BLOCK = { guest: { idType: { not: BLOCK_GUEST_ID_TYPE } } };
+
+// A calendar event that can't become a block - reported against the event
+const eventError = (message) => Object.assign(new Error(message), { statusCode: 422 });
+
+// Booking.externalReservationId holds 100 characters - longer UIDs are stored as a hash
+const toExternalId = (uid) => (uid.length <= 100 ? uid : crypto.createHash('sha1').update(uid).digest('hex'));
+
+/**
+ * Events for a room feed: its bookings and maintenance windows
+ * Only dates are published - never guest details
+ */
+const getRoomFeedEvents = async ({ hotelId, roomId, from, to }) => {
+  const [bookings, maintenanceWindows] = await Promise.all([
+    prisma.booking.findMany({
+      where: {
+        hotelId,
+        roomId,
+        status: { in: FEED_BOOKING_STATUSES },
+        checkInDate: { lt: to },
+        checkOutDate: { gt: from }
+      },
+      select: { id: true, checkInDate: true, checkOutDate: true },
+      orderBy: { checkInDate: 'asc' }
+    }),
+    prisma.roomMaintenanceWindow.findMany({
+      where: {
+        roomId,
+        isActive: true,
+        startDate: { lt: to },
+        endDate: { gt: from }
+      },
+      select: { id: true, startDate: true, endDate: true },
+      orderBy: { startDate: 'asc' }
+    })
+  ]);
+
+  return [
+    ...bookings.map(booking => ({
+      uid: `booking-${booking.id}@hotel-${hotelId}`,
+      start: booking.checkInDate,
+      end: booking.checkOutDate,
+      summary: 'Booked'
+    })),
+    ...maintenanceWindows.map(window => ({
+      uid: `maintenance-${window.id}@hotel-${hotelId}`,
+      start: startOfDay(window.startDate),
+      // A window ending mid-day still takes that night
+      end: startOfDay(window.endDate) < new Date(window.endDate) ? addDays(startOfDay(window.endDate), 1) : window.endDate,
+      summary: 'Not available'
+    }))
+  ];
+};
+
+/**
+ * Events for a room type feed: runs of nights where the type is sold out
+ * (the type stays bookable on the channel while any room of it is free)
+ */
+const getRoomTypeFeedEvents = async ({ hotelId, roomTypeId, from, to }) => {
+  const [inventory] = await findAvailableRooms({ hotelId, roomTypeId, checkInDate: from, checkOutDate: to });
+  if (!inventory) return [];
+
+  const events = [];
+  let current = null;
+
+  inventory.nightlyAvailability.forEach(night => {
+    if (night.available > 0) {
+      current = null;
+      return;
+    }
+
+    if (current) {
+      current.end = addDays(night.date, 1);
+    } else {
+      current = {
+        // Same start night -> same UID, so channels update the event rather than duplicate it
+        uid: `soldout-${roomTypeId}-${toDateKey(night.date).replace(/-/g, '')}@hotel-${hotelId}`,
+        start: night.date,
+        end: addDays(night.date, 1),
+        summary: 'Sold out'
+      };
+      events.push(current);
+    }
+  });
+
+  return events;
+};
+
+// Published events of a feed, today through FEED_DAYS_AHEAD
+const getFeedEvents = (feed) => {
+  const from = startOfDay(new Date());
+  const to = addDays(from, FEED_DAYS_AHEAD);
+
+  return feed.roomId
+    ? getRoomFeedEvents({ hotelId: feed.hotelId, roomId: feed.roomId, from, to })
+    : getRoomTypeFeedEvents({ hotelId: feed.hotelId, roomTypeId: feed.roomTypeId, from, to });
+};
+
+// The channel's placeholder guest, created on first use
+const findBlockGuest = async (hotelId, channel, client) => {
+  const existing = await client.guest.findFirst({
+    where: { hotelId, idType: BLOCK_GUEST_ID_TYPE, idNumber: channel }
+  });
+  if (existing) return existing;
+
+  return client.guest.create({
+    data: {
+      hotelId,
+      name: `${channel} guest (calendar block)`,
+      phone: 'N/A',
+      address: `Calendar block from ${channel}`,
+      idType: BLOCK_GUEST_ID_TYPE,
+      idNumber: channel
+    }
+  });
+};
+
+/**
+ * Is the calendar's room (or a room of its type) free for the event?
+ * Throws an event error naming the clash when it isn't
+ */
+const checkBlockAvailability = async ({ calendar, start, end, excludeBookingId = null }) => {
+  if (calendar.roomId) {
+    const availability = await checkRoomAvailability({
+      hotelId: calendar.hotelId,
+      roomId: calendar.roomId,
+      checkInDate: start,
+      checkOutDate: end,
+      excludeBookingId
+    });
+
+    if (!availability || !availability.available) {
+      throw eventError(availability ? availability.reason : 'Room no longer exists');
+    }
+    return;
+  }
+
+  const [inventory] = await findAvailableRooms({
+    hotelId: calendar.hotelId,
+    roomTypeId: calendar.roomTypeId,
+    checkInDate: start,
+    checkOutDate: end,
+    excludeBookingId
+  });
+
+  if (!inventory || inventory.availableCount < 1) {
+    throw eventError(`No ${calendar.roomType.name} rooms free for ${toDateKey(start)} to ${toDateKey(end)}`);
+  }
+};
+
+// Blocks carry no charge - the channel takes payment, the desk adds charges at check-in
+const priceBlock = async ({ calendar, start, end }) => {
+  const pricing = calculateFixedRatePricing({
+    checkInDate: start,
+    checkOutDate: end,
+    rate: 0,
+    rateSource: 'ical_block',
+    occasion: calendar.channel
+  });
+
+  const stayTax = await taxStayPricing({
+    hotelId: calendar.hotelId,
+    nightlyRates: pricing.nightlyRates,
+    baseAmount: 0,
+    finalAmount: 0
+  });
+
+  return { pricing, stayTax };
+};
+
+const blockNote = (calendar, event) => `Calendar block from ${calendar.channel}${event.summary ? `: ${event.summary}` : ''}`;
+
+const createBlock = async ({ calendar, event, externalReservationId, performedById }) => {
+  const { pricing, stayTax } = await priceBlock({ calendar, start: event.start, end: event.end });
+
+  return prisma.$transaction(async (tx) => {
+    const guest = await findBlockGuest(calendar.hotelId, calendar.channel, tx);
+
+    const booking = await tx.booking.create({
+      data: {
+        hotelId: calendar.hotelId,
+        guestId: guest.id,
+        roomTypeId: calendar.roomTypeId,
+        roomId: calendar.roomId || null,
+        roomAssignedAt: calendar.roomId ? new Date() : null,
+        checkInDate: event.start,
+        checkOutDate: event.end,
+        numberOfGuests: 1,
+        roomRate: 0,
+        totalNights: pricing.totalNights,
+        baseAmount: 0,
+        finalAmount: 0,
+        taxAmount: stayTax.taxAmount,
+        taxInclusive: stayTax.taxInclusive,
+        totalAmount: stayTax.totalAmount,
+        status: 'confirmed',
+        paymentStatus: 'pending',
+        specialRequests: blockNote(calendar, event),
+        source: calendar.channel,
+        externalReservationId,
+        icalCalendarId: calendar.id,
+        nightlyRates: {
+          create: stayTax.nightlyRates.map(night => ({ hotelId: calendar.hotelId, ...night }))
+        }
+      }
+    });
+
+    await recordBookingHistory({
+      booking,
+      action: 'created',
+      reason: `Imported from ${calendar.channel} calendar`,
+      performedById
+    }, tx);
+
+    return booking;
+  });
+};
+
+// New dates for a block, or a block the channel put back after removing it
+const updateBlock = async ({ calendar, existing, event, performedById }) => {
+  const { pricing, stayTax } = await priceBlock({ calendar, start: event.start, end: event.end });
+  const restored = existing.status === 'cancelled';
+
+  return prisma.$transaction(async (tx) => {
+    await tx.bookingNightlyRate.deleteMany({ where: { bookingId: existing.id } });
+    await tx.bookingNightlyRate.createMany({
+      data: toNightlyRateRows(calendar.hotelId, existing.id, stayTax.nightlyRates)
+    });
+
+    const booking = await tx.booking.update({
+      where: { id: existing.id },
+      data: {
+        checkInDate: event.start,
+        checkOutDate: event.end,
+        totalNights: pricing.totalNights,
+        specialRequests: blockNote(calendar, event),
+        ...(restored && {
+          status: 'confirmed',
+          cancelledAt: null,
+          cancelledById: null,
+          cancellationReason: null,
+          cancellationFee: null
+        })
+      }
+    });
+
+    await recordBookingHistory({
+      booking,
+      before: existing,
+      action: 'updated',
+      reason: restored
+        ? `Back on ${calendar.channel} calendar`
+        : `Dates changed on ${calendar.channel} calendar`,
+      performedById
+    }, tx);
+
+    return booking;
+  });
+};
+
+const removeBlock = async ({ calendar, existing, performedById }) => {
+  const booking = await prisma.$transaction(async (tx) => {
+    const cancelled = await tx.booking.update({
+      where: { id: existing.id },
+      data: {
+        status: 'cancelled',
+        cancelledAt: new Date(),
+        cancelledById: performedById,
+        cancellationReason: `Removed from ${calendar.channel} calendar`,
+        cancellationFee: 0
+      }
+    });
+
+    await recordBookingHistory({
+      booking: cancelled,
+      before: existing,
+      action: 'cancelled',
+      reason: `Removed from ${calendar.channel} calendar`,
+      performedById
+    }, tx);
+
+    return cancelled;
+  });
+
+  await notifyWaitlistMatches(booking, 'cancellation')
+    .catch(error => console.error('Waitlist matching error:', error));
+
+  return booking;
+};
+
+// Create, move or restore the block for one current event
+const importEvent = async ({ calendar, event, externalReservationId, dryRun, performedById }) => {
+  const existing = await prisma.booking.findUnique({
+    where: {
+      hotelId_source_externalReservationId: {
+        hotelId: calendar.hotelId,
+        source: calendar.channel,
+        externalReservationId
+      }
+    }
+  });
+
+  if (existing && existing.icalCalendarId !== calendar.id) {
+    throw eventError(`Event is already booking ${existing.id} from another ${calendar.channel} import`);
+  }
+
+  if (!existing) {
+    await checkBlockAvailability({ calendar, start: event.start, end: event.end });
+    if (dryRun) return { action: 'created' };
+
+    const booking = await createBlock({ calendar, event, externalReservationId, performedById });
+    return { action: 'created', bookingId: booking.id };
+  }
+
+  const sameDates = toDateKey(existing.checkInDate) === toDateKey(event.start) &&
+    toDateKey(existing.checkOutDate) === toDateKey(event.end);
+
+  // Guests who arrived (or didn't) are the desk's business now
+  if (!['confirmed', 'cancelled'].includes(existing.status) || (existing.status === 'confirmed' && sameDates)) {
+    return { action: 'unchanged', bookingId: existing.id };
+  }
+
+  await checkBlockAvailability({ calendar, start: event.start, end: event.end, excludeBookingId: existing.id });
+  if (dryRun) return { action: 'updated', bookingId: existing.id };
+
+  await updateBlock({ calendar, existing, event, performedById });
+  return { action: 'updated', bookingId: existing.id };
+};
+
+/**
+ * Bring a channel calendar's blocking reservations in line with its latest .ics
+ * New events become blocks, moved events move their block, and upcoming blocks
+ * whose event is gone (or marked cancelled) are cancelled. Past events are ignored -
+ * channels drop them from their feeds.
+ *
+ * calendar is an IcalCalendar with roomType included
+ * Returns { summary: { created, updated, removed, unchanged, skipped, failed }, results }
+ */
+const importCalendarEvents = async ({ calendar, events, dryRun = false, performedById }) => {
+  const today = startOfDay(new Date());
+  const results = [];
+  // External IDs of events still on the channel's calendar
+  const currentIds = new Set();
+
+  // A UID listed more than once - its last event is the current one
+  const lastIndex = new Map();
+  events.forEach(event => {
+    if (event.uid) lastIndex.set(event.uid, event.index);
+  });
+
+  for (const event of events) {
+    const result = {
+      event: event.index,
+      uid: event.uid,
+      checkInDate: event.start ? toDateKey(event.start) : null,
+      checkOutDate: event.end ? toDateKey(event.end) : null,
+      summary: event.summary
+    };
+
+    if (!event.uid || !event.start) {
+      results.push({ ...result, action: 'failed', errors: [!event.uid ? 'Event has no UID' : 'Event has no readable start date'] });
+      continue;
+    }
+
+    const externalReservationId = toExternalId(event.uid);
+
+    if (lastIndex.get(event.uid) !== event.index) {
+      results.push({ ...result, action: 'skipped', message: `Superseded by event ${lastIndex.get(event.uid)}` });
+      continue;
+    }
+
+    if (event.status === 'CANCELLED') {
+      // Left out of currentIds, so its block is removed below
+      results.push({ ...result, action: 'skipped', message: 'Event is cancelled' });
+      continue;
+    }
+
+    // Keep whatever block it made - removing it is the channel's call, not ours
+    currentIds.add(externalReservationId);
+
+    if (event.end <= today) {
+      results.push({ ...result, action: 'skipped', message: 'Event is in the past' });
+      continue;
+    }
+
+    if (event.recurring) {
+      results.push({ ...result, action: 'failed', errors: ['Recurring events are not supported'] });
+      continue;
+    }
+
+    try {
+      results.push({ ...result, ...(await importEvent({ calendar, event, externalReservationId, dryRun, performedById })) });
+    } catch (error) {
+      if (!error.statusCode) {
+        console.error(`iCal import event ${event.index} error:`, error);
+      }
+      results.push({ ...result, action: 'failed', errors: [error.statusCode ? error.message : 'Could not import this event'] });
+    }
+  }
+
+  // Upcoming blocks whose event is no longer on the calendar (a first dry run has none)
+  const staleBlocks = calendar.id === null ? [] : await prisma.booking.findMany({
+    where: {
+      icalCalendarId: calendar.id,
+      status: 'confirmed',
+      checkOutDate: { gt: today }
+    }
+  });
+
+  for (const block of staleBlocks.filter(booking => !currentIds.has(booking.externalReservationId))) {
+    if (!dryRun) {
+      await removeBlock({ calendar, existing: block, performedById });
+    }
+
+    results.push({
+      event: null,
+      uid: block.externalReservationId,
+      checkInDate: toDateKey(block.checkInDate),
+      checkOutDate: toDateKey(block.checkOutDate),
+      action: 'removed',
+      bookingId: block.id
+    });
+  }
+
+  const summary = { created: 0, updated: 0, removed: 0, unchanged: 0, skipped: 0, failed: 0 };
+  results.forEach(result => { summary[result.action] += 1; });
+
+  return { summary, results };
+};
+
+module.exports = {
+  BLOCK_GUEST_ID_TYPE,
+  NOT_A_BLOCK,
+  getFeedEvents,
+  importCalendarEvents
+};
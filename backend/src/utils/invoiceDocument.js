@@ -0,0 +1,239 @@
+const { createPdfDocument } = require('./pdfDocument');
+const { toDateKey } = require('./dateUtils');
+
+/**
+ * Printable tax invoices and credit notes (HTML and PDF)
+ * invoice needs: lines, booking (guest, room, dates) and creditNoteFor for credit notes
+ */
+
+const money = (amount) => parseFloat(amount).toLocaleString('en-IN', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+const formatDate = (date) => toDateKey(date).split('-').reverse().join('-');
+
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const documentTitle = (invoice) => invoice.documentType === 'credit_note' ? 'CREDIT NOTE' : 'TAX INVOICE';
+
+// The first print is the original; every later print is marked as a reprint
+const copyLabel = (invoice) => invoice.printCount > 1 ? `REPRINT (copy ${invoice.printCount})` : 'ORIGINAL FOR RECIPIENT';
+
+const isInterState = (invoice) => invoice.taxType === 'inter_state';
+
+// Key facts shown under the title, in print order
+const headerFields = (invoice) => {
+  const fields = [
+    ['Number', invoice.invoiceNumber],
+    ['Date', formatDate(invoice.issueDate)],
+    ['Place of supply', `State code ${invoice.placeOfSupply}`],
+    ['Booking', `#${invoice.bookingId}`]
+  ];
+
+  if (invoice.booking) {
+    fields.push(['Stay', `${formatDate(invoice.booking.checkInDate)} to ${formatDate(invoice.booking.checkOutDate)}`]);
+    if (invoice.booking.room) fields.push(['Room', invoice.booking.room.roomNumber]);
+  }
+
+  if (invoice.creditNoteFor) {
+    fields.push(['Against invoice', `${invoice.creditNoteFor.invoiceNumber} dated ${formatDate(invoice.creditNoteFor.issueDate)}`]);
+  }
+
+  return fields;
+};
+
+const renderInvoiceHtml = (invoice) => {
+  const interState = isInterState(invoice);
+  const taxHeaders = interState
+    ? '<th>IGST</th>'
+    : '<th>CGST</th><th>SGST</th>';
+
+  const rows = invoice.lines.map((line, index) => `
+      <tr>
+        <td>${index + 1}</td>
+        <td>${escapeHtml(line.description)}</td>
+        <td>${escapeHtml(line.sacCode)}</td>
+        <td class="num">${line.quantity}</td>
+        <td class="num">${money(line.taxableAmount)}</td>
+        <td class="num">${parseFloat(line.gstRate)}%</td>
+        ${interState
+          ? `<td class="num">${money(line.igstAmount)}</td>`
+          : `<td class="num">${money(line.cgstAmount)}</td><td class="num">${money(line.sgstAmount)}</td>`}
+        <td class="num">${money(line.totalAmount)}</td>
+      </tr>`).join('');
+
+  const taxTotals = interState
+    ? `<tr><td>IGST</td><td class="num">${money(invoice.igstAmount)}</td></tr>`
+    : `<tr><td>CGST</td><td class="num">${money(invoice.cgstAmount)}</td></tr>
+       <tr><td>SGST</td><td class="num">${money(invoice.sgstAmount)}</td></tr>`;
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${documentTitle(invoice)} ${escapeHtml(invoice.invoiceNumber)}</title>
+  <style>
+    body { font-family: Arial, Helvetica, sans-serif; font-size: 12px; color: #222; margin: 32px; }
+    h1 { font-size: 20px; text-align: center; margin: 0; }
+    .copy { text-align: center; font-size: 10px; letter-spacing: 1px; margin-bottom: 16px; }
+    .parties { display: flex; justify-content: space-between; gap: 24px; margin-bottom: 16px; }
+    .parties div { flex: 1; }
+    table { width: 100%; border-collapse: collapse; margin-bottom: 12px; }
+    th, td { border: 1px solid #999; padding: 4px 6px; text-align: left; }
+    th { background: #f0f0f0; }
+    .num { text-align: right; }
+    .totals { width: 40%; margin-left: auto; }
+    .grand td { font-weight: bold; }
+    .note { font-size: 10px; color: #555; }
+  </style>
+</head>
+<body>
+  <h1>${documentTitle(invoice)}</h1>
+  <div class="copy">${copyLabel(invoice)}</div>
+
+  <div class="parties">
+    <div>
+      <strong>${escapeHtml(invoice.supplierName)}</strong><br>
+      ${escapeHtml(invoice.supplierAddress)}<br>
+      GSTIN: ${escapeHtml(invoice.supplierGstin)}
+    </div>
+    <div>
+      <strong>Bill to:</strong> ${escapeHtml(invoice.recipientName)}<br>
+      ${escapeHtml(invoice.recipientAddress)}<br>
+      ${invoice.recipientGstin ? `GSTIN: ${escapeHtml(invoice.recipientGstin)}` : 'Unregistered recipient'}
+    </div>
+    <div>
+      ${headerFields(invoice).map(([label, value]) => `<strong>${label}:</strong> ${escapeHtml(value)}`).join('<br>\n      ')}
+    </div>
+  </div>
+
+  <table>
+    <thead>
+      <tr>
+        <th>#</th><th>Description</th><th>HSN/SAC</th><th>Qty</th><th>Taxable value</th><th>GST</th>${taxHeaders}<th>Total</th>
+      </tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+
+  <table class="totals">
+    <tr><td>Taxable value</td><td class="num">${money(invoice.taxableAmount)}</td></tr>
+    ${taxTotals}
+    <tr class="grand"><td>Total (INR)</td><td class="num">${money(invoice.totalAmount)}</td></tr>
+  </table>
+
+  ${invoice.reason ? `<p><strong>Reason:</strong> ${escapeHtml(invoice.reason)}</p>` : ''}
+  <p class="note">This is a computer generated document and does not require a signature.</p>
+</body>
+</html>`;
+};
+
+const renderInvoicePdf = async (invoice) => {
+  const pdf = createPdfDocument();
+  const interState = isInterState(invoice);
+
+  pdf.text(documentTitle(invoice), { size: 16, bold: true, align: 'center' });
+  pdf.text(copyLabel(invoice), { size: 8, align: 'center' });
+  pdf.space(10);
+
+  // Supplier on the left, recipient on the right
+  const half = pdf.contentWidth / 2 - 10;
+  const rightColumn = pdf.left + pdf.contentWidth / 2 + 10;
+  pdf.row([
+    { text: invoice.supplierName, x: pdf.left, width: half, bold: true },
+    { text: `Bill to: ${invoice.recipientName}`, x: rightColumn, width: half, bold: true }
+  ], { size: 10 });
+  pdf.row([
+    { text: invoice.supplierAddress, x: pdf.left, width: half },
+    { text: invoice.recipientAddress || '', x: rightColumn, width: half }
+  ]);
+  pdf.row([
+    { text: `GSTIN: ${invoice.supplierGstin}`, x: pdf.left },
+    { text: invoice.recipientGstin ? `GSTIN: ${invoice.recipientGstin}` : 'Unregistered recipient', x: rightColumn }
+  ]);
+  pdf.space(6);
+
+  headerFields(invoice).forEach(([label, value]) => {
+    pdf.row([
+      { text: `${label}:`, x: pdf.left, bold: true },
+      { text: value, x: pdf.left + 100 }
+    ]);
+  });
+  pdf.space(6);
+
+  // Columns: x is the left edge for text and the right edge for amounts
+  const columns = interState
+    ? { index: 40, description: 60, sac: 250, quantity: 320, taxable: 390, rate: 425, igst: 490, total: 555 }
+    : { index: 40, description: 60, sac: 220, quantity: 285, taxable: 345, rate: 380, cgst: 435, sgst: 490, total: 555 };
+
+  const taxCells = (values) => interState
+    ? [{ text: values.igst, x: columns.igst, align: 'right' }]
+    : [{ text: values.cgst, x: columns.cgst, align: 'right' }, { text: values.sgst, x: columns.sgst, align: 'right' }];
+
+  pdf.rule();
+  pdf.row([
+    { text: '#', x: columns.index },
+    { text: 'Description', x: columns.description },
+    { text: 'HSN/SAC', x: columns.sac },
+    { text: 'Qty', x: columns.quantity, align: 'right' },
+    { text: 'Taxable', x: columns.taxable, align: 'right' },
+    { text: 'GST', x: columns.rate, align: 'right' },
+    ...taxCells({ igst: 'IGST', cgst: 'CGST', sgst: 'SGST' }),
+    { text: 'Total', x: columns.total, align: 'right' }
+  ], { bold: true });
+  pdf.rule();
+
+  invoice.lines.forEach((line, index) => {
+    pdf.row([
+      { text: String(index + 1), x: columns.index },
+      { text: line.description, x: columns.description, width: columns.sac - columns.description - 8 },
+      { text: line.sacCode, x: columns.sac },
+      { text: String(line.quantity), x: columns.quantity, align: 'right' },
+      { text: money(line.taxableAmount), x: columns.taxable, align: 'right' },
+      { text: `${parseFloat(line.gstRate)}%`, x: columns.rate, align: 'right' },
+      ...taxCells({ igst: money(line.igstAmount), cgst: money(line.cgstAmount), sgst: money(line.sgstAmount) }),
+      { text: money(line.totalAmount), x: columns.total, align: 'right' }
+    ]);
+  });
+  pdf.rule();
+
+  const totals = [['Taxable value', invoice.taxableAmount]];
+  if (interState) {
+    totals.push(['IGST', invoice.igstAmount]);
+  } else {
+    totals.push(['CGST', invoice.cgstAmount], ['SGST', invoice.sgstAmount]);
+  }
+
+  totals.forEach(([label, amount]) => {
+    pdf.row([
+      { text: label, x: 380 },
+      { text: money(amount), x: pdf.right, align: 'right' }
+    ]);
+  });
+  pdf.row([
+    { text: 'Total (INR)', x: 380 },
+    { text: money(invoice.totalAmount), x: pdf.right, align: 'right' }
+  ], { size: 10, bold: true });
+
+  if (invoice.reason) {
+    pdf.space(10);
+    pdf.text(`Reason: ${invoice.reason}`, { size: 9 });
+  }
+
+  pdf.space(16);
+  pdf.text('This is a computer generated document and does not require a signature.', { size: 8 });
+
+  return pdf.toBuffer();
+};
+
+module.exports = {
+  renderInvoiceHtml,
+  renderInvoicePdf
+};
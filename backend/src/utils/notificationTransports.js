@@ -0,0 +1,220 @@
+/**
+ * Delivery transports for guest notifications
+ * Each transport has send(message) resolving to { providerMessageId } and throwing on failure.
+ * Errors with permanent: true mean retrying won't help (bad address, rejected by the provider).
+ *
+ * Which transport a channel uses comes from the environment:
+ * - NOTIFICATION_EMAIL_TRANSPORT: smtp (default when SMTP_HOST is set), file or console
+ * - NOTIFICATION_SMS_TRANSPORT: sms_gateway (default when SMS_GATEWAY_URL is set), file or console
+ */
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+const SMS_TIMEOUT_MS = 15000;
+
+class TransportError extends Error {
+  constructor(message, { permanent = false } = {}) {
+    super(message);
+    this.name = 'TransportError';
+    this.permanent = permanent;
+  }
+}
+
+const mailFrom = () => process.env.MAIL_FROM || 'Hotel Reservations <no-reply@localhost>';
+
+const outboxDir = () => path.resolve(process.env.NOTIFICATION_OUTBOX_DIR || 'outbox');
+
+const emailAttachments = (message) => (message.attachment
+  ? [{ filename: message.attachmentName, contentType: 'application/pdf', content: Buffer.from(message.attachment) }]
+  : []);
+
+const toMailOptions = (message) => ({
+  from: mailFrom(),
+  to: message.recipient,
+  subject: message.subject,
+  text: message.body,
+  html: message.htmlBody || undefined,
+  attachments: emailAttachments(message)
+});
+
+let smtpTransporter = null;
+
+/**
+ * SMTP relay from SMTP_HOST, SMTP_PORT, SMTP_SECURE (implicit TLS, usually port 465), SMTP_USER and SMTP_PASS
+ * With credentials the connection must be TLS - STARTTLS is required, so a server (or anyone in between)
+ * that doesn't offer it never sees the password
+ */
+const getSmtpTransporter = () => {
+  if (!smtpTransporter) {
+    const secure = process.env.SMTP_SECURE === 'true';
+    const user = process.env.SMTP_USER || null;
+
+    smtpTransporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || (secure ? 465 : 587),
+      secure,
+      requireTLS: !secure && Boolean(user),
+      ...(user && { auth: { user, pass: process.env.SMTP_PASS || '' } }),
+      connectionTimeout: 30000,
+      socketTimeout: 30000
+    });
+  }
+
+  return smtpTransporter;
+};
+
+const smtp = {
+  channels: ['email'],
+
+  async send(message) {
+    if (!process.env.SMTP_HOST) {
+      throw new TransportError('SMTP_HOST is not configured');
+    }
+
+    try {
+      const info = await getSmtpTransporter().sendMail(toMailOptions(message));
+      return { providerMessageId: info.messageId };
+    } catch (error) {
+      // 5xx from the server is a rejection of this message; connection problems and 4xx are retried
+      throw new TransportError(`SMTP delivery failed: ${error.message}`, {
+        permanent: error.responseCode >= 500
+      });
+    }
+  }
+};
+
+/**
+ * Generic HTTP SMS gateway
+ * POSTs { to, from, message } as JSON to SMS_GATEWAY_URL with SMS_GATEWAY_API_KEY as a bearer token
+ * and takes the message id from the response's id or messageId, when there is one
+ */
+const smsGateway = {
+  channels: ['sms'],
+
+  async send(message) {
+    if (!process.env.SMS_GATEWAY_URL) {
+      throw new TransportError('SMS_GATEWAY_URL is not configured');
+    }
+
+    let response;
+    try {
+      response = await fetch(process.env.SMS_GATEWAY_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(process.env.SMS_GATEWAY_API_KEY && { Authorization: `Bearer ${process.env.SMS_GATEWAY_API_KEY}` })
+        },
+        body: JSON.stringify({
+          to: message.recipient,
+          from: process.env.SMS_SENDER_ID || undefined,
+          message: message.body
+        }),
+        signal: AbortSignal.timeout(SMS_TIMEOUT_MS)
+      });
+    } catch (error) {
+      throw new TransportError(`SMS gateway unreachable: ${error.message}`);
+    }
+
+    const text = await response.text();
+
+    if (!response.ok) {
+      // 4xx is the gateway refusing this message; 429 and 5xx are worth another try
+      throw new TransportError(`SMS gateway returned ${response.status}: ${text.slice(0, 200)}`, {
+        permanent: response.status >= 400 && response.status < 500 && response.status !== 429
+      });
+    }
+
+    let result = {};
+    try {
+      result = JSON.parse(text);
+    } catch (error) {
+      // Some gateways answer with plain text - the status code is what counts
+    }
+
+    return { providerMessageId: result.id || result.messageId || null };
+  }
+};
+
+// Builds the email without sending it, for the file transport
+const emlTransporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'windows' });
+
+// Writes each message to NOTIFICATION_OUTBOX_DIR: emails as .eml files, SMS as .txt
+const file = {
+  channels: ['email', 'sms'],
+
+  async send(message) {
+    const dir = outboxDir();
+    await fs.mkdir(dir, { recursive: true });
+
+    const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${message.id}-${message.type}`;
+
+    if (message.channel === 'email') {
+      const info = await emlTransporter.sendMail(toMailOptions(message));
+      await fs.writeFile(path.join(dir, `${name}.eml`), info.message);
+      return { providerMessageId: info.messageId };
+    }
+
+    await fs.writeFile(path.join(dir, `${name}.txt`), `To: ${message.recipient}\n\n${message.body}\n`);
+    return { providerMessageId: `file-${crypto.randomBytes(6).toString('hex')}` };
+  }
+};
+
+// Prints the message to the server log - the default when nothing is configured
+const consoleTransport = {
+  channels: ['email', 'sms'],
+
+  async send(message) {
+    const heading = message.channel === 'email'
+      ? `📧 Email to ${message.recipient}: ${message.subject}`
+      : `📱 SMS to ${message.recipient}`;
+
+    console.log(`${heading}\n${message.body}${message.attachmentName ? `\n[attachment: ${message.attachmentName}]` : ''}`);
+    return { providerMessageId: `console-${crypto.randomBytes(6).toString('hex')}` };
+  }
+};
+
+const transports = {
+  smtp,
+  sms_gateway: smsGateway,
+  file,
+  console: consoleTransport
+};
+
+/**
+ * Add or replace a transport, e.g. a provider SDK wrapped in { channels, send }
+ */
+const registerTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== 'function' || !Array.isArray(transport.channels)) {
+    throw new Error(`Transport ${name} needs channels and a send function`);
+  }
+  transports[name] = transport;
+};
+
+const configuredTransportName = (channel) => {
+  if (channel === 'email') {
+    return process.env.NOTIFICATION_EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+  }
+  return process.env.NOTIFICATION_SMS_TRANSPORT || (process.env.SMS_GATEWAY_URL ? 'sms_gateway' : 'console');
+};
+
+/**
+ * Transport for a channel: { name, transport }
+ */
+const getTransport = (channel) => {
+  const name = configuredTransportName(channel);
+  const transport = transports[name];
+
+  if (!transport || !transport.channels.includes(channel)) {
+    throw new TransportError(`Transport ${name} cannot send ${channel} messages`);
+  }
+
+  return { name, transport };
+};
+
+module.exports = {
+  TransportError,
+  registerTransport,
+  getTransport
+};
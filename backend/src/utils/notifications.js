@@ -0,0 +1,369 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { resolveCancellationPolicy } = require('./cancellationPolicy');
+const { renderVoucherHtml, renderVoucherPdf, renderVoucherText } = require('./bookingVoucher');
+const { getTransport } = require('./notificationTransports');
+const { BLOCK_GUEST_ID_TYPE } = require('./icalSync');
+const { toDateKey } = require('./dateUtils');
+
+const prisma = new PrismaClient();
+
+const NOTIFICATION_TYPES = ['booking_confirmation', 'booking_modification', 'booking_cancellation', 'pre_arrival_reminder'];
+const NOTIFICATION_CHANNELS = ['email', 'sms'];
+const NOTIFICATION_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+
+// No ambiguous characters (0/O, 1/I) - guests read these out over the phone
+const CONFIRMATION_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CONFIRMATION_CODE_LENGTH = 8;
+
+// A message still 'sending' after this long lost its worker (e.g. a restart) and goes back in the queue
+const STALE_SENDING_MINUTES = 10;
+const MAX_RETRY_DELAY_MINUTES = 60;
+
+// What the booking needs for a voucher
+const VOUCHER_INCLUDE = {
+  hotel: {
+    select: {
+      name: true,
+      address: true,
+      phone: true,
+      checkInTime: true,
+      guestNotificationsEnabled: true
+    }
+  },
+  guest: {
+    select: {
+      id: true,
+      name: true,
+      email: true,
+      phone: true,
+      idType: true
+    }
+  },
+  roomType: { select: { name: true } },
+  room: { select: { roomNumber: true } },
+  ratePlan: { select: { name: true, inclusions: true } },
+  company: { select: { name: true } },
+  payments: { select: { paymentType: true, amount: true } }
+};
+
+const formatDate = (date) => toDateKey(date).split('-').reverse().join('-');
+
+// Heading, email subject, lead-in and SMS text per message type
+const MESSAGE_TEMPLATES = {
+  booking_confirmation: {
+    heading: 'Booking confirmation',
+    subject: (booking) => `Booking confirmed - ${booking.hotel.name} (${booking.confirmationCode})`,
+    message: (booking) => `Dear ${booking.guest.name}, thank you for booking with us. Your stay is confirmed.`,
+    sms: (booking) => `${booking.hotel.name}: booking ${booking.confirmationCode} confirmed for ${formatDate(booking.checkInDate)} to ${formatDate(booking.checkOutDate)}, ${booking.roomType.name}.`
+  },
+  booking_modification: {
+    heading: 'Booking updated',
+    subject: (booking) => `Booking updated - ${booking.hotel.name} (${booking.confirmationCode})`,
+    message: (booking) => `Dear ${booking.guest.name}, your booking has been changed. The updated details are below.`,
+    sms: (booking) => `${booking.hotel.name}: booking ${booking.confirmationCode} updated - now ${formatDate(booking.checkInDate)} to ${formatDate(booking.checkOutDate)}, ${booking.roomType.name}.`
+  },
+  booking_cancellation: {
+    heading: 'Booking cancelled',
+    subject: (booking) => `Booking cancelled - ${booking.hotel.name} (${booking.confirmationCode})`,
+    message: (booking) => `Dear ${booking.guest.name}, your booking for ${formatDate(booking.checkInDate)} has been cancelled.`,
+    sms: (booking) => `${booking.hotel.name}: booking ${booking.confirmationCode} for ${formatDate(booking.checkInDate)} has been cancelled.`
+  },
+  pre_arrival_reminder: {
+    heading: 'See you soon',
+    subject: (booking) => `Your stay at ${booking.hotel.name} on ${formatDate(booking.checkInDate)} (${booking.confirmationCode})`,
+    message: (booking) => `Dear ${booking.guest.name}, we look forward to welcoming you. Check-in is from ${booking.hotel.checkInTime} on ${formatDate(booking.checkInDate)}.`,
+    sms: (booking) => `${booking.hotel.name}: reminder - check-in from ${booking.hotel.checkInTime} on ${formatDate(booking.checkInDate)}, booking ${booking.confirmationCode}.`
+  }
+};
+
+const generateConfirmationCode = () => Array.from(
+  { length: CONFIRMATION_CODE_LENGTH },
+  () => CONFIRMATION_CODE_ALPHABET[crypto.randomInt(CONFIRMATION_CODE_ALPHABET.length)]
+).join('');
+
+/**
+ * Give a booking a confirmation code if it has none (bookings made before codes existed)
+ * Retries on the rare collision with another booking's code
+ */
+const ensureConfirmationCode = async (booking) => {
+  if (booking.confirmationCode) return booking.confirmationCode;
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const confirmationCode = generateConfirmationCode();
+
+    try {
+      const result = await prisma.booking.updateMany({
+        where: { id: booking.id, confirmationCode: null },
+        data: { confirmationCode }
+      });
+
+      if (result.count === 0) {
+        // Someone else assigned one first
+        const current = await prisma.booking.findUnique({
+          where: { id: booking.id },
+          select: { confirmationCode: true }
+        });
+        return current.confirmationCode;
+      }
+
+      return confirmationCode;
+    } catch (error) {
+      if (error.code !== 'P2002') throw error;
+    }
+  }
+
+  throw new Error(`Could not assign a confirmation code to booking ${booking.id}`);
+};
+
+/**
+ * A booking with everything the voucher prints, or null
+ * hotelId limits the lookup to one hotel (requests from staff)
+ */
+const loadVoucherBooking = async (bookingId, hotelId = null) => {
+  const booking = await prisma.booking.findFirst({
+    where: {
+      id: bookingId,
+      ...(hotelId && { hotelId })
+    },
+    include: VOUCHER_INCLUDE
+  });
+
+  if (!booking) return null;
+
+  booking.confirmationCode = await ensureConfirmationCode(booking);
+  booking.cancellationPolicy = await resolveCancellationPolicy(booking);
+
+  return booking;
+};
+
+const voucherOptions = (booking, type) => {
+  const template = MESSAGE_TEMPLATES[type] || MESSAGE_TEMPLATES.booking_confirmation;
+  return { heading: template.heading, message: template.message(booking) };
+};
+
+const voucherFilename = (booking) => `voucher-${booking.confirmationCode}.pdf`;
+
+// The booking has real guest contact details to send to
+const canNotifyGuest = (booking) => booking.hotel.guestNotificationsEnabled
+  && booking.guest.idType !== BLOCK_GUEST_ID_TYPE;
+
+/**
+ * Put a booking's messages in the outbox: an email with the voucher when the guest has an address,
+ * and an SMS to their phone. Delivery runs in the background.
+ * Options:
+ * - dedupeKey: queue at most once per key (per channel) - scheduled reminders use it
+ * - force: queue even when the hotel has guest notifications switched off (a manual resend)
+ * Returns the queued messages
+ */
+const queueBookingNotification = async (bookingId, type, { dedupeKey = null, force = false } = {}) => {
+  if (!NOTIFICATION_TYPES.includes(type)) {
+    throw new Error(`Unknown notification type: ${type}`);
+  }
+
+  const booking = await loadVoucherBooking(bookingId);
+  if (!booking) return [];
+  if (!force && !canNotifyGuest(booking)) return [];
+
+  const template = MESSAGE_TEMPLATES[type];
+  const options = voucherOptions(booking, type);
+  const messages = [];
+
+  if (booking.guest.email) {
+    messages.push({
+      channel: 'email',
+      recipient: booking.guest.email,
+      subject: template.subject(booking),
+      body: renderVoucherText(booking, options),
+      htmlBody: renderVoucherHtml(booking, options),
+      // A cancellation carries no voucher - there is nothing left to present at the desk
+      ...(type !== 'booking_cancellation' && {
+        attachmentName: voucherFilename(booking),
+        attachment: await renderVoucherPdf(booking, options)
+      })
+    });
+  }
+
+  if (booking.guest.phone) {
+    messages.push({
+      channel: 'sms',
+      recipient: booking.guest.phone,
+      body: template.sms(booking)
+    });
+  }
+
+  const queued = [];
+
+  for (const message of messages) {
+    try {
+      queued.push(await prisma.notification.create({
+        data: {
+          hotelId: booking.hotelId,
+          bookingId: booking.id,
+          guestId: booking.guest.id,
+          type,
+          ...message,
+          dedupeKey: dedupeKey ? `${dedupeKey}:${message.channel}` : null
+        },
+        select: { id: true, channel: true, recipient: true, status: true }
+      }));
+    } catch (error) {
+      // Already queued under this key
+      if (error.code !== 'P2002') throw error;
+    }
+  }
+
+  if (queued.length > 0) {
+    console.log(`✉️ Booking ${booking.id}: ${type} queued (${queued.map(message => message.channel).join(', ')})`);
+
+    processOutbox().catch(error => console.error('Notification outbox error:', error));
+  }
+
+  return queued;
+};
+
+// 1, 2, 4, 8... minutes after each failed attempt, capped at an hour
+const retryDelayMinutes = (attempts) => Math.min(2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY_MINUTES);
+
+/**
+ * Try to deliver one claimed message and record the outcome
+ */
+const deliver = async (message, now) => {
+  const attempts = message.attempts + 1;
+  let transportName = null;
+
+  try {
+    const { name, transport } = getTransport(message.channel);
+    transportName = name;
+
+    const { providerMessageId } = await transport.send(message);
+
+    await prisma.notification.update({
+      where: { id: message.id },
+      data: {
+        status: 'sent',
+        attempts,
+        transport: transportName,
+        providerMessageId: providerMessageId ? String(providerMessageId).slice(0, 255) : null,
+        sentAt: new Date(),
+        lastError: null
+      }
+    });
+
+    return 'sent';
+  } catch (error) {
+    const gaveUp = error.permanent === true || attempts >= message.maxAttempts;
+
+    await prisma.notification.update({
+      where: { id: message.id },
+      data: {
+        status: gaveUp ? 'failed' : 'pending',
+        attempts,
+        transport: transportName,
+        lastError: error.message,
+        nextAttemptAt: gaveUp
+          ? now
+          : new Date(now.getTime() + retryDelayMinutes(attempts) * 60 * 1000)
+      }
+    });
+
+    console.error(`❌ Notification ${message.id} (${message.channel} to ${message.recipient}) attempt ${attempts} failed: ${error.message}`);
+
+    if (gaveUp && global.socketServer) {
+      // 🔌 WEBSOCKET: Managers see the guest didn't get the message
+      global.socketServer.broadcastToRole(message.hotelId, 'hotel_manager', 'notification_failed', {
+        notificationId: message.id,
+        bookingId: message.bookingId,
+        type: message.type,
+        channel: message.channel,
+        recipient: message.recipient,
+        error: error.message
+      });
+    }
+
+    return gaveUp ? 'failed' : 'retrying';
+  }
+};
+
+const deliverDueMessages = async ({ limit, hotelId, now = new Date() }) => {
+  await prisma.notification.updateMany({
+    where: {
+      status: 'sending',
+      updatedAt: { lt: new Date(now.getTime() - STALE_SENDING_MINUTES * 60 * 1000) },
+      ...(hotelId && { hotelId })
+    },
+    data: { status: 'pending' }
+  });
+
+  const due = await prisma.notification.findMany({
+    where: {
+      status: 'pending',
+      nextAttemptAt: { lte: now },
+      ...(hotelId && { hotelId })
+    },
+    orderBy: { nextAttemptAt: 'asc' },
+    take: limit
+  });
+
+  const summary = { processed: 0, sent: 0, retrying: 0, failed: 0 };
+
+  for (const message of due) {
+    // Claim it - another server process may be working the same queue
+    const claimed = await prisma.notification.updateMany({
+      where: { id: message.id, status: 'pending' },
+      data: { status: 'sending' }
+    });
+    if (claimed.count === 0) continue;
+
+    const outcome = await deliver(message, now);
+    summary.processed++;
+    summary[outcome]++;
+  }
+
+  return summary;
+};
+
+let activeRun = null;
+let runAgain = false;
+
+/**
+ * Deliver pending messages that are due
+ * One run at a time per process; a call during a run makes it go round once more
+ * so messages queued meanwhile aren't left for the next scheduled run.
+ * Options: { limit, hotelId }
+ * Returns { processed, sent, retrying, failed }
+ */
+const processOutbox = ({ limit = 50, hotelId = null } = {}) => {
+  if (activeRun) {
+    runAgain = true;
+    return activeRun;
+  }
+
+  activeRun = (async () => {
+    const total = { processed: 0, sent: 0, retrying: 0, failed: 0 };
+
+    do {
+      runAgain = false;
+      const summary = await deliverDueMessages({ limit, hotelId });
+      Object.keys(total).forEach(key => { total[key] += summary[key]; });
+    } while (runAgain);
+
+    return total;
+  })().finally(() => {
+    activeRun = null;
+  });
+
+  return activeRun;
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_STATUSES,
+  generateConfirmationCode,
+  loadVoucherBooking,
+  voucherOptions,
+  voucherFilename,
+  queueBookingNotification,
+  processOutbox
+};
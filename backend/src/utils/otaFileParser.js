@@ -0,0 +1,174 @@
+/**
+ * Reservation export files from OTA extranets
+ * Both formats come out as records of { row, fields } where field names are
+ * normalized (lowercase letters and digits only) so "Check-in", "check_in"
+ * and <CheckIn> all read as "checkin"
+ */
+
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Pick the delimiter the header line uses most (some extranets export ; or tab separated)
+const detectDelimiter = (headerLine) => {
+  const counts = [',', ';', '\t'].map(delimiter => ({
+    delimiter,
+    count: headerLine.split(delimiter).length
+  }));
+  return counts.sort((a, b) => b.count - a.count)[0].delimiter;
+};
+
+/**
+ * RFC 4180 CSV: quoted fields may hold delimiters, newlines and "" escapes
+ * Returns an array of rows, each an array of cell strings
+ */
+const parseCsvRows = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(input.split(/\r?\n/, 1)[0]);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let index = 0; index < input.length; index++) {
+    const char = input[index];
+
+    if (inQuotes) {
+      if (char === '"' && input[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[index + 1] === '\n') index++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// Header row plus one record per reservation line (row numbers match the file, header = 1)
+const parseCsv = (text) => {
+  const [header, ...lines] = parseCsvRows(text);
+  if (!header) return [];
+
+  const keys = header.map(normalizeKey);
+
+  return lines.map((cells, index) => {
+    const fields = {};
+    keys.forEach((key, column) => {
+      if (key && cells[column] !== undefined) fields[key] = cells[column].trim();
+    });
+    return { row: index + 2, fields };
+  });
+};
+
+const decodeXmlEntities = (value) => value
+  .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&amp;/g, '&');
+
+// Attributes of inner elements are named after their element: <Room type="Deluxe"/> -> roomtype
+const readXmlAttributes = (attributeText, fields, prefix = '') => {
+  const attributePattern = /([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = attributePattern.exec(attributeText)) !== null) {
+    const value = match[3] !== undefined ? match[3] : match[4];
+    const key = prefix + normalizeKey(match[1].split(':').pop());
+    if (!(key in fields)) fields[key] = decodeXmlEntities(value).trim();
+  }
+};
+
+// Elements that wrap one reservation in the channels' XML exports
+const RESERVATION_ELEMENTS = ['reservation', 'booking', 'hotelreservation'];
+
+/**
+ * One record per reservation element. Leaf elements and attributes become
+ * fields; the first occurrence of a name wins.
+ * Not a general XML parser - exports are flat enough that this covers them.
+ */
+const parseXml = (text) => {
+  const input = text
+    .replace(/<\?[\s\S]*?\?>/g, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (match, content) => content
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;'));
+
+  const records = [];
+  const openPattern = /<([\w:.-]+)(\s[^>]*)?>/g;
+  let match;
+
+  while ((match = openPattern.exec(input)) !== null) {
+    const tagName = match[1];
+    if (!RESERVATION_ELEMENTS.includes(normalizeKey(tagName.split(':').pop()))) continue;
+
+    const closeTag = `</${tagName}>`;
+    const end = input.indexOf(closeTag, openPattern.lastIndex);
+    if (end === -1) break;
+
+    const body = input.slice(openPattern.lastIndex, end);
+    const fields = {};
+    readXmlAttributes(match[2] || '', fields);
+
+    const leafPattern = /<([\w:.-]+)(?:\s[^>]*)?>([^<]*)<\/\1>/g;
+    let leaf;
+    while ((leaf = leafPattern.exec(body)) !== null) {
+      const key = normalizeKey(leaf[1].split(':').pop());
+      if (!(key in fields)) fields[key] = decodeXmlEntities(leaf[2]).trim();
+    }
+
+    const elementPattern = /<([\w:.-]+)(\s[^>]*?)\/?>/g;
+    let element;
+    while ((element = elementPattern.exec(body)) !== null) {
+      readXmlAttributes(element[2], fields, normalizeKey(element[1].split(':').pop()));
+    }
+
+    records.push({ row: records.length + 1, fields });
+    openPattern.lastIndex = end + closeTag.length;
+  }
+
+  return records;
+};
+
+// csv or xml from the file name, falling back to a look at the content
+const detectFormat = (fileName, text) => {
+  const extension = fileName ? fileName.split('.').pop().toLowerCase() : null;
+  if (extension === 'csv' || extension === 'xml') return extension;
+  return text.trimStart().startsWith('<') ? 'xml' : 'csv';
+};
+
+const parseReservationFile = (text, format) => {
+  return format === 'xml' ? parseXml(text) : parseCsv(text);
+};
+
+module.exports = {
+  normalizeKey,
+  parseCsv,
+  parseXml,
+  detectFormat,
+  parseReservationFile
+};
@@ -0,0 +1,537 @@
+const { PrismaClient } = require('@prisma/client');
+const { calculateStayPricing, calculateFixedRatePricing, toNightlyRateRows, roundCurrency } = require('./pricingEngine');
+const { findAvailableRooms, checkRoomAvailability } = require('./availability');
+const { checkOverbookingAllowance } = require('./overbooking');
+const { resolveCancellationPolicy } = require('./cancellationPolicy');
+const { taxStayPricing } = require('./taxEngine');
+const { refreshPaymentStatus } = require('./payments');
+const { recordBookingHistory } = require('./bookingHistory');
+const { notifyWaitlistMatches } = require('./waitlist');
+const { startOfDay, toDateKey } = require('./dateUtils');
+const { normalizeKey } = require('./otaFileParser');
+
+const prisma = new PrismaClient();
+
+// Channels we take export files from - also the booking source of what they create
+const OTA_CHANNELS = ['oyo', 'makemytrip', 'booking.com'];
+
+// Column / element names used by the channels' exports, after normalizeKey
+const FIELD_ALIASES = {
+  externalReservationId: ['reservationid', 'bookingid', 'booknumber', 'bookingnumber', 'bookingreference', 'confirmationnumber', 'reservationnumber', 'orderid', 'id'],
+  status: ['status', 'bookingstatus', 'reservationstatus'],
+  guestName: ['guestname', 'guestnames', 'bookedby', 'customername', 'name'],
+  guestPhone: ['phone', 'phonenumber', 'guestphone', 'mobile', 'mobilenumber', 'contactnumber'],
+  guestEmail: ['email', 'guestemail', 'emailaddress', 'bookeremail'],
+  address: ['address', 'guestaddress', 'bookeraddress'],
+  checkInDate: ['checkin', 'checkindate', 'arrival', 'arrivaldate'],
+  checkOutDate: ['checkout', 'checkoutdate', 'departure', 'departuredate'],
+  roomType: ['roomtype', 'unittype', 'roomname', 'roomcategory', 'room'],
+  numberOfGuests: ['numberofguests', 'guests', 'persons', 'pax', 'adults'],
+  amount: ['totalamount', 'amount', 'price', 'total', 'bookingamount', 'roomamount', 'netamount'],
+  specialRequests: ['specialrequests', 'specialrequest', 'remarks', 'notes', 'comments']
+};
+
+// Channel status wording -> what the import does with the row
+const STATUS_VALUES = {
+  confirmed: ['confirmed', 'ok', 'booked', 'new', 'reserved', 'active'],
+  modified: ['modified', 'amended', 'changed', 'updated'],
+  cancelled: ['cancelled', 'canceled', 'cancelledbyguest', 'cancelledbyhotel', 'cancelledbyproperty', 'cancellation']
+};
+
+// A row the import can't apply - reported against the row, the rest of the file carries on
+const rowError = (message) => Object.assign(new Error(message), { statusCode: 422 });
+
+const pickField = (fields, canonical) => {
+  const alias = FIELD_ALIASES[canonical].find(key => fields[key] !== undefined && fields[key] !== '');
+  return alias ? fields[alias] : null;
+};
+
+/**
+ * Dates as the extranets write them: 2026-11-02, 02/11/2026 or 02-11-2026 (day first),
+ * or anything Date understands ("2 Nov 2026")
+ */
+const parseChannelDate = (value) => {
+  if (!value) return null;
+
+  const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) return new Date(parseInt(iso[1]), parseInt(iso[2]) - 1, parseInt(iso[3]));
+
+  const dayFirst = value.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (dayFirst) return new Date(parseInt(dayFirst[3]), parseInt(dayFirst[2]) - 1, parseInt(dayFirst[1]));
+
+  const parsed = new Date(value);
+  return isNaN(parsed.getTime()) ? null : startOfDay(parsed);
+};
+
+// "INR 12,500.00" -> 12500
+const parseAmount = (value) => {
+  if (!value) return null;
+  const amount = parseFloat(String(value).replace(/[^0-9.-]/g, ''));
+  return isNaN(amount) ? null : roundCurrency(amount);
+};
+
+const phoneDigits = (phone) => (phone ? phone.replace(/\D/g, '') : '');
+
+/**
+ * Turn a parsed record into a reservation, collecting every problem with the row
+ * Cancellations only need the reservation ID
+ * roomTypeMap maps the channel's room names to room type IDs where they differ from ours
+ */
+const mapRecord = (record, roomTypes, roomTypeMap) => {
+  const get = (canonical) => pickField(record.fields, canonical);
+  const errors = [];
+
+  const externalReservationId = get('externalReservationId');
+  if (!externalReservationId) errors.push('Reservation ID is missing');
+
+  const statusText = get('status');
+  const statusKey = normalizeKey(statusText || 'confirmed');
+  const status = Object.keys(STATUS_VALUES).find(key => STATUS_VALUES[key].includes(statusKey));
+  if (!status) errors.push(`Unknown reservation status "${statusText}"`);
+
+  const reservation = {
+    externalReservationId,
+    status,
+    guestName: get('guestName'),
+    guestPhone: get('guestPhone'),
+    guestEmail: get('guestEmail') ? get('guestEmail').toLowerCase() : null,
+    address: get('address'),
+    checkInDate: parseChannelDate(get('checkInDate')),
+    checkOutDate: parseChannelDate(get('checkOutDate')),
+    numberOfGuests: get('numberOfGuests') ? parseInt(get('numberOfGuests')) : 1,
+    amount: parseAmount(get('amount')),
+    specialRequests: get('specialRequests')
+  };
+
+  if (status === 'cancelled') {
+    return { reservation, errors };
+  }
+
+  if (!reservation.guestName) errors.push('Guest name is missing');
+  if (!reservation.guestPhone && !reservation.guestEmail) errors.push('Guest phone or email is needed to match the guest');
+  if (reservation.guestPhone && reservation.guestPhone.length > 20) errors.push(`Invalid phone number "${reservation.guestPhone}"`);
+  if (!reservation.checkInDate) errors.push(`Invalid check-in date "${get('checkInDate') || ''}"`);
+  if (!reservation.checkOutDate) errors.push(`Invalid check-out date "${get('checkOutDate') || ''}"`);
+  if (reservation.checkInDate && reservation.checkOutDate && reservation.checkOutDate <= reservation.checkInDate) {
+    errors.push('Check-out date must be after check-in date');
+  }
+  if (isNaN(reservation.numberOfGuests) || reservation.numberOfGuests < 1) errors.push('Invalid number of guests');
+  if (get('amount') && !(reservation.amount > 0)) errors.push(`Invalid amount "${get('amount')}"`);
+
+  const roomTypeName = get('roomType');
+  const mappedId = roomTypeName && roomTypeMap[roomTypeName];
+  const roomType = roomTypes.find(type => mappedId
+    ? type.id === mappedId
+    : roomTypeName && normalizeKey(type.name) === normalizeKey(roomTypeName));
+
+  if (!roomType) {
+    errors.push(roomTypeName ? `Unknown room type "${roomTypeName}" - map it with roomTypeMap` : 'Room type is missing');
+  } else if (reservation.numberOfGuests > roomType.maxOccupancy) {
+    errors.push(`${roomType.name} sleeps at most ${roomType.maxOccupancy} guests`);
+  }
+
+  reservation.roomTypeId = roomType ? roomType.id : null;
+  return { reservation, errors };
+};
+
+/**
+ * Existing guest for the reservation: same phone (last 10 digits), then same email
+ */
+const findGuest = async (hotelId, reservation) => {
+  const digits = phoneDigits(reservation.guestPhone);
+
+  if (digits.length >= 10) {
+    const guest = await prisma.guest.findFirst({
+      where: { hotelId, phone: { endsWith: digits.slice(-10) } }
+    });
+    if (guest) return { guest, matchedBy: 'phone' };
+  }
+
+  if (reservation.guestEmail) {
+    const guest = await prisma.guest.findFirst({
+      where: { hotelId, email: { equals: reservation.guestEmail, mode: 'insensitive' } }
+    });
+    if (guest) return { guest, matchedBy: 'email' };
+  }
+
+  return { guest: null, matchedBy: null };
+};
+
+/**
+ * Room type inventory for the stay - channels sell on allotment, so a sold-out
+ * night is only accepted within the owner's overbooking allowance
+ * Returns the overbooking check when the stay oversells, null otherwise
+ */
+const checkInventory = async ({ hotelId, reservation, excludeBookingId = null }) => {
+  const [inventory] = await findAvailableRooms({
+    hotelId,
+    roomTypeId: reservation.roomTypeId,
+    checkInDate: reservation.checkInDate,
+    checkOutDate: reservation.checkOutDate,
+    excludeBookingId
+  });
+
+  if (inventory.availableCount > 0) return null;
+
+  const overbooking = await checkOverbookingAllowance({
+    hotelId,
+    inventory,
+    checkInDate: reservation.checkInDate,
+    checkOutDate: reservation.checkOutDate
+  });
+
+  if (!overbooking.allowed) {
+    throw rowError(`No ${inventory.roomType.name} rooms left for ${toDateKey(reservation.checkInDate)} to ${toDateKey(reservation.checkOutDate)}`);
+  }
+
+  return overbooking;
+};
+
+// The channel's amount when the file has one (spread evenly over the nights), otherwise our own rates
+const priceReservation = (hotelId, channel, reservation) => {
+  if (reservation.amount) {
+    const nights = Math.round((startOfDay(reservation.checkOutDate) - startOfDay(reservation.checkInDate)) / 86400000);
+    return calculateFixedRatePricing({
+      checkInDate: reservation.checkInDate,
+      checkOutDate: reservation.checkOutDate,
+      rate: reservation.amount / nights,
+      rateSource: 'channel_rate',
+      occasion: channel
+    });
+  }
+
+  return calculateStayPricing({
+    hotelId,
+    roomTypeId: reservation.roomTypeId,
+    checkInDate: reservation.checkInDate,
+    checkOutDate: reservation.checkOutDate
+  });
+};
+
+// Fields of the channel's version that differ from the booking
+const detectChanges = (booking, reservation) => {
+  const changes = [];
+
+  if (toDateKey(booking.checkInDate) !== toDateKey(reservation.checkInDate)) changes.push('checkInDate');
+  if (toDateKey(booking.checkOutDate) !== toDateKey(reservation.checkOutDate)) changes.push('checkOutDate');
+  if (booking.roomTypeId !== reservation.roomTypeId) changes.push('roomTypeId');
+  if (booking.numberOfGuests !== reservation.numberOfGuests) changes.push('numberOfGuests');
+  if (reservation.amount && Math.abs(parseFloat(booking.finalAmount) - reservation.amount) >= 0.01) changes.push('amount');
+  if (reservation.specialRequests && reservation.specialRequests !== booking.specialRequests) changes.push('specialRequests');
+
+  return changes;
+};
+
+const cancelReservation = async ({ existing, channel, dryRun, performedById }) => {
+  if (!existing) {
+    return { action: 'skipped', message: 'Cancellation of a reservation that was never imported' };
+  }
+
+  if (existing.status === 'cancelled') {
+    return { action: 'unchanged', bookingId: existing.id };
+  }
+
+  if (existing.status !== 'confirmed') {
+    throw rowError(`Booking ${existing.id} is ${existing.status} and cannot be cancelled from the channel`);
+  }
+
+  if (dryRun) {
+    return { action: 'cancelled', bookingId: existing.id };
+  }
+
+  const cancelled = await prisma.$transaction(async (tx) => {
+    const booking = await tx.booking.update({
+      where: { id: existing.id },
+      data: {
+        status: 'cancelled',
+        cancelledAt: new Date(),
+        cancelledById: performedById,
+        cancellationReason: `Cancelled on ${channel}`,
+        // Any cancellation charge is collected by the channel
+        cancellationFee: 0
+      }
+    });
+
+    await recordBookingHistory({
+      booking,
+      before: existing,
+      action: 'cancelled',
+      reason: `Cancelled on ${channel}`,
+      performedById
+    }, tx);
+
+    return booking;
+  });
+
+  await refreshPaymentStatus(existing.id);
+  await notifyWaitlistMatches(cancelled, 'cancellation')
+    .catch(error => console.error('Waitlist matching error:', error));
+
+  return { action: 'cancelled', bookingId: existing.id };
+};
+
+const createReservation = async ({ hotelId, channel, reservation, dryRun, performedById }) => {
+  const { guest, matchedBy } = await findGuest(hotelId, reservation);
+
+  if (!guest && phoneDigits(reservation.guestPhone).length < 10) {
+    throw rowError('No guest matches - a phone number is needed to create one');
+  }
+
+  const overbooking = await checkInventory({ hotelId, reservation });
+  const pricing = await priceReservation(hotelId, channel, reservation);
+  const guestSummary = guest
+    ? { id: guest.id, name: guest.name, matchedBy }
+    : { id: null, name: reservation.guestName, matchedBy: 'new' };
+
+  if (dryRun) {
+    return { action: 'created', guest: guestSummary, finalAmount: pricing.baseAmount, overbooked: Boolean(overbooking) };
+  }
+
+  const stayTax = await taxStayPricing({
+    hotelId,
+    nightlyRates: pricing.nightlyRates,
+    baseAmount: pricing.baseAmount,
+    finalAmount: pricing.baseAmount
+  });
+  const cancellationPolicy = await resolveCancellationPolicy({ hotelId });
+
+  const booking = await prisma.$transaction(async (tx) => {
+    // ID details aren't in channel exports - the desk records them at check-in
+    const bookingGuest = guest || await tx.guest.create({
+      data: {
+        hotelId,
+        name: reservation.guestName,
+        phone: reservation.guestPhone,
+        email: reservation.guestEmail,
+        address: reservation.address || `Not provided (${channel} booking)`,
+        idType: 'pending',
+        idNumber: 'pending'
+      }
+    });
+
+    const created = await tx.booking.create({
+      data: {
+        hotelId,
+        guestId: bookingGuest.id,
+        roomTypeId: reservation.roomTypeId,
+        checkInDate: reservation.checkInDate,
+        checkOutDate: reservation.checkOutDate,
+        numberOfGuests: reservation.numberOfGuests,
+        roomRate: pricing.averageRate,
+        totalNights: pricing.totalNights,
+        baseAmount: pricing.baseAmount,
+        finalAmount: pricing.baseAmount,
+        taxAmount: stayTax.taxAmount,
+        taxInclusive: stayTax.taxInclusive,
+        totalAmount: stayTax.totalAmount,
+        status: 'confirmed',
+        paymentStatus: 'pending',
+        specialRequests: reservation.specialRequests || null,
+        source: channel,
+        externalReservationId: reservation.externalReservationId,
+        cancellationPolicyId: cancellationPolicy ? cancellationPolicy.id : null,
+        nightlyRates: {
+          create: stayTax.nightlyRates.map(night => ({ hotelId, ...night }))
+        }
+      }
+    });
+
+    await recordBookingHistory({
+      booking: created,
+      action: 'created',
+      reason: `Imported from ${channel} (${reservation.externalReservationId})`,
+      performedById
+    }, tx);
+
+    guestSummary.id = bookingGuest.id;
+    return created;
+  });
+
+  return { action: 'created', bookingId: booking.id, guest: guestSummary, finalAmount: pricing.baseAmount, overbooked: Boolean(overbooking) };
+};
+
+const updateReservation = async ({ hotelId, channel, existing, reservation, dryRun, performedById }) => {
+  if (existing.status === 'cancelled') {
+    throw rowError(`Booking ${existing.id} was cancelled - re-book it by hand if the channel reinstated it`);
+  }
+
+  const changes = detectChanges(existing, reservation);
+
+  if (changes.length === 0) {
+    return { action: 'unchanged', bookingId: existing.id };
+  }
+
+  if (existing.status !== 'confirmed') {
+    throw rowError(`Booking ${existing.id} is ${existing.status} - make the change at the front desk`);
+  }
+
+  const stayChanged = changes.some(field => ['checkInDate', 'checkOutDate', 'roomTypeId'].includes(field));
+  const overbooking = stayChanged
+    ? await checkInventory({ hotelId, reservation, excludeBookingId: existing.id })
+    : null;
+
+  // Keep the assigned room only if it is still the right type and free for the new dates
+  let roomId = existing.roomId;
+  if (roomId && stayChanged) {
+    const availability = existing.roomTypeId === reservation.roomTypeId && await checkRoomAvailability({
+      hotelId,
+      roomId,
+      checkInDate: reservation.checkInDate,
+      checkOutDate: reservation.checkOutDate,
+      excludeBookingId: existing.id
+    });
+    if (!availability || !availability.available) roomId = null;
+  }
+
+  const repriced = stayChanged || changes.includes('amount');
+  const pricing = repriced ? await priceReservation(hotelId, channel, reservation) : null;
+
+  if (dryRun) {
+    return {
+      action: 'updated',
+      bookingId: existing.id,
+      changes,
+      roomUnassigned: Boolean(existing.roomId && !roomId),
+      ...(pricing && { finalAmount: pricing.baseAmount }),
+      overbooked: Boolean(overbooking)
+    };
+  }
+
+  const stayTax = pricing && await taxStayPricing({
+    hotelId,
+    nightlyRates: pricing.nightlyRates,
+    baseAmount: pricing.baseAmount,
+    finalAmount: pricing.baseAmount,
+    inclusive: existing.taxInclusive
+  });
+
+  await prisma.$transaction(async (tx) => {
+    if (pricing) {
+      await tx.bookingNightlyRate.deleteMany({ where: { bookingId: existing.id } });
+      await tx.bookingNightlyRate.createMany({
+        data: toNightlyRateRows(hotelId, existing.id, stayTax.nightlyRates)
+      });
+    }
+
+    const booking = await tx.booking.update({
+      where: { id: existing.id },
+      data: {
+        checkInDate: reservation.checkInDate,
+        checkOutDate: reservation.checkOutDate,
+        roomTypeId: reservation.roomTypeId,
+        roomId,
+        ...(roomId !== existing.roomId && { roomAssignedAt: null }),
+        numberOfGuests: reservation.numberOfGuests,
+        ...(reservation.specialRequests && { specialRequests: reservation.specialRequests }),
+        ...(pricing && {
+          roomRate: pricing.averageRate,
+          totalNights: pricing.totalNights,
+          baseAmount: pricing.baseAmount,
+          finalAmount: pricing.baseAmount,
+          taxAmount: stayTax.taxAmount,
+          totalAmount: stayTax.totalAmount
+        })
+      }
+    });
+
+    await recordBookingHistory({
+      booking,
+      before: existing,
+      action: 'updated',
+      reason: `Modified on ${channel}`,
+      performedById
+    }, tx);
+  });
+
+  await refreshPaymentStatus(existing.id);
+
+  return {
+    action: 'updated',
+    bookingId: existing.id,
+    changes,
+    roomUnassigned: Boolean(existing.roomId && !roomId),
+    ...(pricing && { finalAmount: pricing.baseAmount }),
+    overbooked: Boolean(overbooking)
+  };
+};
+
+/**
+ * Apply one reservation: create it, update the booking it was imported as, or cancel that booking
+ * Idempotent - the booking is found by channel + the channel's reservation ID
+ */
+const importReservation = async ({ hotelId, channel, reservation, dryRun, performedById }) => {
+  const existing = await prisma.booking.findUnique({
+    where: {
+      hotelId_source_externalReservationId: {
+        hotelId,
+        source: channel,
+        externalReservationId: reservation.externalReservationId
+      }
+    }
+  });
+
+  if (reservation.status === 'cancelled') {
+    return cancelReservation({ existing, channel, dryRun, performedById });
+  }
+
+  if (existing) {
+    return updateReservation({ hotelId, channel, existing, reservation, dryRun, performedById });
+  }
+
+  return createReservation({ hotelId, channel, reservation, dryRun, performedById });
+};
+
+/**
+ * Import a parsed export file row by row
+ * A bad row is reported with its errors and never stops the rest. With dryRun
+ * nothing is written and each row says what would happen.
+ *
+ * Returns { summary: { created, updated, cancelled, unchanged, skipped, failed }, results: [row result] }
+ */
+const importReservations = async ({ hotelId, channel, records, roomTypeMap = {}, dryRun = false, performedById }) => {
+  const roomTypes = await prisma.roomType.findMany({ where: { hotelId } });
+  const mapped = records.map(record => ({ record, ...mapRecord(record, roomTypes, roomTypeMap) }));
+
+  // A reservation listed more than once (booked, then modified) - its last row is the current state
+  const lastRow = new Map();
+  mapped.forEach(({ record, reservation, errors }) => {
+    if (errors.length === 0) lastRow.set(reservation.externalReservationId, record.row);
+  });
+
+  const results = [];
+
+  for (const { record, reservation, errors } of mapped) {
+    const result = { row: record.row, externalReservationId: reservation.externalReservationId };
+
+    if (errors.length > 0) {
+      results.push({ ...result, action: 'failed', errors });
+      continue;
+    }
+
+    const latestRow = lastRow.get(reservation.externalReservationId);
+    if (latestRow !== record.row) {
+      results.push({ ...result, action: 'skipped', message: `Superseded by row ${latestRow}` });
+      continue;
+    }
+
+    try {
+      results.push({ ...result, ...(await importReservation({ hotelId, channel, reservation, dryRun, performedById })) });
+    } catch (error) {
+      if (!error.statusCode) {
+        console.error(`OTA import row ${record.row} error:`, error);
+      }
+      results.push({ ...result, action: 'failed', errors: [error.statusCode ? error.message : 'Could not import this row'] });
+    }
+  }
+
+  const summary = { created: 0, updated: 0, cancelled: 0, unchanged: 0, skipped: 0, failed: 0 };
+  results.forEach(result => { summary[result.action] += 1; });
+
+  return { summary, results };
+};
+
+module.exports = {
+  OTA_CHANNELS,
+  parseChannelDate,
+  importReservations
+};
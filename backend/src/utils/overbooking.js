@@ -0,0 +1,172 @@
+const { PrismaClient } = require('@prisma/client');
+const { findAvailableRooms } = require('./availability');
+const { NOT_A_BLOCK } = require('./icalSync');
+const { startOfDay, addDays, toDateKey } = require('./dateUtils');
+
+const prisma = new PrismaClient();
+
+/**
+ * Owner-set overbooking allowances for the nights of [fromDate, toDate)
+ */
+const getOverbookingAllowances = ({ hotelId, roomTypeId = null, fromDate, toDate, client = prisma }) => {
+  return client.overbookingAllowance.findMany({
+    where: {
+      hotelId,
+      ...(roomTypeId && { roomTypeId }),
+      stayDate: {
+        gte: startOfDay(fromDate),
+        lt: startOfDay(toDate)
+      }
+    },
+    orderBy: { stayDate: 'asc' }
+  });
+};
+
+/**
+ * Can a room-type reservation be taken beyond physical capacity?
+ * inventory is the room type's findAvailableRooms entry for the stay. Only stays that
+ * hit a sold-out night qualify, and every night must stay within its allowance.
+ *
+ * Returns { allowed, nights: [{ date, available, allowance }], overbookedNights: [date] }
+ */
+const checkOverbookingAllowance = async ({ hotelId, inventory, checkInDate, checkOutDate, client = prisma }) => {
+  const allowances = await getOverbookingAllowances({
+    hotelId,
+    roomTypeId: inventory.roomType.id,
+    fromDate: checkInDate,
+    toDate: checkOutDate,
+    client
+  });
+  const allowanceByNight = new Map(allowances.map(row => [toDateKey(row.stayDate), row.allowance]));
+
+  const nights = inventory.nightlyAvailability.map(night => ({
+    date: toDateKey(night.date),
+    available: night.available,
+    allowance: allowanceByNight.get(toDateKey(night.date)) || 0
+  }));
+  const soldOutNights = nights.filter(night => night.available < 1);
+
+  return {
+    allowed: soldOutNights.length > 0 && nights.every(night => night.available + night.allowance >= 1),
+    nights,
+    overbookedNights: soldOutNights.map(night => night.date)
+  };
+};
+
+// Who gets walked first: no room promised yet, nothing paid, most recently booked
+const compareWalkCandidates = (a, b) => {
+  if (!a.roomId !== !b.roomId) return a.roomId ? 1 : -1;
+
+  const aUnpaid = a.paymentStatus === 'pending';
+  const bUnpaid = b.paymentStatus === 'pending';
+  if (aUnpaid !== bUnpaid) return aUnpaid ? -1 : 1;
+
+  return new Date(b.createdAt) - new Date(a.createdAt);
+};
+
+/**
+ * Overbooking position for one night
+ * Per room type: rooms, what is left to sell, the allowance and how far reservations exceed rooms.
+ * When arrivals exceed rooms the walk list names which arrivals to move: into another
+ * room type that is free for their whole stay (relocate), or out to another hotel (walk).
+ */
+const getOverbookingPosition = async ({ hotelId, date = new Date() }) => {
+  const night = startOfDay(date);
+  const nextDay = addDays(night, 1);
+
+  const [inventory, allowances] = await Promise.all([
+    findAvailableRooms({ hotelId, checkInDate: night, checkOutDate: nextDay }),
+    getOverbookingAllowances({ hotelId, fromDate: night, toDate: nextDay })
+  ]);
+
+  const roomTypes = inventory.map(({ roomType, totalRooms, nightlyAvailability }) => {
+    const available = nightlyAvailability[0].available;
+    const allowance = allowances.find(row => row.roomTypeId === roomType.id);
+
+    return {
+      roomTypeId: roomType.id,
+      roomType: roomType.name,
+      totalRooms,
+      available: Math.max(0, available),
+      allowance: allowance ? allowance.allowance : 0,
+      overbookedBy: Math.max(0, -available),
+      // Overbooked rooms the walk list can't cover from today's arrivals
+      unresolved: 0,
+      status: available < 0 ? 'overbooked' : available === 0 ? 'full' : 'open'
+    };
+  });
+
+  const walkList = [];
+  // Relocation rooms already handed out, per room type
+  const claimed = new Map();
+
+  for (const position of roomTypes.filter(roomType => roomType.overbookedBy > 0)) {
+    const arrivals = await prisma.booking.findMany({
+      where: {
+        hotelId,
+        roomTypeId: position.roomTypeId,
+        status: 'confirmed',
+        checkInDate: { gte: night, lt: nextDay },
+        // A calendar block's guest arrives through its channel, so there is no one here to walk
+        ...NOT_A_BLOCK
+      },
+      include: {
+        guest: { select: { id: true, name: true, phone: true } },
+        room: { select: { roomNumber: true } }
+      }
+    });
+
+    const candidates = arrivals.sort(compareWalkCandidates).slice(0, position.overbookedBy);
+    // In-house guests are never walked
+    position.unresolved = position.overbookedBy - candidates.length;
+
+    for (const booking of candidates) {
+      const options = await findAvailableRooms({
+        hotelId,
+        checkInDate: booking.checkInDate,
+        checkOutDate: booking.checkOutDate
+      });
+
+      // Cheapest other room type that is free for the whole stay and fits the party
+      const relocation = options.find(option =>
+        option.roomType.id !== booking.roomTypeId &&
+        option.roomType.maxOccupancy >= booking.numberOfGuests &&
+        option.availableCount - (claimed.get(option.roomType.id) || 0) > 0
+      );
+
+      if (relocation) {
+        claimed.set(relocation.roomType.id, (claimed.get(relocation.roomType.id) || 0) + 1);
+      }
+
+      walkList.push({
+        bookingId: booking.id,
+        guestName: booking.guest.name,
+        guestPhone: booking.guest.phone,
+        roomType: position.roomType,
+        roomNumber: booking.room ? booking.room.roomNumber : null,
+        checkInDate: booking.checkInDate,
+        checkOutDate: booking.checkOutDate,
+        numberOfGuests: booking.numberOfGuests,
+        paymentStatus: booking.paymentStatus,
+        source: booking.source,
+        action: relocation ? 'relocate' : 'walk',
+        relocateTo: relocation
+          ? { roomTypeId: relocation.roomType.id, roomType: relocation.roomType.name }
+          : null
+      });
+    }
+  }
+
+  return {
+    date: toDateKey(night),
+    overbooked: roomTypes.some(roomType => roomType.overbookedBy > 0),
+    roomTypes,
+    walkList
+  };
+};
+
+module.exports = {
+  getOverbookingAllowances,
+  checkOverbookingAllowance,
+  getOverbookingPosition
+};
@@ -0,0 +1,192 @@
+const { PrismaClient } = require('@prisma/client');
+const { z } = require('zod');
+const { roundCurrency } = require('./pricingEngine');
+const { summarizeFolio } = require('./folio');
+
+const prisma = new PrismaClient();
+
+const PAYMENT_TYPES = ['deposit', 'payment', 'refund'];
+const PAYMENT_METHODS = ['cash', 'card', 'upi', 'bank_transfer', 'ota_collect'];
+
+// Methods where the transaction reference is how the money gets traced
+const REFERENCE_REQUIRED_METHODS = ['card', 'upi', 'bank_transfer', 'ota_collect'];
+
+// What the desk sends when recording a payment (on its own or with check-out)
+const recordPaymentSchema = z.object({
+  paymentType: z.enum(PAYMENT_TYPES).default('payment'),
+  method: z.enum(PAYMENT_METHODS),
+  amount: z.number().positive('Amount must be greater than zero'),
+  referenceNumber: z.string().max(100, 'Reference number too long').optional().nullable(),
+  notes: z.string().max(1000).optional().nullable()
+}).refine((data) => !REFERENCE_REQUIRED_METHODS.includes(data.method) || (data.referenceNumber && data.referenceNumber.trim().length > 0), {
+  message: 'Reference number is required for card, UPI, bank transfer and OTA payments',
+  path: ['referenceNumber']
+});
+
+const paymentInclude = {
+  receivedBy: { select: { id: true, name: true, role: true } }
+};
+
+/**
+ * Totals for a booking's payments
+ * netPaid = deposits + payments - refunds
+ */
+const summarizePayments = (payments) => {
+  const sumOf = (type) => roundCurrency(payments
+    .filter(payment => payment.paymentType === type)
+    .reduce((total, payment) => total + parseFloat(payment.amount), 0));
+
+  const deposits = sumOf('deposit');
+  const received = sumOf('payment');
+  const refunds = sumOf('refund');
+
+  return {
+    deposits,
+    payments: received,
+    refunds,
+    netPaid: roundCurrency(deposits + received - refunds)
+  };
+};
+
+/**
+ * What the guest owes in total
+ * Once charges are on the folio that is the source of truth; before check-in
+ * it's the booking amount with tax, and cancellations/no-shows only owe their fee
+ */
+const getAmountCharged = (booking) => {
+  if (booking.folio && booking.folio.lines.length > 0) {
+    return summarizeFolio(booking.folio).balance;
+  }
+
+  if (booking.status === 'cancelled') return parseFloat(booking.cancellationFee || 0);
+  if (booking.status === 'no_show') return parseFloat(booking.noShowFee || 0);
+
+  return parseFloat(booking.totalAmount);
+};
+
+/**
+ * pending: nothing paid | partial: something paid, balance left | paid: fully covered
+ * refunded: money came back and nothing is held any more
+ */
+const derivePaymentStatus = (amountCharged, paymentSummary) => {
+  const { netPaid, refunds } = paymentSummary;
+
+  if (netPaid <= 0) return refunds > 0 ? 'refunded' : 'pending';
+  if (netPaid >= amountCharged) return 'paid';
+  return 'partial';
+};
+
+/**
+ * Payment position for a booking: charged, paid, balance due and the derived status
+ * booking needs: status, totalAmount, cancellationFee, noShowFee, folio.lines and payments
+ */
+const getPaymentPosition = (booking) => {
+  const amountCharged = roundCurrency(getAmountCharged(booking));
+  const paymentSummary = summarizePayments(booking.payments);
+
+  return {
+    amountCharged,
+    ...paymentSummary,
+    balanceDue: roundCurrency(amountCharged - paymentSummary.netPaid),
+    paymentStatus: derivePaymentStatus(amountCharged, paymentSummary)
+  };
+};
+
+/**
+ * Recompute and store Booking.paymentStatus
+ * Call after anything that changes payments or charges
+ */
+const refreshPaymentStatus = async (bookingId, client = prisma) => {
+  const booking = await client.booking.findUnique({
+    where: { id: bookingId },
+    include: {
+      folio: { include: { lines: true } },
+      payments: true
+    }
+  });
+
+  if (!booking) return null;
+
+  const position = getPaymentPosition(booking);
+
+  if (position.paymentStatus !== booking.paymentStatus) {
+    await client.booking.update({
+      where: { id: bookingId },
+      data: { paymentStatus: position.paymentStatus }
+    });
+  }
+
+  return position;
+};
+
+// Lock a booking's payments until the transaction ends, so a refund is checked against what is paid right now
+const lockBookingPayments = (tx, bookingId) => tx.$queryRaw`SELECT id FROM bookings WHERE id = ${bookingId} FOR UPDATE`;
+
+/**
+ * Record a payment against a booking
+ * Used by the payments endpoint and by check-out, which can take the final payment in the same request
+ * Pass a transaction client to make it part of a larger write; announce it with announcePayment once committed
+ */
+const createPayment = async ({ booking, paymentData, user, client = prisma }) => {
+  const payment = await client.payment.create({
+    data: {
+      hotelId: booking.hotelId,
+      bookingId: booking.id,
+      paymentType: paymentData.paymentType,
+      method: paymentData.method,
+      amount: paymentData.amount,
+      referenceNumber: paymentData.referenceNumber ? paymentData.referenceNumber.trim() : null,
+      notes: paymentData.notes || null,
+      receivedById: user.userId
+    },
+    include: paymentInclude
+  });
+
+  const position = await refreshPaymentStatus(booking.id, client);
+
+  return { payment, position };
+};
+
+// Log a recorded payment and tell managers about it
+const announcePayment = ({ booking, payment, position, user }) => {
+  console.log(`💳 Booking ${booking.id}: ${payment.paymentType} of ${payment.amount} by ${payment.method} (${position.paymentStatus})`);
+
+  // 🔌 WEBSOCKET: Managers follow the money
+  if (global.socketServer) {
+    const paymentData = {
+      paymentId: payment.id,
+      bookingId: booking.id,
+      guestName: booking.guest ? booking.guest.name : null,
+      paymentType: payment.paymentType,
+      method: payment.method,
+      amount: payment.amount,
+      referenceNumber: payment.referenceNumber,
+      paymentStatus: position.paymentStatus,
+      balanceDue: position.balanceDue,
+      receivedBy: {
+        userId: user.userId,
+        userName: user.name,
+        userRole: user.role
+      },
+      receivedAt: payment.receivedAt
+    };
+
+    const event = payment.paymentType === 'refund' ? 'payment_refunded' : 'payment_received';
+    global.socketServer.broadcastToRole(booking.hotelId, 'hotel_manager', event, paymentData);
+    global.socketServer.broadcastToRole(booking.hotelId, 'hotel_owner', event, paymentData);
+  }
+};
+
+module.exports = {
+  PAYMENT_TYPES,
+  PAYMENT_METHODS,
+  recordPaymentSchema,
+  paymentInclude,
+  summarizePayments,
+  derivePaymentStatus,
+  getPaymentPosition,
+  refreshPaymentStatus,
+  lockBookingPayments,
+  createPayment,
+  announcePayment
+};
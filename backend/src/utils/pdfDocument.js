@@ -0,0 +1,122 @@
+/**
+ * Layout helpers for printable documents (invoices, vouchers) on top of pdfkit
+ * A4 pages with the built-in Helvetica fonts - paragraphs, rows of cells at fixed x positions,
+ * rules and automatic page breaks
+ */
+const PDFDocument = require('pdfkit');
+
+const PAGE_WIDTH = 595.28;
+const MARGIN = 40;
+const LINE_GAP = 0.4;
+
+const FONTS = {
+  regular: 'Helvetica',
+  bold: 'Helvetica-Bold'
+};
+
+// The standard fonts only cover Latin-1, so anything else is replaced
+const sanitize = (text) => String(text === null || text === undefined ? '' : text)
+  .replace(/₹/g, 'Rs.')
+  .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+
+/**
+ * Build a document top to bottom
+ *
+ * const pdf = createPdfDocument();
+ * pdf.text('TAX INVOICE', { size: 16, bold: true, align: 'center' });
+ * pdf.row([{ text: 'Room', x: 40 }, { text: '1,000.00', x: 555, align: 'right' }]);
+ * pdf.rule();
+ * const buffer = await pdf.toBuffer();
+ */
+const createPdfDocument = () => {
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN, bufferPages: false });
+  const chunks = [];
+  const finished = new Promise((resolve, reject) => {
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const bottom = () => doc.page.height - doc.page.margins.bottom;
+
+  const ensureSpace = (height) => {
+    if (doc.y + height > bottom()) doc.addPage();
+  };
+
+  const useFont = (size, bold) => doc.font(bold ? FONTS.bold : FONTS.regular).fontSize(size);
+
+  const lineHeight = (size, bold) => useFont(size, bold).currentLineHeight(true) + LINE_GAP * size;
+
+  return {
+    contentWidth: PAGE_WIDTH - MARGIN * 2,
+    left: MARGIN,
+    right: PAGE_WIDTH - MARGIN,
+
+    /**
+     * A paragraph, wrapped to the page (or to width)
+     */
+    text(content, { size = 10, bold = false, align = 'left', x = MARGIN, width = PAGE_WIDTH - MARGIN * 2 } = {}) {
+      ensureSpace(lineHeight(size, bold));
+      useFont(size, bold).text(sanitize(content), x, doc.y, { width, align, lineGap: LINE_GAP * size });
+    },
+
+    /**
+     * One row of cells at fixed x positions
+     * cells: [{ text, x, align: 'left' | 'right' | 'center', width, bold }]
+     * x is the left edge for left-aligned cells, the right edge for right-aligned ones and the middle for centred ones.
+     * Cells with a width wrap, and the row grows to fit the tallest cell
+     */
+    row(cells, { size = 9, bold = false } = {}) {
+      const laidOut = cells.map(cell => {
+        const cellBold = cell.bold !== undefined ? cell.bold : bold;
+        const text = sanitize(cell.text);
+        useFont(size, cellBold);
+
+        const width = cell.width || doc.widthOfString(text);
+        const align = cell.align || 'left';
+        const x = align === 'right' ? cell.x - width : align === 'center' ? cell.x - width / 2 : cell.x;
+        const options = { width, align, lineGap: LINE_GAP * size, lineBreak: Boolean(cell.width) };
+
+        return { text, bold: cellBold, x, options, height: doc.heightOfString(text || ' ', options) };
+      });
+      const height = Math.max(...laidOut.map(cell => cell.height));
+
+      ensureSpace(height);
+      const top = doc.y;
+
+      laidOut.forEach(cell => {
+        if (cell.text) useFont(size, cell.bold).text(cell.text, cell.x, top, cell.options);
+      });
+
+      doc.x = MARGIN;
+      doc.y = top + height;
+    },
+
+    /**
+     * Horizontal line across the page
+     */
+    rule({ gapAbove = 4, gapBelow = 2 } = {}) {
+      ensureSpace(gapAbove + gapBelow);
+      const y = doc.y + gapAbove;
+      doc.moveTo(MARGIN, y).lineTo(PAGE_WIDTH - MARGIN, y).lineWidth(0.5).stroke();
+      doc.y = y + gapBelow;
+    },
+
+    space(height = 8) {
+      doc.y += height;
+      if (doc.y > bottom()) doc.addPage();
+    },
+
+    /**
+     * Finish the document - resolves to the PDF file
+     */
+    toBuffer() {
+      doc.end();
+      return finished;
+    }
+  };
+};
+
+module.exports = {
+  createPdfDocument
+};
@@ -0,0 +1,233 @@
+const { PrismaClient } = require('@prisma/client');
+const { startOfDay, addDays, getStayNights, toDateKey } = require('./dateUtils');
+
+const prisma = new PrismaClient();
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Pick the RoomPricing row that applies to a single night
+ * Rules:
+ * 1. Only active rows whose effectiveDate..endDate (inclusive) covers the night
+ * 2. The narrowest date range wins (a festival weekend beats a whole season)
+ * 3. On a tie, the most recently created row wins
+ */
+const pickPricingForNight = (pricings, night) => {
+  const candidates = pricings.filter(pricing =>
+    pricing.isActive &&
+    startOfDay(pricing.effectiveDate) <= night &&
+    startOfDay(pricing.endDate) >= night
+  );
+
+  if (candidates.length === 0) return null;
+
+  return candidates.sort((a, b) => {
+    const spanA = new Date(a.endDate) - new Date(a.effectiveDate);
+    const spanB = new Date(b.endDate) - new Date(b.effectiveDate);
+    if (spanA !== spanB) return spanA - spanB;
+    return new Date(b.createdAt) - new Date(a.createdAt);
+  })[0];
+};
+
+/**
+ * A rate plan's price for one night from the night's standard rate
+ * fixed: the plan's amount | offset: standard + amount | percentage: standard adjusted by the %
+ */
+const ratePlanNightlyRate = (ratePlan, standardRate) => {
+  const value = parseFloat(ratePlan.priceValue);
+
+  let rate = value;
+  if (ratePlan.priceRule === 'offset') rate = standardRate + value;
+  if (ratePlan.priceRule === 'percentage') rate = standardRate * (100 + value) / 100;
+
+  return Math.max(0, roundCurrency(rate));
+};
+
+/**
+ * Reprice a stay on a rate plan - same shape as calculateStayPricing
+ * Nights keep their roomPricingId/occasion so the season behind the price stays visible
+ */
+const applyRatePlan = (pricing, ratePlan) => {
+  if (!ratePlan) return pricing;
+
+  const nightlyRates = pricing.nightlyRates.map(night => ({
+    ...night,
+    rate: ratePlanNightlyRate(ratePlan, night.rate),
+    rateSource: 'rate_plan'
+  }));
+
+  const baseAmount = roundCurrency(nightlyRates.reduce((total, night) => total + night.rate, 0));
+
+  return {
+    nightlyRates,
+    totalNights: nightlyRates.length,
+    baseAmount,
+    averageRate: nightlyRates.length > 0 ? roundCurrency(baseAmount / nightlyRates.length) : pricing.averageRate
+  };
+};
+
+// Whether a night falls in a negotiated rate's contract period (open-ended when a bound is null)
+const isCompanyRateNight = (companyRate, night) => {
+  const stayDate = startOfDay(night.stayDate);
+  return (!companyRate.validFrom || startOfDay(companyRate.validFrom) <= stayDate) &&
+    (!companyRate.validTo || startOfDay(companyRate.validTo) >= stayDate);
+};
+
+/**
+ * Reprice a stay on a company's negotiated rate - same shape as calculateStayPricing
+ * Nights outside the contract period keep their standard rate
+ */
+const applyCompanyRate = (pricing, companyRate) => {
+  if (!companyRate) return pricing;
+
+  const nightlyRates = pricing.nightlyRates.map(night => (isCompanyRateNight(companyRate, night)
+    ? { ...night, rate: parseFloat(companyRate.rate), rateSource: 'corporate_rate', roomPricingId: null }
+    : night));
+
+  const baseAmount = roundCurrency(nightlyRates.reduce((total, night) => total + night.rate, 0));
+
+  return {
+    nightlyRates,
+    totalNights: nightlyRates.length,
+    baseAmount,
+    averageRate: nightlyRates.length > 0 ? roundCurrency(baseAmount / nightlyRates.length) : pricing.averageRate
+  };
+};
+
+/**
+ * Resolve the rate for each night of a stay
+ * Uses active RoomPricing rows for the room type and falls back to basePrice,
+ * then applies the rate plan's price rule when one is given
+ *
+ * Returns { nightlyRates, totalNights, baseAmount, averageRate }
+ * nightlyRates: [{ stayDate, rate, rateSource, roomPricingId, occasion }]
+ */
+const calculateStayPricing = async ({ hotelId, roomTypeId, checkInDate, checkOutDate, ratePlan = null, client = prisma }) => {
+  const roomType = await client.roomType.findFirst({
+    where: { id: roomTypeId, hotelId },
+    select: { id: true, basePrice: true }
+  });
+
+  if (!roomType) {
+    throw new Error(`Room type ${roomTypeId} not found for hotel ${hotelId}`);
+  }
+
+  const nights = getStayNights(checkInDate, checkOutDate);
+  if (nights.length === 0) {
+    return { nightlyRates: [], totalNights: 0, baseAmount: 0, averageRate: parseFloat(roomType.basePrice) };
+  }
+
+  const firstNight = nights[0];
+  const lastNight = nights[nights.length - 1];
+
+  const pricings = await client.roomPricing.findMany({
+    where: {
+      hotelId,
+      roomTypeId,
+      isActive: true,
+      effectiveDate: { lt: addDays(lastNight, 1) },
+      endDate: { gte: firstNight }
+    }
+  });
+
+  const nightlyRates = nights.map(night => {
+    const pricing = pickPricingForNight(pricings, night);
+
+    return {
+      stayDate: night,
+      rate: pricing ? parseFloat(pricing.price) : parseFloat(roomType.basePrice),
+      rateSource: pricing ? 'room_pricing' : 'base_price',
+      roomPricingId: pricing ? pricing.id : null,
+      occasion: pricing ? pricing.occasion : null
+    };
+  });
+
+  const baseAmount = roundCurrency(nightlyRates.reduce((total, night) => total + night.rate, 0));
+
+  return applyRatePlan({
+    nightlyRates,
+    totalNights: nightlyRates.length,
+    baseAmount,
+    averageRate: roundCurrency(baseAmount / nightlyRates.length)
+  }, ratePlan);
+};
+
+/**
+ * Same shape as calculateStayPricing for a stay sold at one agreed rate every night
+ * (e.g. a negotiated group rate)
+ */
+const calculateFixedRatePricing = ({ checkInDate, checkOutDate, rate, rateSource, occasion = null }) => {
+  const nightlyRate = parseFloat(rate);
+  const nightlyRates = getStayNights(checkInDate, checkOutDate).map(night => ({
+    stayDate: night,
+    rate: nightlyRate,
+    rateSource,
+    roomPricingId: null,
+    occasion
+  }));
+
+  return {
+    nightlyRates,
+    totalNights: nightlyRates.length,
+    baseAmount: roundCurrency(nightlyRate * nightlyRates.length),
+    averageRate: roundCurrency(nightlyRate)
+  };
+};
+
+/**
+ * Shape nightly rates for BookingNightlyRate createMany
+ */
+const toNightlyRateRows = (hotelId, bookingId, nightlyRates) => {
+  return nightlyRates.map(night => ({
+    hotelId,
+    bookingId,
+    stayDate: night.stayDate,
+    rate: night.rate,
+    rateSource: night.rateSource,
+    roomPricingId: night.roomPricingId,
+    occasion: night.occasion,
+    taxRate: night.taxRate,
+    taxAmount: night.taxAmount
+  }));
+};
+
+/**
+ * Group consecutive nights with the same rate for display
+ * e.g. "3 nights @ 2500 (Diwali)", "2 nights @ 1800"
+ */
+const summarizeNightlyRates = (nightlyRates) => {
+  const segments = [];
+
+  nightlyRates.forEach(night => {
+    const rate = parseFloat(night.rate);
+    const last = segments[segments.length - 1];
+
+    if (last && last.rate === rate && last.occasion === (night.occasion || null)) {
+      last.nights += 1;
+      last.toDate = toDateKey(night.stayDate);
+      last.amount = roundCurrency(last.amount + rate);
+    } else {
+      segments.push({
+        fromDate: toDateKey(night.stayDate),
+        toDate: toDateKey(night.stayDate),
+        nights: 1,
+        rate,
+        occasion: night.occasion || null,
+        amount: rate
+      });
+    }
+  });
+
+  return segments;
+};
+
+module.exports = {
+  calculateStayPricing,
+  calculateFixedRatePricing,
+  applyRatePlan,
+  applyCompanyRate,
+  pickPricingForNight,
+  toNightlyRateRows,
+  summarizeNightlyRates,
+  roundCurrency
+};
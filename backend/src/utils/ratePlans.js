@@ -0,0 +1,67 @@
+const { PrismaClient } = require('@prisma/client');
+const { applyRatePlan } = require('./pricingEngine');
+
+const prisma = new PrismaClient();
+
+const RATE_PLAN_RULES = ['fixed', 'offset', 'percentage'];
+
+// Booking sources a plan can be limited to
+const RATE_PLAN_CHANNELS = ['walk_in', 'phone', 'email', 'website', 'oyo', 'makemytrip', 'booking.com'];
+
+// A plan with no channels listed is sold everywhere
+const isSoldThrough = (ratePlan, source) => {
+  const channels = Array.isArray(ratePlan.channels) ? ratePlan.channels : [];
+  return channels.length === 0 || channels.includes(source);
+};
+
+/**
+ * Why a rate plan can't be used for a booking, or null when it can
+ */
+const getRatePlanProblem = (ratePlan, { roomTypeId, source }) => {
+  if (!ratePlan.isActive) return `Rate plan ${ratePlan.name} is no longer sold`;
+  if (ratePlan.roomTypeId !== roomTypeId) return `Rate plan ${ratePlan.name} is not for this room type`;
+  if (source && !isSoldThrough(ratePlan, source)) return `Rate plan ${ratePlan.name} is not sold through ${source}`;
+  return null;
+};
+
+/**
+ * Active plans of a room type priced for a stay, from the stay's standard pricing
+ * (calculateStayPricing without a plan). source limits them to plans sold through that channel.
+ */
+const priceRatePlans = async ({ hotelId, roomTypeId, standardPricing, source = null }) => {
+  const ratePlans = await prisma.ratePlan.findMany({
+    where: {
+      hotelId,
+      roomTypeId,
+      isActive: true
+    },
+    include: {
+      cancellationPolicy: { select: { id: true, name: true, chargeType: true } }
+    },
+    orderBy: { name: 'asc' }
+  });
+
+  return ratePlans
+    .filter(ratePlan => !source || isSoldThrough(ratePlan, source))
+    .map(ratePlan => {
+      const pricing = applyRatePlan(standardPricing, ratePlan);
+
+      return {
+        ratePlanId: ratePlan.id,
+        name: ratePlan.name,
+        code: ratePlan.code,
+        inclusions: ratePlan.inclusions,
+        cancellationPolicy: ratePlan.cancellationPolicy,
+        totalAmount: pricing.baseAmount,
+        averageRate: pricing.averageRate
+      };
+    });
+};
+
+module.exports = {
+  RATE_PLAN_RULES,
+  RATE_PLAN_CHANNELS,
+  isSoldThrough,
+  getRatePlanProblem,
+  priceRatePlans
+};
@@ -0,0 +1,326 @@
+const { PrismaClient } = require('@prisma/client');
+const { findAvailableRooms } = require('./availability');
+const { startOfDay, addDays, toDateKey } = require('./dateUtils');
+const { recordBookingHistory } = require('./bookingHistory');
+
+const prisma = new PrismaClient();
+
+// GuestPreference types the auto-assigner understands
+// floor: "3" | floor_level: "high" / "low" | room_number: "204"
+const ROOM_PREFERENCE_TYPES = ['floor', 'floor_level', 'room_number'];
+
+// Scoring weights - a ready room beats any single preference
+const SCORE_READY_ROOM = 100;
+const SCORE_CLEANING_ROOM = 50;
+const SCORE_ROOM_NUMBER = 60;
+const SCORE_FLOOR = 40;
+const SCORE_FLOOR_LEVEL = 20;
+
+/**
+ * Score a free room for a guest
+ * - readyNow: the guest is arriving now, so housekeeping status matters
+ * - preferences: the guest's GuestPreference rows (frequency breaks ties)
+ * - floorRange: { min, max } floors in the hotel, for high/low preferences
+ */
+const scoreRoom = (room, { readyNow = false, preferences = [], floorRange = null } = {}) => {
+  let score = 0;
+
+  if (readyNow) {
+    if (room.status === 'available') score += SCORE_READY_ROOM;
+    else if (room.status === 'cleaning') score += SCORE_CLEANING_ROOM;
+  }
+
+  preferences.forEach(preference => {
+    const value = String(preference.preferenceValue).trim().toLowerCase();
+    const weight = Math.min(preference.frequency || 1, 5);
+
+    if (preference.preferenceType === 'room_number' && value === room.roomNumber.toLowerCase()) {
+      score += SCORE_ROOM_NUMBER + weight;
+    } else if (preference.preferenceType === 'floor' && parseInt(value) === room.floor) {
+      score += SCORE_FLOOR + weight;
+    } else if (preference.preferenceType === 'floor_level' && floorRange && floorRange.max > floorRange.min) {
+      const height = (room.floor - floorRange.min) / (floorRange.max - floorRange.min);
+      if (value === 'high') score += Math.round(SCORE_FLOOR_LEVEL * height) + weight;
+      if (value === 'low') score += Math.round(SCORE_FLOOR_LEVEL * (1 - height)) + weight;
+    }
+  });
+
+  return score;
+};
+
+// Best room first; equal scores fall back to lowest floor, then room number
+const rankRooms = (rooms, options) => {
+  return rooms
+    .map(room => ({ room, score: scoreRoom(room, options) }))
+    .sort((a, b) =>
+      b.score - a.score ||
+      a.room.floor - b.room.floor ||
+      a.room.roomNumber.localeCompare(b.room.roomNumber, undefined, { numeric: true })
+    );
+};
+
+const getFloorRange = async (hotelId, client = prisma) => {
+  const floors = await client.room.aggregate({
+    where: { hotelId },
+    _min: { floor: true },
+    _max: { floor: true }
+  });
+
+  return { min: floors._min.floor ?? 0, max: floors._max.floor ?? 0 };
+};
+
+const getRoomPreferences = (hotelId, guestIds, client = prisma) => {
+  return client.guestPreference.findMany({
+    where: {
+      hotelId,
+      guestId: { in: guestIds },
+      preferenceType: { in: ROOM_PREFERENCE_TYPES }
+    }
+  });
+};
+
+/**
+ * Free rooms of the booking's room type for its whole stay
+ */
+const getAssignmentCandidates = async (booking, client = prisma) => {
+  const [inventory] = await findAvailableRooms({
+    hotelId: booking.hotelId,
+    checkInDate: booking.checkInDate,
+    checkOutDate: booking.checkOutDate,
+    roomTypeId: booking.roomTypeId,
+    excludeBookingId: booking.id,
+    client
+  });
+
+  return inventory ? inventory.freeRooms : [];
+};
+
+/**
+ * Pick the best free room for one booking, or null when none is free
+ */
+const pickRoomForBooking = async (booking, { readyNow = false, client = prisma } = {}) => {
+  const [candidates, preferences, floorRange] = await Promise.all([
+    getAssignmentCandidates(booking, client),
+    getRoomPreferences(booking.hotelId, [booking.guestId], client),
+    getFloorRange(booking.hotelId, client)
+  ]);
+
+  const [best] = rankRooms(candidates, { readyNow, preferences, floorRange });
+  return best ? best.room : null;
+};
+
+/**
+ * Store the room on the booking (and in its history)
+ * Guarded on roomId so two desks assigning at once can't both win
+ */
+const saveRoomAssignment = async (bookingId, roomId, { performedById = null, reason = null, client = prisma } = {}) => {
+  const { count } = await client.booking.updateMany({
+    where: { id: bookingId, roomId: null, status: 'confirmed' },
+    data: {
+      roomId,
+      roomAssignedAt: new Date()
+    }
+  });
+
+  if (count !== 1) return false;
+
+  const booking = await client.booking.findUnique({ where: { id: bookingId } });
+  await recordBookingHistory({
+    booking,
+    before: { ...booking, roomId: null },
+    action: 'room_assigned',
+    reason,
+    performedById
+  }, client);
+
+  return true;
+};
+
+/**
+ * Bookings of one group reservation are kept together, and so are bookings
+ * made by one guest for the same dates
+ */
+const groupBookings = (bookings) => {
+  const groups = new Map();
+
+  bookings.forEach(booking => {
+    const key = booking.groupBookingId
+      ? `group:${booking.groupBookingId}`
+      : [booking.guestId, toDateKey(booking.checkInDate), toDateKey(booking.checkOutDate)].join('|');
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(booking);
+  });
+
+  return [...groups.values()];
+};
+
+/**
+ * Choose rooms for a group, keeping everyone on one floor where possible
+ * candidatesByBooking: Map of bookingId -> ranked [{ room, score }]
+ * Returns Map of bookingId -> room (bookings with no room left are missing)
+ */
+const pickRoomsForGroup = (group, candidatesByBooking) => {
+  const floors = new Set();
+  candidatesByBooking.forEach(ranked => ranked.forEach(({ room }) => floors.add(room.floor)));
+
+  const assignOnFloors = (floorOrder) => {
+    const taken = new Set();
+    const picks = new Map();
+    let score = 0;
+
+    floorOrder.forEach(floor => {
+      group.forEach(booking => {
+        if (picks.has(booking.id)) return;
+        const match = candidatesByBooking.get(booking.id)
+          .find(({ room }) => room.floor === floor && !taken.has(room.id));
+        if (match) {
+          picks.set(booking.id, match.room);
+          taken.add(match.room.id);
+          score += match.score;
+        }
+      });
+    });
+
+    return { picks, score };
+  };
+
+  // Try each floor as the group's home floor; overflow goes to the nearest floors
+  let best = null;
+  [...floors].forEach(homeFloor => {
+    const floorOrder = [...floors].sort((a, b) => Math.abs(a - homeFloor) - Math.abs(b - homeFloor) || a - b);
+    const homeCount = assignOnFloors([homeFloor]).picks.size;
+    const attempt = { homeCount, ...assignOnFloors(floorOrder) };
+
+    if (!best ||
+      attempt.picks.size > best.picks.size ||
+      (attempt.picks.size === best.picks.size && attempt.homeCount > best.homeCount) ||
+      (attempt.picks.size === best.picks.size && attempt.homeCount === best.homeCount && attempt.score > best.score)) {
+      best = attempt;
+    }
+  });
+
+  return best ? best.picks : new Map();
+};
+
+/**
+ * Pick rooms for a set of bookings that belong together
+ * - excludeRoomIds: rooms already handed out elsewhere in the same run
+ * Returns Map of bookingId -> room (bookings with no room left are missing)
+ */
+const pickRoomsForBookings = async (bookings, { readyNow = false, preferences = null, floorRange = null, excludeRoomIds = new Set(), client = prisma } = {}) => {
+  if (bookings.length === 0) return new Map();
+
+  const hotelId = bookings[0].hotelId;
+  const guestPreferences = preferences || await getRoomPreferences(hotelId, [...new Set(bookings.map(booking => booking.guestId))], client);
+  const range = floorRange || await getFloorRange(hotelId, client);
+  const candidatesByBooking = new Map();
+
+  for (const booking of bookings) {
+    const candidates = (await getAssignmentCandidates(booking, client))
+      .filter(room => !excludeRoomIds.has(room.id));
+
+    candidatesByBooking.set(booking.id, rankRooms(candidates, {
+      readyNow,
+      preferences: guestPreferences.filter(preference => preference.guestId === booking.guestId),
+      floorRange: range
+    }));
+  }
+
+  if (bookings.length === 1) {
+    const [best] = candidatesByBooking.get(bookings[0].id);
+    return new Map(best ? [[bookings[0].id, best.room]] : []);
+  }
+
+  return pickRoomsForGroup(bookings, candidatesByBooking);
+};
+
+/**
+ * Pre-arrival assignment run: give every unassigned confirmed booking arriving
+ * on arrivalDate a room. Groups are kept on one floor where possible.
+ * Returns { assigned: [...], unassigned: [...] }
+ */
+const runRoomAssignment = async ({ hotelId, arrivalDate = addDays(new Date(), 1), dryRun = false, performedById = null }) => {
+  const arrivalDay = startOfDay(arrivalDate);
+  const readyNow = arrivalDay <= startOfDay(new Date());
+
+  const bookings = await prisma.booking.findMany({
+    where: {
+      hotelId,
+      status: 'confirmed',
+      roomId: null,
+      checkInDate: {
+        gte: arrivalDay,
+        lt: addDays(arrivalDay, 1)
+      }
+    },
+    include: {
+      guest: { select: { name: true } },
+      roomType: { select: { name: true } }
+    },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  const floorRange = await getFloorRange(hotelId);
+  const preferences = await getRoomPreferences(hotelId, [...new Set(bookings.map(booking => booking.guestId))]);
+
+  const assigned = [];
+  const unassigned = [];
+  // Rooms handed out in this run (only matters for dry runs, where nothing is saved)
+  const claimedRooms = new Set();
+
+  for (const group of groupBookings(bookings)) {
+    const picks = await pickRoomsForBookings(group, {
+      readyNow,
+      preferences,
+      floorRange,
+      excludeRoomIds: claimedRooms
+    });
+
+    for (const booking of group) {
+      const room = picks.get(booking.id);
+      const summary = {
+        bookingId: booking.id,
+        guestName: booking.guest.name,
+        roomType: booking.roomType.name,
+        groupSize: group.length
+      };
+
+      if (!room) {
+        unassigned.push({ ...summary, reason: `No ${booking.roomType.name} room is free for the whole stay` });
+        continue;
+      }
+
+      const saved = !dryRun && await saveRoomAssignment(booking.id, room.id, {
+        performedById,
+        reason: 'Pre-arrival room assignment run'
+      });
+
+      if (!dryRun && !saved) {
+        unassigned.push({ ...summary, reason: 'Booking was assigned or changed by someone else' });
+        continue;
+      }
+
+      claimedRooms.add(room.id);
+      assigned.push({
+        ...summary,
+        roomId: room.id,
+        roomNumber: room.roomNumber,
+        floor: room.floor,
+        roomStatus: room.status
+      });
+    }
+  }
+
+  return { arrivalDate: arrivalDay, assigned, unassigned };
+};
+
+module.exports = {
+  ROOM_PREFERENCE_TYPES,
+  scoreRoom,
+  rankRooms,
+  getAssignmentCandidates,
+  pickRoomForBooking,
+  pickRoomsForBookings,
+  saveRoomAssignment,
+  runRoomAssignment
+};
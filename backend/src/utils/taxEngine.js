@@ -0,0 +1,257 @@
+const { PrismaClient } = require('@prisma/client');
+const { roundCurrency } = require('./pricingEngine');
+
+const prisma = new PrismaClient();
+
+const TAX_CATEGORIES = ['accommodation', 'food', 'other'];
+
+// Tax category of each folio line type - types not listed (manual tax, adjustments) carry no GST
+const LINE_TYPE_TAX_CATEGORIES = {
+  room_night: 'accommodation',
+  discount: 'accommodation',
+  cancellation_fee: 'accommodation',
+  no_show_fee: 'accommodation',
+  early_departure_fee: 'accommodation',
+  room_service: 'food',
+  extra: 'other'
+};
+
+// GST used for a category until the hotel sets up its own rules for it
+const DEFAULT_TAX_RULES = [
+  { id: null, category: 'accommodation', name: 'Room tariff up to 7,500', sacCode: '996311', minAmount: 0, maxAmount: 7500, rate: 5 },
+  { id: null, category: 'accommodation', name: 'Room tariff above 7,500', sacCode: '996311', minAmount: 7500.01, maxAmount: null, rate: 18 },
+  { id: null, category: 'food', name: 'Food and beverages', sacCode: '996331', minAmount: 0, maxAmount: null, rate: 5 },
+  { id: null, category: 'other', name: 'Other services', sacCode: '999799', minAmount: 0, maxAmount: null, rate: 18 }
+];
+
+const normalizeRule = (rule) => ({
+  id: rule.id,
+  category: rule.category,
+  name: rule.name,
+  sacCode: rule.sacCode,
+  minAmount: parseFloat(rule.minAmount),
+  maxAmount: rule.maxAmount === null || rule.maxAmount === undefined ? null : parseFloat(rule.maxAmount),
+  rate: parseFloat(rule.rate)
+});
+
+/**
+ * A hotel's tax setup: whether prices include tax, and the rules per category
+ * (the hotel's active rules, or the defaults for categories it hasn't configured)
+ */
+const getTaxSettings = async (hotelId, client = prisma) => {
+  const [hotel, hotelRules] = await Promise.all([
+    client.hotel.findUnique({
+      where: { id: hotelId },
+      select: { pricesIncludeTax: true }
+    }),
+    client.taxRule.findMany({
+      where: { hotelId, isActive: true },
+      orderBy: { minAmount: 'asc' }
+    })
+  ]);
+
+  const rules = {};
+  TAX_CATEGORIES.forEach(category => {
+    const configured = hotelRules.filter(rule => rule.category === category);
+    rules[category] = (configured.length > 0 ? configured : DEFAULT_TAX_RULES.filter(rule => rule.category === category))
+      .map(normalizeRule);
+  });
+
+  return {
+    pricesIncludeTax: hotel ? hotel.pricesIncludeTax : false,
+    rules
+  };
+};
+
+const inSlab = (rule, value) => value >= rule.minAmount && (rule.maxAmount === null || value <= rule.maxAmount);
+
+/**
+ * Pick the slab for one unit (one night, one dish)
+ * Slabs are on the value before tax; for tax-inclusive prices that value depends on the rate,
+ * so each rule is tried on its own pre-tax value. A price that fits no slab that way
+ * (it sits between two) is taxed at the higher rate.
+ */
+const findTaxRule = (rules, unitAmount, inclusive) => {
+  if (!inclusive) {
+    return rules.find(rule => inSlab(rule, unitAmount)) || null;
+  }
+
+  const match = rules.find(rule => inSlab(rule, roundCurrency(unitAmount / (1 + rule.rate / 100))));
+  if (match) return match;
+
+  const reachable = rules.filter(rule => rule.minAmount <= unitAmount);
+  return reachable.length > 0 ? reachable.reduce((highest, rule) => rule.rate > highest.rate ? rule : highest) : null;
+};
+
+/**
+ * GST on an amount
+ * inclusive: the tax is carved out of amount | exclusive: it's added on top
+ * Negative amounts (reversals, credits) are taxed like the charge they cancel
+ *
+ * Returns { category, taxRuleId, sacCode, taxRate, taxableAmount, taxAmount, grossAmount }
+ */
+const calculateTax = ({ category, amount, quantity = 1, inclusive, settings }) => {
+  const rule = category ? findTaxRule(settings.rules[category] || [], Math.abs(amount) / quantity, inclusive) : null;
+
+  if (!rule) {
+    return {
+      category: category || null,
+      taxRuleId: null,
+      sacCode: null,
+      taxRate: 0,
+      taxableAmount: roundCurrency(amount),
+      taxAmount: 0,
+      grossAmount: roundCurrency(amount)
+    };
+  }
+
+  const taxableAmount = inclusive ? roundCurrency(amount / (1 + rule.rate / 100)) : roundCurrency(amount);
+  const taxAmount = inclusive ? roundCurrency(amount - taxableAmount) : roundCurrency(amount * rule.rate / 100);
+
+  return {
+    category,
+    taxRuleId: rule.id,
+    sacCode: rule.sacCode,
+    taxRate: rule.rate,
+    taxableAmount,
+    taxAmount,
+    grossAmount: roundCurrency(taxableAmount + taxAmount)
+  };
+};
+
+/**
+ * Tax fields for a folio line, ready to pass to postFolioLine
+ * category defaults to the line type's; pass it when the item sets its own (menu items)
+ */
+const taxForFolioLine = ({ lineType, category = LINE_TYPE_TAX_CATEGORIES[lineType], quantity = 1, unitAmount, inclusive, settings }) => {
+  if (!category) {
+    return { sacCode: null, taxRate: null, taxAmount: 0, taxInclusive: inclusive };
+  }
+
+  const tax = calculateTax({ category, amount: quantity * unitAmount, quantity, inclusive, settings });
+  return {
+    sacCode: tax.sacCode,
+    taxRate: tax.taxRate,
+    taxAmount: tax.taxAmount,
+    taxInclusive: inclusive
+  };
+};
+
+/**
+ * GST for a stay, night by night
+ * Each night is taxed on its share of finalAmount, so an approved discount can drop a night into a lower slab
+ *
+ * Returns { nights: [{ stayDate, chargedAmount, sacCode, taxRate, taxAmount }], taxAmount, totalAmount }
+ */
+const calculateStayTax = ({ nightlyRates, baseAmount, finalAmount, inclusive, settings }) => {
+  const base = parseFloat(baseAmount);
+  const final = parseFloat(finalAmount);
+  const ratio = base > 0 ? final / base : 1;
+  let remaining = roundCurrency(final);
+
+  const nights = nightlyRates.map((night, index) => {
+    const chargedAmount = index === nightlyRates.length - 1
+      ? remaining
+      : roundCurrency(parseFloat(night.rate) * ratio);
+    remaining = roundCurrency(remaining - chargedAmount);
+
+    const tax = calculateTax({ category: 'accommodation', amount: chargedAmount, inclusive, settings });
+
+    return {
+      stayDate: night.stayDate,
+      chargedAmount,
+      sacCode: tax.sacCode,
+      taxRate: tax.taxRate,
+      taxAmount: tax.taxAmount
+    };
+  });
+
+  const taxAmount = roundCurrency(nights.reduce((total, night) => total + night.taxAmount, 0));
+
+  return {
+    nights,
+    taxAmount,
+    totalAmount: inclusive ? roundCurrency(final) : roundCurrency(final + taxAmount)
+  };
+};
+
+/**
+ * Tax for a stay that is being priced (before it is saved)
+ * inclusive defaults to the hotel's current setting - new bookings take it, repriced ones keep their own
+ *
+ * Returns { nightlyRates (each with taxRate and taxAmount), taxAmount, totalAmount, taxInclusive }
+ */
+const taxStayPricing = async ({ hotelId, nightlyRates, baseAmount, finalAmount, inclusive, client = prisma }) => {
+  const settings = await getTaxSettings(hotelId, client);
+  const taxInclusive = inclusive === undefined ? settings.pricesIncludeTax : inclusive;
+  const stayTax = calculateStayTax({ nightlyRates, baseAmount, finalAmount, inclusive: taxInclusive, settings });
+
+  return {
+    nightlyRates: nightlyRates.map((night, index) => ({
+      ...night,
+      taxRate: stayTax.nights[index].taxRate,
+      taxAmount: stayTax.nights[index].taxAmount
+    })),
+    taxAmount: stayTax.taxAmount,
+    totalAmount: stayTax.totalAmount,
+    taxInclusive
+  };
+};
+
+/**
+ * Recompute and store a booking's tax (per night and in total)
+ * Call after anything that changes the booking's nights or final amount
+ * Uses the booking's own taxInclusive so a later change to the hotel setting doesn't reprice agreed stays
+ */
+const syncBookingTax = async (bookingId, client = prisma) => {
+  const booking = await client.booking.findUnique({
+    where: { id: bookingId },
+    include: { nightlyRates: { orderBy: { stayDate: 'asc' } } }
+  });
+
+  if (!booking) return null;
+
+  const settings = await getTaxSettings(booking.hotelId, client);
+  const stayTax = calculateStayTax({
+    nightlyRates: booking.nightlyRates,
+    baseAmount: booking.baseAmount,
+    finalAmount: booking.finalAmount,
+    inclusive: booking.taxInclusive,
+    settings
+  });
+
+  for (const [index, night] of booking.nightlyRates.entries()) {
+    const nightTax = stayTax.nights[index];
+    if (parseFloat(night.taxAmount) !== nightTax.taxAmount || parseFloat(night.taxRate) !== nightTax.taxRate) {
+      await client.bookingNightlyRate.update({
+        where: { id: night.id },
+        data: {
+          taxRate: nightTax.taxRate,
+          taxAmount: nightTax.taxAmount
+        }
+      });
+    }
+  }
+
+  await client.booking.update({
+    where: { id: bookingId },
+    data: {
+      taxAmount: stayTax.taxAmount,
+      totalAmount: stayTax.totalAmount
+    }
+  });
+
+  return stayTax;
+};
+
+module.exports = {
+  TAX_CATEGORIES,
+  LINE_TYPE_TAX_CATEGORIES,
+  DEFAULT_TAX_RULES,
+  getTaxSettings,
+  calculateTax,
+  taxForFolioLine,
+  calculateStayTax,
+  taxStayPricing,
+  syncBookingTax
+};
@@ -0,0 +1,123 @@
+const { PrismaClient } = require('@prisma/client');
+const { findAvailableRooms } = require('./availability');
+const { startOfDay } = require('./dateUtils');
+
+const prisma = new PrismaClient();
+
+const WAITLIST_PRIORITIES = ['low', 'normal', 'high', 'vip'];
+
+// Entries still waiting for a room
+const OPEN_WAITLIST_STATUSES = ['waiting', 'notified'];
+
+// Highest priority first, then whoever has waited longest
+const compareWaitlistEntries = (a, b) => {
+  const rank = WAITLIST_PRIORITIES.indexOf(b.priority) - WAITLIST_PRIORITIES.indexOf(a.priority);
+  return rank !== 0 ? rank : new Date(a.createdAt) - new Date(b.createdAt);
+};
+
+const waitlistInclude = {
+  guest: { select: { id: true, name: true, phone: true, email: true } },
+  roomType: { select: { id: true, name: true, maxOccupancy: true } },
+  createdBy: { select: { name: true, role: true } }
+};
+
+/**
+ * Open waitlist entries that released inventory could now serve
+ * An entry matches when it wants the same room type, its dates overlap the
+ * released stay, it hasn't arrived yet and a room of the type is free for
+ * every night it asked for. Returned in offer order with availableCount.
+ */
+const findWaitlistMatches = async ({ hotelId, roomTypeId, checkInDate, checkOutDate, client = prisma }) => {
+  const entries = await client.waitlistEntry.findMany({
+    where: {
+      hotelId,
+      roomTypeId,
+      status: { in: OPEN_WAITLIST_STATUSES },
+      AND: [
+        { checkInDate: { lt: new Date(checkOutDate) } },
+        { checkOutDate: { gt: new Date(checkInDate) } },
+        { checkInDate: { gte: startOfDay(new Date()) } }
+      ]
+    },
+    include: waitlistInclude
+  });
+
+  const matches = [];
+
+  for (const entry of entries.sort(compareWaitlistEntries)) {
+    const [inventory] = await findAvailableRooms({
+      hotelId,
+      roomTypeId,
+      checkInDate: entry.checkInDate,
+      checkOutDate: entry.checkOutDate,
+      client
+    });
+
+    if (inventory && inventory.availableCount > 0) {
+      matches.push({ ...entry, availableCount: inventory.availableCount });
+    }
+  }
+
+  return matches;
+};
+
+/**
+ * Inventory was released by a cancellation or no-show: mark matching waitlist
+ * entries notified and alert the front desk so they can convert them to bookings
+ * - released: the booking that freed the room ({ id, hotelId, roomTypeId, checkInDate, checkOutDate })
+ * - trigger: 'cancellation' | 'no_show'
+ */
+const notifyWaitlistMatches = async (released, trigger) => {
+  const matches = await findWaitlistMatches({
+    hotelId: released.hotelId,
+    roomTypeId: released.roomTypeId,
+    checkInDate: released.checkInDate,
+    checkOutDate: released.checkOutDate
+  });
+
+  if (matches.length === 0) return matches;
+
+  const notifiedAt = new Date();
+  await prisma.waitlistEntry.updateMany({
+    where: { id: { in: matches.map(entry => entry.id) } },
+    data: { status: 'notified', notifiedAt }
+  });
+
+  console.log(`📋 ${matches.length} waitlist entr${matches.length === 1 ? 'y' : 'ies'} can now be booked after ${trigger} of booking ${released.id}`);
+
+  // 🔌 WEBSOCKET: Tell the front desk who can now be booked
+  if (global.socketServer) {
+    const matchData = {
+      trigger,
+      releasedBookingId: released.id,
+      roomTypeId: released.roomTypeId,
+      matches: matches.map(entry => ({
+        waitlistEntryId: entry.id,
+        guestId: entry.guest.id,
+        guestName: entry.guest.name,
+        guestPhone: entry.guest.phone,
+        roomType: entry.roomType.name,
+        checkInDate: entry.checkInDate,
+        checkOutDate: entry.checkOutDate,
+        numberOfGuests: entry.numberOfGuests,
+        priority: entry.priority,
+        availableCount: entry.availableCount,
+        waitingSince: entry.createdAt
+      }))
+    };
+
+    global.socketServer.broadcastToRole(released.hotelId, 'front_desk', 'waitlist_match_available', matchData);
+    global.socketServer.broadcastToRole(released.hotelId, 'hotel_manager', 'waitlist_match_available', matchData);
+  }
+
+  return matches;
+};
+
+module.exports = {
+  WAITLIST_PRIORITIES,
+  OPEN_WAITLIST_STATUSES,
+  compareWaitlistEntries,
+  waitlistInclude,
+  findWaitlistMatches,
+  notifyWaitlistMatches
+};
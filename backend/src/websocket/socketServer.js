@@ -140,6 +140,7 @@ class SocketServer {
           'manager_dashboard',
           'front_desk',
           'housekeeping',
+          'kitchen',
           'room_updates'
         ];
         
@@ -0,0 +1,145 @@
+jest.mock('../src/utils/pricingEngine', () => ({
+  ...jest.requireActual('../src/utils/pricingEngine'),
+  calculateStayPricing: jest.fn()
+}));
+jest.mock('../src/utils/ratePlans', () => ({
+  ...jest.requireActual('../src/utils/ratePlans'),
+  priceRatePlans: jest.fn()
+}));
+
+const { prisma, resetPrisma } = require('@prisma/client');
+const { calculateStayPricing } = require('../src/utils/pricingEngine');
+const { priceRatePlans } = require('../src/utils/ratePlans');
+const { searchAvailability, findAvailableRooms, checkRoomAvailability } = require('../src/utils/availability');
+
+const checkInDate = new Date(2026, 10, 2);
+const checkOutDate = new Date(2026, 10, 4);
+
+const room = (id, overrides = {}) => ({
+  id,
+  roomNumber: String(id),
+  floor: 1,
+  status: 'available',
+  bookings: [],
+  maintenanceWindows: [],
+  ...overrides
+});
+
+const roomType = (rooms) => ({ id: 1, name: 'Deluxe', maxOccupancy: 2, basePrice: '2000', rooms });
+
+const unassigned = (id) => ({ id, roomTypeId: 1, checkInDate, checkOutDate });
+
+beforeEach(() => {
+  resetPrisma();
+  jest.clearAllMocks();
+
+  calculateStayPricing.mockResolvedValue({ totalNights: 2, baseAmount: 4000, averageRate: 2000, nightlyRates: [] });
+  priceRatePlans.mockResolvedValue([]);
+  prisma.booking.findMany.mockResolvedValue([]);
+  prisma.groupRoomBlock.findMany.mockResolvedValue([]);
+});
+
+describe('searchAvailability', () => {
+  it('offers only as many rooms as can still be sold', async () => {
+    prisma.roomType.findMany.mockResolvedValue([roomType([room(101), room(102), room(103)])]);
+    // Two room-type bookings without a room hold two of the three free rooms
+    prisma.booking.findMany.mockResolvedValue([unassigned(20), unassigned(21)]);
+
+    const [result] = await searchAvailability({ hotelId: 1, checkInDate, checkOutDate });
+
+    expect(result.availableCount).toBe(1);
+    expect(result.availableRooms).toEqual([{ id: 101, roomNumber: '101', floor: 1, status: 'available' }]);
+  });
+
+  it('offers no rooms when the type is fully held', async () => {
+    prisma.roomType.findMany.mockResolvedValue([roomType([room(101)])]);
+    prisma.booking.findMany.mockResolvedValue([unassigned(20)]);
+
+    const [result] = await searchAvailability({ hotelId: 1, checkInDate, checkOutDate });
+
+    expect(result.availableCount).toBe(0);
+    expect(result.availableRooms).toEqual([]);
+  });
+
+  it('leaves out room types too small for the party', async () => {
+    prisma.roomType.findMany.mockResolvedValue([roomType([room(101)])]);
+
+    const results = await searchAvailability({ hotelId: 1, checkInDate, checkOutDate, guests: 3 });
+
+    expect(results).toEqual([]);
+    expect(calculateStayPricing).not.toHaveBeenCalled();
+  });
+});
+
+describe('findAvailableRooms', () => {
+  const stay = { hotelId: 1, checkInDate, checkOutDate };
+
+  it('never sells out_of_order, booked or maintained rooms', async () => {
+    prisma.roomType.findMany.mockResolvedValue([roomType([
+      room(101),
+      room(102, { status: 'out_of_order' }),
+      room(103, { bookings: [{ id: 30, checkInDate, checkOutDate }] }),
+      room(104, { maintenanceWindows: [{ id: 1, startDate: checkInDate, endDate: checkOutDate }] })
+    ])]);
+
+    const [inventory] = await findAvailableRooms(stay);
+
+    expect(inventory.totalRooms).toBe(4);
+    expect(inventory.freeRooms.map(free => free.id)).toEqual([101]);
+    expect(inventory.availableCount).toBe(1);
+  });
+
+  it('takes the tightest night of the stay', async () => {
+    prisma.roomType.findMany.mockResolvedValue([roomType([room(101), room(102), room(103)])]);
+    // One unassigned booking on the first night only
+    prisma.booking.findMany.mockResolvedValue([{ id: 20, roomTypeId: 1, checkInDate, checkOutDate: new Date(2026, 10, 3) }]);
+    // A group block holding two unpicked rooms on the second night only
+    prisma.groupRoomBlock.findMany.mockResolvedValue([{
+      roomTypeId: 1,
+      roomsBlocked: 2,
+      checkInDate: new Date(2026, 10, 3),
+      checkOutDate,
+      bookings: []
+    }]);
+
+    const [inventory] = await findAvailableRooms(stay);
+
+    expect(inventory.nightlyAvailability).toEqual([
+      { date: new Date(2026, 10, 2), available: 2 },
+      { date: new Date(2026, 10, 3), available: 1 }
+    ]);
+    expect(inventory.availableCount).toBe(1);
+  });
+
+  it('reports overbooked nights as negative', async () => {
+    prisma.roomType.findMany.mockResolvedValue([roomType([room(101)])]);
+    prisma.booking.findMany.mockResolvedValue([unassigned(20), unassigned(21)]);
+
+    const [inventory] = await findAvailableRooms(stay);
+
+    expect(inventory.nightlyAvailability.map(night => night.available)).toEqual([-1, -1]);
+    expect(inventory.availableCount).toBe(0);
+  });
+});
+
+describe('checkRoomAvailability', () => {
+  it('refuses a free room when room-type bookings need every room of the type', async () => {
+    prisma.room.findFirst.mockResolvedValue({ ...room(101), roomTypeId: 1, roomType: { name: 'Deluxe' } });
+    prisma.roomType.findMany.mockResolvedValue([roomType([room(101)])]);
+    prisma.booking.findMany
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce([unassigned(20)]);
+
+    const availability = await checkRoomAvailability({ hotelId: 1, roomId: 101, checkInDate, checkOutDate });
+
+    expect(availability.available).toBe(false);
+    expect(availability.reason).toBe('All Deluxe rooms are already reserved for these dates');
+  });
+
+  it('reads through the client it is given', async () => {
+    const client = { room: { findFirst: jest.fn().mockResolvedValue(null) } };
+
+    await expect(checkRoomAvailability({ hotelId: 1, roomId: 101, checkInDate, checkOutDate, client })).resolves.toBeNull();
+    expect(prisma.room.findFirst).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,152 @@
+jest.mock('../src/utils/availability', () => ({
+  ...jest.requireActual('../src/utils/availability'),
+  checkRoomAvailability: jest.fn()
+}));
+jest.mock('../src/utils/pricingEngine', () => ({
+  ...jest.requireActual('../src/utils/pricingEngine'),
+  calculateStayPricing: jest.fn()
+}));
+jest.mock('../src/utils/taxEngine', () => ({
+  ...jest.requireActual('../src/utils/taxEngine'),
+  taxStayPricing: jest.fn()
+}));
+jest.mock('../src/utils/cancellationPolicy', () => ({
+  ...jest.requireActual('../src/utils/cancellationPolicy'),
+  resolveCancellationPolicy: jest.fn()
+}));
+jest.mock('../src/utils/folio', () => ({
+  ...jest.requireActual('../src/utils/folio'),
+  postRoomCharges: jest.fn()
+}));
+jest.mock('../src/utils/notifications', () => ({
+  ...jest.requireActual('../src/utils/notifications'),
+  queueBookingNotification: jest.fn()
+}));
+
+const { prisma, resetPrisma } = require('@prisma/client');
+const { checkRoomAvailability } = require('../src/utils/availability');
+const { calculateStayPricing } = require('../src/utils/pricingEngine');
+const { taxStayPricing } = require('../src/utils/taxEngine');
+const { resolveCancellationPolicy } = require('../src/utils/cancellationPolicy');
+const { postRoomCharges } = require('../src/utils/folio');
+const { queueBookingNotification } = require('../src/utils/notifications');
+const { createBooking, checkInGuest } = require('../src/controllers/bookingController');
+const { mockRequest, mockResponse } = require('./support/http');
+
+const addDays = (days) => {
+  const date = new Date();
+  date.setHours(0, 0, 0, 0);
+  date.setDate(date.getDate() + days);
+  return date;
+};
+
+const room = { id: 101, roomNumber: '101', roomTypeId: 1, status: 'available' };
+const night = { stayDate: addDays(3), rate: 2000, rateSource: 'base_price', roomPricingId: null, occasion: null };
+
+beforeEach(() => {
+  resetPrisma();
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  calculateStayPricing.mockResolvedValue({ totalNights: 1, baseAmount: 2000, averageRate: 2000, nightlyRates: [night] });
+  taxStayPricing.mockResolvedValue({ nightlyRates: [{ ...night, taxRate: 5, taxAmount: 100 }], taxAmount: 100, totalAmount: 2100, taxInclusive: false });
+  resolveCancellationPolicy.mockResolvedValue(null);
+  postRoomCharges.mockResolvedValue(null);
+  queueBookingNotification.mockResolvedValue([]);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('createBooking', () => {
+  const body = {
+    guestId: 5,
+    roomId: room.id,
+    checkInDate: addDays(3).toISOString(),
+    checkOutDate: addDays(4).toISOString()
+  };
+
+  beforeEach(() => {
+    prisma.guest.findFirst.mockResolvedValue({ id: 5, hotelId: 1, name: 'Asha Rao', companyId: null });
+  });
+
+  it('checks the room again under the room type lock and refuses if it was taken meanwhile', async () => {
+    checkRoomAvailability
+      .mockResolvedValueOnce({ room, available: true, conflictingBookings: [], maintenanceWindows: [] })
+      .mockResolvedValueOnce({ room, available: false, reason: 'Room is booked for these dates', conflictingBookings: [{ id: 77 }], maintenanceWindows: [] });
+    const res = mockResponse();
+
+    await createBooking(mockRequest({ body }), res);
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body).toMatchObject({ error: 'Room is not available for selected dates', conflictingBookings: [{ id: 77 }] });
+    expect(prisma.$queryRaw).toHaveBeenCalled();
+    expect(checkRoomAvailability).toHaveBeenLastCalledWith(expect.objectContaining({ roomId: room.id, client: prisma }));
+    expect(prisma.booking.create).not.toHaveBeenCalled();
+  });
+
+  it('checks the company credit inside the transaction', async () => {
+    prisma.guest.findFirst.mockResolvedValue({ id: 5, hotelId: 1, name: 'Asha Rao', companyId: 9 });
+    prisma.company.findFirst.mockResolvedValue({ id: 9, name: 'Acme', isActive: true, creditLimit: '5000' });
+    prisma.companyLedgerEntry.aggregate.mockResolvedValue({ _sum: { amount: '3000' } });
+    prisma.booking.aggregate.mockResolvedValue({ _sum: { totalAmount: null }, _count: 0 });
+    checkRoomAvailability.mockResolvedValue({ room, available: true, conflictingBookings: [], maintenanceWindows: [] });
+    const res = mockResponse();
+
+    await createBooking(mockRequest({ body }), res);
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body).toMatchObject({ error: 'Booking would take Acme over its credit limit', bookingAmount: 2100 });
+    // Room type, then the company account
+    expect(prisma.$queryRaw).toHaveBeenCalledTimes(2);
+    expect(prisma.booking.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('checkInGuest', () => {
+  const booking = {
+    id: 10,
+    hotelId: 1,
+    status: 'confirmed',
+    roomId: room.id,
+    roomTypeId: 1,
+    room,
+    roomType: { name: 'Deluxe' },
+    checkInDate: addDays(0),
+    checkOutDate: addDays(2),
+    nightlyRates: [],
+    guest: { name: 'Asha Rao', phone: '9800000000' }
+  };
+
+  it('refuses when the room was taken between the read and the write', async () => {
+    prisma.booking.findFirst.mockResolvedValue(booking);
+    prisma.booking.updateMany.mockResolvedValue({ count: 1 });
+    prisma.room.updateMany.mockResolvedValue({ count: 0 });
+    const res = mockResponse();
+
+    await checkInGuest(mockRequest({ params: { bookingId: '10' } }), res);
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toMatch(/Room 101 was taken meanwhile/);
+    expect(prisma.room.updateMany).toHaveBeenCalledWith({
+      where: { id: room.id, status: 'available' },
+      data: { status: 'occupied' }
+    });
+    expect(postRoomCharges).not.toHaveBeenCalled();
+  });
+
+  it('checks a room picked at the desk again under the room type lock', async () => {
+    prisma.booking.findFirst.mockResolvedValue({ ...booking, roomId: null, room: null });
+    checkRoomAvailability
+      .mockResolvedValueOnce({ room, available: true })
+      .mockResolvedValueOnce({ room, available: false, reason: 'Room is booked for these dates' });
+    const res = mockResponse();
+
+    await checkInGuest(mockRequest({ params: { bookingId: '10' }, body: { roomId: room.id } }), res);
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toMatch(/Room 101 was booked meanwhile/);
+    expect(prisma.$queryRaw).toHaveBeenCalled();
+    expect(prisma.booking.updateMany).not.toHaveBeenCalled();
+  });
+});
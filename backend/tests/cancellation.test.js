@@ -0,0 +1,147 @@
+jest.mock('../src/utils/folio', () => ({
+  ...jest.requireActual('../src/utils/folio'),
+  getOrCreateFolio: jest.fn(),
+  postFolioLine: jest.fn()
+}));
+jest.mock('../src/utils/taxEngine', () => ({
+  ...jest.requireActual('../src/utils/taxEngine'),
+  getTaxSettings: jest.fn(),
+  taxForFolioLine: jest.fn()
+}));
+jest.mock('../src/utils/payments', () => ({
+  ...jest.requireActual('../src/utils/payments'),
+  refreshPaymentStatus: jest.fn()
+}));
+jest.mock('../src/utils/waitlist', () => ({
+  ...jest.requireActual('../src/utils/waitlist'),
+  notifyWaitlistMatches: jest.fn()
+}));
+jest.mock('../src/utils/notifications', () => ({
+  ...jest.requireActual('../src/utils/notifications'),
+  queueBookingNotification: jest.fn()
+}));
+
+const { prisma, resetPrisma } = require('@prisma/client');
+const { getOrCreateFolio, postFolioLine } = require('../src/utils/folio');
+const { getTaxSettings, taxForFolioLine } = require('../src/utils/taxEngine');
+const { refreshPaymentStatus } = require('../src/utils/payments');
+const { notifyWaitlistMatches } = require('../src/utils/waitlist');
+const { queueBookingNotification } = require('../src/utils/notifications');
+const { evaluateCancellation } = require('../src/utils/cancellationPolicy');
+const { cancelBooking } = require('../src/controllers/bookingController');
+const { mockRequest, mockResponse } = require('./support/http');
+
+const policy = { id: 3, name: 'Standard', chargeType: 'first_night', chargePercentage: null, freeCancellationHours: 48 };
+
+describe('evaluateCancellation', () => {
+  const booking = {
+    checkInDate: new Date(2026, 10, 10),
+    finalAmount: '6000',
+    roomRate: '2000',
+    nightlyRates: [
+      { stayDate: new Date(2026, 10, 11), rate: '2200' },
+      { stayDate: new Date(2026, 10, 10), rate: '1800' }
+    ]
+  };
+
+  it('is free without a policy', () => {
+    expect(evaluateCancellation({ policy: null, booking, checkInTime: '14:00' })).toMatchObject({ isFree: true, fee: 0 });
+  });
+
+  it('is free inside the free cancellation window', () => {
+    const evaluation = evaluateCancellation({ policy, booking, checkInTime: '14:00', now: new Date(2026, 10, 8, 14, 0) });
+
+    expect(evaluation).toMatchObject({ isFree: true, fee: 0, hoursBeforeArrival: 48 });
+  });
+
+  it('charges the first night of the stay for a late cancellation', () => {
+    const evaluation = evaluateCancellation({ policy, booking, checkInTime: '14:00', now: new Date(2026, 10, 9, 14, 0) });
+
+    expect(evaluation).toMatchObject({ isFree: false, fee: 1800, policyId: 3 });
+  });
+
+  it('never charges more than the booking', () => {
+    const percentage = { ...policy, chargeType: 'percentage', chargePercentage: '150' };
+    const evaluation = evaluateCancellation({ policy: percentage, booking, checkInTime: '14:00', now: new Date(2026, 10, 10, 9, 0) });
+
+    expect(evaluation.fee).toBe(6000);
+  });
+});
+
+describe('cancelBooking', () => {
+  const checkInDate = new Date();
+  checkInDate.setHours(0, 0, 0, 0);
+
+  const booking = {
+    id: 10,
+    hotelId: 1,
+    status: 'confirmed',
+    checkInDate,
+    finalAmount: '4000',
+    roomRate: '2000',
+    taxInclusive: false,
+    cancellationPolicyId: 3,
+    hotel: { checkInTime: '14:00' },
+    nightlyRates: [{ stayDate: checkInDate, rate: '2000' }],
+    guest: { name: 'Asha Rao', phone: '9800000000' },
+    room: null
+  };
+  const request = () => mockRequest({ params: { bookingId: '10' }, body: { reason: 'Plans changed' } });
+
+  beforeEach(() => {
+    resetPrisma();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    prisma.booking.findFirst.mockResolvedValue(booking);
+    prisma.cancellationPolicy.findFirst.mockResolvedValue(policy);
+    getOrCreateFolio.mockResolvedValue({ id: 4, hotelId: 1 });
+    getTaxSettings.mockResolvedValue({});
+    taxForFolioLine.mockReturnValue({ taxRate: 5, taxAmount: 100 });
+    refreshPaymentStatus.mockResolvedValue({ paymentStatus: 'pending' });
+    notifyWaitlistMatches.mockResolvedValue([]);
+    queueBookingNotification.mockResolvedValue([]);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('cancels and posts the late cancellation fee in one transaction', async () => {
+    prisma.booking.updateMany.mockResolvedValue({ count: 1 });
+    prisma.booking.findUnique.mockResolvedValue({ ...booking, status: 'cancelled', cancellationFee: 2000 });
+    const res = mockResponse();
+
+    await cancelBooking(request(), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(prisma.booking.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: 10, hotelId: 1, status: 'confirmed' }
+    }));
+    expect(postFolioLine).toHaveBeenCalledWith(
+      { id: 4, hotelId: 1 },
+      expect.objectContaining({ lineType: 'cancellation_fee', unitAmount: 2000 }),
+      prisma
+    );
+    expect(res.body.cancellation).toMatchObject({ fee: 2000, feeWaived: false });
+  });
+
+  it('charges nothing when the booking was cancelled or marked no-show meanwhile', async () => {
+    prisma.booking.updateMany.mockResolvedValue({ count: 0 });
+    const res = mockResponse();
+
+    await cancelBooking(request(), res);
+
+    expect(res.statusCode).toBe(409);
+    expect(postFolioLine).not.toHaveBeenCalled();
+    expect(queueBookingNotification).not.toHaveBeenCalled();
+  });
+
+  it('only lets managers waive the fee', async () => {
+    const res = mockResponse();
+
+    await cancelBooking(mockRequest({ params: { bookingId: '10' }, body: { reason: 'Plans changed', waiveFee: true } }), res);
+
+    expect(res.statusCode).toBe(403);
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,85 @@
+const { ageLedger } = require('../src/utils/companies');
+
+const asOf = new Date(2026, 9, 18);
+
+let nextId = 1;
+const charge = (amount, entryDate, dueDate, overrides = {}) => ({
+  id: nextId++,
+  entryType: 'charge',
+  amount: String(amount),
+  description: `Charge of ${amount}`,
+  bookingId: null,
+  entryDate,
+  dueDate,
+  ...overrides
+});
+const payment = (amount, entryDate) => ({
+  id: nextId++,
+  entryType: 'payment',
+  amount: String(-amount),
+  description: 'Payment',
+  bookingId: null,
+  entryDate,
+  dueDate: null
+});
+
+describe('ageLedger', () => {
+  it('buckets open charges by how far past due they are', () => {
+    const result = ageLedger([
+      charge(100, new Date(2026, 9, 1), new Date(2026, 9, 31)),
+      charge(200, new Date(2026, 8, 1), new Date(2026, 9, 1)),
+      charge(300, new Date(2026, 7, 1), new Date(2026, 8, 1)),
+      charge(400, new Date(2026, 6, 1), new Date(2026, 7, 1)),
+      charge(500, new Date(2026, 4, 1), new Date(2026, 5, 1))
+    ], asOf);
+
+    expect(result.buckets).toEqual({ current: 100, days1To30: 200, days31To60: 300, days61To90: 400, over90: 500 });
+    expect(result.outstanding).toBe(1500);
+    expect(result.balance).toBe(1500);
+  });
+
+  it('puts charges on the bucket edges in the earlier bucket', () => {
+    const result = ageLedger([
+      charge(10, new Date(2026, 8, 1), new Date(2026, 9, 18)),
+      charge(20, new Date(2026, 8, 2), new Date(2026, 8, 18)),
+      charge(30, new Date(2026, 8, 3), new Date(2026, 8, 17))
+    ], asOf);
+
+    expect(result.openCharges.map(open => [open.daysOverdue, open.bucket])).toEqual([
+      [0, 'current'],
+      [30, 'days1To30'],
+      [31, 'days31To60']
+    ]);
+  });
+
+  it('settles the oldest charges first', () => {
+    const oldest = charge(1000, new Date(2026, 5, 1), new Date(2026, 6, 1));
+    const middle = charge(500, new Date(2026, 8, 1), new Date(2026, 9, 1));
+    const newest = charge(300, new Date(2026, 9, 10), new Date(2026, 10, 1));
+
+    const result = ageLedger([newest, payment(1200, new Date(2026, 9, 5)), middle, oldest], asOf);
+
+    expect(result.openCharges.map(open => [open.entryId, open.outstanding])).toEqual([[middle.id, 300], [newest.id, 300]]);
+    expect(result.buckets).toMatchObject({ current: 300, days1To30: 300, over90: 0 });
+    expect(result.outstanding).toBe(600);
+    expect(result.unappliedCredit).toBe(0);
+  });
+
+  it('keeps credit left after every charge as unapplied', () => {
+    const result = ageLedger([
+      charge(400, new Date(2026, 8, 1), new Date(2026, 9, 1)),
+      payment(650.5, new Date(2026, 9, 2))
+    ], asOf);
+
+    expect(result.openCharges).toEqual([]);
+    expect(result.outstanding).toBe(0);
+    expect(result.unappliedCredit).toBe(250.5);
+    expect(result.balance).toBe(-250.5);
+  });
+
+  it('ages a charge without a due date from its entry date', () => {
+    const result = ageLedger([charge(100, new Date(2026, 8, 8), null)], asOf);
+
+    expect(result.openCharges[0]).toMatchObject({ daysOverdue: 40, bucket: 'days31To60' });
+  });
+});
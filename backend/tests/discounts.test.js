@@ -0,0 +1,110 @@
+jest.mock('../src/utils/folio', () => ({
+  ...jest.requireActual('../src/utils/folio'),
+  postRoomCharges: jest.fn()
+}));
+jest.mock('../src/utils/taxEngine', () => ({
+  ...jest.requireActual('../src/utils/taxEngine'),
+  syncBookingTax: jest.fn()
+}));
+jest.mock('../src/utils/payments', () => ({
+  ...jest.requireActual('../src/utils/payments'),
+  refreshPaymentStatus: jest.fn()
+}));
+
+const { prisma, resetPrisma } = require('@prisma/client');
+const { postRoomCharges } = require('../src/utils/folio');
+const { syncBookingTax } = require('../src/utils/taxEngine');
+const { refreshPaymentStatus } = require('../src/utils/payments');
+const { requestDiscount, approveDiscount } = require('../src/controllers/discountController');
+const { mockRequest, mockResponse } = require('./support/http');
+
+const booking = {
+  id: 10,
+  hotelId: 1,
+  status: 'checked_in',
+  baseAmount: '4000',
+  finalAmount: '4000',
+  discountStatus: 'none',
+  nightlyRates: [],
+  guest: { name: 'Asha Rao' },
+  room: { roomNumber: '101' }
+};
+
+beforeEach(() => {
+  resetPrisma();
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  prisma.booking.update.mockResolvedValue(booking);
+  prisma.booking.findUnique.mockResolvedValue(booking);
+  postRoomCharges.mockResolvedValue(null);
+  syncBookingTax.mockResolvedValue(null);
+  refreshPaymentStatus.mockResolvedValue({ paymentStatus: 'paid' });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('approveDiscount', () => {
+  const approval = {
+    id: 5,
+    hotelId: 1,
+    bookingId: 10,
+    status: 'pending',
+    requestedById: 2,
+    discountPercentage: '10',
+    booking
+  };
+  const request = () => mockRequest({ params: { approvalId: '5' }, user: { role: 'hotel_owner' } });
+
+  beforeEach(() => {
+    prisma.discountApproval.findFirst.mockResolvedValueOnce(approval).mockResolvedValueOnce(null);
+  });
+
+  it('reposts the folio and refreshes the payment status in the approval transaction', async () => {
+    prisma.discountApproval.updateMany.mockResolvedValue({ count: 1 });
+    prisma.discountApproval.findUnique.mockResolvedValue({ ...approval, status: 'approved' });
+    const res = mockResponse();
+
+    await approveDiscount(request(), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(prisma.$transaction).toHaveBeenCalledTimes(1);
+    expect(prisma.booking.update).toHaveBeenCalledWith({
+      where: { id: 10 },
+      data: { finalAmount: 3600, discountStatus: 'approved' }
+    });
+    expect(postRoomCharges).toHaveBeenCalledWith(booking, expect.objectContaining({ client: prisma }));
+    expect(refreshPaymentStatus).toHaveBeenCalledWith(10, prisma);
+  });
+
+  it('touches nothing when someone else decided first', async () => {
+    prisma.discountApproval.updateMany.mockResolvedValue({ count: 0 });
+    const res = mockResponse();
+
+    await approveDiscount(request(), res);
+
+    expect(res.statusCode).toBe(409);
+    expect(prisma.booking.update).not.toHaveBeenCalled();
+    expect(postRoomCharges).not.toHaveBeenCalled();
+  });
+});
+
+describe('requestDiscount', () => {
+  it('re-taxes an auto-approved discount before check-in in the same transaction', async () => {
+    const confirmed = { ...booking, status: 'confirmed' };
+    prisma.booking.findFirst.mockResolvedValue(confirmed);
+    prisma.booking.findUnique.mockResolvedValue(confirmed);
+    prisma.discountRule.findFirst.mockResolvedValue({ maxDiscountPercentage: '15' });
+    prisma.discountApproval.create.mockResolvedValue({ id: 6, status: 'auto_approved' });
+    const res = mockResponse();
+
+    await requestDiscount(mockRequest({ params: { bookingId: '10' }, body: { discountPercentage: 10, reason: 'Regular guest' } }), res);
+
+    expect(res.statusCode).toBe(201);
+    expect(prisma.$transaction).toHaveBeenCalledTimes(1);
+    expect(syncBookingTax).toHaveBeenCalledWith(10, prisma);
+    expect(refreshPaymentStatus).toHaveBeenCalledWith(10, prisma);
+    expect(postRoomCharges).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,118 @@
+jest.mock('../src/utils/taxEngine', () => ({
+  ...jest.requireActual('../src/utils/taxEngine'),
+  syncBookingTax: jest.fn()
+}));
+
+const { prisma, resetPrisma } = require('@prisma/client');
+const { syncBookingTax } = require('../src/utils/taxEngine');
+const { lineTotal, activeLines, summarizeFolio, postRoomCharges } = require('../src/utils/folio');
+
+const line = (id, lineType, amount, overrides = {}) => ({
+  id,
+  lineType,
+  description: `${lineType} ${id}`,
+  quantity: 1,
+  unitAmount: String(amount),
+  amount: String(amount),
+  taxAmount: '0',
+  taxInclusive: false,
+  reversesLineId: null,
+  ...overrides
+});
+
+describe('lineTotal', () => {
+  it('adds tax charged on top and leaves inclusive tax inside the amount', () => {
+    expect(lineTotal(line(1, 'room_night', 2000, { taxAmount: '240' }))).toBe(2240);
+    expect(lineTotal(line(2, 'room_night', 2240, { taxAmount: '240', taxInclusive: true }))).toBe(2240);
+  });
+});
+
+describe('activeLines', () => {
+  it('drops reversed lines and their reversals', () => {
+    const lines = [
+      line(1, 'room_night', 2000),
+      line(2, 'room_night', -2000, { reversesLineId: 1 }),
+      line(3, 'room_night', 1800),
+      line(4, 'extra', 300)
+    ];
+
+    expect(activeLines(lines).map(active => active.id)).toEqual([3, 4]);
+  });
+});
+
+describe('summarizeFolio', () => {
+  it('totals charges, credits and tax from the lines', () => {
+    const summary = summarizeFolio({
+      lines: [
+        line(1, 'room_night', 2000, { taxAmount: '240' }),
+        line(2, 'room_service', 500, { taxAmount: '25' }),
+        line(3, 'discount', -200)
+      ]
+    });
+
+    expect(summary).toEqual({
+      totalCharges: 2765,
+      totalCredits: -200,
+      taxAmount: 265,
+      balance: 2565,
+      byType: { room_night: 2240, room_service: 525, discount: -200 }
+    });
+  });
+
+  it('is empty without a folio', () => {
+    expect(summarizeFolio(null)).toMatchObject({ balance: 0, byType: {} });
+  });
+});
+
+describe('postRoomCharges', () => {
+  const stayDate = new Date(2026, 10, 2);
+  const booking = {
+    id: 10,
+    hotelId: 1,
+    baseAmount: '2000',
+    finalAmount: '1800',
+    taxInclusive: false,
+    nightlyRates: [{ stayDate, rate: '2000', occasion: null }]
+  };
+  const folio = (lines) => ({ id: 4, hotelId: 1, status: 'open', lines });
+
+  beforeEach(() => {
+    resetPrisma();
+    jest.clearAllMocks();
+    syncBookingTax.mockResolvedValue({ taxAmount: 216, nights: [{ stayDate, sacCode: '996311', taxRate: 12, taxAmount: 216 }] });
+    prisma.folioLine.create.mockImplementation(async ({ data }) => data);
+  });
+
+  it('leaves the folio alone when the posted charges still match', async () => {
+    prisma.folio.findUnique.mockResolvedValue(folio([
+      line(1, 'room_night', 2000, { taxAmount: '216' }),
+      line(2, 'discount', -200)
+    ]));
+
+    await postRoomCharges(booking, { client: prisma });
+
+    expect(prisma.folioLine.create).not.toHaveBeenCalled();
+  });
+
+  it('reverses and reposts the nights and the discount once the booking changed', async () => {
+    prisma.folio.findUnique.mockResolvedValue(folio([line(1, 'room_night', 2000, { taxAmount: '240' })]));
+
+    await postRoomCharges(booking, { postedById: 2, reason: 'Discount approved', client: prisma });
+
+    const posted = prisma.folioLine.create.mock.calls.map(([{ data }]) => data);
+    expect(posted).toEqual([
+      expect.objectContaining({ lineType: 'room_night', amount: -2000, taxAmount: -240, reversesLineId: 1, reason: 'Discount approved' }),
+      expect.objectContaining({ lineType: 'room_night', amount: 2000, taxRate: 12, taxAmount: 216, sacCode: '996311', postedById: 2 }),
+      expect.objectContaining({ lineType: 'discount', amount: -200, taxAmount: 0 })
+    ]);
+  });
+
+  it('never touches a settled folio', async () => {
+    prisma.folio.findUnique.mockResolvedValue({ ...folio([]), status: 'settled' });
+
+    await postRoomCharges(booking, { client: prisma });
+
+    expect(syncBookingTax).not.toHaveBeenCalled();
+    expect(prisma.folioLine.create).not.toHaveBeenCalled();
+  });
+});
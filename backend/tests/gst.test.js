@@ -0,0 +1,139 @@
+const { apportionCredit, buildInvoiceLines, sumInvoiceLines } = require('../src/utils/gst');
+
+const line = (id, lineType, amount, overrides = {}) => ({
+  id,
+  lineType,
+  description: `${lineType} ${id}`,
+  amount: String(amount),
+  quantity: 1,
+  sacCode: null,
+  taxRate: null,
+  taxAmount: '0',
+  taxInclusive: false,
+  reversesLineId: null,
+  ...overrides
+});
+
+// A room night posted by the tax engine at 5%, exclusive
+const roomNight = (id, amount, taxAmount) => line(id, 'room_night', amount, {
+  sacCode: '996311',
+  taxRate: '5',
+  taxAmount: String(taxAmount)
+});
+
+describe('apportionCredit', () => {
+  it('spreads the credit in proportion to the charges', () => {
+    const shares = new Map();
+    apportionCredit(300, [line(1, 'room_night', 1000), line(2, 'room_night', 2000)], shares);
+
+    expect(shares.get(1)).toBe(100);
+    expect(shares.get(2)).toBe(200);
+  });
+
+  it('gives the rounding remainder to the last charge', () => {
+    const shares = new Map();
+    apportionCredit(100, [line(1, 'extra', 1000), line(2, 'extra', 1000), line(3, 'extra', 1000)], shares);
+
+    expect([shares.get(1), shares.get(2), shares.get(3)]).toEqual([33.33, 33.33, 33.34]);
+  });
+
+  it('applies no more than the charges add up to', () => {
+    const shares = new Map();
+    apportionCredit(500, [line(1, 'extra', 120), line(2, 'extra', 80)], shares);
+
+    expect(shares.get(1) + shares.get(2)).toBe(200);
+  });
+
+  it('adds to shares from an earlier credit', () => {
+    const shares = new Map([[1, 10]]);
+    apportionCredit(50, [line(1, 'extra', 500), line(2, 'extra', 500)], shares);
+
+    expect(shares.get(1)).toBe(35);
+    expect(shares.get(2)).toBe(25);
+  });
+});
+
+describe('buildInvoiceLines', () => {
+  it('spreads the booking discount over the room nights only', () => {
+    // Nights were taxed on 900 each after the 200 discount
+    const folio = {
+      lines: [
+        roomNight(1, 1000, 45),
+        roomNight(2, 1000, 45),
+        line(3, 'extra', 500, { sacCode: '999799', taxRate: '18', taxAmount: '90' }),
+        line(4, 'discount', -200)
+      ]
+    };
+
+    const lines = buildInvoiceLines(folio, 'intra_state');
+
+    expect(lines).toHaveLength(3);
+    expect(lines[0]).toMatchObject({ taxableAmount: 900, gstRate: 5, cgstAmount: 22.5, sgstAmount: 22.5, igstAmount: 0, totalAmount: 945 });
+    expect(lines[2]).toMatchObject({ taxableAmount: 500, gstRate: 18, totalAmount: 590 });
+  });
+
+  it('spreads credit adjustments over every charge', () => {
+    const folio = {
+      lines: [
+        roomNight(1, 1000, 50),
+        line(2, 'extra', 1000, { sacCode: '999799', taxRate: '18', taxAmount: '180' }),
+        line(3, 'adjustment', -100)
+      ]
+    };
+
+    const lines = buildInvoiceLines(folio, 'inter_state');
+
+    expect(lines.map(invoiceLine => invoiceLine.taxableAmount)).toEqual([950, 950]);
+    expect(lines.map(invoiceLine => invoiceLine.igstAmount)).toEqual([50, 180]);
+  });
+
+  it('keeps invoice totals equal to the folio when credits leave remainders', () => {
+    const folio = {
+      lines: [
+        roomNight(1, 1000, 0),
+        roomNight(2, 1000, 0),
+        roomNight(3, 1000, 0),
+        line(4, 'discount', -100)
+      ]
+    };
+
+    const lines = buildInvoiceLines(folio, 'intra_state');
+
+    expect(lines.map(invoiceLine => invoiceLine.taxableAmount)).toEqual([966.67, 966.67, 966.66]);
+    expect(sumInvoiceLines(lines).taxableAmount).toBe(2900);
+  });
+
+  it('backs the tax out of lines posted before the tax engine', () => {
+    const folio = { lines: [line(1, 'room_night', 1050)] };
+
+    const [invoiceLine] = buildInvoiceLines(folio, 'intra_state');
+
+    expect(invoiceLine).toMatchObject({ sacCode: '996311', gstRate: 5, taxableAmount: 1000, cgstAmount: 25, sgstAmount: 25, totalAmount: 1050 });
+  });
+
+  it('leaves out reversed lines', () => {
+    const folio = {
+      lines: [
+        roomNight(1, 1000, 50),
+        line(2, 'extra', 300, { taxRate: '18', taxAmount: '54' }),
+        line(3, 'extra', -300, { reversesLineId: 2 })
+      ]
+    };
+
+    const lines = buildInvoiceLines(folio, 'intra_state');
+
+    expect(lines).toHaveLength(1);
+    expect(lines[0]).toMatchObject({ description: 'room_night 1', totalAmount: 1050 });
+  });
+
+  it('leaves out charges credited in full', () => {
+    const folio = {
+      lines: [
+        line(1, 'extra', 200, { taxRate: '0', taxAmount: '0' }),
+        line(2, 'adjustment', -200)
+      ]
+    };
+
+    expect(buildInvoiceLines(folio, 'intra_state')).toEqual([]);
+  });
+});
@@ -0,0 +1,95 @@
+const { buildCalendar, parseCalendar } = require('../src/utils/ical');
+
+const calendar = (...lines) => ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+
+const event = (...lines) => ['BEGIN:VEVENT', ...lines, 'END:VEVENT'];
+
+describe('parseCalendar', () => {
+  it('returns null for text that is not a calendar', () => {
+    expect(parseCalendar('reservationId,guestName\n123,Asha')).toBeNull();
+  });
+
+  it('reads all-day events in file order', () => {
+    const events = parseCalendar(calendar(
+      ...event('UID:first@channel', 'DTSTART;VALUE=DATE:20261102', 'DTEND;VALUE=DATE:20261105', 'SUMMARY:Reserved', 'STATUS:confirmed'),
+      ...event('UID:second@channel', 'DTSTART;VALUE=DATE:20261110', 'DTEND;VALUE=DATE:20261111', 'SUMMARY:Not available')
+    ));
+
+    expect(events).toEqual([
+      { index: 1, uid: 'first@channel', start: new Date(2026, 10, 2), end: new Date(2026, 10, 5), summary: 'Reserved', status: 'CONFIRMED', recurring: false },
+      { index: 2, uid: 'second@channel', start: new Date(2026, 10, 10), end: new Date(2026, 10, 11), summary: 'Not available', status: null, recurring: false }
+    ]);
+  });
+
+  it('takes the calendar day of date-times, whatever the time zone parameter', () => {
+    const [parsed] = parseCalendar(calendar(
+      ...event('UID:a', 'DTSTART;TZID="Asia/Kolkata":20261102T140000', 'DTEND:20261104T110000Z')
+    ));
+
+    expect(parsed.start).toEqual(new Date(2026, 10, 2));
+    expect(parsed.end).toEqual(new Date(2026, 10, 4));
+  });
+
+  it('works out the end from DURATION, or blocks a single night without one', () => {
+    const [withDuration, weekLong, withoutEnd] = parseCalendar(calendar(
+      ...event('UID:a', 'DTSTART;VALUE=DATE:20261102', 'DURATION:P3D'),
+      ...event('UID:b', 'DTSTART;VALUE=DATE:20261102', 'DURATION:P1W'),
+      ...event('UID:c', 'DTSTART;VALUE=DATE:20261102')
+    ));
+
+    expect(withDuration.end).toEqual(new Date(2026, 10, 5));
+    expect(weekLong.end).toEqual(new Date(2026, 10, 9));
+    expect(withoutEnd.end).toEqual(new Date(2026, 10, 3));
+  });
+
+  it('blocks the start night of an event that ends the day it starts', () => {
+    const [parsed] = parseCalendar(calendar(
+      ...event('UID:a', 'DTSTART:20261102T090000', 'DTEND:20261102T180000')
+    ));
+
+    expect(parsed.end).toEqual(new Date(2026, 10, 3));
+  });
+
+  it('unfolds long lines and unescapes text', () => {
+    const [parsed] = parseCalendar(calendar(
+      ...event('UID:a', 'DTSTART;VALUE=DATE:20261102', 'SUMMARY:Blocked for maintenance\\, ', ' floor 2\\; call the desk\\nbefore letting')
+    ));
+
+    expect(parsed.summary).toBe('Blocked for maintenance, floor 2; call the desk\nbefore letting');
+  });
+
+  it('ignores properties of components nested in an event', () => {
+    const [parsed] = parseCalendar(calendar(
+      ...event(
+        'UID:a',
+        'DTSTART;VALUE=DATE:20261102',
+        'BEGIN:VALARM',
+        'SUMMARY:Reminder',
+        'END:VALARM',
+        'SUMMARY:Reserved',
+        'RRULE:FREQ=WEEKLY'
+      )
+    ));
+
+    expect(parsed.summary).toBe('Reserved');
+    expect(parsed.recurring).toBe(true);
+  });
+
+  it('returns null dates when they cannot be read', () => {
+    const [parsed] = parseCalendar(calendar(...event('UID:a', 'DTSTART:soon')));
+
+    expect(parsed.start).toBeNull();
+    expect(parsed.end).toBeNull();
+  });
+
+  it('reads back what buildCalendar writes', () => {
+    const text = buildCalendar({
+      name: 'Deluxe',
+      events: [{ uid: 'booking-7@hotel', start: new Date(2026, 10, 2), end: new Date(2026, 10, 4), summary: 'Booked, room 204' }]
+    });
+
+    expect(parseCalendar(`\uFEFF${text}`)).toEqual([
+      { index: 1, uid: 'booking-7@hotel', start: new Date(2026, 10, 2), end: new Date(2026, 10, 4), summary: 'Booked, room 204', status: null, recurring: false }
+    ]);
+  });
+});
@@ -0,0 +1,73 @@
+jest.mock('../src/utils/availability', () => ({
+  ...jest.requireActual('../src/utils/availability'),
+  findAvailableRooms: jest.fn()
+}));
+
+const { prisma, resetPrisma } = require('@prisma/client');
+const { findAvailableRooms } = require('../src/utils/availability');
+const { NOT_A_BLOCK } = require('../src/utils/icalSync');
+const { processNoShows } = require('../src/jobs/noShowProcessor');
+const { getOverbookingPosition } = require('../src/utils/overbooking');
+const { getBookingStats } = require('../src/controllers/bookingController');
+const { mockRequest, mockResponse } = require('./support/http');
+
+beforeEach(() => {
+  resetPrisma();
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('calendar blocks', () => {
+  it('are filtered out by their placeholder guest', () => {
+    expect(NOT_A_BLOCK).toEqual({ guest: { idType: { not: 'ical_block' } } });
+  });
+
+  it('are never marked as no-shows', async () => {
+    prisma.hotel.findMany.mockResolvedValue([{ id: 1, noShowCutoffTime: '10:00', noShowChargeType: 'none' }]);
+    prisma.booking.findMany.mockResolvedValue([]);
+
+    await processNoShows({ now: new Date(2026, 9, 18, 12, 0) });
+
+    expect(prisma.booking.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: expect.objectContaining({ status: 'confirmed', ...NOT_A_BLOCK })
+    }));
+  });
+
+  it('are left out of booking stats and occupancy', async () => {
+    prisma.booking.count.mockResolvedValue(0);
+    prisma.booking.aggregate.mockResolvedValue({ _sum: {} });
+    prisma.folioLine.aggregate.mockResolvedValue({ _sum: {} });
+    const res = mockResponse();
+
+    await getBookingStats(mockRequest(), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(prisma.booking.count).toHaveBeenCalledTimes(6);
+    prisma.booking.count.mock.calls.forEach(([query]) => {
+      expect(query.where).toMatchObject({ hotelId: 1, ...NOT_A_BLOCK });
+    });
+  });
+
+  it('are not put on the walk list', async () => {
+    const roomType = { id: 1, name: 'Deluxe', maxOccupancy: 2 };
+    findAvailableRooms.mockResolvedValue([{
+      roomType,
+      totalRooms: 4,
+      availableCount: 0,
+      nightlyAvailability: [{ date: new Date(2026, 9, 18), available: -1 }]
+    }]);
+    prisma.overbookingAllowance.findMany.mockResolvedValue([]);
+    prisma.booking.findMany.mockResolvedValue([]);
+
+    const position = await getOverbookingPosition({ hotelId: 1, date: new Date(2026, 9, 18) });
+
+    expect(prisma.booking.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: expect.objectContaining({ roomTypeId: 1, status: 'confirmed', ...NOT_A_BLOCK })
+    }));
+    expect(position.walkList).toEqual([]);
+    expect(position.roomTypes[0]).toMatchObject({ overbookedBy: 1, unresolved: 1 });
+  });
+});
@@ -0,0 +1,114 @@
+jest.mock('../src/utils/folio', () => ({
+  ...jest.requireActual('../src/utils/folio'),
+  getOrCreateFolio: jest.fn(),
+  postFolioLine: jest.fn()
+}));
+jest.mock('../src/utils/payments', () => ({
+  ...jest.requireActual('../src/utils/payments'),
+  refreshPaymentStatus: jest.fn()
+}));
+jest.mock('../src/utils/taxEngine', () => ({
+  ...jest.requireActual('../src/utils/taxEngine'),
+  getTaxSettings: jest.fn(),
+  taxForFolioLine: jest.fn()
+}));
+jest.mock('../src/utils/waitlist', () => ({
+  ...jest.requireActual('../src/utils/waitlist'),
+  notifyWaitlistMatches: jest.fn()
+}));
+
+const { prisma, resetPrisma } = require('@prisma/client');
+const { getOrCreateFolio, postFolioLine } = require('../src/utils/folio');
+const { refreshPaymentStatus } = require('../src/utils/payments');
+const { getTaxSettings, taxForFolioLine } = require('../src/utils/taxEngine');
+const { notifyWaitlistMatches } = require('../src/utils/waitlist');
+const { getNoShowCutoff, processNoShows } = require('../src/jobs/noShowProcessor');
+
+const now = new Date(2026, 9, 18, 12, 0);
+const hotel = { id: 1, noShowCutoffTime: '10:00', noShowChargeType: 'first_night' };
+const booking = {
+  id: 10,
+  hotelId: 1,
+  status: 'confirmed',
+  roomId: 101,
+  roomTypeId: 1,
+  checkInDate: new Date(2026, 9, 17),
+  checkOutDate: new Date(2026, 9, 19),
+  roomRate: '2000',
+  finalAmount: '4000',
+  taxInclusive: false,
+  nightlyRates: [{ rate: '1800' }],
+  guest: { name: 'Asha Rao', phone: '9800000000' },
+  room: { id: 101, roomNumber: '101' }
+};
+
+beforeEach(() => {
+  resetPrisma();
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  prisma.hotel.findMany.mockResolvedValue([hotel]);
+  prisma.booking.findMany.mockResolvedValue([booking]);
+  getOrCreateFolio.mockResolvedValue({ id: 3, hotelId: 1 });
+  getTaxSettings.mockResolvedValue({});
+  taxForFolioLine.mockReturnValue({ taxRate: 5, taxAmount: 90 });
+  refreshPaymentStatus.mockResolvedValue({ paymentStatus: 'pending' });
+  notifyWaitlistMatches.mockResolvedValue([]);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('getNoShowCutoff', () => {
+  it('is the cutoff time on the morning after arrival', () => {
+    expect(getNoShowCutoff(new Date(2026, 9, 17), '10:00')).toEqual(new Date(2026, 9, 18, 10, 0));
+  });
+});
+
+describe('processNoShows', () => {
+  it('flips the status, posts the fee and refreshes the payment status in one transaction', async () => {
+    prisma.booking.updateMany.mockResolvedValue({ count: 1 });
+
+    const [result] = await processNoShows({ now });
+
+    expect(result.processed).toEqual([expect.objectContaining({ bookingId: 10, noShowFee: 1800 })]);
+    expect(prisma.$transaction).toHaveBeenCalledTimes(1);
+    expect(prisma.booking.updateMany).toHaveBeenCalledWith({
+      where: { id: 10, status: 'confirmed' },
+      data: { status: 'no_show', noShowAt: now, noShowFee: 1800 }
+    });
+    expect(prisma.bookingHistory.create).toHaveBeenCalled();
+    expect(getOrCreateFolio).toHaveBeenCalledWith(booking, prisma);
+    expect(postFolioLine).toHaveBeenCalledWith(
+      { id: 3, hotelId: 1 },
+      expect.objectContaining({ lineType: 'no_show_fee', unitAmount: 1800 }),
+      prisma
+    );
+    expect(refreshPaymentStatus).toHaveBeenCalledWith(10, prisma);
+  });
+
+  it('leaves a booking alone once it was checked in or cancelled meanwhile', async () => {
+    prisma.booking.updateMany.mockResolvedValue({ count: 0 });
+
+    const [result] = await processNoShows({ now });
+
+    expect(result.processed).toEqual([]);
+    expect(postFolioLine).not.toHaveBeenCalled();
+    expect(refreshPaymentStatus).not.toHaveBeenCalled();
+    expect(notifyWaitlistMatches).not.toHaveBeenCalled();
+  });
+
+  it('skips bookings before their cutoff', async () => {
+    const [result] = await processNoShows({ now: new Date(2026, 9, 18, 9, 0) });
+
+    expect(result.processed).toEqual([]);
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+
+  it('only reports on a dry run', async () => {
+    const [result] = await processNoShows({ now, dryRun: true });
+
+    expect(result.processed).toHaveLength(1);
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+});
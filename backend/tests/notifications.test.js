@@ -0,0 +1,168 @@
+jest.mock('../src/utils/bookingVoucher', () => ({
+  renderVoucherHtml: jest.fn(() => '<p>voucher</p>'),
+  renderVoucherText: jest.fn(() => 'voucher'),
+  renderVoucherPdf: jest.fn(async () => Buffer.from('%PDF'))
+}));
+jest.mock('../src/utils/notificationTransports', () => ({
+  ...jest.requireActual('../src/utils/notificationTransports'),
+  getTransport: jest.fn()
+}));
+jest.mock('../src/utils/cancellationPolicy', () => ({
+  ...jest.requireActual('../src/utils/cancellationPolicy'),
+  resolveCancellationPolicy: jest.fn()
+}));
+
+const { prisma, resetPrisma } = require('@prisma/client');
+const { getTransport } = require('../src/utils/notificationTransports');
+const { resolveCancellationPolicy } = require('../src/utils/cancellationPolicy');
+const { generateConfirmationCode, queueBookingNotification, processOutbox } = require('../src/utils/notifications');
+
+const booking = {
+  id: 10,
+  hotelId: 1,
+  confirmationCode: 'K7QM2P4X',
+  checkInDate: new Date(2026, 10, 2),
+  checkOutDate: new Date(2026, 10, 4),
+  hotel: { name: 'Hotel Sagar', checkInTime: '14:00', guestNotificationsEnabled: true },
+  guest: { id: 5, name: 'Asha Rao', email: 'asha@example.com', phone: '9800000000', idType: 'aadhaar' },
+  roomType: { name: 'Deluxe' }
+};
+
+const message = (overrides = {}) => ({
+  id: 1,
+  hotelId: 1,
+  bookingId: 10,
+  type: 'booking_confirmation',
+  channel: 'sms',
+  recipient: '9800000000',
+  attempts: 0,
+  maxAttempts: 3,
+  ...overrides
+});
+
+beforeEach(() => {
+  resetPrisma();
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  resolveCancellationPolicy.mockResolvedValue(null);
+  prisma.notification.create.mockImplementation(async ({ data }) => ({ id: data.channel === 'email' ? 1 : 2, channel: data.channel, recipient: data.recipient, status: 'pending' }));
+  prisma.notification.findMany.mockResolvedValue([]);
+});
+
+afterEach(async () => {
+  // Let the background delivery started by queueing finish
+  await processOutbox();
+  delete global.socketServer;
+  jest.restoreAllMocks();
+});
+
+describe('generateConfirmationCode', () => {
+  it('uses eight characters that cannot be misread', () => {
+    expect(generateConfirmationCode()).toMatch(/^[A-HJ-NP-Z2-9]{8}$/);
+  });
+});
+
+describe('queueBookingNotification', () => {
+  it('queues an email with the voucher and an SMS', async () => {
+    prisma.booking.findFirst.mockResolvedValue({ ...booking });
+
+    const queued = await queueBookingNotification(10, 'booking_confirmation', { dedupeKey: 'reminder:10' });
+
+    expect(queued.map(queuedMessage => queuedMessage.channel)).toEqual(['email', 'sms']);
+    expect(prisma.notification.create).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({
+        channel: 'email',
+        subject: 'Booking confirmed - Hotel Sagar (K7QM2P4X)',
+        attachmentName: 'voucher-K7QM2P4X.pdf',
+        dedupeKey: 'reminder:10:email'
+      })
+    }));
+    expect(prisma.notification.create).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({
+        channel: 'sms',
+        body: 'Hotel Sagar: booking K7QM2P4X confirmed for 02-11-2026 to 04-11-2026, Deluxe.'
+      })
+    }));
+  });
+
+  it('sends a cancellation without a voucher', async () => {
+    prisma.booking.findFirst.mockResolvedValue({ ...booking });
+
+    await queueBookingNotification(10, 'booking_cancellation');
+
+    const [[{ data: email }]] = prisma.notification.create.mock.calls;
+    expect(email.channel).toBe('email');
+    expect(email).not.toHaveProperty('attachment');
+  });
+
+  it('skips calendar blocks and hotels with notifications switched off', async () => {
+    prisma.booking.findFirst
+      .mockResolvedValueOnce({ ...booking, guest: { ...booking.guest, idType: 'ical_block' } })
+      .mockResolvedValueOnce({ ...booking, hotel: { ...booking.hotel, guestNotificationsEnabled: false } });
+
+    await expect(queueBookingNotification(10, 'booking_confirmation')).resolves.toEqual([]);
+    await expect(queueBookingNotification(10, 'booking_confirmation')).resolves.toEqual([]);
+    expect(prisma.notification.create).not.toHaveBeenCalled();
+  });
+
+  it('does not queue a message twice under the same key', async () => {
+    prisma.booking.findFirst.mockResolvedValue({ ...booking, guest: { ...booking.guest, email: null } });
+    prisma.notification.create.mockRejectedValue(Object.assign(new Error('Unique constraint failed'), { code: 'P2002' }));
+
+    await expect(queueBookingNotification(10, 'pre_arrival_reminder', { dedupeKey: 'reminder:10' })).resolves.toEqual([]);
+  });
+
+  it('rejects unknown message types', async () => {
+    await expect(queueBookingNotification(10, 'birthday')).rejects.toThrow('Unknown notification type: birthday');
+  });
+});
+
+describe('processOutbox', () => {
+  beforeEach(() => {
+    prisma.notification.updateMany.mockResolvedValue({ count: 1 });
+  });
+
+  it('records a delivered message', async () => {
+    prisma.notification.findMany.mockResolvedValueOnce([message()]);
+    getTransport.mockReturnValue({ name: 'console', transport: { send: jest.fn(async () => ({ providerMessageId: 'abc' })) } });
+
+    await expect(processOutbox()).resolves.toEqual({ processed: 1, sent: 1, retrying: 0, failed: 0 });
+    expect(prisma.notification.update).toHaveBeenCalledWith({
+      where: { id: 1 },
+      data: expect.objectContaining({ status: 'sent', attempts: 1, transport: 'console', providerMessageId: 'abc' })
+    });
+  });
+
+  it('retries a failed message later', async () => {
+    prisma.notification.findMany.mockResolvedValueOnce([message({ attempts: 1 })]);
+    getTransport.mockReturnValue({ name: 'smtp', transport: { send: jest.fn(async () => { throw new Error('Connection refused'); }) } });
+
+    await expect(processOutbox()).resolves.toMatchObject({ retrying: 1 });
+    expect(prisma.notification.update).toHaveBeenCalledWith({
+      where: { id: 1 },
+      data: expect.objectContaining({ status: 'pending', attempts: 2, lastError: 'Connection refused' })
+    });
+  });
+
+  it('gives up after the last attempt and tells the managers', async () => {
+    global.socketServer = { broadcastToRole: jest.fn() };
+    prisma.notification.findMany.mockResolvedValueOnce([message({ attempts: 2 })]);
+    getTransport.mockReturnValue({ name: 'smtp', transport: { send: jest.fn(async () => { throw new Error('Mailbox full'); }) } });
+
+    await expect(processOutbox()).resolves.toMatchObject({ failed: 1 });
+    expect(global.socketServer.broadcastToRole).toHaveBeenCalledWith(1, 'hotel_manager', 'notification_failed', expect.objectContaining({
+      notificationId: 1,
+      error: 'Mailbox full'
+    }));
+  });
+
+  it('leaves a message another process claimed first', async () => {
+    prisma.notification.findMany.mockResolvedValueOnce([message()]);
+    prisma.notification.updateMany.mockResolvedValueOnce({ count: 0 }).mockResolvedValueOnce({ count: 0 });
+
+    await expect(processOutbox()).resolves.toEqual({ processed: 0, sent: 0, retrying: 0, failed: 0 });
+    expect(getTransport).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,28 @@
+const { parseChannelDate } = require('../src/utils/otaImport');
+
+describe('parseChannelDate', () => {
+  it('reads ISO dates as the local calendar day', () => {
+    expect(parseChannelDate('2026-11-02')).toEqual(new Date(2026, 10, 2));
+  });
+
+  it('ignores the time on an ISO timestamp', () => {
+    expect(parseChannelDate('2026-11-02T23:30:00Z')).toEqual(new Date(2026, 10, 2));
+  });
+
+  it('reads numeric dates day first', () => {
+    expect(parseChannelDate('02/11/2026')).toEqual(new Date(2026, 10, 2));
+    expect(parseChannelDate('02-11-2026')).toEqual(new Date(2026, 10, 2));
+    expect(parseChannelDate('2.11.2026')).toEqual(new Date(2026, 10, 2));
+  });
+
+  it('falls back to other formats Date understands, at the start of the day', () => {
+    expect(parseChannelDate('2 Nov 2026')).toEqual(new Date(2026, 10, 2));
+    expect(parseChannelDate('November 2, 2026 14:00')).toEqual(new Date(2026, 10, 2));
+  });
+
+  it('returns null for empty or unreadable values', () => {
+    expect(parseChannelDate('')).toBeNull();
+    expect(parseChannelDate(null)).toBeNull();
+    expect(parseChannelDate('next tuesday')).toBeNull();
+  });
+});
@@ -0,0 +1,115 @@
+jest.mock('../src/utils/availability', () => ({
+  ...jest.requireActual('../src/utils/availability'),
+  findAvailableRooms: jest.fn()
+}));
+
+const { prisma, resetPrisma } = require('@prisma/client');
+const { findAvailableRooms } = require('../src/utils/availability');
+const { checkOverbookingAllowance, getOverbookingPosition } = require('../src/utils/overbooking');
+
+const night = new Date(2026, 10, 2);
+const nextNight = new Date(2026, 10, 3);
+const deluxe = { id: 1, name: 'Deluxe', maxOccupancy: 2 };
+const suite = { id: 2, name: 'Suite', maxOccupancy: 3 };
+
+const inventory = (roomType, available, { totalRooms = 4, availableCount = Math.max(0, available[0]) } = {}) => ({
+  roomType,
+  totalRooms,
+  availableCount,
+  nightlyAvailability: available.map((count, index) => ({ date: new Date(2026, 10, 2 + index), available: count }))
+});
+
+beforeEach(() => {
+  resetPrisma();
+  jest.clearAllMocks();
+});
+
+describe('checkOverbookingAllowance', () => {
+  const check = (available, allowances) => {
+    prisma.overbookingAllowance.findMany.mockResolvedValue(allowances);
+    return checkOverbookingAllowance({
+      hotelId: 1,
+      inventory: inventory(deluxe, available),
+      checkInDate: night,
+      checkOutDate: new Date(2026, 10, 4)
+    });
+  };
+
+  it('allows a sold-out stay within every night\'s allowance', async () => {
+    const result = await check([0, 1], [{ stayDate: night, allowance: 1 }]);
+
+    expect(result.allowed).toBe(true);
+    expect(result.overbookedNights).toEqual(['2026-11-02']);
+  });
+
+  it('refuses once a night is past its allowance', async () => {
+    const result = await check([-1, 1], [{ stayDate: night, allowance: 1 }]);
+
+    expect(result.allowed).toBe(false);
+  });
+
+  it('is not needed while every night has a room', async () => {
+    const result = await check([1, 2], [{ stayDate: night, allowance: 3 }]);
+
+    expect(result.allowed).toBe(false);
+    expect(result.overbookedNights).toEqual([]);
+  });
+});
+
+describe('getOverbookingPosition', () => {
+  const arrival = (id, overrides = {}) => ({
+    id,
+    roomTypeId: 1,
+    roomId: null,
+    paymentStatus: 'paid',
+    numberOfGuests: 2,
+    createdAt: new Date(2026, 9, 1),
+    checkInDate: night,
+    checkOutDate: nextNight,
+    guest: { id: id + 100, name: `Guest ${id}`, phone: '9800000000' },
+    room: null,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    prisma.overbookingAllowance.findMany.mockResolvedValue([{ roomTypeId: 1, stayDate: night, allowance: 2 }]);
+  });
+
+  it('relocates into a free room type first and walks the rest', async () => {
+    const tonight = [inventory(deluxe, [-2]), inventory(suite, [1], { availableCount: 1 })];
+    findAvailableRooms.mockResolvedValue(tonight);
+    prisma.booking.findMany.mockResolvedValue([
+      arrival(1, { roomId: 101, room: { roomNumber: '101' } }),
+      arrival(2, { paymentStatus: 'pending' }),
+      arrival(3, { createdAt: new Date(2026, 9, 5) })
+    ]);
+
+    const position = await getOverbookingPosition({ hotelId: 1, date: night });
+
+    expect(position.overbooked).toBe(true);
+    expect(position.roomTypes[0]).toMatchObject({ status: 'overbooked', overbookedBy: 2, allowance: 2, available: 0, unresolved: 0 });
+    expect(position.roomTypes[1]).toMatchObject({ status: 'open', available: 1 });
+    // Unpaid first, then the most recent booking; guests with a room promised go last
+    expect(position.walkList.map(walk => [walk.bookingId, walk.action])).toEqual([[2, 'relocate'], [3, 'walk']]);
+    expect(position.walkList[0].relocateTo).toEqual({ roomTypeId: 2, roomType: 'Suite' });
+  });
+
+  it('does not relocate a party the other room type cannot fit', async () => {
+    findAvailableRooms.mockResolvedValue([inventory(deluxe, [-1]), inventory({ ...suite, maxOccupancy: 1 }, [1], { availableCount: 1 })]);
+    prisma.booking.findMany.mockResolvedValue([arrival(1)]);
+
+    const position = await getOverbookingPosition({ hotelId: 1, date: night });
+
+    expect(position.walkList).toEqual([expect.objectContaining({ bookingId: 1, action: 'walk', relocateTo: null })]);
+  });
+
+  it('reports a full night without a walk list', async () => {
+    findAvailableRooms.mockResolvedValue([inventory(deluxe, [0])]);
+
+    const position = await getOverbookingPosition({ hotelId: 1, date: night });
+
+    expect(position).toMatchObject({ date: '2026-11-02', overbooked: false, walkList: [] });
+    expect(position.roomTypes[0].status).toBe('full');
+    expect(prisma.booking.findMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,106 @@
+const { prisma, resetPrisma } = require('@prisma/client');
+const { getPaymentPosition, derivePaymentStatus } = require('../src/utils/payments');
+const { getPayments, recordPayment } = require('../src/controllers/paymentController');
+const { mockRequest, mockResponse } = require('./support/http');
+
+const manager = { role: 'hotel_manager' };
+const booking = {
+  id: 10,
+  hotelId: 1,
+  status: 'confirmed',
+  totalAmount: '4200',
+  paymentStatus: 'partial',
+  folio: null,
+  guest: { name: 'Asha Rao' }
+};
+const deposit = { id: 1, paymentType: 'deposit', amount: '1000' };
+
+beforeEach(() => {
+  resetPrisma();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('getPaymentPosition', () => {
+  it('measures payments against the booking amount before check-in', () => {
+    expect(getPaymentPosition({ ...booking, payments: [deposit] })).toEqual({
+      amountCharged: 4200,
+      deposits: 1000,
+      payments: 0,
+      refunds: 0,
+      netPaid: 1000,
+      balanceDue: 3200,
+      paymentStatus: 'partial'
+    });
+  });
+
+  it('measures a cancelled booking against its fee', () => {
+    const position = getPaymentPosition({ ...booking, status: 'cancelled', cancellationFee: '500', payments: [deposit] });
+
+    expect(position).toMatchObject({ amountCharged: 500, balanceDue: -500, paymentStatus: 'paid' });
+  });
+});
+
+describe('derivePaymentStatus', () => {
+  it('is refunded once everything paid has gone back', () => {
+    expect(derivePaymentStatus(4200, { netPaid: 0, refunds: 1000 })).toBe('refunded');
+    expect(derivePaymentStatus(4200, { netPaid: 0, refunds: 0 })).toBe('pending');
+  });
+});
+
+describe('getPayments', () => {
+  it('reports the position without writing the booking', async () => {
+    prisma.booking.findFirst.mockResolvedValue({ ...booking, payments: [deposit] });
+    const res = mockResponse();
+
+    await getPayments(mockRequest({ params: { bookingId: '10' } }), res);
+
+    expect(res.body.payments).toEqual([deposit]);
+    expect(res.body.position).toMatchObject({ netPaid: 1000, paymentStatus: 'partial' });
+    expect(prisma.booking.update).not.toHaveBeenCalled();
+    expect(prisma.booking.updateMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('recordPayment refunds', () => {
+  const refund = (amount) => ({ paymentType: 'refund', method: 'cash', amount });
+
+  beforeEach(() => {
+    prisma.booking.findFirst.mockResolvedValue(booking);
+    prisma.payment.findMany.mockResolvedValue([deposit]);
+  });
+
+  it('checks the amount paid under the booking lock', async () => {
+    const res = mockResponse();
+
+    await recordPayment(mockRequest({ params: { bookingId: '10' }, body: refund(1500), user: manager }), res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toEqual({ error: 'Refund exceeds the amount paid', netPaid: 1000 });
+    expect(prisma.$queryRaw).toHaveBeenCalled();
+    expect(prisma.payment.create).not.toHaveBeenCalled();
+  });
+
+  it('writes the refund in the same transaction as the check', async () => {
+    prisma.payment.create.mockResolvedValue({ id: 2, paymentType: 'refund', amount: 400, method: 'cash' });
+    prisma.booking.findUnique.mockResolvedValue({ ...booking, payments: [deposit, { paymentType: 'refund', amount: '400' }] });
+    const res = mockResponse();
+
+    await recordPayment(mockRequest({ params: { bookingId: '10' }, body: refund(400), user: manager }), res);
+
+    expect(res.statusCode).toBe(201);
+    expect(prisma.$transaction).toHaveBeenCalledTimes(1);
+    expect(res.body.position).toMatchObject({ netPaid: 600, refunds: 400 });
+  });
+
+  it('is for managers only', async () => {
+    const res = mockResponse();
+
+    await recordPayment(mockRequest({ params: { bookingId: '10' }, body: refund(400) }), res);
+
+    expect(res.statusCode).toBe(403);
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,60 @@
+const { pickPricingForNight } = require('../src/utils/pricingEngine');
+
+const pricing = (id, effectiveDate, endDate, overrides = {}) => ({
+  id,
+  effectiveDate,
+  endDate,
+  isActive: true,
+  createdAt: new Date(2026, 0, 1),
+  ...overrides
+});
+
+describe('pickPricingForNight', () => {
+  const night = new Date(2026, 10, 14);
+
+  it('returns null when no row covers the night', () => {
+    const pricings = [pricing(1, new Date(2026, 10, 1), new Date(2026, 10, 13))];
+
+    expect(pickPricingForNight(pricings, night)).toBeNull();
+  });
+
+  it('treats both ends of the range as covered', () => {
+    expect(pickPricingForNight([pricing(1, new Date(2026, 10, 14), new Date(2026, 10, 20))], night).id).toBe(1);
+    expect(pickPricingForNight([pricing(2, new Date(2026, 10, 1), new Date(2026, 10, 14))], night).id).toBe(2);
+  });
+
+  it('compares calendar days, ignoring the time on the row', () => {
+    const pricings = [pricing(1, new Date(2026, 10, 14, 18, 30), new Date(2026, 10, 14, 6, 0))];
+
+    expect(pickPricingForNight(pricings, night).id).toBe(1);
+  });
+
+  it('skips inactive rows', () => {
+    const pricings = [
+      pricing(1, new Date(2026, 10, 14), new Date(2026, 10, 14), { isActive: false }),
+      pricing(2, new Date(2026, 9, 1), new Date(2026, 11, 31))
+    ];
+
+    expect(pickPricingForNight(pricings, night).id).toBe(2);
+  });
+
+  it('prefers the narrowest range', () => {
+    const pricings = [
+      pricing(1, new Date(2026, 9, 1), new Date(2026, 11, 31)),
+      pricing(2, new Date(2026, 10, 13), new Date(2026, 10, 15)),
+      pricing(3, new Date(2026, 10, 1), new Date(2026, 10, 30))
+    ];
+
+    expect(pickPricingForNight(pricings, night).id).toBe(2);
+  });
+
+  it('prefers the most recently created row when the ranges are as narrow', () => {
+    const pricings = [
+      pricing(1, new Date(2026, 10, 10), new Date(2026, 10, 20), { createdAt: new Date(2026, 5, 1) }),
+      pricing(2, new Date(2026, 10, 12), new Date(2026, 10, 22), { createdAt: new Date(2026, 7, 1) }),
+      pricing(3, new Date(2026, 10, 14), new Date(2026, 10, 24), { createdAt: new Date(2026, 6, 1) })
+    ];
+
+    expect(pickPricingForNight(pricings, night).id).toBe(2);
+  });
+});
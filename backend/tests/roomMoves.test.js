@@ -0,0 +1,122 @@
+jest.mock('../src/utils/availability', () => ({
+  ...jest.requireActual('../src/utils/availability'),
+  checkRoomAvailability: jest.fn()
+}));
+jest.mock('../src/utils/folio', () => ({
+  ...jest.requireActual('../src/utils/folio'),
+  postRoomCharges: jest.fn()
+}));
+
+const { prisma, resetPrisma } = require('@prisma/client');
+const { checkRoomAvailability } = require('../src/utils/availability');
+const { postRoomCharges } = require('../src/utils/folio');
+const { updateBooking } = require('../src/controllers/bookingController');
+const { moveRoom } = require('../src/controllers/roomMoveController');
+const { mockRequest, mockResponse } = require('./support/http');
+
+const inHouseBooking = {
+  id: 10,
+  hotelId: 1,
+  status: 'checked_in',
+  roomId: 101,
+  roomTypeId: 1,
+  checkInDate: new Date(2026, 9, 16),
+  checkOutDate: new Date(2026, 9, 20),
+  billToCompany: false
+};
+
+beforeEach(() => {
+  resetPrisma();
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('updateBooking on an in-house stay', () => {
+  it.each([
+    ['room', { roomId: 102 }],
+    ['room type', { roomTypeId: 2 }]
+  ])('sends a %s change to the room move endpoint', async (label, body) => {
+    prisma.booking.findFirst.mockResolvedValue(inHouseBooking);
+    const res = mockResponse();
+
+    await updateBooking(mockRequest({ params: { bookingId: '10' }, body }), res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.endpoint).toBe('POST /api/bookings/10/move');
+    expect(prisma.booking.update).not.toHaveBeenCalled();
+  });
+});
+
+describe('moveRoom', () => {
+  const checkOutDate = new Date();
+  checkOutDate.setHours(0, 0, 0, 0);
+  checkOutDate.setDate(checkOutDate.getDate() + 2);
+
+  const booking = {
+    ...inHouseBooking,
+    checkOutDate,
+    baseAmount: '8000',
+    finalAmount: '8000',
+    roomRate: '2000',
+    room: { id: 101, roomNumber: '101' },
+    roomType: { id: 1, name: 'Deluxe' },
+    guest: { name: 'Asha Rao', phone: '9800000000' },
+    nightlyRates: []
+  };
+  const newRoom = { id: 102, roomNumber: '102', roomTypeId: 1, status: 'available' };
+  const body = { roomId: newRoom.id, reason: 'Air conditioning not working' };
+
+  beforeEach(() => {
+    prisma.booking.findFirst.mockResolvedValue(booking);
+    postRoomCharges.mockResolvedValue(null);
+  });
+
+  it('checks the new room again under the room type lock', async () => {
+    checkRoomAvailability
+      .mockResolvedValueOnce({ room: newRoom, available: true })
+      .mockResolvedValueOnce({ room: newRoom, available: false, reason: 'Room is booked for these dates', conflictingBookings: [{ id: 77 }] });
+    const res = mockResponse();
+
+    await moveRoom(mockRequest({ params: { bookingId: '10' }, body }), res);
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body).toMatchObject({ error: 'Room 102 was booked meanwhile - pick another room', conflicts: [{ id: 77 }] });
+    expect(prisma.$queryRaw).toHaveBeenCalled();
+    expect(checkRoomAvailability).toHaveBeenLastCalledWith(expect.objectContaining({ roomId: newRoom.id, client: prisma }));
+    expect(prisma.booking.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('refuses when the booking moved or checked out meanwhile', async () => {
+    checkRoomAvailability.mockResolvedValue({ room: newRoom, available: true });
+    prisma.booking.updateMany.mockResolvedValue({ count: 0 });
+    const res = mockResponse();
+
+    await moveRoom(mockRequest({ params: { bookingId: '10' }, body }), res);
+
+    expect(res.statusCode).toBe(409);
+    expect(prisma.booking.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: 10, status: 'checked_in', roomId: 101 }
+    }));
+    expect(prisma.room.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('claims the new room only if it is still free', async () => {
+    checkRoomAvailability.mockResolvedValue({ room: newRoom, available: true });
+    prisma.booking.updateMany.mockResolvedValue({ count: 1 });
+    prisma.room.updateMany.mockResolvedValue({ count: 0 });
+    const res = mockResponse();
+
+    await moveRoom(mockRequest({ params: { bookingId: '10' }, body }), res);
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toBe('Room 102 was taken meanwhile - pick another room');
+    expect(prisma.room.updateMany).toHaveBeenCalledWith({
+      where: { id: newRoom.id, status: { notIn: ['occupied', 'out_of_order', 'blocked'] } },
+      data: { status: 'occupied' }
+    });
+    expect(prisma.roomMove.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Request and response doubles for calling controllers directly
+ */
+const mockRequest = ({ params = {}, body = {}, query = {}, user = {} } = {}) => ({
+  params,
+  body,
+  query,
+  user: { userId: 1, hotelId: 1, name: 'Front Desk', role: 'front_desk', ...user }
+});
+
+const mockResponse = () => {
+  const res = {};
+  res.statusCode = 200;
+  res.status = jest.fn((code) => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn((body) => {
+    res.body = body;
+    return res;
+  });
+  res.send = jest.fn((body) => {
+    res.body = body;
+    return res;
+  });
+  res.type = jest.fn(() => res);
+  res.setHeader = jest.fn();
+  return res;
+};
+
+module.exports = {
+  mockRequest,
+  mockResponse
+};
@@ -0,0 +1,59 @@
+/**
+ * Stand-in for @prisma/client in unit tests (mapped in the jest config in package.json)
+ * Every module's `new PrismaClient()` gets the same client, so tests can set up what a query returns:
+ *
+ * const { prisma, resetPrisma } = require('@prisma/client');
+ * beforeEach(resetPrisma);
+ * prisma.booking.findFirst.mockResolvedValue(booking);
+ *
+ * Model methods are jest mocks created on first use (resolving to undefined until a test says otherwise);
+ * $transaction runs an interactive callback with the same client, or awaits an array of queries
+ */
+let models = new Map();
+
+const model = (name) => {
+  if (!models.has(name)) {
+    const methods = {};
+    models.set(name, new Proxy(methods, {
+      get: (target, method) => {
+        if (typeof method !== 'string') return undefined;
+        if (!target[method]) target[method] = jest.fn();
+        return target[method];
+      }
+    }));
+  }
+  return models.get(name);
+};
+
+const clientMethods = {};
+
+const prisma = new Proxy(clientMethods, {
+  get: (target, key) => {
+    if (typeof key !== 'string' || key === 'then') return undefined;
+    if (key.startsWith('$')) return target[key];
+    return model(key);
+  }
+});
+
+const resetPrisma = () => {
+  models = new Map();
+  clientMethods.$transaction = jest.fn(async (queries) => (Array.isArray(queries) ? Promise.all(queries) : queries(prisma)));
+  clientMethods.$queryRaw = jest.fn(async () => []);
+  clientMethods.$executeRaw = jest.fn(async () => 0);
+  clientMethods.$connect = jest.fn(async () => {});
+  clientMethods.$disconnect = jest.fn(async () => {});
+};
+
+resetPrisma();
+
+class PrismaClient {
+  constructor() {
+    return prisma;
+  }
+}
+
+module.exports = {
+  PrismaClient,
+  prisma,
+  resetPrisma
+};
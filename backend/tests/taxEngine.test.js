@@ -0,0 +1,98 @@
+const { TAX_CATEGORIES, DEFAULT_TAX_RULES, calculateStayTax } = require('../src/utils/taxEngine');
+
+// The default slabs: room nights up to 7,500 at 5%, above that at 18%
+const settings = {
+  pricesIncludeTax: false,
+  rules: Object.fromEntries(TAX_CATEGORIES.map(category => [
+    category,
+    DEFAULT_TAX_RULES.filter(rule => rule.category === category)
+  ]))
+};
+
+const nights = (...rates) => rates.map((rate, index) => ({ stayDate: new Date(2026, 10, 1 + index), rate }));
+
+const stayTax = (rates, { finalAmount, inclusive = false } = {}) => {
+  const baseAmount = rates.reduce((total, rate) => total + rate, 0);
+  return calculateStayTax({
+    nightlyRates: nights(...rates),
+    baseAmount,
+    finalAmount: finalAmount === undefined ? baseAmount : finalAmount,
+    inclusive,
+    settings
+  });
+};
+
+describe('calculateStayTax', () => {
+  describe('tax-exclusive prices', () => {
+    it('taxes a night at exactly 7,500 at the lower slab', () => {
+      const result = stayTax([7500]);
+
+      expect(result.nights[0]).toMatchObject({ chargedAmount: 7500, sacCode: '996311', taxRate: 5, taxAmount: 375 });
+      expect(result.totalAmount).toBe(7875);
+    });
+
+    it('taxes a night just above 7,500 at the higher slab', () => {
+      const result = stayTax([7500.01]);
+
+      expect(result.nights[0]).toMatchObject({ taxRate: 18, taxAmount: 1350 });
+      expect(result.totalAmount).toBe(8850.01);
+    });
+
+    it('picks the slab night by night', () => {
+      const result = stayTax([6000, 9000]);
+
+      expect(result.nights.map(night => night.taxRate)).toEqual([5, 18]);
+      expect(result.taxAmount).toBe(300 + 1620);
+      expect(result.totalAmount).toBe(15000 + 1920);
+    });
+
+    it('taxes each night on its share of a discounted amount', () => {
+      // 8,000 a night takes 18%; the discount brings each night to 7,000
+      const result = stayTax([8000, 8000], { finalAmount: 14000 });
+
+      expect(result.nights.map(night => night.chargedAmount)).toEqual([7000, 7000]);
+      expect(result.nights.map(night => night.taxRate)).toEqual([5, 5]);
+      expect(result.taxAmount).toBe(700);
+      expect(result.totalAmount).toBe(14700);
+    });
+
+    it('gives the rounding remainder to the last night', () => {
+      const result = stayTax([1000, 1000, 1000], { finalAmount: 2000 });
+
+      expect(result.nights.map(night => night.chargedAmount)).toEqual([666.67, 666.67, 666.66]);
+    });
+  });
+
+  describe('tax-inclusive prices', () => {
+    it('picks the slab from the value before tax', () => {
+      // 7,875 is 7,500 plus 5%
+      const result = stayTax([7875], { inclusive: true });
+
+      expect(result.nights[0]).toMatchObject({ taxRate: 5, taxAmount: 375 });
+      expect(result.totalAmount).toBe(7875);
+    });
+
+    it('uses the higher slab once the value before tax is above 7,500', () => {
+      // 8,850.01 is 7,500.01 plus 18%
+      const result = stayTax([8850.01], { inclusive: true });
+
+      expect(result.nights[0]).toMatchObject({ taxRate: 18, taxAmount: 1350 });
+      expect(result.totalAmount).toBe(8850.01);
+    });
+
+    it('taxes a price that falls between the slabs at the higher rate', () => {
+      // Above 7,875 at 5%, but below 7,500.01 once 18% is taken out
+      const result = stayTax([8000], { inclusive: true });
+
+      expect(result.nights[0]).toMatchObject({ taxRate: 18, taxAmount: 1220.34 });
+      expect(result.totalAmount).toBe(8000);
+    });
+
+    it('keeps the total at the final amount', () => {
+      const result = stayTax([5000, 5000], { finalAmount: 9000, inclusive: true });
+
+      expect(result.taxAmount).toBe(428.58);
+      expect(result.totalAmount).toBe(9000);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+jest.mock('../src/utils/availability', () => ({
+  ...jest.requireActual('../src/utils/availability'),
+  findAvailableRooms: jest.fn()
+}));
+
+const { prisma, resetPrisma } = require('@prisma/client');
+const { findAvailableRooms } = require('../src/utils/availability');
+const { compareWaitlistEntries, findWaitlistMatches, notifyWaitlistMatches } = require('../src/utils/waitlist');
+
+const entry = (id, overrides = {}) => ({
+  id,
+  priority: 'normal',
+  createdAt: new Date(2026, 9, 1),
+  checkInDate: new Date(2026, 10, 2),
+  checkOutDate: new Date(2026, 10, 4),
+  numberOfGuests: 2,
+  guest: { id: id + 100, name: `Guest ${id}`, phone: '9800000000' },
+  roomType: { name: 'Deluxe' },
+  ...overrides
+});
+
+const released = {
+  id: 10,
+  hotelId: 1,
+  roomTypeId: 1,
+  checkInDate: new Date(2026, 10, 2),
+  checkOutDate: new Date(2026, 10, 4)
+};
+
+beforeEach(() => {
+  resetPrisma();
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  global.socketServer = { broadcastToRole: jest.fn() };
+});
+
+afterEach(() => {
+  delete global.socketServer;
+  jest.restoreAllMocks();
+});
+
+describe('compareWaitlistEntries', () => {
+  it('offers the highest priority first, then whoever waited longest', () => {
+    const entries = [
+      entry(1, { createdAt: new Date(2026, 9, 3) }),
+      entry(2, { priority: 'vip', createdAt: new Date(2026, 9, 5) }),
+      entry(3, { createdAt: new Date(2026, 9, 2) }),
+      entry(4, { priority: 'low', createdAt: new Date(2026, 9, 1) })
+    ];
+
+    expect(entries.sort(compareWaitlistEntries).map(waiting => waiting.id)).toEqual([2, 3, 1, 4]);
+  });
+});
+
+describe('findWaitlistMatches', () => {
+  it('keeps only entries with a room free for all of their nights', async () => {
+    prisma.waitlistEntry.findMany.mockResolvedValue([
+      entry(1),
+      entry(2, { checkOutDate: new Date(2026, 10, 6) })
+    ]);
+    findAvailableRooms
+      .mockResolvedValueOnce([{ availableCount: 1 }])
+      .mockResolvedValueOnce([{ availableCount: 0 }]);
+
+    const matches = await findWaitlistMatches(released);
+
+    expect(matches).toEqual([expect.objectContaining({ id: 1, availableCount: 1 })]);
+    expect(findAvailableRooms).toHaveBeenLastCalledWith(expect.objectContaining({ checkOutDate: new Date(2026, 10, 6) }));
+  });
+});
+
+describe('notifyWaitlistMatches', () => {
+  it('marks matches notified and alerts the front desk', async () => {
+    prisma.waitlistEntry.findMany.mockResolvedValue([entry(1)]);
+    findAvailableRooms.mockResolvedValue([{ availableCount: 1 }]);
+
+    const matches = await notifyWaitlistMatches(released, 'cancellation');
+
+    expect(matches).toHaveLength(1);
+    expect(prisma.waitlistEntry.updateMany).toHaveBeenCalledWith({
+      where: { id: { in: [1] } },
+      data: { status: 'notified', notifiedAt: expect.any(Date) }
+    });
+    expect(global.socketServer.broadcastToRole).toHaveBeenCalledWith(1, 'front_desk', 'waitlist_match_available', expect.objectContaining({
+      trigger: 'cancellation',
+      releasedBookingId: 10,
+      matches: [expect.objectContaining({ waitlistEntryId: 1, guestName: 'Guest 1' })]
+    }));
+  });
+
+  it('stays quiet when nobody can be served', async () => {
+    prisma.waitlistEntry.findMany.mockResolvedValue([]);
+
+    await expect(notifyWaitlistMatches(released, 'no_show')).resolves.toEqual([]);
+    expect(prisma.waitlistEntry.updateMany).not.toHaveBeenCalled();
+    expect(global.socketServer.broadcastToRole).not.toHaveBeenCalled();
+  });
+});